@@ -0,0 +1,126 @@
+// functions/delivery.js
+//
+// Email delivery for documents in the `notifications` collection.
+//
+// A notification is deliverable when it has a `recipient` email address and a
+// `message` (legacy manual messages use `to` / `body`). Role-wide notices
+// (`forRole`) are in-app only and are left alone.
+//
+// Delivery state is written back on the notification:
+//   delivery: {
+//     status: "sending" | "sent" | "retrying" | "failed",
+//     attempts: number,
+//     lastAttemptAt, nextAttemptAt (retrying), sentAt (sent),
+//     messageId (sent), transport, error (last failure reason)
+//   }
+//
+// Failed sends are retried with exponential backoff until MAX_ATTEMPTS.
+const { Timestamp } = require("firebase-admin/firestore");
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 60 * 1000;
+// A "sending" claim older than this is treated as abandoned (crashed worker)
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DEFAULT_SUBJECTS = {
+  approval: "Journal entry approved",
+  rejection: "Journal entry rejected",
+};
+
+/**
+ * Email for a notification document, or null when it is not an email.
+ * @param {object} data - notification document
+ * @param {{from: string}} options
+ * @returns {{to: string, from: string, replyTo?: string, subject: string, text: string}|null}
+ */
+function buildMessage(data, { from }) {
+  const to = String(data.recipient || data.to || "").trim();
+  const text = data.message || data.body || "";
+  if (!EMAIL.test(to) || !text) return null;
+
+  const replyTo = data.sentBy || data.from || data.sender;
+  return {
+    to,
+    from,
+    ...(EMAIL.test(replyTo || "") ? { replyTo } : {}),
+    subject: data.subject || DEFAULT_SUBJECTS[data.type] || "Tabuledge notification",
+    text,
+  };
+}
+
+/** Delay before retry number `attempts` (1 → 1 min, 2 → 2 min, 3 → 4 min...). */
+function retryDelay(attempts) {
+  return BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+}
+
+/** True when the document should be (re)sent now. */
+function isDue(delivery, nowMs) {
+  if (!delivery) return true;
+  if (delivery.status === "retrying") {
+    return !delivery.nextAttemptAt || delivery.nextAttemptAt.toMillis() <= nowMs;
+  }
+  if (delivery.status === "sending") {
+    return !delivery.lastAttemptAt || nowMs - delivery.lastAttemptAt.toMillis() > SENDING_LEASE_MS;
+  }
+  return false; // sent / failed
+}
+
+/**
+ * Send one notification through `transport` and record the outcome.
+ * The document is claimed in a transaction first, so duplicate trigger
+ * invocations or an overlapping retry sweep never send twice.
+ *
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {{name: string, send: Function}} transport - see transports.js
+ * @param {{from: string, maxAttempts?: number, now?: () => Date}} options
+ * @returns {Promise<string>} resulting status, or "skipped"
+ */
+async function deliver(ref, transport, options) {
+  const { from, maxAttempts = MAX_ATTEMPTS, now = () => new Date() } = options;
+
+  const claim = await ref.firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    const message = buildMessage(data, { from });
+    if (!message || !isDue(data.delivery, now().getTime())) return null;
+
+    const attempts = Number(data.delivery?.attempts || 0) + 1;
+    tx.update(ref, {
+      "delivery.status": "sending",
+      "delivery.attempts": attempts,
+      "delivery.lastAttemptAt": Timestamp.fromDate(now()),
+      "delivery.transport": transport.name,
+    });
+    return { message, attempts };
+  });
+  if (!claim) return "skipped";
+
+  try {
+    const info = await transport.send(claim.message);
+    await ref.update({
+      "delivery.status": "sent",
+      "delivery.sentAt": Timestamp.fromDate(now()),
+      "delivery.messageId": info?.messageId || null,
+      "delivery.error": null,
+      "delivery.nextAttemptAt": null,
+    });
+    return "sent";
+  } catch (err) {
+    const reason = String(err?.response || err?.message || err).slice(0, 500);
+    const giveUp = claim.attempts >= maxAttempts || err?.permanent === true;
+    await ref.update({
+      "delivery.status": giveUp ? "failed" : "retrying",
+      "delivery.error": reason,
+      "delivery.nextAttemptAt": giveUp
+        ? null
+        : Timestamp.fromMillis(now().getTime() + retryDelay(claim.attempts)),
+    });
+    return giveUp ? "failed" : "retrying";
+  }
+}
+
+module.exports = { MAX_ATTEMPTS, buildMessage, retryDelay, isDue, deliver };
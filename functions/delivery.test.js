@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("node:net");
+const { Timestamp } = require("firebase-admin/firestore");
+const { buildMessage, deliver, MAX_ATTEMPTS } = require("./delivery");
+const { smtpTransport } = require("./transports");
+
+const FROM = "Tabuledge <no-reply@tabuledge.app>";
+
+// In-memory stand-in for a Firestore DocumentReference
+function fakeRef(data) {
+  const ref = {
+    data: { ...data },
+    update: async (patch) => {
+      for (const [path, value] of Object.entries(patch)) {
+        const keys = path.split(".");
+        const last = keys.pop();
+        let node = ref.data;
+        for (const k of keys) node = node[k] ??= {};
+        node[last] = value;
+      }
+    },
+  };
+  ref.firestore = {
+    runTransaction: async (fn) =>
+      fn({
+        get: async () => ({ exists: true, data: () => ref.data }),
+        update: (_, patch) => ref.update(patch),
+      }),
+  };
+  return ref;
+}
+
+function fakeTransport(outcomes) {
+  const sent = [];
+  return {
+    name: "fake",
+    sent,
+    async send(message) {
+      sent.push(message);
+      const next = outcomes.shift();
+      if (next instanceof Error) throw next;
+      return { messageId: next };
+    },
+  };
+}
+
+// Minimal SMTP server: accepts everything except RCPT addresses in `reject`
+function smtpStandIn(reject = []) {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let data = null;
+    let envelope = { to: [] };
+    socket.write("220 stand-in ESMTP\r\n");
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        if (data !== null) {
+          if (line === ".") {
+            messages.push({ ...envelope, data: data.join("\n") });
+            envelope = { to: [] };
+            data = null;
+            socket.write(`250 OK id=${messages.length}\r\n`);
+          } else data.push(line);
+          continue;
+        }
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === "EHLO" || cmd === "HELO") socket.write("250 stand-in\r\n");
+        else if (cmd === "MAIL") socket.write("250 OK\r\n");
+        else if (cmd === "RCPT") {
+          const addr = line.match(/<([^>]*)>/)?.[1];
+          if (reject.includes(addr)) socket.write("550 No such user\r\n");
+          else {
+            envelope.to.push(addr);
+            socket.write("250 OK\r\n");
+          }
+        } else if (cmd === "DATA") {
+          data = [];
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (cmd === "QUIT") socket.end("221 Bye\r\n");
+        else socket.write("250 OK\r\n");
+      }
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve({ server, messages, port: server.address().port }))
+  );
+}
+
+test("builds emails only for addressed notifications", () => {
+  assert.deepEqual(
+    buildMessage({ type: "approval", recipient: "amy@x.com", message: "Approved", sentBy: "mgr@x.com" }, { from: FROM }),
+    { to: "amy@x.com", from: FROM, replyTo: "mgr@x.com", subject: "Journal entry approved", text: "Approved" }
+  );
+  // legacy manual message fields
+  assert.equal(buildMessage({ to: "a@x.com", body: "Hi", subject: "S" }, { from: FROM }).text, "Hi");
+  // role broadcasts and incomplete documents are in-app only
+  assert.equal(buildMessage({ forRole: "manager", message: "New entry" }, { from: FROM }), null);
+  assert.equal(buildMessage({ recipient: "not-an-email", message: "x" }, { from: FROM }), null);
+  assert.equal(buildMessage({ recipient: "a@x.com" }, { from: FROM }), null);
+});
+
+test("records sent, retrying and failed delivery on the document", async () => {
+  const now = () => new Date("2025-03-01T12:00:00Z");
+
+  const ok = fakeRef({ recipient: "a@x.com", subject: "S", message: "M" });
+  assert.equal(await deliver(ok, fakeTransport(["id-1"]), { from: FROM, now }), "sent");
+  assert.equal(ok.data.delivery.status, "sent");
+  assert.equal(ok.data.delivery.attempts, 1);
+  assert.equal(ok.data.delivery.messageId, "id-1");
+  // already sent: a duplicate trigger does nothing
+  const again = fakeTransport(["id-2"]);
+  assert.equal(await deliver(ok, again, { from: FROM, now }), "skipped");
+  assert.equal(again.sent.length, 0);
+
+  const flaky = fakeRef({ recipient: "a@x.com", message: "M" });
+  const transport = fakeTransport([new Error("connection refused"), "id-3"]);
+  assert.equal(await deliver(flaky, transport, { from: FROM, now }), "retrying");
+  assert.equal(flaky.data.delivery.error, "connection refused");
+  assert.equal(flaky.data.delivery.nextAttemptAt.toMillis(), now().getTime() + 60 * 1000);
+  // not due yet
+  assert.equal(await deliver(flaky, transport, { from: FROM, now }), "skipped");
+  const later = () => new Date("2025-03-01T12:05:00Z");
+  assert.equal(await deliver(flaky, transport, { from: FROM, now: later }), "sent");
+  assert.equal(flaky.data.delivery.attempts, 2);
+  assert.equal(flaky.data.delivery.error, null);
+
+  const dead = fakeRef({
+    recipient: "a@x.com",
+    message: "M",
+    delivery: { status: "retrying", attempts: MAX_ATTEMPTS - 1, nextAttemptAt: Timestamp.fromDate(now()) },
+  });
+  assert.equal(await deliver(dead, fakeTransport([new Error("timeout")]), { from: FROM, now }), "failed");
+  assert.equal(dead.data.delivery.attempts, MAX_ATTEMPTS);
+  assert.equal(dead.data.delivery.nextAttemptAt, null);
+
+  const broadcast = fakeRef({ forRole: "manager", message: "M" });
+  assert.equal(await deliver(broadcast, fakeTransport([]), { from: FROM, now }), "skipped");
+  assert.equal(broadcast.data.delivery, undefined);
+});
+
+test("delivers through SMTP and fails permanently on a rejected mailbox", async () => {
+  const { server, messages, port } = await smtpStandIn(["gone@x.com"]);
+  try {
+    const transport = smtpTransport({ SMTP_HOST: "127.0.0.1", SMTP_PORT: String(port), SMTP_SECURE: "false" });
+
+    const ref = fakeRef({ type: "admin_message", recipient: "amy@x.com", subject: "Hello", message: "Line one" });
+    assert.equal(await deliver(ref, transport, { from: FROM }), "sent");
+    assert.equal(messages.length, 1);
+    assert.deepEqual(messages[0].to, ["amy@x.com"]);
+    assert.match(messages[0].data, /Subject: Hello/);
+    assert.match(messages[0].data, /Line one/);
+    assert.equal(ref.data.delivery.transport, "smtp");
+
+    const bad = fakeRef({ recipient: "gone@x.com", message: "M" });
+    assert.equal(await deliver(bad, transport, { from: FROM }), "failed");
+    assert.match(bad.data.delivery.error, /550/);
+    assert.equal(bad.data.delivery.attempts, 1);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,41 @@
+// functions/index.js
+//
+// Cloud Functions entry point: emails documents added to `notifications`.
+// See delivery.js for the delivery fields written back on each document and
+// transports.js for mail server configuration.
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore, Timestamp } = require("firebase-admin/firestore");
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { logger } = require("firebase-functions");
+const { deliver } = require("./delivery");
+const { transportFromEnv } = require("./transports");
+
+initializeApp();
+
+const MAIL_FROM = () => process.env.MAIL_FROM || "Tabuledge <no-reply@tabuledge.app>";
+
+let transport = null;
+const getTransport = () => (transport ??= transportFromEnv());
+
+/** Sends each new notification as it is created. */
+exports.deliverNotification = onDocumentCreated("notifications/{id}", async (event) => {
+  if (!event.data) return;
+  const status = await deliver(event.data.ref, getTransport(), { from: MAIL_FROM() });
+  if (status !== "skipped") logger.info(`notification ${event.params.id}: ${status}`);
+});
+
+/** Re-sends notifications whose retry time has come. */
+exports.retryNotifications = onSchedule("every 10 minutes", async () => {
+  const due = await getFirestore()
+    .collection("notifications")
+    .where("delivery.status", "==", "retrying")
+    .where("delivery.nextAttemptAt", "<=", Timestamp.now())
+    .limit(100)
+    .get();
+
+  for (const snap of due.docs) {
+    const status = await deliver(snap.ref, getTransport(), { from: MAIL_FROM() });
+    logger.info(`notification ${snap.id} retry: ${status}`);
+  }
+});
@@ -0,0 +1,75 @@
+// functions/transports.js
+//
+// Pluggable mail transports. A transport is { name, send(message) } where
+// message is { to, from, replyTo?, subject, text } and send resolves to
+// { messageId } or throws with the failure reason (set err.permanent = true
+// for errors that retrying cannot fix).
+//
+// Selected by MAIL_TRANSPORT (default "smtp"):
+//   smtp - SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for 465),
+//          SMTP_USER, SMTP_PASS. Point SMTP_HOST at a local stand-in such as
+//          MailHog/Mailpit (localhost:1025) when running the emulator.
+//   log  - writes the message to the functions log instead of sending.
+const nodemailer = require("nodemailer");
+
+const transports = {
+  smtp: smtpTransport,
+  log: logTransport,
+};
+
+/** SMTP transport (nodemailer). */
+function smtpTransport(env = process.env) {
+  const port = Number(env.SMTP_PORT || 587);
+  const mailer = nodemailer.createTransport({
+    host: env.SMTP_HOST || "localhost",
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+    ...(env.SMTP_USER ? { auth: { user: env.SMTP_USER, pass: env.SMTP_PASS } } : {}),
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      try {
+        const info = await mailer.sendMail(message);
+        return { messageId: info.messageId };
+      } catch (err) {
+        // 5xx replies (bad mailbox, rejected sender) will not succeed on retry
+        if (err.responseCode >= 500) err.permanent = true;
+        throw err;
+      }
+    },
+  };
+}
+
+/** Logs instead of sending; for development without a mail server. */
+function logTransport(env = process.env, logger = console) {
+  let seq = 0;
+  return {
+    name: "log",
+    async send(message) {
+      logger.log(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text}`);
+      seq += 1;
+      return { messageId: `log-${Date.now()}-${seq}` };
+    },
+  };
+}
+
+/**
+ * Adds or replaces a transport factory.
+ * @param {string} name
+ * @param {(env: object) => {name: string, send: Function}} factory
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+/** Transport named by MAIL_TRANSPORT. */
+function transportFromEnv(env = process.env) {
+  const name = env.MAIL_TRANSPORT || "smtp";
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  return factory(env);
+}
+
+module.exports = { smtpTransport, logTransport, registerTransport, transportFromEnv };
@@ -10,44 +10,93 @@ import ChartOfAccounts from "./pages/ChartOfAccounts";
 import AccountDetailsPage from "./pages/AccountDetailsPage";
 import LedgerPage from "./pages/LedgerPage";
 import EventLogPage from "./pages/EventLogPage";
+import AccountingPeriodsPage from "./pages/AccountingPeriodsPage";
 import JournalEntryPage from "./pages/JournalEntryPage";
 import CreateJournalEntry from "./pages/CreateJournalEntry";
 import JournalEntryDetails from "./pages/JournalEntryDetails";
+import JournalTemplatesPage from "./pages/JournalTemplatesPage";
+import AdjustingEntriesReport from "./pages/AdjustingEntriesReport";
+import FixedAssetsPage from "./pages/FixedAssetsPage";
+import BankReconciliationPage from "./pages/BankReconciliationPage";
+import ReceivablesPage from "./pages/ReceivablesPage";
+import PayablesPage from "./pages/PayablesPage";
+import ExchangeRatesPage from "./pages/ExchangeRatesPage";
+import ConsolidatedTrialBalance from "./pages/ConsolidatedTrialBalance";
 import LandingDashboard from "./pages/LandingDashboard";
+import NotificationsPage from "./pages/NotificationsPage";
+import NotAuthorizedPage from "./pages/NotAuthorizedPage";
+import ProtectedRoute from "./components/ProtectedRoute";
+import RoleRoute, { ROLES } from "./components/RoleRoute";
+import { AuthProvider } from "./context/authContext";
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        {/* Auth */}
-        <Route path="/" element={<LoginPage />} />
-        <Route path="/register" element={<RegisterPage />} />
-        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
-
-        {/* Admin / Manager / Accountant */}
-        <Route path="/admin" element={<AdminPanel />} />
-        <Route path="/manager" element={<ManagerDashboard />} />
-        <Route path="/accountant" element={<AccountantDashboard />} />
-
-        {/* Accounts + Ledgers + Events */}
-        <Route path="/accounts" element={<ChartOfAccounts />} />
-        <Route path="/accounts/:id" element={<AccountDetailsPage />} />
-        <Route path="/ledger/:id" element={<LedgerPage />} />
-        <Route path="/event-logs" element={<EventLogPage />} />
-
-        {/* Accountant journal page: list + create inline */}
-        <Route path="/journal" element={<JournalEntryPage />} />
-
-        {/* Journal entry details: used by PR links, manager, etc. */}
-        <Route path="/journal/:id" element={<JournalEntryDetails />} />
-
-        {/* Dedicated create-journal page (if you still use it) */}
-        <Route path="/create-journal" element={<CreateJournalEntry />} />
-
-        {/* Landing/dashboard page with financial ratios */}
-        <Route path="/dashboard" element={<LandingDashboard />} />
-      </Routes>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <Routes>
+          {/* Auth */}
+          <Route path="/" element={<LoginPage />} />
+          <Route path="/register" element={<RegisterPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+
+          {/* Everything below requires a signed-in user */}
+          <Route element={<ProtectedRoute />}>
+            <Route path="/not-authorized" element={<NotAuthorizedPage />} />
+
+            {/* Admin / Manager / Accountant */}
+            <Route path="/admin" element={<RoleRoute roles={ROLES.ADMIN}><AdminPanel /></RoleRoute>} />
+            <Route path="/manager" element={<RoleRoute roles={ROLES.ADMIN_MANAGER}><ManagerDashboard /></RoleRoute>} />
+            <Route path="/accountant" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><AccountantDashboard /></RoleRoute>} />
+
+            {/* Accounts + Ledgers + Events */}
+            <Route path="/accounts" element={<RoleRoute roles={ROLES.ALL}><ChartOfAccounts /></RoleRoute>} />
+            <Route path="/accounts/:id" element={<RoleRoute roles={ROLES.ALL}><AccountDetailsPage /></RoleRoute>} />
+            <Route path="/ledger/:id" element={<RoleRoute roles={ROLES.ALL}><LedgerPage /></RoleRoute>} />
+            <Route path="/event-logs" element={<RoleRoute roles={ROLES.ALL}><EventLogPage /></RoleRoute>} />
+            <Route path="/periods" element={<RoleRoute roles={ROLES.ADMIN_MANAGER}><AccountingPeriodsPage /></RoleRoute>} />
+
+            {/* Accountant journal page: list + create inline */}
+            <Route path="/journal" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><JournalEntryPage /></RoleRoute>} />
+
+            {/* Journal entry details: used by PR links, manager, etc. */}
+            <Route path="/journal/:id" element={<RoleRoute roles={ROLES.ALL}><JournalEntryDetails /></RoleRoute>} />
+
+            {/* Dedicated create-journal page (if you still use it) */}
+            <Route path="/create-journal" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><CreateJournalEntry /></RoleRoute>} />
+
+            {/* Recurring journal entry templates */}
+            <Route path="/journal-templates" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><JournalTemplatesPage /></RoleRoute>} />
+
+            {/* Fixed asset register and depreciation */}
+            <Route path="/fixed-assets" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><FixedAssetsPage /></RoleRoute>} />
+
+            {/* Bank statement reconciliation of cash accounts */}
+            <Route path="/reconciliation" element={<RoleRoute roles={ROLES.ALL}><BankReconciliationPage /></RoleRoute>} />
+
+            {/* Accounts receivable: customers, invoices, payments and aging */}
+            <Route path="/receivables" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><ReceivablesPage /></RoleRoute>} />
+
+            {/* Accounts payable: vendors, bills, payments, bills due and aging */}
+            <Route path="/payables" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><PayablesPage /></RoleRoute>} />
+
+            {/* Exchange rate table and unrealized FX revaluation */}
+            <Route path="/exchange-rates" element={<RoleRoute roles={ROLES.ADMIN_ACCOUNTANT}><ExchangeRatesPage /></RoleRoute>} />
+
+            {/* Trial balance summed across companies */}
+            <Route path="/consolidated-trial-balance" element={<RoleRoute roles={ROLES.ADMIN_MANAGER}><ConsolidatedTrialBalance /></RoleRoute>} />
+
+            {/* Adjusting entries and whether their accruals have reversed */}
+            <Route path="/adjusting-entries" element={<RoleRoute roles={ROLES.ALL}><AdjustingEntriesReport /></RoleRoute>} />
+
+            {/* Landing/dashboard page with financial ratios */}
+            <Route path="/dashboard" element={<RoleRoute roles={ROLES.ALL}><LandingDashboard /></RoleRoute>} />
+
+            {/* Notification inbox for the signed-in user */}
+            <Route path="/notifications" element={<RoleRoute roles={ROLES.ALL}><NotificationsPage /></RoleRoute>} />
+          </Route>
+        </Routes>
+      </Router>
+    </AuthProvider>
   );
 }
 
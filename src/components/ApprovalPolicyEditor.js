@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Approval Policy Editor Component
+ * @description Admin editor for journal entry approval rules: which entries a
+ * rule applies to (amount threshold and/or account categories), how many
+ * distinct approvers it needs and which roles may approve. Saved rules apply
+ * to entries submitted afterwards.
+ *
+ * @module components/ApprovalPolicyEditor
+ * @requires react
+ * @requires ../utils/approvals
+ * @requires ../utils/validation
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+  APPROVER_ROLES, DEFAULT_APPROVAL_POLICY, loadApprovalPolicy, ruleSummary, saveApprovalPolicy,
+} from "../utils/approvals";
+import { CATEGORY_PREFIX } from "../utils/validation";
+
+const CATEGORIES = Object.keys(CATEGORY_PREFIX);
+
+/** Editable copy of a stored rule (amounts as strings for the input). */
+const toForm = (r) => ({
+  ...r,
+  minAmount: r.minAmount == null ? "" : String(r.minAmount),
+  approvals: String(r.approvals),
+  categories: r.categories || [],
+  roles: r.roles || [],
+});
+
+/**
+ * ApprovalPolicyEditor Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.userEmail - Admin saving the policy
+ * @returns {JSX.Element} Rule table with add / remove / save
+ *
+ * @example
+ * <ApprovalPolicyEditor userEmail={userEmail} />
+ */
+export default function ApprovalPolicyEditor({ userEmail }) {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    loadApprovalPolicy()
+      .then((policy) => setRules(policy.rules.map(toForm)))
+      .catch((err) => {
+        console.error("Failed to load approval policy:", err);
+        setError("Could not load the approval policy.");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const update = (i, patch) => setRules(rules.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+  const addRule = () =>
+    setRules([
+      ...rules,
+      { id: `rule-${Date.now()}`, label: "", minAmount: "", categories: [], approvals: "1", roles: ["manager", "admin"] },
+    ]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const saved = await saveApprovalPolicy(rules, userEmail);
+      setRules(saved.rules.map(toForm));
+      alert("✅ Approval policy saved. It applies to entries submitted from now on.");
+    } catch (err) {
+      console.error("Failed to save approval policy:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <p>Loading approval policy...</p>;
+
+  return (
+    <div>
+      <p style={styles.help}>
+        Every journal entry needs all the rules that apply to it. A rule applies when the entry total is
+        over its minimum amount and, if categories are chosen, it uses an account in one of them. Entries
+        matching no rule need one manager or admin approval. Preparers can never approve their own entries.
+      </p>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Rule</th>
+            <th style={styles.th}>Over amount</th>
+            <th style={styles.th}>Account categories</th>
+            <th style={styles.th}>Approvals</th>
+            <th style={styles.th}>Approver roles</th>
+            <th style={styles.th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((r, i) => (
+            <tr key={r.id}>
+              <td style={styles.td}>
+                <input
+                  value={r.label}
+                  onChange={(e) => update(i, { label: e.target.value })}
+                  placeholder="e.g. Entries over $10,000"
+                  style={{ width: 220 }}
+                />
+                <div style={styles.summary}>Applies to {ruleSummary(r)}</div>
+              </td>
+              <td style={styles.td}>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={r.minAmount}
+                  onChange={(e) => update(i, { minAmount: e.target.value })}
+                  placeholder="Any"
+                  style={{ width: 110 }}
+                />
+              </td>
+              <td style={styles.td}>
+                {CATEGORIES.map((c) => (
+                  <label key={c} style={styles.check}>
+                    <input
+                      type="checkbox"
+                      checked={r.categories.includes(c)}
+                      onChange={() => update(i, { categories: toggle(r.categories, c) })}
+                    />{" "}
+                    {c}
+                  </label>
+                ))}
+              </td>
+              <td style={styles.td}>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={r.approvals}
+                  onChange={(e) => update(i, { approvals: e.target.value })}
+                  style={{ width: 60 }}
+                />
+              </td>
+              <td style={styles.td}>
+                {APPROVER_ROLES.map((role) => (
+                  <label key={role} style={styles.check}>
+                    <input
+                      type="checkbox"
+                      checked={r.roles.includes(role)}
+                      onChange={() => update(i, { roles: toggle(r.roles, role) })}
+                    />{" "}
+                    {role}
+                  </label>
+                ))}
+              </td>
+              <td style={styles.td}>
+                <button onClick={() => setRules(rules.filter((_, j) => j !== i))} title="Remove rule">
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {error && <p style={styles.error}>{error}</p>}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <button onClick={addRule}>+ Add Rule</button>
+        <button onClick={() => setRules(DEFAULT_APPROVAL_POLICY.rules.map(toForm))} title="Replace with the default rules">
+          Restore Defaults
+        </button>
+        <button onClick={handleSave} disabled={saving}>
+          {saving ? "Saving..." : "Save Policy"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  help: { fontSize: 13, color: "#475569" },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13, verticalAlign: "top" },
+  check: { display: "block", whiteSpace: "nowrap" },
+  summary: { fontSize: 11, color: "#64748b", marginTop: 4 },
+  error: { color: "#b91c1c" },
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Comparative Statement Component
+ * @description Renders a side-by-side statement built by utils/comparative:
+ * one amount column per period plus dollar and percentage variance of the
+ * current column over the comparison column.
+ *
+ * @module components/ComparativeStatement
+ * @requires react
+ * @requires ../utils/format
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React from "react";
+import { formatMoney } from "../utils/format";
+
+/** Percentage cell text; "—" when the comparison amount is zero. */
+const formatPct = (pct) => (pct == null ? "—" : `${(pct * 100).toFixed(1)}%`);
+
+/**
+ * ComparativeStatement Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.statement - Result of comparativeStatement()
+ * @param {Function} [props.onOpenAccount] - Called with an accountId when a line item is clicked
+ * @returns {JSX.Element} Rendered comparative statement
+ */
+export default function ComparativeStatement({ statement, onOpenAccount }) {
+  const { title, columns = [], sections = [], checks = [] } = statement;
+  const current = columns[0]?.label;
+  const prior = columns[1]?.label;
+
+  const varianceCells = (row, style) => (
+    <>
+      <td style={{ ...style, ...varianceColor(row.variance) }}>{formatMoney(row.variance)}</td>
+      <td style={{ ...style, ...varianceColor(row.variance) }}>{formatPct(row.variancePct)}</td>
+    </>
+  );
+
+  const amountCells = (values, style) =>
+    values.map((v, i) => (
+      <td key={i} style={style}>{formatMoney(v)}</td>
+    ));
+
+  const accountLabel = (line) => {
+    const text = line.number ? `${line.name} (${line.number})` : line.name;
+    if (!line.accountId || !onOpenAccount) return text;
+    return (
+      <button onClick={() => onOpenAccount(line.accountId)} style={styles.link} title="Open ledger for this account">
+        {text}
+      </button>
+    );
+  };
+
+  const span = columns.length + 3;
+
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <div style={styles.heading}>
+        <div style={styles.title}>{title}</div>
+        <div style={styles.period}>
+          {columns.map((c) => c.label).join(" vs. ")}
+        </div>
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th} />
+            {columns.map((c) => (
+              <th key={c.label} style={styles.thNum} title={`${c.from} to ${c.to}`}>{c.label}</th>
+            ))}
+            <th style={styles.thNum} title={`${current} − ${prior}`}>Variance $</th>
+            <th style={styles.thNum}>Variance %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sections.map((sec, si) =>
+            sec.groups ? (
+              <React.Fragment key={si}>
+                <tr>
+                  <td colSpan={span} style={styles.sectionTitle}>{sec.title}</td>
+                </tr>
+                {sec.groups.map((g, gi) => (
+                  <React.Fragment key={gi}>
+                    {g.title && (
+                      <tr>
+                        <td colSpan={span} style={styles.groupTitle}>{g.title}</td>
+                      </tr>
+                    )}
+                    {g.lines.map((line, li) => (
+                      <tr key={li}>
+                        <td style={styles.line}>{accountLabel(line)}</td>
+                        {amountCells(line.amounts, styles.num)}
+                        {varianceCells(line, styles.num)}
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+                <tr>
+                  <td style={styles.totalLabel}>{sec.totalLabel}</td>
+                  {amountCells(sec.totals, styles.total)}
+                  {varianceCells(sec, styles.total)}
+                </tr>
+              </React.Fragment>
+            ) : (
+              <tr key={si}>
+                <td style={styles.grandLabel}>{sec.totalLabel}</td>
+                {amountCells(sec.totals, styles.grand)}
+                {varianceCells(sec, styles.grand)}
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+
+      {checks.length > 0 && (
+        <ul style={styles.checks}>
+          {checks.map((c, i) => (
+            <li key={i} style={{ color: c.ok ? "#166534" : "#b91c1c" }}>
+              {c.ok ? "✓" : "✗"} {c.label}: {c.detail}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/** Red for decreases, green for increases */
+function varianceColor(v) {
+  if (!v) return {};
+  return { color: v < 0 ? "#b91c1c" : "#166534" };
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  heading: { textAlign: "center", marginBottom: 12 },
+  title: { fontSize: 18, fontWeight: 700 },
+  period: { fontSize: 13, color: "#475569" },
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: { padding: 8, borderBottom: "2px solid #cbd5e1", textAlign: "left" },
+  thNum: { padding: 8, borderBottom: "2px solid #cbd5e1", textAlign: "right", whiteSpace: "nowrap" },
+  sectionTitle: { padding: "12px 8px 4px", fontWeight: 700, borderBottom: "1px solid #cbd5e1" },
+  groupTitle: { padding: "6px 8px 2px 16px", fontWeight: 600, fontStyle: "italic" },
+  line: { padding: "3px 8px 3px 28px" },
+  num: { padding: "3px 8px", textAlign: "right", whiteSpace: "nowrap" },
+  totalLabel: { padding: "4px 8px", fontWeight: 600 },
+  total: { padding: "4px 8px", textAlign: "right", fontWeight: 600, borderTop: "1px solid #94a3b8", whiteSpace: "nowrap" },
+  grandLabel: { padding: 8, fontWeight: 700 },
+  grand: { padding: 8, textAlign: "right", fontWeight: 700, borderTop: "1px solid #0f172a", borderBottom: "3px double #0f172a", whiteSpace: "nowrap" },
+  link: {
+    background: "transparent",
+    color: "#2563eb",
+    border: "none",
+    cursor: "pointer",
+    textDecoration: "underline",
+    padding: 0,
+    font: "inherit",
+  },
+  checks: { listStyle: "none", padding: 0, marginTop: 12, fontSize: 13 },
+};
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Export Menu Component
+ * @description Dropdown that exports the current report or list to CSV, Excel
+ * or PDF via utils/export. The table is built only when an export is chosen,
+ * and is headed with the open company's name unless it names a company itself.
+ *
+ * @module components/ExportMenu
+ * @requires react
+ * @requires ../context/authContext
+ * @requires ../utils/export
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from "react";
+import { useAuth } from "../context/authContext";
+import { EXPORT_FORMATS, exportTable } from "../utils/export";
+
+/**
+ * ExportMenu Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.getTable - Returns the export table (see utils/export), or null if nothing to export
+ * @param {boolean} [props.disabled] - Disable the menu
+ * @param {string} [props.title] - Tooltip
+ * @returns {JSX.Element} Rendered export dropdown
+ *
+ * @example
+ * <ExportMenu getTable={() => reportTable(reportData)} disabled={!reportData} />
+ */
+export default function ExportMenu({ getTable, disabled = false, title = "Export to CSV, Excel or PDF" }) {
+  const { company } = useAuth();
+  const [busy, setBusy] = useState(false);
+
+  const onChoose = async (format) => {
+    if (!format) return;
+    const table = getTable();
+    if (!table) return alert("Nothing to export yet.");
+
+    setBusy(true);
+    try {
+      await exportTable(format, { company: company?.name, ...table });
+    } catch (err) {
+      console.error("Export failed:", err);
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <select
+      value=""
+      disabled={disabled || busy}
+      onChange={(e) => onChoose(e.target.value)}
+      title={title}
+    >
+      <option value="" disabled>{busy ? "Exporting…" : "▾ Export"}</option>
+      {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+  );
+}
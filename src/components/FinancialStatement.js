@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Financial Statement Component
+ * @description Renders a statement built by utils/statements (income statement,
+ * balance sheet, retained earnings) as a formatted report: sections, subcategory
+ * groups with account line items, subtotals, grand totals and balancing checks.
+ *
+ * @module components/FinancialStatement
+ * @requires react
+ * @requires ../utils/format
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React from "react";
+import { formatMoney } from "../utils/format";
+
+/**
+ * FinancialStatement Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.statement - Statement from incomeStatementReport / balanceSheetReport / retainedEarningsReport
+ * @param {Function} [props.onOpenAccount] - Called with an accountId when a line item is clicked
+ * @returns {JSX.Element} Rendered statement
+ *
+ * @example
+ * <FinancialStatement
+ *   statement={balanceSheetReport(accMap, { from, to })}
+ *   onOpenAccount={(id) => navigate(`/ledger/${id}`)}
+ * />
+ */
+export default function FinancialStatement({ statement, onOpenAccount }) {
+  const { title, period = {}, sections = [], checks = [] } = statement;
+
+  const periodLabel =
+    period.from && period.to ? `${period.from} to ${period.to}`
+      : period.to ? `As of ${period.to}`
+      : period.from ? `From ${period.from}`
+      : "All dates";
+
+  const accountLabel = (line) => {
+    const text = line.number ? `${line.name} (${line.number})` : line.name;
+    if (!line.accountId || !onOpenAccount) return text;
+    return (
+      <button onClick={() => onOpenAccount(line.accountId)} style={styles.link} title="Open ledger for this account">
+        {text}
+      </button>
+    );
+  };
+
+  return (
+    <div>
+      <div style={styles.heading}>
+        <div style={styles.title}>{title}</div>
+        <div style={styles.period}>{periodLabel}</div>
+      </div>
+
+      <table style={styles.table}>
+        <tbody>
+          {sections.map((sec, si) =>
+            sec.groups ? (
+              <React.Fragment key={si}>
+                {sec.title && (
+                  <tr>
+                    <td colSpan={3} style={styles.sectionTitle}>{sec.title}</td>
+                  </tr>
+                )}
+
+                {sec.groups.map((g, gi) => (
+                  <React.Fragment key={gi}>
+                    {g.title && (
+                      <tr>
+                        <td colSpan={3} style={styles.groupTitle}>{g.title}</td>
+                      </tr>
+                    )}
+                    {g.lines.map((line, li) => (
+                      <tr key={li}>
+                        <td style={styles.line}>{accountLabel(line)}</td>
+                        <td style={styles.amount}>{formatMoney(line.amount)}</td>
+                        <td style={styles.amount} />
+                      </tr>
+                    ))}
+                    {sec.groups.length > 1 && g.lines.length > 1 && (
+                      <tr>
+                        <td style={styles.subtotalLabel}>Total {g.title || ""}</td>
+                        <td style={styles.amount} />
+                        <td style={styles.subtotal}>{formatMoney(g.total)}</td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+
+                {sec.groups.length === 0 && (
+                  <tr>
+                    <td colSpan={3} style={{ ...styles.line, opacity: 0.6 }}>None</td>
+                  </tr>
+                )}
+
+                <tr>
+                  <td style={styles.totalLabel}>{sec.totalLabel}</td>
+                  <td style={styles.amount} />
+                  <td style={styles.total}>{formatMoney(sec.total)}</td>
+                </tr>
+              </React.Fragment>
+            ) : (
+              <tr key={si}>
+                <td style={styles.grandLabel}>{sec.totalLabel}</td>
+                <td style={styles.amount} />
+                <td style={styles.grand}>{formatMoney(sec.total)}</td>
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+
+      {checks.length > 0 && (
+        <ul style={styles.checks}>
+          {checks.map((c, i) => (
+            <li key={i} style={{ color: c.ok ? "#166534" : "#b91c1c" }}>
+              {c.ok ? "✓" : "✗"} {c.label}: {c.detail}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  heading: { textAlign: "center", marginBottom: 12 },
+  title: { fontSize: 18, fontWeight: 700 },
+  period: { fontSize: 13, color: "#475569" },
+  table: { width: "100%", borderCollapse: "collapse" },
+  sectionTitle: { padding: "12px 8px 4px", fontWeight: 700, borderBottom: "1px solid #cbd5e1" },
+  groupTitle: { padding: "6px 8px 2px 16px", fontWeight: 600, fontStyle: "italic" },
+  line: { padding: "3px 8px 3px 28px" },
+  amount: { padding: "3px 8px", textAlign: "right", width: 140 },
+  subtotalLabel: { padding: "3px 8px 3px 16px", fontStyle: "italic" },
+  subtotal: { padding: "3px 8px", textAlign: "right", width: 140, borderTop: "1px solid #e2e8f0" },
+  totalLabel: { padding: "4px 8px", fontWeight: 600 },
+  total: { padding: "4px 8px", textAlign: "right", fontWeight: 600, borderTop: "1px solid #94a3b8" },
+  grandLabel: { padding: "8px", fontWeight: 700 },
+  grand: { padding: "8px", textAlign: "right", fontWeight: 700, borderTop: "1px solid #0f172a", borderBottom: "3px double #0f172a" },
+  link: {
+    background: "transparent",
+    color: "#2563eb",
+    border: "none",
+    cursor: "pointer",
+    textDecoration: "underline",
+    padding: 0,
+    font: "inherit",
+  },
+  checks: { listStyle: "none", padding: 0, marginTop: 12, fontSize: 13 },
+};
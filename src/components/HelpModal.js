@@ -44,6 +44,9 @@ function HelpModal({ open, onClose }) {
           <h4>Viewing Details</h4>
           <p>Click on an account name or number to open its ledger, or use the Actions dropdown for more options.</p>
           
+          <h4>Balances</h4>
+          <p>Debit, credit and balance totals are kept up to date when journal entries are approved. Administrators can use <strong>Recalculate Balances from Ledger</strong> to find and fix any account whose totals disagree with its ledger.</p>
+          
           <h4>Deactivating Accounts</h4>
           <p><strong>Important:</strong> Accounts with balances greater than zero cannot be deactivated. You must first journal any remaining balance to another account.</p>
         </>
@@ -69,6 +72,7 @@ function HelpModal({ open, onClose }) {
             <li>Manager reviews and approves/rejects</li>
             <li>Upon approval, entries are posted to ledgers</li>
           </ol>
+          <p>The administrator's approval policy can require more sign-off, e.g. two approvers for entries over $10,000 or an admin for entries touching equity. An entry posts only when every rule it matched is satisfied; the entry's details page lists the outstanding approvals. Preparers can never approve their own entries.</p>
           
           <h4>Attachments</h4>
           <p>Upload supporting documents (PDF, DOC, XLS, images) to journal entries for audit purposes.</p>
@@ -104,6 +108,7 @@ function HelpModal({ open, onClose }) {
             <li><strong>Income Statement:</strong> Revenue - Expenses = Net Income</li>
             <li><strong>Balance Sheet:</strong> Assets = Liabilities + Equity</li>
             <li><strong>Retained Earnings:</strong> Tracks equity changes over time</li>
+            <li><strong>Cash Flows:</strong> Net income adjusted for balance changes (indirect method), split into operating, investing and financing activities. Set an account's Cash Flow classification in the Chart of Accounts to override the automatic one</li>
           </ul>
           
           <h4>Generating Reports</h4>
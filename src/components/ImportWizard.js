@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Import Wizard Component
+ * @description Modal for CSV imports: choose a file, review a preview with a
+ * per-row error report, then confirm. Nothing is written until the preview is
+ * free of errors and the user clicks Import.
+ *
+ * @module components/ImportWizard
+ * @requires react
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from "react";
+
+/**
+ * ImportWizard Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the modal is open
+ * @param {Function} props.onClose - Close the modal
+ * @param {string} props.title - Modal title
+ * @param {string} props.template - Sample CSV offered as a download
+ * @param {string} props.templateName - File name for the sample
+ * @param {Function} props.preview - async (csvText) → import preview (see utils/imports)
+ * @param {Function} props.onImport - async (payload) → optional success message to alert
+ * @param {React.ReactNode} [props.children] - Column instructions shown above the file input
+ * @returns {JSX.Element|null} Rendered modal or null if closed
+ *
+ * @example
+ * <ImportWizard
+ *   open={importOpen}
+ *   onClose={() => setImportOpen(false)}
+ *   title="Import Accounts"
+ *   template={ACCOUNT_TEMPLATE}
+ *   templateName="accounts-template.csv"
+ *   preview={previewAccountImport}
+ *   onImport={(accounts) => importAccounts(accounts, userEmail)}
+ * />
+ */
+export default function ImportWizard({ open, onClose, title, template, templateName, preview, onImport, children }) {
+  const [fileName, setFileName] = useState("");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [errorsOnly, setErrorsOnly] = useState(false);
+
+  if (!open) return null;
+
+  const reset = () => {
+    setFileName("");
+    setResult(null);
+    setError("");
+    setErrorsOnly(false);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    reset();
+    setFileName(file.name);
+    setBusy(true);
+    try {
+      setResult(await preview(await file.text()));
+    } catch (err) {
+      console.error("Import preview failed:", err);
+      setError(err.message || "Could not read the file.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runImport = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const message = await onImport(result.payload);
+      reset();
+      onClose();
+      if (message) alert(message);
+    } catch (err) {
+      console.error("Import failed:", err);
+      setError(err.message || "Import failed. Nothing was written.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([template], { type: "text/csv;charset=utf-8" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = templateName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const badRows = result ? result.rows.filter((r) => r.errors.length) : [];
+  const shown = result ? (errorsOnly ? badRows : result.rows) : [];
+  const canImport = result && result.rows.length > 0 && badRows.length === 0 && !busy;
+
+  return (
+    <div style={styles.backdrop} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.header}>
+          <h3 style={styles.title}>{title}</h3>
+          <button onClick={handleClose} style={styles.closeBtn} title="Close">✕</button>
+        </div>
+
+        <div style={styles.content}>
+          {children && <div style={styles.help}>{children}</div>}
+
+          <div style={styles.row}>
+            <input type="file" accept=".csv,text/csv" onChange={onFile} disabled={busy} />
+            {template && (
+              <button type="button" onClick={downloadTemplate} title="Download a sample CSV with the expected columns">
+                Download template
+              </button>
+            )}
+          </div>
+
+          {busy && <p>Working…</p>}
+          {error && <div style={styles.error}>{error}</div>}
+
+          {result && (
+            <>
+              <div style={styles.summary}>
+                <strong>{fileName}</strong>: {result.summary} —{" "}
+                {badRows.length === 0 ? (
+                  <span style={{ color: "#166534" }}>no errors, ready to import</span>
+                ) : (
+                  <span style={{ color: "#b91c1c" }}>
+                    {badRows.length} row(s) with errors; fix the file and choose it again
+                  </span>
+                )}
+                {badRows.length > 0 && (
+                  <label style={{ marginLeft: 12 }}>
+                    <input type="checkbox" checked={errorsOnly} onChange={(e) => setErrorsOnly(e.target.checked)} />{" "}
+                    Errors only
+                  </label>
+                )}
+              </div>
+
+              <div style={styles.tableWrap}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>Row</th>
+                      {result.columns.map((c) => <th key={c} style={styles.th}>{c}</th>)}
+                      <th style={styles.th}>Errors</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shown.map((r) => (
+                      <tr key={r.row} style={r.errors.length ? styles.badRow : undefined}>
+                        <td style={styles.td}>{r.row}</td>
+                        {r.cells.map((c, i) => <td key={i} style={styles.td}>{c}</td>)}
+                        <td style={{ ...styles.td, color: "#b91c1c" }}>
+                          {r.errors.length ? r.errors.join("; ") : "✓"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div style={styles.actions}>
+            <button type="button" onClick={handleClose} disabled={busy}>Cancel</button>
+            <button type="button" onClick={runImport} disabled={!canImport} style={styles.primary}>
+              {busy && result ? "Importing…" : "Import"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  backdrop: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(0,0,0,0.6)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 200,
+    padding: 20,
+  },
+  modal: {
+    background: "#fff",
+    borderRadius: 12,
+    width: "100%",
+    maxWidth: 1000,
+    maxHeight: "90vh",
+    overflow: "auto",
+    boxShadow: "0 20px 60px rgba(0,0,0,0.3)",
+  },
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: "16px 24px",
+    borderBottom: "1px solid #e2e8f0",
+  },
+  title: { margin: 0, fontSize: 20, fontWeight: 700 },
+  closeBtn: {
+    background: "transparent",
+    border: "none",
+    fontSize: 24,
+    cursor: "pointer",
+    padding: 8,
+    borderRadius: 4,
+  },
+  content: { padding: 24, display: "flex", flexDirection: "column", gap: 12 },
+  help: { fontSize: 13, color: "#334155", background: "#f8fafc", border: "1px solid #e2e8f0", borderRadius: 8, padding: 12 },
+  row: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" },
+  summary: { fontSize: 14 },
+  error: { color: "#b91c1c", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 6, padding: 10 },
+  tableWrap: { overflow: "auto", maxHeight: "45vh", border: "1px solid #e2e8f0", borderRadius: 6 },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 13 },
+  th: { position: "sticky", top: 0, background: "#f1f5f9", padding: 6, textAlign: "left", borderBottom: "1px solid #e2e8f0" },
+  td: { padding: 6, borderBottom: "1px solid #f1f5f9", verticalAlign: "top" },
+  badRow: { background: "#fef2f2" },
+  actions: { display: "flex", justifyContent: "flex-end", gap: 8 },
+  primary: { background: "#2563eb", color: "#fff", border: "none", borderRadius: 6, padding: "8px 16px", cursor: "pointer" },
+};
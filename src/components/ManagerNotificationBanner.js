@@ -15,8 +15,8 @@
  */
 
 import React, { useEffect, useState } from "react";
-import { collection, query, where, onSnapshot } from "firebase/firestore";
-import { db } from "../firebase";
+import { query, where, onSnapshot } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
 import { useNavigate } from "react-router-dom";
 
 /**
@@ -78,7 +78,7 @@ function ManagerNotificationBanner({ userRole }) {
 
     // Build query for pending journal entries
     const q = query(
-      collection(db, "journalEntries"),
+      companyCollection("journalEntries"),
       where("status", "==", "pending")
     );
 
@@ -6,10 +6,9 @@
  * @module components/NavBar
  * @requires react
  * @requires react-router-dom
- * @requires firebase/auth
- * @requires ../firebase
  * @requires ../assets/tabuledge-logo.png
- * @requires ../hooks/useUserRole
+ * @requires ../context/authContext
+ * @requires ./NotificationBell
  * 
  * @author Tabuledge Development Team
  * @version 1.0.0
@@ -17,10 +16,9 @@
 
 import React from "react";
 import { useNavigate, useLocation } from "react-router-dom";
-import { signOut } from "firebase/auth";
-import { auth } from "../firebase";
 import logo from "../assets/tabuledge-logo.png";
-import useUserRole from "../hooks/useUserRole";
+import { useAuth } from "../context/authContext";
+import NotificationBell from "./NotificationBell";
 
 /**
  * NavBar Component
@@ -30,8 +28,10 @@ import useUserRole from "../hooks/useUserRole";
  * user authentication status, date picker, and logout functionality.
  * 
  * Features:
+ * - Company selector (the role shown is the one held in the open company)
  * - Role-based navigation (Admin, Manager, Accountant)
  * - Active page highlighting
+ * - Notification bell with unread count
  * - User avatar with initials
  * - Date selection
  * - Logout functionality
@@ -64,7 +64,7 @@ function NavBar({
   // ==================== Hooks ====================
   const navigate = useNavigate();
   const location = useLocation();
-  const { role } = useUserRole();
+  const { role, logout, companyId, companies, selectCompany } = useAuth();
 
   // ==================== Event Handlers ====================
   
@@ -73,7 +73,7 @@ function NavBar({
    * 
    * @async
    * @function handleLogout
-   * @description Signs out the user via Firebase Auth and redirects to login page.
+   * @description Signs out the user via the AuthContext and redirects to login page.
    * Displays alert on error.
    * 
    * @returns {Promise<void>}
@@ -81,7 +81,7 @@ function NavBar({
    */
   const handleLogout = async () => {
     try {
-      await signOut(auth);
+      await logout();
       navigate("/");
     } catch (e) {
       console.error("Logout failed:", e);
@@ -89,6 +89,22 @@ function NavBar({
     }
   };
 
+  /**
+   * Opens another company's books
+   *
+   * @function handleCompanyChange
+   * @description Returns to the dashboard first, since the current page may show
+   * a record that only exists in the previous company.
+   *
+   * @param {string} id - Company id
+   * @returns {void}
+   */
+  const handleCompanyChange = (id) => {
+    if (id === companyId) return;
+    navigate("/dashboard");
+    selectCompany(id);
+  };
+
   /**
    * Navigates to specified path if not already there
    * 
@@ -137,7 +153,22 @@ function NavBar({
 
       {/* ==================== Right Section: Date, Nav, User, Logout ==================== */}
       <div style={styles.rightGroup}>
-        
+
+        {/* Company Selector */}
+        {userEmail && companies.length > 0 && (
+          <select
+            value={companyId}
+            onChange={(e) => handleCompanyChange(e.target.value)}
+            title="Company whose books are open"
+            disabled={companies.length === 1}
+            style={styles.company}
+          >
+            {companies.map((c) => (
+              <option key={c.id} value={c.id}>{c.name}</option>
+            ))}
+          </select>
+        )}
+
         {/* Date Picker */}
         {onDateChange && (
           <input
@@ -197,6 +228,17 @@ function NavBar({
               </button>
             )}
 
+            {/* Accounting Periods - Available to Admin and Manager */}
+            {(role === "admin" || role === "manager") && (
+              <button
+                onClick={() => go("/periods")}
+                title="Open, soft-close and close accounting periods"
+                style={isActive("/periods") ? { ...styles.navBtn, ...styles.navBtnActive } : styles.navBtn}
+              >
+                Periods
+              </button>
+            )}
+
             {/* Event Logs - Available to Admin, Manager, and Accountant */}
             {(role === "admin" || role === "manager" || role === "accountant") && (
               <button
@@ -210,6 +252,9 @@ function NavBar({
           </nav>
         )}
 
+        {/* ==================== Notifications ==================== */}
+        {userEmail && <NotificationBell />}
+
         {/* ==================== User Display ==================== */}
         {userEmail && (
           <div style={styles.userBox}>
@@ -309,6 +354,20 @@ const styles = {
     outline: "none",
   },
   
+  /** Company selector - matches the date picker, dark dropdown list */
+  company: {
+    padding: "8px 12px",
+    borderRadius: 8,
+    border: "1px solid #475569",
+    background: "#1e293b",
+    color: "#fff",
+    fontSize: "13px",
+    fontWeight: 600,
+    maxWidth: 200,
+    cursor: "pointer",
+    outline: "none",
+  },
+
   /** User info box with pill-shaped border */
   userBox: {
     display: "flex",
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Notification Bell Component
+ * @description NavBar bell with the signed-in user's unread count and a
+ * dropdown of recent notifications. Opening a notification marks it read and
+ * follows its deep link (e.g. the journal entry it is about).
+ *
+ * @module components/NotificationBell
+ * @requires react
+ * @requires react-router-dom
+ * @requires ../context/authContext
+ * @requires ../hooks/useNotifications
+ * @requires ../utils/notifications
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/authContext";
+import useNotifications from "../hooks/useNotifications";
+import { notificationLink, notificationTime, notificationTitle } from "../utils/notifications";
+
+/** Notifications shown in the dropdown; the rest are on /notifications. */
+const RECENT = 8;
+
+/**
+ * NotificationBell Component
+ *
+ * @component
+ * @returns {JSX.Element} Bell button with dropdown
+ *
+ * @example
+ * <NotificationBell />
+ */
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const { role } = useAuth();
+  const { notifications, unreadCount, markRead, markAllRead } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // Close when clicking outside the dropdown
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  const openNotification = async (n) => {
+    const link = notificationLink(n, role);
+    setOpen(false);
+    try {
+      if (n.unread) await markRead(n.id);
+    } catch (err) {
+      console.error("Mark read failed:", err);
+    }
+    if (link) navigate(link);
+  };
+
+  const handleMarkAll = async () => {
+    try {
+      await markAllRead();
+    } catch (err) {
+      console.error("Mark all read failed:", err);
+      alert("Could not mark notifications as read. Please try again.");
+    }
+  };
+
+  return (
+    <div ref={ref} style={styles.wrap}>
+      <button
+        onClick={() => setOpen(!open)}
+        title={unreadCount ? `${unreadCount} unread notification(s)` : "Notifications"}
+        style={styles.bell}
+      >
+        🔔
+        {unreadCount > 0 && <span style={styles.count}>{unreadCount > 99 ? "99+" : unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div style={styles.panel}>
+          <div style={styles.panelHeader}>
+            <strong>Notifications</strong>
+            <button onClick={handleMarkAll} disabled={!unreadCount} style={styles.linkBtn}>
+              Mark all read
+            </button>
+          </div>
+
+          {notifications.length === 0 ? (
+            <div style={styles.empty}>No notifications</div>
+          ) : (
+            notifications.slice(0, RECENT).map((n) => (
+              <div
+                key={n.id}
+                onClick={() => openNotification(n)}
+                style={n.unread ? { ...styles.item, ...styles.unread } : styles.item}
+                title={notificationLink(n, role) ? "Open" : "Mark as read"}
+              >
+                <div style={styles.itemTitle}>
+                  {n.unread && <span style={styles.dot} />}
+                  {notificationTitle(n)}
+                </div>
+                <div style={styles.itemMessage}>{n.message}</div>
+                <div style={styles.itemTime}>{notificationTime(n)}</div>
+              </div>
+            ))
+          )}
+
+          <button
+            onClick={() => {
+              setOpen(false);
+              navigate("/notifications");
+            }}
+            style={styles.viewAll}
+          >
+            View all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  wrap: { position: "relative" },
+  bell: {
+    position: "relative",
+    background: "transparent",
+    border: "none",
+    fontSize: 18,
+    cursor: "pointer",
+    padding: "6px 8px",
+    color: "#fff",
+  },
+  count: {
+    position: "absolute",
+    top: 0,
+    right: 0,
+    minWidth: 16,
+    height: 16,
+    padding: "0 4px",
+    borderRadius: 8,
+    background: "#dc2626",
+    color: "#fff",
+    fontSize: 10,
+    fontWeight: 700,
+    lineHeight: "16px",
+    textAlign: "center",
+  },
+  panel: {
+    position: "absolute",
+    right: 0,
+    top: "calc(100% + 8px)",
+    width: 340,
+    maxHeight: 440,
+    overflowY: "auto",
+    background: "#fff",
+    color: "#0f172a",
+    borderRadius: 10,
+    boxShadow: "0 12px 32px rgba(0,0,0,0.25)",
+    zIndex: 150,
+  },
+  panelHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: "10px 14px",
+    borderBottom: "1px solid #e2e8f0",
+  },
+  linkBtn: {
+    background: "transparent",
+    border: "none",
+    color: "#2563eb",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  empty: { padding: 16, fontSize: 13, color: "#64748b" },
+  item: {
+    padding: "10px 14px",
+    borderBottom: "1px solid #f1f5f9",
+    cursor: "pointer",
+    fontSize: 13,
+  },
+  unread: { background: "#eff6ff" },
+  itemTitle: { display: "flex", alignItems: "center", gap: 6, fontWeight: 600 },
+  dot: { width: 8, height: 8, borderRadius: "50%", background: "#2563eb", flexShrink: 0 },
+  itemMessage: { color: "#334155", marginTop: 2 },
+  itemTime: { color: "#94a3b8", fontSize: 11, marginTop: 4 },
+  viewAll: {
+    width: "100%",
+    padding: 10,
+    background: "#f8fafc",
+    border: "none",
+    borderTop: "1px solid #e2e8f0",
+    color: "#2563eb",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+};
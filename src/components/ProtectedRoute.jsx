@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Protected Route Component
+ * @description Route guard that only renders its content for signed-in users.
+ * Unauthenticated visitors are redirected to the login page.
+ *
+ * @module components/ProtectedRoute
+ * @requires react
+ * @requires react-router-dom
+ * @requires ../context/authContext
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "../context/authContext";
+
+/**
+ * ProtectedRoute Component
+ *
+ * @component
+ * @description Waits for the AuthContext to resolve the current session, then either
+ * renders the protected content or redirects to "/". The attempted location is
+ * passed along in router state so the login page can return the user to it.
+ *
+ * Can be used either as a wrapper around a single element or as a layout route
+ * (renders an <Outlet /> when no children are given).
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} [props.children] - Content to render when signed in
+ *
+ * @returns {JSX.Element} Protected content, loading placeholder, or redirect
+ *
+ * @example
+ * <Route element={<ProtectedRoute />}>
+ *   <Route path="/dashboard" element={<LandingDashboard />} />
+ * </Route>
+ */
+export default function ProtectedRoute({ children }) {
+  const location = useLocation();
+  const { user, loading } = useAuth();
+
+  if (loading) return <p style={{ padding: 20 }}>Loading...</p>;
+
+  if (!user) {
+    return <Navigate to="/" replace state={{ from: location }} />;
+  }
+
+  return children ?? <Outlet />;
+}
@@ -6,16 +6,14 @@
  * 
  * @module components/RejectJournalModal
  * @requires react
- * @requires firebase/firestore
- * @requires ../firebase
+ * @requires ../utils/journal
  * 
  * @author Tabuledge Development Team
  * @version 1.0.0
  */
 
 import React, { useState } from "react";
-import { doc, updateDoc, addDoc, collection, serverTimestamp } from "firebase/firestore";
-import { db } from "../firebase";
+import { rejectJournalEntry } from "../utils/journal";
 
 /**
  * RejectJournalModal Component
@@ -105,23 +103,8 @@ function RejectJournalModal({ open, onClose, entry, userEmail, onSuccess }) {
     setError("");
 
     try {
-      // Update journal entry status to rejected
-      await updateDoc(doc(db, "journalEntries", entry.id), {
-        status: "rejected",
-        rejectedBy: userEmail,
-        rejectedAt: serverTimestamp(),
-        rejectionReason: reason.trim(),
-      });
-
-      // Send notification to the entry creator
-      await addDoc(collection(db, "notifications"), {
-        recipient: entry.createdBy || entry.preparedBy || "unknown",
-        message: `Your journal entry "${entry.description || entry.id}" was rejected: ${reason.trim()}`,
-        type: "rejection",
-        createdAt: serverTimestamp(),
-        sentBy: userEmail,
-        journalId: entry.id,
-      });
+      // Mark rejected and notify the entry creator atomically
+      await rejectJournalEntry(entry.id, reason, userEmail);
 
       // Call success callback if provided
       if (onSuccess) {
@@ -133,7 +116,7 @@ function RejectJournalModal({ open, onClose, entry, userEmail, onSuccess }) {
       onClose();
     } catch (err) {
       console.error("Rejection failed:", err);
-      setError("Failed to reject entry. Please try again.");
+      setError(err.message || "Failed to reject entry. Please try again.");
     } finally {
       setSubmitting(false);
     }
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Role Route Component
+ * @description Route guard that only renders its content for users whose role
+ * is in the allowed list. Everyone else is sent to the "not authorized" page.
+ * Should be nested inside a ProtectedRoute so the auth session is resolved first.
+ *
+ * @module components/RoleRoute
+ * @requires react
+ * @requires react-router-dom
+ * @requires ../hooks/useUserRole
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import useUserRole from "../hooks/useUserRole";
+
+/**
+ * Role lists used by route declarations
+ * @constant {Object.<string, Array<string>>}
+ */
+export const ROLES = {
+  ALL: ["admin", "manager", "accountant"],
+  ADMIN: ["admin"],
+  ADMIN_MANAGER: ["admin", "manager"],
+  ADMIN_ACCOUNTANT: ["admin", "accountant"],
+};
+
+/**
+ * RoleRoute Component
+ *
+ * @component
+ * @description Looks up the current user's role via useUserRole and compares it
+ * against the roles allowed for the route.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.roles - Roles allowed to open the route
+ * @param {React.ReactNode} [props.children] - Content to render when allowed
+ *
+ * @returns {JSX.Element} Route content, loading placeholder, or redirect
+ *
+ * @example
+ * <Route
+ *   path="/admin"
+ *   element={<RoleRoute roles={ROLES.ADMIN}><AdminPanel /></RoleRoute>}
+ * />
+ */
+export default function RoleRoute({ roles, children }) {
+  const location = useLocation();
+  const { role, loading } = useUserRole();
+
+  if (loading) return <p style={{ padding: 20 }}>Loading...</p>;
+
+  if (!role || !roles.includes(role)) {
+    return <Navigate to="/not-authorized" replace state={{ from: location }} />;
+  }
+
+  return children ?? <Outlet />;
+}
@@ -1,12 +1,14 @@
 /**
  * @fileoverview Send Email Modal Component
  * @description Simple modal for sending messages/notifications to managers or specific recipients.
- * Messages are saved in Firestore "notifications" collection for retrieval.
+ * Messages are queued in the Firestore "notifications" collection and emailed by
+ * the delivery function (functions/delivery.js).
  * 
  * @module components/SendEmailModal
  * @requires react
  * @requires firebase/firestore
  * @requires ../firebase
+ * @requires ../context/authContext
  * 
  * @author Tabuledge Development Team
  * @version 1.0.0
@@ -15,14 +17,15 @@
 import React, { useState } from "react";
 import { addDoc, collection, serverTimestamp } from "firebase/firestore";
 import { db } from "../firebase";
+import { useAuth } from "../context/authContext";
 
 /**
  * SendEmailModal Component
  * 
  * @component
  * @description Modal dialog for composing and sending messages to managers.
- * Messages are stored in Firestore notifications collection rather than
- * sent as actual emails. Can be integrated with email service later.
+ * Messages are queued in the notifications collection; the delivery function
+ * emails them and records the delivery status on the document.
  * 
  * Features:
  * - Subject and message body fields
@@ -34,7 +37,7 @@ import { db } from "../firebase";
  * @param {Object} props - Component props
  * @param {boolean} props.open - Whether modal is currently open
  * @param {Function} props.onClose - Callback to close the modal
- * @param {string} props.sender - Email address of the sender
+ * @param {string} [props.sender] - Email address of the sender (defaults to the signed-in user)
  * @param {string} [props.defaultRecipient='manager@example.com'] - Default recipient email
  * 
  * @returns {JSX.Element|null} Rendered modal or null if closed
@@ -48,6 +51,8 @@ import { db } from "../firebase";
  * />
  */
 export default function SendEmailModal({ open, onClose, sender, defaultRecipient }) {
+  const { userEmail } = useAuth();
+
   // ==================== State Management ====================
   
   /** @type {[string, Function]} Email subject line */
@@ -91,11 +96,11 @@ export default function SendEmailModal({ open, onClose, sender, defaultRecipient
       // Save message to notifications collection
       await addDoc(collection(db, "notifications"), {
         type: "manual_message",
-        from: sender,
-        to: defaultRecipient || "manager@example.com",
+        recipient: defaultRecipient || "manager@example.com",
         subject,
-        body: message,
+        message,
         createdAt: serverTimestamp(),
+        sentBy: sender || userEmail,
       });
       
       // Show success feedback
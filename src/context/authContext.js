@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Auth Context
+ * @description Application-wide authentication state. Tracks the Firebase Auth user
+ * with onAuthStateChanged and keeps the matching Firestore "users" profile (and role)
+ * live with a snapshot listener, so every page reads the same session data.
+ * Also holds the open company: the user's role is the one they have in it, and
+ * switching company remounts the app so every page reloads that company's books.
+ *
+ * @module context/authContext
+ * @requires react
+ * @requires firebase/auth
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../utils/company
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { Fragment, createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import { collection, query, where, limit, onSnapshot } from "firebase/firestore";
+import { auth, db } from "../firebase";
+import {
+  DEFAULT_COMPANY_ID, DEFAULT_COMPANY_NAME, companyRole, getCompanyId, setCompanyId, userCompanies,
+} from "../utils/company";
+
+/**
+ * Auth context object
+ * @constant {React.Context}
+ */
+const AuthContext = createContext(null);
+
+/**
+ * AuthProvider Component
+ *
+ * @component
+ * @description Wraps the app and provides authentication state to all descendants.
+ *
+ * Provided value:
+ * - user: Firebase Auth user or null
+ * - userEmail: Signed-in user's email or null
+ * - profile: Firestore users document ({ id, ...data }) or null
+ * - role: "admin" | "manager" | "accountant" | null, in the open company
+ * - companyId / company: Open company id and document
+ * - companies: Companies the user has a role in ({ id, name, role })
+ * - selectCompany: Opens another company's books
+ * - loading: True until the auth session, profile and companies have resolved
+ * - logout: Signs the user out
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application tree
+ *
+ * @returns {JSX.Element} Context provider
+ *
+ * @example
+ * <AuthProvider>
+ *   <App />
+ * </AuthProvider>
+ */
+export function AuthProvider({ children }) {
+  // ==================== State Management ====================
+
+  /** @type {[Object|null, Function]} Firebase Auth user */
+  const [user, setUser] = useState(() => auth.currentUser);
+
+  /**
+   * Firestore user profile, tagged with the email it was loaded for
+   * @type {[{email: string|null, profile: Object|null}, Function]}
+   */
+  const [loaded, setLoaded] = useState({ email: null, profile: null });
+
+  /** @type {[boolean, Function]} Whether the initial auth state has been reported */
+  const [authReady, setAuthReady] = useState(false);
+
+  /** @type {[Array<Object>|null, Function]} companies documents, null until loaded */
+  const [allCompanies, setAllCompanies] = useState(null);
+
+  /** @type {[string, Function]} Open company id (mirrors utils/company) */
+  const [companyId, setActiveCompany] = useState(getCompanyId);
+
+  // ==================== Effects ====================
+
+  /**
+   * Subscribes to Firebase Auth session changes
+   *
+   * @effect
+   * @description Fires on sign-in, sign-out and token restore after reload.
+   */
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (u) => {
+      setUser(u);
+      setAuthReady(true);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  /**
+   * Keeps the Firestore profile in sync with the signed-in user
+   *
+   * @effect
+   * @description Users are stored in Firestore "users" keyed by "email".
+   * Uses a live listener so role changes by an admin apply immediately.
+   */
+  useEffect(() => {
+    const email = user?.email;
+    if (!email) {
+      setLoaded({ email: null, profile: null });
+      return;
+    }
+
+    const q = query(collection(db, "users"), where("email", "==", email), limit(1));
+    const unsubscribe = onSnapshot(
+      q,
+      (snap) => {
+        const profile = snap.empty ? null : { id: snap.docs[0].id, ...snap.docs[0].data() };
+        setLoaded({ email, profile });
+      },
+      (error) => {
+        console.error("Error loading user profile:", error);
+        setLoaded({ email, profile: null });
+      }
+    );
+    return () => unsubscribe();
+  }, [user]);
+
+  /**
+   * Keeps the company list live
+   *
+   * @effect
+   * @description Companies are global; which ones the user sees depends on
+   * their companyRoles.
+   */
+  useEffect(() => {
+    if (!user) {
+      setAllCompanies(null);
+      return;
+    }
+    const unsubscribe = onSnapshot(
+      collection(db, "companies"),
+      (snap) => setAllCompanies(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      (error) => {
+        console.error("Error loading companies:", error);
+        setAllCompanies([]);
+      }
+    );
+    return () => unsubscribe();
+  }, [user]);
+
+  /** Companies the signed-in user has a role in */
+  const companies = useMemo(() => {
+    const profile = user?.email && loaded.email === user.email ? loaded.profile : null;
+    if (!profile || !allCompanies) return [];
+    return userCompanies(profile, allCompanies)
+      .map((c) => ({ ...c, name: c.name || DEFAULT_COMPANY_NAME, role: companyRole(profile, c.id) }))
+      .sort((a, b) => (b.id === DEFAULT_COMPANY_ID) - (a.id === DEFAULT_COMPANY_ID) || a.name.localeCompare(b.name));
+  }, [user, loaded, allCompanies]);
+
+  /**
+   * Falls back to the user's first company when the remembered one is not theirs
+   *
+   * @effect
+   */
+  useEffect(() => {
+    if (companies.length && !companies.some((c) => c.id === companyId)) {
+      setCompanyId(companies[0].id);
+      setActiveCompany(companies[0].id);
+    }
+  }, [companies, companyId]);
+
+  // ==================== Actions ====================
+
+  /**
+   * Signs the current user out
+   *
+   * @async
+   * @function logout
+   * @returns {Promise<void>}
+   */
+  const logout = useCallback(() => signOut(auth), []);
+
+  /**
+   * Opens another company's books
+   *
+   * @function selectCompany
+   * @param {string} id - Company id
+   * @returns {void}
+   */
+  const selectCompany = useCallback((id) => {
+    setCompanyId(id);
+    setActiveCompany(id);
+  }, []);
+
+  // ==================== Context Value ====================
+
+  const value = useMemo(() => {
+    const userEmail = user?.email || null;
+    // Ignore a profile that still belongs to the previous session
+    const profile = userEmail && loaded.email === userEmail ? loaded.profile : null;
+    const profileReady = !userEmail || loaded.email === userEmail;
+    const companiesReady = !profile || (allCompanies !== null && (!companies.length || companies.some((c) => c.id === companyId)));
+    return {
+      user,
+      userEmail,
+      profile,
+      role: companyRole(profile, companyId),
+      companyId,
+      company: companies.find((c) => c.id === companyId) || null,
+      companies,
+      selectCompany,
+      loading: !authReady || !profileReady || !companiesReady,
+      logout,
+    };
+  }, [user, loaded, authReady, allCompanies, companies, companyId, selectCompany, logout]);
+
+  // Keyed by company so pages reload their data after a switch
+  return (
+    <AuthContext.Provider value={value}>
+      <Fragment key={companyId}>{children}</Fragment>
+    </AuthContext.Provider>
+  );
+}
+
+/**
+ * useAuth Hook
+ *
+ * @hook
+ * @description Reads the authentication state provided by AuthProvider.
+ *
+ * @returns {Object} Auth state (see AuthProvider)
+ * @throws {Error} If used outside of an AuthProvider
+ *
+ * @example
+ * const { userEmail, role, logout } = useAuth();
+ */
+export function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used within an AuthProvider");
+  return ctx;
+}
+
+export default AuthContext;
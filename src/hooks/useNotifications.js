@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Notifications Hook
+ * @description Live notification inbox for the signed-in user: notifications
+ * addressed to their email plus broadcasts to their role, with per-user
+ * read state (see utils/notifications).
+ *
+ * @module hooks/useNotifications
+ * @requires react
+ * @requires ../context/authContext
+ * @requires ../utils/notifications
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth } from "../context/authContext";
+import {
+  isUnread,
+  markAllNotificationsRead,
+  markNotificationRead,
+  subscribeNotifications,
+} from "../utils/notifications";
+
+/**
+ * useNotifications Hook
+ *
+ * @hook
+ * @returns {Object} Inbox state
+ * @returns {Object[]} return.notifications - Newest first, each with an `unread` flag
+ * @returns {number} return.unreadCount - Notifications the user has not read
+ * @returns {boolean} return.loading - True until the first snapshot arrives
+ * @returns {Function} return.markRead - (id) → Promise
+ * @returns {Function} return.markAllRead - () → Promise<number> marked
+ *
+ * @example
+ * const { notifications, unreadCount, markAllRead } = useNotifications();
+ */
+export default function useNotifications() {
+  const { userEmail, role } = useAuth();
+  const [state, setState] = useState({ key: null, list: [] });
+  const key = `${userEmail || ""}|${role || ""}`;
+
+  useEffect(() => {
+    return subscribeNotifications(userEmail, role, (list) => setState({ key, list }));
+  }, [userEmail, role, key]);
+
+  // Ignore a list loaded for a previous user/role until the new one arrives
+  const loading = state.key !== key;
+  const notifications = useMemo(
+    () => (loading ? [] : state.list.map((n) => ({ ...n, unread: isUnread(n, userEmail) }))),
+    [loading, state.list, userEmail]
+  );
+  const unreadCount = notifications.filter((n) => n.unread).length;
+
+  const markRead = useCallback((id) => markNotificationRead(id, userEmail), [userEmail]);
+  const markAllRead = useCallback(
+    () => markAllNotificationsRead(notifications, userEmail),
+    [notifications, userEmail]
+  );
+
+  return { notifications, unreadCount, loading, markRead, markAllRead };
+}
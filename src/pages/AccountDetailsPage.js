@@ -11,12 +11,14 @@
 
 import React, { useEffect, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
-import { auth, db } from "../firebase";
-import { doc, getDoc, updateDoc } from "firebase/firestore";
+import { companyDoc } from "../utils/company";
+import { getDoc, updateDoc } from "firebase/firestore";
 import NavBar from "../components/NavBar";
 import { formatMoney } from "../utils/format";
 import { logEvent } from "../utils/logEvent";
+import { nextAccountTotals } from "../utils/financials";
 import SendEmailModal from "../components/SendEmailModal";
+import { useAuth } from "../context/authContext";
 
 function Row({ label, value, mono = false }) {
   return (
@@ -39,7 +41,7 @@ function Row({ label, value, mono = false }) {
 function AccountDetailsPage() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const userEmail = auth?.currentUser?.email || "user@example.com";
+  const { userEmail } = useAuth();
   const [selectedDate, setSelectedDate] = useState(() =>
     new Date().toISOString().slice(0, 10)
   );
@@ -51,7 +53,7 @@ function AccountDetailsPage() {
 
   useEffect(() => {
     const load = async () => {
-      const snap = await getDoc(doc(db, "accounts", id));
+      const snap = await getDoc(companyDoc("accounts", id));
       if (snap.exists()) {
         setAccount({ id: snap.id, ...snap.data() });
       }
@@ -62,9 +64,18 @@ function AccountDetailsPage() {
 
   const handleQuickUpdate = async (newData) => {
     if (!account) return;
+    if ("initialBalance" in newData) {
+      // Keep the stored balance consistent with the new starting balance
+      const initialBalance = Number(newData.initialBalance) || 0;
+      newData = {
+        ...newData,
+        initialBalance,
+        balance: nextAccountTotals({ ...account, initialBalance }).balance,
+      };
+    }
     const before = { ...account };
     const after = { ...account, ...newData };
-    await updateDoc(doc(db, "accounts", account.id), newData);
+    await updateDoc(companyDoc("accounts", account.id), newData);
     await logEvent("account", "update", before, after);
     setAccount(after);
     setEditMode(false);
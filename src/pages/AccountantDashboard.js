@@ -15,10 +15,12 @@
  */
 
 import React, { useEffect, useState, useMemo } from "react";
-import { collection, getDocs } from "firebase/firestore";
-import { db, auth } from "../firebase";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
 import NavBar from "../components/NavBar";
 import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/authContext";
+import { entryLines } from "../utils/journal";
 
 /**
  * AccountantDashboard Component
@@ -70,7 +72,7 @@ function AccountantDashboard() {
   const [loading, setLoading] = useState(true);
   
   /** Current user's email from Firebase Auth */
-  const userEmail = auth?.currentUser?.email || "accountant@example.com";
+  const { userEmail } = useAuth();
   
   /** Navigation hook for routing */
   const navigate = useNavigate();
@@ -94,7 +96,7 @@ function AccountantDashboard() {
      */
     const loadEntries = async () => {
       try {
-        const snap = await getDocs(collection(db, "journalEntries"));
+        const snap = await getDocs(companyCollection("journalEntries"));
         const data = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
         setEntries(data);
         setFilteredEntries(data);
@@ -143,25 +145,20 @@ function AccountantDashboard() {
     if (searchTerm.trim()) {
       const term = searchTerm.toLowerCase();
       filtered = filtered.filter((e) => {
-        /** Check if any debit account name matches search */
-        const debitMatch = e.debits?.some((d) =>
-          d.accountName?.toLowerCase().includes(term)
-        );
-        
-        /** Check if any credit account name matches search */
-        const creditMatch = e.credits?.some((c) =>
-          c.accountName?.toLowerCase().includes(term)
+        const lines = entryLines(e);
+
+        /** Check if any line account name matches search */
+        const accountMatch = lines.some((l) =>
+          l.accountName?.toLowerCase().includes(term)
         );
         
         /** Check if description matches search */
         const descMatch = e.description?.toLowerCase().includes(term);
         
         /** Check if any amount matches search */
-        const amountMatch =
-          e.debits?.some((d) => String(d.amount).includes(term)) ||
-          e.credits?.some((c) => String(c.amount).includes(term));
+        const amountMatch = lines.some((l) => String(l.amount).includes(term));
         
-        return debitMatch || creditMatch || descMatch || amountMatch;
+        return accountMatch || descMatch || amountMatch;
       });
     }
 
@@ -187,21 +184,21 @@ function AccountantDashboard() {
           </td>
           <td style={td}>{e.description || "—"}</td>
           <td style={td}>
-            {e.debits?.map((d, i) => (
+            {entryLines(e).filter((l) => l.side === "debit").map((d, i) => (
               <div key={i}>
-                {d.accountName}: ${d.amount?.toFixed(2)}
+                {d.accountName}: ${d.amount.toFixed(2)}
               </div>
             ))}
           </td>
           <td style={td}>
-            {e.credits?.map((c, i) => (
+            {entryLines(e).filter((l) => l.side === "credit").map((c, i) => (
               <div key={i}>
-                {c.accountName}: ${c.amount?.toFixed(2)}
+                {c.accountName}: ${c.amount.toFixed(2)}
               </div>
             ))}
           </td>
           <td style={td}>{e.status || "pending"}</td>
-          <td style={td}>{e.preparedBy || "—"}</td>
+          <td style={td}>{e.createdBy || e.preparedBy || "—"}</td>
         </tr>
       )),
     [filteredEntries]
@@ -227,23 +224,49 @@ function AccountantDashboard() {
           {/* Page Title - Changed from "Accountant Dashboard" to "Journal" */}
           <h2>Journal</h2>
           
-          {/* Create New Entry Button - Reduced height to 32px and made bold */}
-          <button
-            onClick={() => navigate("/create-journal")}
-            style={{
-              padding: "6px 14px",
-              background: "#2563eb",
-              color: "white",
-              border: "none",
-              borderRadius: 6,
-              cursor: "pointer",
-              height: "32px",
-              fontWeight: "bold",
-              fontSize: "14px",
-            }}
-          >
-            + New Journal Entry
-          </button>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={() => navigate("/receivables")} style={{ height: "32px", fontSize: "14px" }}>
+              Receivables
+            </button>
+
+            <button onClick={() => navigate("/payables")} style={{ height: "32px", fontSize: "14px" }}>
+              Payables
+            </button>
+
+            <button onClick={() => navigate("/exchange-rates")} style={{ height: "32px", fontSize: "14px" }}>
+              Exchange Rates
+            </button>
+
+            <button onClick={() => navigate("/reconciliation")} style={{ height: "32px", fontSize: "14px" }}>
+              Bank Reconciliation
+            </button>
+
+            <button onClick={() => navigate("/fixed-assets")} style={{ height: "32px", fontSize: "14px" }}>
+              Fixed Assets
+            </button>
+
+            <button onClick={() => navigate("/journal-templates")} style={{ height: "32px", fontSize: "14px" }}>
+              Recurring Templates
+            </button>
+
+            {/* Create New Entry Button - Reduced height to 32px and made bold */}
+            <button
+              onClick={() => navigate("/create-journal")}
+              style={{
+                padding: "6px 14px",
+                background: "#2563eb",
+                color: "white",
+                border: "none",
+                borderRadius: 6,
+                cursor: "pointer",
+                height: "32px",
+                fontWeight: "bold",
+                fontSize: "14px",
+              }}
+            >
+              + New Journal Entry
+            </button>
+          </div>
         </div>
 
         {/* Filter Bar */}
@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Accounting Periods Page
+ * @description Lets admins and managers define accounting periods and move them
+ * between open, soft-closed and closed. Closing a period snapshots its trial
+ * balance into financialReports. Also runs the year-end close, which generates
+ * the closing entry into retained earnings.
+ *
+ * @module pages/AccountingPeriodsPage
+ * @requires react
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/periods
+ * @requires ../utils/closing
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from "react";
+import { addDoc, getDocs, serverTimestamp, updateDoc } from "firebase/firestore";
+import { companyCollection, companyDoc } from "../utils/company";
+import NavBar from "../components/NavBar";
+import { useAuth } from "../context/authContext";
+import { logEvent } from "../utils/logEvent";
+import {
+  PERIOD_STATUS_LABELS, closePeriod, loadPeriods, validatePeriod,
+} from "../utils/periods";
+import { createClosingEntry } from "../utils/closing";
+import { findRetainedEarningsAccount } from "../utils/financials";
+
+/**
+ * AccountingPeriodsPage Component
+ *
+ * @component
+ * @description Period list with create form and status actions.
+ *
+ * Status rules:
+ * - Open: any journal entry may be created or approved
+ * - Soft-closed: only adjusting and closing entries
+ * - Closed: no entries; a trial balance snapshot is saved on close
+ * - Only admins may reopen a closed period
+ *
+ * Year-end close creates a pending "closing" journal entry that zeroes revenue,
+ * expense and dividend accounts into the chosen retained earnings account.
+ *
+ * @returns {JSX.Element} Accounting periods page
+ */
+export default function AccountingPeriodsPage() {
+  // ==================== State Management ====================
+
+  const { userEmail, role } = useAuth();
+
+  /** @type {[Array<Object>, Function]} Periods sorted by start date */
+  const [periods, setPeriods] = useState([]);
+
+  /** @type {[boolean, Function]} Loading state */
+  const [loading, setLoading] = useState(true);
+
+  /** @type {[Object, Function]} New period form */
+  const [form, setForm] = useState({ name: "", start: "", end: "" });
+
+  /** @type {[string, Function]} Form / action error */
+  const [error, setError] = useState("");
+
+  /** @type {[string, Function]} Id of the period with an action in progress */
+  const [busyId, setBusyId] = useState("");
+
+  /** @type {[Array<Object>, Function]} Equity accounts eligible for retained earnings */
+  const [equityAccounts, setEquityAccounts] = useState([]);
+
+  /** @type {[Object, Function]} Year-end close form */
+  const [yearEnd, setYearEnd] = useState({ date: "", accountId: "" });
+
+  /** @type {[boolean, Function]} Closing entry generation in progress */
+  const [closingYear, setClosingYear] = useState(false);
+
+  // ==================== Effects ====================
+
+  const refresh = async () => {
+    try {
+      setPeriods(await loadPeriods());
+    } catch (e) {
+      console.error("Failed to load accounting periods:", e);
+      setError("Failed to load accounting periods.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  useEffect(() => {
+    const loadEquity = async () => {
+      const snap = await getDocs(companyCollection("accounts"));
+      const accounts = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      setEquityAccounts(
+        accounts.filter((a) => (a.category || "").toLowerCase() === "equity" && a.active !== false)
+      );
+      const re = findRetainedEarningsAccount(accounts);
+      if (re) setYearEnd((y) => ({ ...y, accountId: y.accountId || re.id }));
+    };
+    loadEquity().catch((e) => console.error("Failed to load equity accounts:", e));
+  }, []);
+
+  // ==================== Event Handlers ====================
+
+  /** Create a new (open) period after validating dates and overlap */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const draft = { ...form, name: form.name.trim() };
+    const msg = validatePeriod(draft, periods);
+    if (msg) return setError(msg);
+
+    try {
+      const data = {
+        ...draft,
+        status: "open",
+        createdBy: userEmail,
+        createdAt: serverTimestamp(),
+      };
+      await addDoc(companyCollection("accountingPeriods"), data);
+      await logEvent("accountingPeriod", "create", null, draft);
+      setForm({ name: "", start: "", end: "" });
+      setError("");
+      refresh();
+    } catch (err) {
+      console.error("Create period failed:", err);
+      setError(`Failed to create period: ${err.message}`);
+    }
+  };
+
+  /** Move a period to open or soft_closed */
+  const setStatus = async (period, status) => {
+    if (period.status === "closed" && role !== "admin") {
+      return alert("Only an administrator can reopen a closed period.");
+    }
+    setBusyId(period.id);
+    try {
+      await updateDoc(companyDoc("accountingPeriods", period.id), {
+        status,
+        updatedBy: userEmail,
+        updatedAt: serverTimestamp(),
+      });
+      await logEvent("accountingPeriod", "status", { status: period.status }, { status, name: period.name });
+      refresh();
+    } catch (err) {
+      console.error("Status change failed:", err);
+      alert(`Error updating period: ${err.message}`);
+    } finally {
+      setBusyId("");
+    }
+  };
+
+  /** Close a period and snapshot its trial balance */
+  const handleClose = async (period) => {
+    if (!window.confirm(`Close "${period.name}"? No entries dated ${period.start} to ${period.end} can be created or approved afterwards.`)) return;
+    setBusyId(period.id);
+    try {
+      const snapshotId = await closePeriod(period, userEmail);
+      await logEvent("accountingPeriod", "close", { status: period.status }, { status: "closed", name: period.name, snapshotId });
+      alert(`🔒 Period closed. Trial balance saved (id: ${snapshotId}).`);
+      refresh();
+    } catch (err) {
+      console.error("Close period failed:", err);
+      alert(`Error closing period: ${err.message}`);
+    } finally {
+      setBusyId("");
+    }
+  };
+
+  /** Generate the year-end closing entry and send it for approval */
+  const handleYearEnd = async (e) => {
+    e.preventDefault();
+    if (!yearEnd.date || !yearEnd.accountId) {
+      return alert("Choose the fiscal year end and the retained earnings account.");
+    }
+    setClosingYear(true);
+    try {
+      const ref = await createClosingEntry(
+        { yearEnd: yearEnd.date, retainedEarningsAccountId: yearEnd.accountId },
+        { userEmail, role }
+      );
+      await logEvent("journalEntry", "closing", null, { id: ref.id, yearEnd: yearEnd.date });
+      alert(`📘 Closing entry created (id: ${ref.id}) and sent for approval.`);
+    } catch (err) {
+      console.error("Year-end close failed:", err);
+      alert(`Error generating closing entry: ${err.message}`);
+    } finally {
+      setClosingYear(false);
+    }
+  };
+
+  // ==================== Render ====================
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1000 }}>
+        <h2>Accounting Periods</h2>
+
+        {/* New Period */}
+        <form onSubmit={handleCreate} style={styles.form}>
+          <input
+            placeholder="Name (e.g. Jan 2026)"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            style={styles.input}
+          />
+          <label>
+            Start{" "}
+            <input
+              type="date"
+              value={form.start}
+              onChange={(e) => setForm({ ...form, start: e.target.value })}
+              style={styles.input}
+            />
+          </label>
+          <label>
+            End{" "}
+            <input
+              type="date"
+              value={form.end}
+              onChange={(e) => setForm({ ...form, end: e.target.value })}
+              style={styles.input}
+            />
+          </label>
+          <button type="submit">+ Add Period</button>
+        </form>
+
+        {error && <p style={{ color: "red" }}>{error}</p>}
+
+        {/* Period List */}
+        {loading ? (
+          <p>Loading...</p>
+        ) : periods.length === 0 ? (
+          <p style={{ opacity: 0.8 }}>No accounting periods defined. Entries may be posted to any date.</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Name</th>
+                <th style={styles.th}>Start</th>
+                <th style={styles.th}>End</th>
+                <th style={styles.th}>Status</th>
+                <th style={styles.th}>Closed By</th>
+                <th style={styles.th}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {periods.map((p) => (
+                <tr key={p.id}>
+                  <td style={styles.td}>{p.name}</td>
+                  <td style={styles.td}>{p.start}</td>
+                  <td style={styles.td}>{p.end}</td>
+                  <td style={styles.td}>
+                    <span style={{ ...styles.badge, ...styles[p.status] }}>
+                      {PERIOD_STATUS_LABELS[p.status] || p.status}
+                    </span>
+                  </td>
+                  <td style={styles.td}>
+                    {p.closedBy || "—"}
+                    {p.snapshotId && (
+                      <div style={{ fontSize: 11, opacity: 0.7 }}>Snapshot: {p.snapshotId}</div>
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      {p.status === "open" && (
+                        <button disabled={busyId === p.id} onClick={() => setStatus(p, "soft_closed")}>
+                          Soft Close
+                        </button>
+                      )}
+                      {p.status !== "closed" && (
+                        <button disabled={busyId === p.id} onClick={() => handleClose(p)}>
+                          Close
+                        </button>
+                      )}
+                      {p.status !== "open" && (p.status !== "closed" || role === "admin") && (
+                        <button disabled={busyId === p.id} onClick={() => setStatus(p, "open")}>
+                          Reopen
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Year-End Close */}
+        <h3 style={{ marginTop: 32 }}>Year-End Close</h3>
+        <p style={{ fontSize: 13, color: "#475569" }}>
+          Generates a closing entry dated the fiscal year end that moves every revenue, expense
+          and dividend balance into retained earnings. The entry is sent for approval like any
+          other journal entry.
+        </p>
+        <form onSubmit={handleYearEnd} style={styles.form}>
+          <label>
+            Fiscal year end{" "}
+            <input
+              type="date"
+              value={yearEnd.date}
+              onChange={(e) => setYearEnd({ ...yearEnd, date: e.target.value })}
+              style={styles.input}
+            />
+          </label>
+          <label>
+            Retained earnings account{" "}
+            <select
+              value={yearEnd.accountId}
+              onChange={(e) => setYearEnd({ ...yearEnd, accountId: e.target.value })}
+              style={styles.input}
+            >
+              <option value="">Select account</option>
+              {equityAccounts.map((a) => (
+                <option key={a.id} value={a.id}>
+                  {a.number} — {a.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="submit" disabled={closingYear}>
+            {closingYear ? "Generating..." : "Generate Closing Entry"}
+          </button>
+        </form>
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  form: {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    flexWrap: "wrap",
+    margin: "12px 0 20px",
+  },
+  input: {
+    padding: "6px 8px",
+    border: "1px solid #cbd5e1",
+    borderRadius: 4,
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    background: "white",
+  },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    fontSize: 13,
+  },
+  badge: {
+    padding: "2px 8px",
+    borderRadius: 10,
+    fontSize: 12,
+    fontWeight: 600,
+  },
+  open: { background: "#dcfce7", color: "#166534" },
+  soft_closed: { background: "#fef9c3", color: "#854d0e" },
+  closed: { background: "#fee2e2", color: "#991b1b" },
+};
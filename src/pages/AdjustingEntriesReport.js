@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Adjusting Entries Report
+ * @description Approved adjusting entries with their auto-reverse date and
+ * reversal, showing which accruals have reversed and which are still open.
+ *
+ * @module pages/AdjustingEntriesReport
+ * @requires react
+ * @requires react-router-dom
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/journal
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import NavBar from "../components/NavBar";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
+import { formatMoney } from "../utils/format";
+import { accrualStatus, lineTotals, entryLines } from "../utils/journal";
+
+const STATE_FILTERS = {
+  all: "All adjusting entries",
+  open: "Open accruals",
+  reversed: "Reversed accruals",
+  none: "Not auto-reversing",
+};
+
+/**
+ * AdjustingEntriesReport Component
+ *
+ * @component
+ * @description Lists approved adjusting entries (reversals themselves are
+ * left out). An entry with an auto-reverse date is "Reversed" once its
+ * reversing entry is approved and "Open" until then.
+ *
+ * @returns {JSX.Element} Adjusting entries report
+ */
+export default function AdjustingEntriesReport() {
+  const { userEmail } = useAuth();
+
+  /** @type {[Array<Object>, Function]} All journal entries */
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  /** @type {[string, Function]} Key of STATE_FILTERS */
+  const [stateFilter, setStateFilter] = useState("all");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const snap = await getDocs(companyCollection("journalEntries"));
+        setEntries(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+      } catch (err) {
+        console.error("Failed to load journal entries:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  /** Approved adjusting entries with their reversal state, newest first */
+  const rows = useMemo(() => {
+    const byId = Object.fromEntries(entries.map((e) => [e.id, e]));
+    return entries
+      .filter((e) => e.type === "adjusting" && e.status === "approved" && !e.reversalOf)
+      .map((e) => {
+        const { status, reversal } = e.autoReverseOn || e.reversedBy
+          ? accrualStatus(e, byId)
+          : { status: "none", reversal: null };
+        return { entry: e, amount: lineTotals(entryLines(e)).totalDebits, status, reversal };
+      })
+      .sort((a, b) => (b.entry.date || "").localeCompare(a.entry.date || ""));
+  }, [entries]);
+
+  const shown = rows.filter(
+    (r) =>
+      (stateFilter === "all" || r.status === stateFilter) &&
+      (!fromDate || (r.entry.date || "") >= fromDate) &&
+      (!toDate || (r.entry.date || "") <= toDate)
+  );
+
+  const open = shown.filter((r) => r.status === "open");
+  const openTotal = open.reduce((s, r) => s + r.amount, 0);
+
+  const statusLabel = (r) =>
+    r.status === "reversed" ? "Reversed" : r.status === "open" ? "Open" : "—";
+
+  const reversalLabel = (r) => {
+    if (!r.reversal) return r.entry.autoReverseOn ? "Not created" : "";
+    return `${r.reversal.date} (${r.reversal.status || "pending"})`;
+  };
+
+  const exportTable = () => ({
+    title: "Adjusting Entries",
+    period: fromDate || toDate ? { from: fromDate, to: toDate } : null,
+    columns: [
+      { label: "Date" },
+      { label: "Description" },
+      { label: "Amount", format: "money" },
+      { label: "Auto-Reverse On" },
+      { label: "Reversal" },
+      { label: "Status" },
+    ],
+    rows: [
+      ...shown.map((r) => [
+        r.entry.date,
+        r.entry.description || "",
+        r.amount,
+        r.entry.autoReverseOn || "",
+        reversalLabel(r),
+        statusLabel(r),
+      ]),
+      { cells: ["", "Open accruals", openTotal, "", "", `${open.length}`], kind: "total" },
+    ],
+    generatedBy: userEmail,
+  });
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1100 }}>
+        <h2>Adjusting Entries</h2>
+
+        <div style={styles.toolbar}>
+          <select value={stateFilter} onChange={(e) => setStateFilter(e.target.value)}>
+            {Object.entries(STATE_FILTERS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <label>
+            From <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+          </label>
+          <label>
+            To <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+          </label>
+          <ExportMenu getTable={exportTable} disabled={!shown.length} />
+        </div>
+
+        <p>
+          <strong>{open.length}</strong> open accrual{open.length === 1 ? "" : "s"} totalling{" "}
+          <strong>{formatMoney(openTotal)}</strong>
+        </p>
+
+        {loading ? (
+          <p>Loading...</p>
+        ) : shown.length === 0 ? (
+          <p>No adjusting entries found.</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Date</th>
+                <th style={styles.th}>Description</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Amount</th>
+                <th style={styles.th}>Auto-Reverse On</th>
+                <th style={styles.th}>Reversal</th>
+                <th style={styles.th}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((r) => (
+                <tr key={r.entry.id}>
+                  <td style={styles.td}>{r.entry.date}</td>
+                  <td style={styles.td}>
+                    <Link to={`/journal/${r.entry.id}`}>{r.entry.description || r.entry.id}</Link>
+                  </td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.amount)}</td>
+                  <td style={styles.td}>{r.entry.autoReverseOn || "—"}</td>
+                  <td style={styles.td}>
+                    {r.reversal ? (
+                      <Link to={`/journal/${r.entry.reversedBy}`}>{reversalLabel(r)}</Link>
+                    ) : (
+                      reversalLabel(r) || "—"
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    <span style={styles.badge[r.status]}>{statusLabel(r)}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const badge = { padding: "2px 8px", borderRadius: 12, fontSize: 11, fontWeight: 600 };
+
+const styles = {
+  toolbar: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", margin: "12px 0" },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13 },
+  badge: {
+    open: { ...badge, background: "#fef3c7", color: "#92400e" },
+    reversed: { ...badge, background: "#dcfce7", color: "#166534" },
+    none: {},
+  },
+};
@@ -19,16 +19,23 @@ import {
   updateDoc,
   serverTimestamp,
 } from "firebase/firestore";
-import { createUserWithEmailAndPassword } from "firebase/auth";
-import { db, auth } from "../firebase";
+import { db } from "../firebase";
 import bcrypt from "bcryptjs";
 import NavBar from "../components/NavBar";
+import { useAuth } from "../context/authContext";
+import { migrateLegacyJournalEntries } from "../utils/journal";
+import { logEvent } from "../utils/logEvent";
+import { approvedUserRoles, companyRole, createCompany, loadCompanies, setCompanyRole } from "../utils/company";
+import ApprovalPolicyEditor from "../components/ApprovalPolicyEditor";
 
 function AdminPanel() {
   const [requests, setRequests] = useState([]);
   const [users, setUsers] = useState([]);
   const [suspendDates, setSuspendDates] = useState({});
-  const userEmail = auth?.currentUser?.email || "admin@example.com";
+  const { userEmail, profile, companyId, company } = useAuth();
+  const [companies, setCompanies] = useState([]);
+  const [companyName, setCompanyName] = useState("");
+  const [migrating, setMigrating] = useState(false);
   const [selectedDate, setSelectedDate] = useState(() =>
     new Date().toISOString().slice(0, 10)
   );
@@ -40,6 +47,8 @@ function AdminPanel() {
 
       const userSnap = await getDocs(collection(db, "users"));
       setUsers(userSnap.docs.map((d) => ({ id: d.id, ...d.data() })));
+
+      setCompanies(await loadCompanies());
     };
     fetchData();
   }, []);
@@ -70,7 +79,7 @@ function AdminPanel() {
         dob: req.dob || "",
         email: req.email,
         username,
-        role: "accountant", // Default role for new users
+        ...approvedUserRoles(companyId), // Accountant in the company the admin has open
         active: true,
         failedAttempts: 0,
         passwordSetAt: Date.now(),
@@ -191,6 +200,27 @@ function AdminPanel() {
     alert("🔓 User unlocked successfully.");
   };
 
+  const changeRole = async (u, role) => {
+    const before = companyRole(u, companyId);
+    await setCompanyRole(u.id, companyId, role);
+    await logEvent("userRole", "update", { email: u.email, companyId, role: before }, { email: u.email, companyId, role: role || null });
+    setUsers(users.map((x) => (x.id === u.id ? { ...x, companyRoles: { ...x.companyRoles, [companyId]: role } } : x)));
+  };
+
+  const addCompany = async (e) => {
+    e.preventDefault();
+    try {
+      const id = await createCompany(companyName, profile, companies);
+      await logEvent("company", "create", null, { id, name: companyName.trim() });
+      setCompanies(await loadCompanies());
+      setCompanyName("");
+      alert(`✅ Created "${companyName.trim()}". You are its admin; open it from the company selector.`);
+    } catch (error) {
+      console.error("Error creating company:", error);
+      alert(error.message);
+    }
+  };
+
   const getExpiredUsers = () => {
     const now = Date.now();
     const ninetyDays = 90 * 24 * 60 * 60 * 1000;
@@ -224,6 +254,21 @@ function AdminPanel() {
     }
   };
 
+  const migrateJournals = async () => {
+    if (!window.confirm("Rewrite legacy journal entries (debits/credits) into the current lines format?")) return;
+    setMigrating(true);
+    try {
+      const count = await migrateLegacyJournalEntries(userEmail);
+      if (count) await logEvent("journalEntry", "migrate", null, { count });
+      alert(count ? `✅ Migrated ${count} journal entries.` : "No legacy journal entries found.");
+    } catch (error) {
+      console.error("Journal migration failed:", error);
+      alert("Error migrating journal entries: " + error.message);
+    } finally {
+      setMigrating(false);
+    }
+  };
+
   return (
     <div>
       <NavBar userEmail={userEmail} selectedDate={selectedDate} onDateChange={setSelectedDate} />
@@ -300,7 +345,7 @@ function AdminPanel() {
                     <th style={styles.th}>Username</th>
                     <th style={styles.th}>Name</th>
                     <th style={styles.th}>Email</th>
-                    <th style={styles.th}>Role</th>
+                    <th style={styles.th}>Role in {company?.name || "this company"}</th>
                     <th style={styles.th}>Status</th>
                     <th style={styles.th}>Suspend Dates</th>
                     <th style={styles.th}>Actions</th>
@@ -315,7 +360,18 @@ function AdminPanel() {
                         <td style={styles.td}>{u.firstName} {u.lastName}</td>
                         <td style={styles.td}>{u.email}</td>
                         <td style={styles.td}>
-                          <span style={styles.roleBadge}>{u.role}</span>
+                          <select
+                            value={companyRole(u, companyId) || ""}
+                            onChange={(e) => changeRole(u, e.target.value)}
+                            disabled={u.email === userEmail}
+                            title={u.email === userEmail ? "Another admin must change your role" : "Role in the open company"}
+                            style={styles.roleBadge}
+                          >
+                            <option value="">No access</option>
+                            <option value="admin">admin</option>
+                            <option value="manager">manager</option>
+                            <option value="accountant">accountant</option>
+                          </select>
                         </td>
                         <td style={styles.td}>
                           {isLocked ? (
@@ -413,6 +469,44 @@ function AdminPanel() {
             </ul>
           )}
         </section>
+
+        {/* Companies */}
+        <section style={styles.section}>
+          <h3>🏢 Companies</h3>
+          <p style={{ fontSize: 13, color: "#475569" }}>
+            Each company keeps its own chart of accounts, journals, periods and subledgers. Roles above apply to
+            the company open in the navigation bar.
+          </p>
+          <ul style={styles.list}>
+            {companies.map((c) => (
+              <li key={c.id} style={styles.listItem}>
+                <strong>{c.name}</strong>
+                {c.id === companyId && " (open)"} — {users.filter((u) => companyRole(u, c.id)).length} users
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={addCompany} style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <input value={companyName} onChange={(e) => setCompanyName(e.target.value)} placeholder="New company name" />
+            <button type="submit" disabled={!companyName.trim()}>Create Company</button>
+          </form>
+        </section>
+
+        {/* Data Maintenance */}
+        <section style={styles.section}>
+          <h3>✅ Journal Approval Policy</h3>
+          <ApprovalPolicyEditor userEmail={userEmail} />
+        </section>
+
+        <section style={styles.section}>
+          <h3>🛠 Data Maintenance</h3>
+          <p style={{ fontSize: 13, color: "#475569" }}>
+            Older journal entries stored separate debit/credit arrays. Migrate them to the
+            shared lines format used by posting, reports and approvals.
+          </p>
+          <button onClick={migrateJournals} disabled={migrating}>
+            {migrating ? "Migrating..." : "Migrate Legacy Journal Entries"}
+          </button>
+        </section>
       </div>
     </div>
   );
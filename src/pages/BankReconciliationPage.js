@@ -0,0 +1,524 @@
+/**
+ * @fileoverview Bank Reconciliation Page
+ * @description Reconciles a cash account's ledger to a bank statement: import
+ * the statement (CSV or OFX), auto-match statement lines to ledger entries by
+ * amount and date, match the rest by hand, and save or finalize the
+ * reconciliation report for the statement date.
+ *
+ * @module pages/BankReconciliationPage
+ * @requires react
+ * @requires react-router-dom
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/reconciliation
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import NavBar from "../components/NavBar";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
+import { formatMoney } from "../utils/format";
+import {
+  autoMatch, ledgerAmount, ledgerDate, loadAccountLedger, loadReconciliations, manualMatchError,
+  matchedIds, parseStatement, reconciliationId, reconciliationReport, reconciliationSummary,
+  saveReconciliation,
+} from "../utils/reconciliation";
+
+/** Label and amount on one line of the reconciliation summary. */
+function SummaryRow({ label, value, style }) {
+  return (
+    <div style={{ display: "flex", justifyContent: "space-between", gap: 16, ...style }}>
+      <span>{label}</span>
+      <span>{formatMoney(value)}</span>
+    </div>
+  );
+}
+
+/**
+ * BankReconciliationPage Component
+ *
+ * @component
+ * @description `?account=<id>` preselects the cash account (LedgerPage links
+ * here). Choosing a statement date that already has a draft reloads it;
+ * finalized reconciliations open read-only.
+ *
+ * @returns {JSX.Element} Reconciliation workspace
+ */
+export default function BankReconciliationPage() {
+  const { userEmail } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const accountId = searchParams.get("account") || "";
+
+  // ==================== State Management ====================
+
+  /** @type {[Array<Object>, Function]} Asset accounts that can be reconciled */
+  const [accounts, setAccounts] = useState([]);
+
+  /** @type {[Array<Object>, Function]} All ledgerEntries of the account */
+  const [ledger, setLedger] = useState([]);
+
+  /** @type {[Array<Object>, Function]} Saved reconciliations, newest first */
+  const [history, setHistory] = useState([]);
+
+  const [loading, setLoading] = useState(false);
+
+  const [statementDate, setStatementDate] = useState("");
+  const [statementBalance, setStatementBalance] = useState("");
+  const [fileName, setFileName] = useState("");
+
+  /** @type {[Array<Object>, Function]} Statement lines { id, date, description, amount } */
+  const [lines, setLines] = useState([]);
+
+  /** @type {[Array<Object>, Function]} { lineIds, ledgerIds } */
+  const [matches, setMatches] = useState([]);
+
+  /** @type {[string[], Function]} Parse problems in the imported file */
+  const [importErrors, setImportErrors] = useState([]);
+
+  /** Selections for a manual match */
+  const [selLines, setSelLines] = useState([]);
+  const [selLedger, setSelLedger] = useState([]);
+
+  const [saving, setSaving] = useState(false);
+
+  // ==================== Effects ====================
+
+  useEffect(() => {
+    getDocs(companyCollection("accounts"))
+      .then((snap) =>
+        setAccounts(
+          snap.docs
+            .map((d) => ({ id: d.id, ...d.data() }))
+            .filter((a) => a.category === "Asset" && a.active !== false)
+            .sort((a, b) => String(a.number).localeCompare(String(b.number)))
+        )
+      )
+      .catch((err) => console.error("Failed to load accounts:", err));
+  }, []);
+
+  const loadAccount = async (id) => {
+    setLoading(true);
+    try {
+      const [entries, recs] = await Promise.all([loadAccountLedger(id), loadReconciliations(id)]);
+      setLedger(entries);
+      setHistory(recs);
+    } catch (err) {
+      console.error("Failed to load reconciliation data:", err);
+      alert("Could not load the account's ledger.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    resetWorkspace();
+    if (accountId) loadAccount(accountId);
+    else {
+      setLedger([]);
+      setHistory([]);
+    }
+  }, [accountId]);
+
+  const account = accounts.find((a) => a.id === accountId) || null;
+
+  /** Reconciliation saved for the chosen statement date, if any */
+  const saved = history.find((r) => r.id === reconciliationId(accountId, statementDate)) || null;
+  const finalized = saved?.status === "finalized";
+
+  // Reopen a saved reconciliation when its statement date is chosen
+  useEffect(() => {
+    if (!saved) return;
+    setStatementBalance(String(saved.statementBalance));
+    setFileName(saved.fileName || "");
+    setLines(saved.lines || []);
+    setMatches(saved.matches || []);
+    setSelLines([]);
+    setSelLedger([]);
+  }, [saved]);
+
+  // ==================== Derived Data ====================
+
+  /** Ledger lines not cleared by an earlier finalized reconciliation */
+  const candidates = useMemo(
+    () =>
+      ledger
+        .filter((e) => !e.reconciliationId || e.reconciliationId === saved?.id)
+        .sort((a, b) => ledgerDate(a).localeCompare(ledgerDate(b))),
+    [ledger, saved]
+  );
+
+  const summary = useMemo(
+    () =>
+      reconciliationSummary({
+        account,
+        statementDate: statementDate || "9999-12-31",
+        statementBalance,
+        lines,
+        ledger,
+        candidates,
+        matches,
+      }),
+    [account, statementDate, statementBalance, lines, ledger, candidates, matches]
+  );
+
+  const used = matchedIds(matches);
+  const bookRows = candidates.filter((e) => !statementDate || ledgerDate(e) <= statementDate || used.ledgerIds.has(e.id));
+  const selectedLines = lines.filter((l) => selLines.includes(l.id));
+  const selectedLedger = candidates.filter((e) => selLedger.includes(e.id));
+  const matchProblem = manualMatchError(selectedLines, selectedLedger);
+
+  // ==================== Event Handlers ====================
+
+  function resetWorkspace() {
+    setStatementDate("");
+    setStatementBalance("");
+    setFileName("");
+    setLines([]);
+    setMatches([]);
+    setImportErrors([]);
+    setSelLines([]);
+    setSelLedger([]);
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const parsed = parseStatement(await file.text(), file.name);
+    setFileName(file.name);
+    setLines(parsed.lines);
+    setMatches([]);
+    setSelLines([]);
+    setSelLedger([]);
+    setImportErrors(parsed.errors);
+    if (parsed.statementBalance !== undefined) setStatementBalance(String(parsed.statementBalance));
+    if (parsed.statementDate && !statementDate) setStatementDate(parsed.statementDate);
+    else if (!statementDate && parsed.lines.length) {
+      setStatementDate(parsed.lines.map((l) => l.date).sort().pop());
+    }
+  };
+
+  const handleAutoMatch = () => {
+    const found = autoMatch(lines, bookRows, matches);
+    setMatches([...matches, ...found]);
+    alert(found.length ? `${found.length} statement line(s) matched.` : "No further matches found.");
+  };
+
+  const handleManualMatch = () => {
+    setMatches([...matches, { lineIds: selLines, ledgerIds: selLedger }]);
+    setSelLines([]);
+    setSelLedger([]);
+  };
+
+  const unmatch = (match) => setMatches(matches.filter((m) => m !== match));
+
+  const toggle = (list, setList, id) => setList(list.includes(id) ? list.filter((x) => x !== id) : [...list, id]);
+
+  const handleSave = async (finalize) => {
+    if (finalize && !window.confirm(
+      `Finalize the ${statementDate} reconciliation? Matched book entries will be marked as cleared and the report locked.`
+    )) return;
+    setSaving(true);
+    try {
+      await saveReconciliation(
+        { account, statementDate, statementBalance, fileName, lines, matches, summary },
+        userEmail,
+        { finalize }
+      );
+      await loadAccount(accountId);
+      alert(finalize ? "✅ Reconciliation finalized." : "Draft saved.");
+    } catch (err) {
+      console.error("Saving reconciliation failed:", err);
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /** Export table for the reconciliation currently shown */
+  const reportTable = () =>
+    reconciliationReport(
+      saved && finalized
+        ? saved
+        : {
+            accountName: account?.name,
+            accountNumber: account?.number,
+            statementDate,
+            summary,
+            outstanding: summary.outstanding.map((e) => ({
+              date: ledgerDate(e),
+              description: e.description || "",
+              amount: ledgerAmount(e),
+            })),
+            createdBy: userEmail,
+          }
+    );
+
+  const matchFor = (kind, id) => matches.find((m) => m[kind].includes(id));
+
+  // ==================== Render ====================
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20 }}>
+        <h2>Bank Reconciliation</h2>
+
+        {/* Statement setup */}
+        <div style={styles.toolbar}>
+          <select value={accountId} onChange={(e) => setSearchParams(e.target.value ? { account: e.target.value } : {})}>
+            <option value="">Select cash account</option>
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+            ))}
+          </select>
+          {account && (
+            <>
+              <label>
+                Statement date{" "}
+                <input type="date" value={statementDate} onChange={(e) => setStatementDate(e.target.value)} />
+              </label>
+              <label>
+                Ending balance{" "}
+                <input
+                  type="number"
+                  step="0.01"
+                  value={statementBalance}
+                  onChange={(e) => setStatementBalance(e.target.value)}
+                  disabled={finalized}
+                  style={{ width: 130 }}
+                />
+              </label>
+              <label>
+                Statement (CSV or OFX){" "}
+                <input type="file" accept=".csv,.ofx,.qfx,text/csv" onChange={handleFile} disabled={finalized} />
+              </label>
+            </>
+          )}
+        </div>
+
+        {importErrors.length > 0 && (
+          <div style={styles.error}>
+            {importErrors.length} line(s) could not be read:
+            <ul>
+              {importErrors.slice(0, 10).map((m, i) => <li key={i}>{m}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {loading && <p>Loading…</p>}
+
+        {account && !loading && (
+          <>
+            {/* Summary */}
+            <section style={styles.summary}>
+              <div style={styles.summaryCol}>
+                <SummaryRow label="Balance per bank statement" value={summary.statementBalance} />
+                <SummaryRow label="+ Deposits in transit" value={summary.depositsInTransit} />
+                <SummaryRow label="− Outstanding withdrawals" value={summary.outstandingWithdrawals} />
+                <SummaryRow label="Adjusted bank balance" value={summary.adjustedBankBalance} style={styles.summaryTotal} />
+              </div>
+              <div style={styles.summaryCol}>
+                <SummaryRow
+                  label={`Balance per books${statementDate ? ` (${statementDate})` : ""}`}
+                  value={summary.bookBalance}
+                />
+                <SummaryRow label="Unmatched statement lines" value={summary.unrecordedBankItems} />
+                <SummaryRow
+                  label="Difference"
+                  value={summary.difference}
+                  style={{ ...styles.summaryTotal, color: summary.difference === 0 ? "#166534" : "#b91c1c" }}
+                />
+              </div>
+            </section>
+
+            {finalized ? (
+              <p style={styles.notice}>
+                Finalized by {saved.finalizedBy}
+                {saved.finalizedAt?.toDate ? ` on ${saved.finalizedAt.toDate().toLocaleString()}` : ""}. This report is read-only.
+              </p>
+            ) : (
+              <div style={styles.toolbar}>
+                <button onClick={handleAutoMatch} disabled={!lines.length}>Auto-Match</button>
+                <button onClick={handleManualMatch} disabled={!!matchProblem} title={matchProblem || "Match the selected lines"}>
+                  Match Selected
+                </button>
+                <button onClick={() => handleSave(false)} disabled={saving || !statementDate}>Save Draft</button>
+                <button
+                  onClick={() => handleSave(true)}
+                  disabled={saving || !statementDate || summary.difference !== 0}
+                  title={summary.difference !== 0 ? "The difference must be zero to finalize" : "Finalize this reconciliation"}
+                >
+                  Finalize
+                </button>
+                {(selLines.length > 0 || selLedger.length > 0) && <span style={styles.muted}>{matchProblem}</span>}
+              </div>
+            )}
+
+            <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+              <ExportMenu getTable={reportTable} disabled={!statementDate} title="Export the reconciliation report" />
+            </div>
+
+            {/* Statement and book lines */}
+            <div style={styles.columns}>
+              <section>
+                <h3>Bank Statement {fileName && <span style={styles.muted}>({fileName})</span>}</h3>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}></th>
+                      <th style={styles.th}>Date</th>
+                      <th style={styles.th}>Description</th>
+                      <th style={{ ...styles.th, textAlign: "right" }}>Amount</th>
+                      <th style={styles.th}>Matched</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lines.length === 0 ? (
+                      <tr><td style={styles.td} colSpan={5}>Import a statement to begin.</td></tr>
+                    ) : (
+                      lines.map((l) => {
+                        const m = matchFor("lineIds", l.id);
+                        return (
+                          <tr key={l.id} style={m ? styles.matched : undefined}>
+                            <td style={styles.td}>
+                              {!m && !finalized && (
+                                <input type="checkbox" checked={selLines.includes(l.id)}
+                                  onChange={() => toggle(selLines, setSelLines, l.id)} />
+                              )}
+                            </td>
+                            <td style={styles.td}>{l.date}</td>
+                            <td style={styles.td}>{l.description || "—"}</td>
+                            <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(l.amount)}</td>
+                            <td style={styles.td}>
+                              {m ? (
+                                <>✓ {!finalized && <button onClick={() => unmatch(m)}>Unmatch</button>}</>
+                              ) : "—"}
+                            </td>
+                          </tr>
+                        );
+                      })
+                    )}
+                  </tbody>
+                </table>
+              </section>
+
+              <section>
+                <h3>Book Entries <span style={styles.muted}>(not yet cleared)</span></h3>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}></th>
+                      <th style={styles.th}>Date</th>
+                      <th style={styles.th}>Description</th>
+                      <th style={{ ...styles.th, textAlign: "right" }}>Amount</th>
+                      <th style={styles.th}>Matched</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bookRows.length === 0 ? (
+                      <tr><td style={styles.td} colSpan={5}>No uncleared entries.</td></tr>
+                    ) : (
+                      bookRows.map((e) => {
+                        const m = matchFor("ledgerIds", e.id);
+                        return (
+                          <tr key={e.id} style={m ? styles.matched : undefined}>
+                            <td style={styles.td}>
+                              {!m && !finalized && (
+                                <input type="checkbox" checked={selLedger.includes(e.id)}
+                                  onChange={() => toggle(selLedger, setSelLedger, e.id)} />
+                              )}
+                            </td>
+                            <td style={styles.td}>{ledgerDate(e) || "—"}</td>
+                            <td style={styles.td}>{e.description || "—"}</td>
+                            <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(ledgerAmount(e))}</td>
+                            <td style={styles.td}>{m ? "✓" : "—"}</td>
+                          </tr>
+                        );
+                      })
+                    )}
+                  </tbody>
+                </table>
+              </section>
+            </div>
+
+            {/* Saved reconciliations */}
+            <h3>Saved Reconciliations</h3>
+            {history.length === 0 ? (
+              <p style={styles.muted}>None yet.</p>
+            ) : (
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Statement Date</th>
+                    <th style={{ ...styles.th, textAlign: "right" }}>Bank Balance</th>
+                    <th style={{ ...styles.th, textAlign: "right" }}>Book Balance</th>
+                    <th style={{ ...styles.th, textAlign: "right" }}>Difference</th>
+                    <th style={styles.th}>Status</th>
+                    <th style={styles.th}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.map((r) => (
+                    <tr key={r.id}>
+                      <td style={styles.td}>{r.statementDate}</td>
+                      <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.summary?.statementBalance)}</td>
+                      <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.summary?.bookBalance)}</td>
+                      <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.summary?.difference)}</td>
+                      <td style={styles.td}>{r.status === "finalized" ? `Finalized by ${r.finalizedBy}` : "Draft"}</td>
+                      <td style={styles.td}>
+                        <button onClick={() => setStatementDate(r.statementDate)}>Open</button>{" "}
+                        <ExportMenu getTable={() => reconciliationReport(r)} title="Export this report" />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  toolbar: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", margin: "12px 0" },
+  summary: {
+    display: "flex",
+    gap: 32,
+    flexWrap: "wrap",
+    background: "#f8fafc",
+    border: "1px solid #e2e8f0",
+    borderRadius: 8,
+    padding: 16,
+    margin: "12px 0",
+  },
+  summaryCol: { display: "grid", gap: 4, minWidth: 320, fontSize: 14 },
+  summaryTotal: { fontWeight: 700, borderTop: "1px solid #cbd5e1", paddingTop: 4 },
+  columns: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24, marginBottom: 24 },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 8,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 8, fontSize: 13 },
+  matched: { background: "#f0fdf4" },
+  muted: { color: "#64748b", fontSize: 12, fontWeight: 400 },
+  notice: { background: "#eff6ff", border: "1px solid #bfdbfe", borderRadius: 8, padding: 10 },
+  error: { color: "#b91c1c", margin: "8px 0" },
+};
@@ -14,30 +14,32 @@
 
 import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
+import { companyCollection, companyDoc } from "../utils/company";
 import {
-  collection,
   addDoc,
   getDocs,
-  query,
-  where,
-  doc,
   updateDoc,
-  serverTimestamp,
 } from "firebase/firestore";
 import NavBar from "../components/NavBar";
 import HelpModal from "../components/HelpModal";
 import SendEmailModal from "../components/SendEmailModal";
+import ExportMenu from "../components/ExportMenu";
+import ImportWizard from "../components/ImportWizard";
 import { ToastContainer, useToast } from "../components/Toast";
 import { formatMoney, parseMoney } from "../utils/format";
 import { isDigitsOnly, hasCorrectPrefix } from "../utils/validation";
+import { accountCurrency, accountTerm, cashFlowActivity, CASH_FLOW_LABELS, FUNCTIONAL_CURRENCY } from "../utils/financials";
+import { CURRENCIES } from "../utils/currency";
+import { fixBalanceDrift, loadBalanceDrift } from "../utils/balances";
+import { accountDocument, ensureUnique } from "../utils/accounts";
+import { logEvent } from "../utils/logEvent";
+import { ACCOUNT_TEMPLATE, importAccounts, previewAccountImport } from "../utils/imports";
 import useUserRole from "../hooks/useUserRole";
 
 function ChartOfAccounts() {
   const navigate = useNavigate();
   const { role, loading: roleLoading, userEmail } = useUserRole();
   const canManage = role === "admin";
-  const fallbackEmail = auth?.currentUser?.email || "admin@example.com";
   const toast = useToast();
 
   const [selectedDate, setSelectedDate] = useState(() =>
@@ -76,6 +78,12 @@ function ChartOfAccounts() {
   const [emailOpen, setEmailOpen] = useState(false);
   const [emailTo, setEmailTo] = useState({ role: "", account: null });
 
+  // Balance drift check (admin): null = not run yet
+  const [drift, setDrift] = useState(null);
+  const [checkingDrift, setCheckingDrift] = useState(false);
+
+  const [importOpen, setImportOpen] = useState(false);
+
   const emptyForm = {
     name: "",
     number: "",
@@ -84,9 +92,9 @@ function ChartOfAccounts() {
     category: "Asset",
     subcategory: "Current Assets",
     initialBalance: "0.00",
-    debit: "0.00",
-    credit: "0.00",
-    balance: "0.00",
+    currency: FUNCTIONAL_CURRENCY,
+    term: "",
+    cashFlow: "",
     statement: "BS",
     order: "01",
     comment: "",
@@ -96,7 +104,7 @@ function ChartOfAccounts() {
   useEffect(() => {
     const load = async () => {
       try {
-        const snap = await getDocs(collection(db, "accounts"));
+        const snap = await getDocs(companyCollection("accounts"));
         setAccounts(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
         setFilterDraft((d) => ({ ...d, ...filters }));
       } catch (error) {
@@ -130,65 +138,46 @@ function ChartOfAccounts() {
       .sort((x, y) => String(x.order).localeCompare(String(y.order)));
   }, [accounts, filters]);
 
-  const ensureUnique = async (name, number, excludeId = null) => {
-    const nameQ = query(collection(db, "accounts"), where("name", "==", name));
-    const nameSnap = await getDocs(nameQ);
-    const nameClash = nameSnap.docs.some((d) => d.id !== excludeId);
-
-    const numQ = query(collection(db, "accounts"), where("number", "==", String(number)));
-    const numSnap = await getDocs(numQ);
-    const numClash = numSnap.docs.some((d) => d.id !== excludeId);
-
-    if (nameClash) throw new Error("Duplicate account name not allowed");
-    if (numClash) throw new Error("Duplicate account number not allowed");
-  };
+  // Export the filtered list as shown
+  const exportTable = () => ({
+    title: "Chart of Accounts",
+    period: `As of ${new Date().toISOString().slice(0, 10)}`,
+    generatedBy: userEmail,
+    columns: [
+      { label: "Order" },
+      { label: "Number" },
+      { label: "Name" },
+      { label: "Category" },
+      { label: "Subcategory" },
+      { label: "Normal" },
+      { label: "Balance", format: "money" },
+      { label: "Status" },
+    ],
+    rows: filtered.map((a) => [
+      a.order || "",
+      String(a.number || ""),
+      a.name || "",
+      a.category || "",
+      a.subcategory || "",
+      a.normalSide || "",
+      Number(a.balance || 0),
+      a.active === false ? "Inactive" : "Active",
+    ]),
+  });
 
   const validateForm = () => {
     if (!form.name.trim()) throw new Error("Account name is required");
     if (!isDigitsOnly(String(form.number))) throw new Error("Account number must be digits only");
     if (!hasCorrectPrefix(form.category, String(form.number)))
       throw new Error(`Account number must start with correct prefix for ${form.category}`);
+    if (accountCurrency(form) !== FUNCTIONAL_CURRENCY && parseMoney(form.initialBalance) !== 0)
+      throw new Error("Foreign-currency accounts start at zero; record the opening balance as a journal entry in that currency");
+    const before = editingId && accounts.find((a) => a.id === editingId);
+    if (before && accountCurrency(before) !== accountCurrency(form) && (before.debit || before.credit))
+      throw new Error("The currency of an account with posted activity cannot be changed");
   };
 
-  const toPersist = (raw) => {
-    const initBal = parseMoney(raw.initialBalance);
-    const debit = parseMoney(raw.debit);
-    const credit = parseMoney(raw.credit);
-    const balance = parseMoney(
-      raw.balance !== undefined ? raw.balance : initBal + debit - credit
-    );
-
-    return {
-      name: raw.name.trim(),
-      number: String(raw.number),
-      description: raw.description.trim(),
-      normalSide: raw.normalSide,
-      category: raw.category,
-      subcategory: raw.subcategory,
-      initialBalance: initBal,
-      debit,
-      credit,
-      balance,
-      statement: raw.statement,
-      order: String(raw.order).padStart(2, "0"),
-      comment: raw.comment || "",
-      createdAt: serverTimestamp(),
-      createdBy: userEmail || fallbackEmail,
-      active: true,
-    };
-  };
-
-  const logEvent = async ({ action, before, after, entityId }) => {
-    await addDoc(collection(db, "eventLogs"), {
-      entity: "account",
-      entityId,
-      action,
-      before: before || null,
-      after: after || null,
-      user: userEmail || fallbackEmail,
-      at: serverTimestamp(),
-    });
-  };
+  const toPersist = (raw, existing = null) => accountDocument(raw, userEmail, existing);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -201,8 +190,8 @@ function ChartOfAccounts() {
       validateForm();
       await ensureUnique(form.name, form.number);
       const data = toPersist(form);
-      const ref = await addDoc(collection(db, "accounts"), data);
-      await logEvent({ action: "create", before: null, after: data, entityId: ref.id });
+      const ref = await addDoc(companyCollection("accounts"), data);
+      await logEvent("account", "create", null, { id: ref.id, ...data });
       setAccounts([{ id: ref.id, ...data }, ...accounts]);
       setForm(emptyForm);
       toast.success(`Account "${data.name}" added successfully!`);
@@ -221,9 +210,6 @@ function ChartOfAccounts() {
     setForm({
       ...acc,
       initialBalance: formatMoney(acc.initialBalance),
-      debit: formatMoney(acc.debit),
-      credit: formatMoney(acc.credit),
-      balance: formatMoney(acc.balance),
     });
     window.scrollTo({ top: 0, behavior: "smooth" });
     toast.info(`Editing account "${acc.name}"`);
@@ -240,11 +226,11 @@ function ChartOfAccounts() {
       await ensureUnique(form.name, form.number, editingId);
 
       const before = accounts.find((a) => a.id === editingId);
-      const updated = { ...before, ...toPersist(form) };
+      const updated = { ...before, ...toPersist(form, before) };
       delete updated.createdAt;
 
-      await updateDoc(doc(db, "accounts", editingId), updated);
-      await logEvent({ action: "update", before, after: updated, entityId: editingId });
+      await updateDoc(companyDoc("accounts", editingId), updated);
+      await logEvent("account", "update", before, updated);
 
       setAccounts(accounts.map((a) => (a.id === editingId ? updated : a)));
       setEditingId(null);
@@ -275,8 +261,8 @@ function ChartOfAccounts() {
     try {
       const before = { ...acc };
       const after = { ...acc, active: false };
-      await updateDoc(doc(db, "accounts", acc.id), { active: false });
-      await logEvent({ action: "deactivate", before, after, entityId: acc.id });
+      await updateDoc(companyDoc("accounts", acc.id), { active: false });
+      await logEvent("account", "deactivate", before, after);
       setAccounts(accounts.map((a) => (a.id === acc.id ? { ...a, active: false } : a)));
       toast.success(`Account "${acc.name}" deactivated`);
     } catch (error) {
@@ -285,6 +271,45 @@ function ChartOfAccounts() {
     }
   };
 
+  const checkDrift = async () => {
+    setCheckingDrift(true);
+    try {
+      const found = await loadBalanceDrift();
+      setDrift(found);
+      if (found.length === 0) toast.success("All account balances match the ledger.");
+      else toast.warning(`${found.length} account(s) disagree with the ledger.`);
+    } catch (err) {
+      toast.error("Failed to recalculate balances: " + err.message);
+    } finally {
+      setCheckingDrift(false);
+    }
+  };
+
+  const fixDrift = async () => {
+    if (!drift?.length) return;
+    if (!window.confirm(`Overwrite stored totals on ${drift.length} account(s) with ledger totals?`)) {
+      return;
+    }
+    setCheckingDrift(true);
+    try {
+      const { fixed, changed } = await fixBalanceDrift(drift);
+      for (const { account, stored, expected } of fixed) {
+        await logEvent("account", "recalculate", { id: account.id, ...stored }, { id: account.id, ...expected });
+      }
+      const totals = Object.fromEntries(fixed.map((d) => [d.account.id, d.expected]));
+      setAccounts(accounts.map((a) => (totals[a.id] ? { ...a, ...totals[a.id] } : a)));
+      if (fixed.length) toast.success(`Corrected ${fixed.length} account(s).`);
+      if (changed.length) {
+        toast.warning(`${changed.length} account(s) changed since the check and were skipped. Check again.`);
+      }
+      setDrift(changed);
+    } catch (err) {
+      toast.error("Failed to fix balances: " + err.message);
+    } finally {
+      setCheckingDrift(false);
+    }
+  };
+
   const goLedger = (acc) => navigate(`/ledger/${acc.id}`);
   const goDetails = (acc) => navigate(`/accounts/${acc.id}`);
 
@@ -341,11 +366,87 @@ function ChartOfAccounts() {
               {showForm ? "Hide Form" : "+ Add Account"}
             </button>
           )}
+          {canManage && (
+            <button
+              onClick={checkDrift}
+              disabled={checkingDrift}
+              title="Recompute debit, credit and balance from the ledger and report differences"
+            >
+              {checkingDrift ? "Checking..." : "Recalculate Balances from Ledger"}
+            </button>
+          )}
+          {canManage && (
+            <button onClick={() => setImportOpen(true)} title="Add accounts from a CSV file">
+              Import CSV
+            </button>
+          )}
+          <ExportMenu getTable={exportTable} disabled={loading} title="Export the filtered accounts" />
           <button onClick={() => setHelpOpen(true)} title="Open help documentation">
             ? Help
           </button>
         </div>
 
+        <ImportWizard
+          open={importOpen}
+          onClose={() => setImportOpen(false)}
+          title="Import Chart of Accounts"
+          template={ACCOUNT_TEMPLATE}
+          templateName="accounts-template.csv"
+          preview={previewAccountImport}
+          onImport={async (rows) => {
+            const created = await importAccounts(rows, userEmail);
+            setAccounts((prev) => [...created, ...prev]);
+            toast.success(`${created.length} account(s) imported.`);
+          }}
+        >
+          One row per account. Required columns: <strong>Number</strong>, <strong>Name</strong>,{" "}
+          <strong>Category</strong>, <strong>Subcategory</strong>. Optional: Normal Side, Initial Balance,
+          Description, Order, Statement (BS / IS / RE), Term (current / noncurrent), Comment. Numbers
+          must be digits with the category prefix (1 Asset … 5 Expense) and unique.
+        </ImportWizard>
+
+        {/* Balance drift report (admin) */}
+        {canManage && drift && drift.length > 0 && (
+          <section style={styles.form}>
+            <h3>Balance Drift</h3>
+            <p>These accounts' stored totals disagree with their posted ledger entries.</p>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: "left" }}>Account</th>
+                  <th style={{ textAlign: "right" }}>Stored Debit / Credit</th>
+                  <th style={{ textAlign: "right" }}>Ledger Debit / Credit</th>
+                  <th style={{ textAlign: "right" }}>Stored Balance</th>
+                  <th style={{ textAlign: "right" }}>Ledger Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {drift.map(({ account, stored, expected }) => (
+                  <tr key={account.id}>
+                    <td>{account.number} — {account.name}</td>
+                    <td style={{ textAlign: "right" }}>
+                      {formatMoney(stored.debit)} / {formatMoney(stored.credit)}
+                    </td>
+                    <td style={{ textAlign: "right" }}>
+                      {formatMoney(expected.debit)} / {formatMoney(expected.credit)}
+                    </td>
+                    <td style={{ textAlign: "right" }}>{formatMoney(stored.balance)}</td>
+                    <td style={{ textAlign: "right" }}>{formatMoney(expected.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ marginTop: 12 }}>
+              <button onClick={fixDrift} disabled={checkingDrift}>
+                Fix {drift.length} Account(s)
+              </button>
+              <button onClick={() => setDrift(null)} style={{ marginLeft: 8 }}>
+                Dismiss
+              </button>
+            </div>
+          </section>
+        )}
+
         {/* Add/Edit Form - Only show for admin */}
         {showForm && canManage && (
           <form onSubmit={editingId ? saveEdit : handleSubmit} style={styles.form}>
@@ -420,6 +521,37 @@ function ChartOfAccounts() {
                   placeholder="e.g., Current Assets"
                 />
               </label>
+
+              {(form.category === "Asset" || form.category === "Liability") && (
+                <label title="Current vs. non-current classification on the balance sheet">
+                  Classification
+                  <select
+                    value={form.term || ""}
+                    onChange={(e) => setForm({ ...form, term: e.target.value })}
+                  >
+                    <option value="">
+                      Auto ({accountTerm(form) === "noncurrent" ? "Non-current" : "Current"} from subcategory)
+                    </option>
+                    <option value="current">Current</option>
+                    <option value="noncurrent">Non-current</option>
+                  </select>
+                </label>
+              )}
+
+              {["Asset", "Liability", "Equity"].includes(form.category) && (
+                <label title="Where changes in this account appear on the statement of cash flows">
+                  Cash Flow
+                  <select
+                    value={form.cashFlow || ""}
+                    onChange={(e) => setForm({ ...form, cashFlow: e.target.value })}
+                  >
+                    <option value="">Auto ({CASH_FLOW_LABELS[cashFlowActivity({ ...form, cashFlow: "" })]})</option>
+                    {Object.entries(CASH_FLOW_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
             </div>
 
             <div style={styles.row}>
@@ -433,28 +565,20 @@ function ChartOfAccounts() {
                   placeholder="0.00"
                 />
               </label>
-
-              <label title="Total debits to this account">
-                Debit
-                <input
-                  type="number"
-                  step="0.01"
-                  value={form.debit}
-                  onChange={(e) => setForm({ ...form, debit: e.target.value })}
-                  placeholder="0.00"
-                />
-              </label>
-
-              <label title="Total credits to this account">
-                Credit
-                <input
-                  type="number"
-                  step="0.01"
-                  value={form.credit}
-                  onChange={(e) => setForm({ ...form, credit: e.target.value })}
-                  placeholder="0.00"
-                />
+              <label title="Currency the account is kept in; balances are reported in the functional currency">
+                Currency
+                <select
+                  value={form.currency || FUNCTIONAL_CURRENCY}
+                  onChange={(e) => setForm({ ...form, currency: e.target.value })}
+                >
+                  {CURRENCIES.map((c) => (
+                    <option key={c} value={c}>{c}{c === FUNCTIONAL_CURRENCY ? " (functional)" : ""}</option>
+                  ))}
+                </select>
               </label>
+              <small style={{ alignSelf: "flex-end", color: "#64748b" }}>
+                Debit, credit and balance totals are updated automatically when journal entries are posted.
+              </small>
             </div>
 
             <div style={styles.row}>
@@ -641,6 +765,9 @@ function ChartOfAccounts() {
                       >
                         {acc.name}
                       </button>
+                      {accountCurrency(acc) !== FUNCTIONAL_CURRENCY && (
+                        <span style={{ marginLeft: 6, fontSize: 11, color: "#64748b" }}>{acc.currency}</span>
+                      )}
                     </td>
                     <td style={styles.td}>
                       <button
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Consolidated Trial Balance
+ * @description Trial balance summed across the companies the user can report
+ * on, with each company's balance beside the consolidated debit / credit.
+ *
+ * @module pages/ConsolidatedTrialBalance
+ * @requires react
+ * @requires ../components/NavBar
+ * @requires ../utils/company
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useMemo, useState } from "react";
+import NavBar from "../components/NavBar";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
+import { COMPANY_NAME } from "../utils/export";
+import { formatMoney } from "../utils/format";
+import { consolidatedTrialBalance, loadBooks } from "../utils/company";
+
+/** Roles that may report on a company */
+const REPORTING_ROLES = ["admin", "manager"];
+
+/** A company's balance: debits as-is, credits in parentheses */
+const signed = (n) => (n < 0 ? `(${formatMoney(-n)})` : formatMoney(n || 0));
+
+/**
+ * ConsolidatedTrialBalance Component
+ *
+ * @component
+ * @description Accounts are matched across companies by account number.
+ * Intercompany balances are not eliminated.
+ *
+ * @returns {JSX.Element} Consolidated trial balance
+ */
+export default function ConsolidatedTrialBalance() {
+  const { userEmail, companies } = useAuth();
+
+  // ==================== State Management ====================
+
+  /** Companies the user is an admin or manager of */
+  const reportable = useMemo(() => companies.filter((c) => REPORTING_ROLES.includes(c.role)), [companies]);
+
+  /** @type {[Array<string>, Function]} Selected company ids */
+  const [selected, setSelected] = useState(() => reportable.map((c) => c.id));
+
+  /** @type {[string, Function]} As-of date (YYYY-MM-DD) */
+  const [asOf, setAsOf] = useState(() => new Date().toISOString().slice(0, 10));
+
+  /** @type {[Object|null, Function]} { asOf, companies, rows, totals } */
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // ==================== Event Handlers ====================
+
+  const toggle = (id) => {
+    setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+    setReport(null);
+  };
+
+  const handleRun = async () => {
+    setLoading(true);
+    try {
+      const chosen = reportable.filter((c) => selected.includes(c.id));
+      const books = await loadBooks(chosen);
+      setReport({ asOf, companies: chosen, ...consolidatedTrialBalance(books, asOf) });
+    } catch (err) {
+      console.error("Consolidation failed:", err);
+      alert(`Error building the consolidated trial balance: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportTable = () => ({
+    title: "Consolidated Trial Balance",
+    period: { from: "", to: report.asOf },
+    columns: [
+      { label: "Number" },
+      { label: "Account" },
+      ...report.companies.map((c) => ({ label: c.name, format: "money" })),
+      { label: "Debit", format: "money" },
+      { label: "Credit", format: "money" },
+    ],
+    rows: [
+      ...report.rows.map((r) => [
+        r.number, r.name, ...report.companies.map((c) => r.byCompany[c.id] || 0), r.debit, r.credit,
+      ]),
+      {
+        cells: ["", "Total", ...report.companies.map((c) => report.totals.byCompany[c.id]), report.totals.debit, report.totals.credit],
+        kind: "grand",
+      },
+    ],
+    generatedBy: userEmail,
+    // Spans companies, so headed with the group name rather than the open company
+    company: COMPANY_NAME,
+  });
+
+  // ==================== Render ====================
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1200 }}>
+        <h2>Consolidated Trial Balance</h2>
+        <p style={styles.muted}>
+          Balances are summed by account number. Company columns show debit balances as positive and credit balances
+          in parentheses. Intercompany balances are not eliminated.
+        </p>
+
+        <div style={styles.toolbar}>
+          {reportable.map((c) => (
+            <label key={c.id}>
+              <input type="checkbox" checked={selected.includes(c.id)} onChange={() => toggle(c.id)} /> {c.name}
+            </label>
+          ))}
+          <label>
+            As of <input type="date" value={asOf} onChange={(e) => { setAsOf(e.target.value); setReport(null); }} />
+          </label>
+          <button onClick={handleRun} disabled={loading || !selected.length || !asOf}>
+            {loading ? "Loading..." : "Run"}
+          </button>
+          <ExportMenu getTable={exportTable} disabled={!report || !report.rows.length} />
+        </div>
+
+        {!report ? (
+          <p>Choose companies and a date, then run the report.</p>
+        ) : report.rows.length === 0 ? (
+          <p>No balances as of {report.asOf}.</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Number</th>
+                <th style={styles.th}>Account</th>
+                {report.companies.map((c) => (
+                  <th key={c.id} style={{ ...styles.th, textAlign: "right" }}>{c.name}</th>
+                ))}
+                <th style={{ ...styles.th, textAlign: "right" }}>Debit</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Credit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((r) => (
+                <tr key={r.number}>
+                  <td style={styles.td}>{r.number}</td>
+                  <td style={styles.td}>{r.name}</td>
+                  {report.companies.map((c) => (
+                    <td key={c.id} style={{ ...styles.td, textAlign: "right" }}>
+                      {r.byCompany[c.id] === undefined ? "—" : signed(r.byCompany[c.id])}
+                    </td>
+                  ))}
+                  <td style={{ ...styles.td, textAlign: "right" }}>{r.debit ? formatMoney(r.debit) : ""}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{r.credit ? formatMoney(r.credit) : ""}</td>
+                </tr>
+              ))}
+              <tr style={{ fontWeight: 600, background: "#f1f5f9" }}>
+                <td style={styles.td} colSpan={2}>Total</td>
+                {report.companies.map((c) => (
+                  <td key={c.id} style={{ ...styles.td, textAlign: "right" }}>{signed(report.totals.byCompany[c.id])}</td>
+                ))}
+                <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(report.totals.debit)}</td>
+                <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(report.totals.credit)}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  toolbar: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", margin: "12px 0" },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13 },
+  muted: { color: "#64748b", fontSize: 13 },
+};
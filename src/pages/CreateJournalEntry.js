@@ -17,13 +17,20 @@ import {
   updateDoc,
   getDocs
 } from "firebase/firestore";
-import { db, auth } from "../firebase";
+import { db } from "../firebase";
+import { companyCollection } from "../utils/company";
 import NavBar from "../components/NavBar";
 import { uploadAttachment } from "../utils/uploadAttachment";
+import { useAuth } from "../context/authContext";
+import { createJournalEntry, linesFromRows, validateJournalEntry } from "../utils/journal";
+import { checkPostingPeriod } from "../utils/periods";
+
+const today = () => new Date().toISOString().slice(0, 10);
 
 function CreateJournal() {
-  const userEmail = auth?.currentUser?.email || "accountant@example.com";
+  const { userEmail, role } = useAuth();
 
+  const [date, setDate] = useState(today);
   const [description, setDescription] = useState("");
   const [debits, setDebits] = useState([{ accountId: "", accountName: "", amount: "" }]);
   const [credits, setCredits] = useState([{ accountId: "", accountName: "", amount: "" }]);
@@ -36,7 +43,7 @@ function CreateJournal() {
   // Load Chart of Accounts
   useEffect(() => {
     const load = async () => {
-      const snap = await getDocs(collection(db, "accounts"));
+      const snap = await getDocs(companyCollection("accounts"));
       setAccounts(snap.docs.map(d => ({ id: d.id, ...d.data() })));
     };
     load();
@@ -57,89 +64,18 @@ function CreateJournal() {
       : setCredits(credits.filter((_, idx) => idx !== i));
   };
 
-  // Validation rules
-  const validate = () => {
-
-    if (!description || !description.trim()) {
-      return "Description is required.";
-   }
-
-   for (const d of debits) {
-    if (!d.accountId || !d.accountName) {
-      return "All debit accounts must be selected.";
-    }
-  }
-  for (const c of credits) {
-    if (!c.accountId || !c.accountName) {
-      return "All credit accounts must be selected.";
-    }
-  }
-
-   
-  for (const d of debits) {
-    const amt = Number(d.amount);
-
-    if (amt < 0) {
-       return "Debit amounts cannot be negative.";
-    }
-
-    if (!amt || amt <= 0) {
-      return "Debit amounts must be greater than zero.";
-    }
-  }
-
-for (const d of debits) {
-  const account = accounts.find(a => a.id === d.accountId);
-  if (!account) {
-    return "One or more debit accounts no longer exist in the chart of accounts.";
-  }
-  if (account.active === false) {
-    return `Debit account "${account.name}" is inactive and cannot be used.`;
-  }
-}
-
-for (const c of credits) {
-  const account = accounts.find(a => a.id === c.accountId);
-  if (!account) {
-    return "One or more credit accounts no longer exist in the chart of accounts.";
-  }
-  if (account.active === false) {
-    return `Credit account "${account.name}" is inactive and cannot be used.`;
-  }
-}
-
-
-  
-  for (const c of credits) {
-    const amt = Number(c.amount);
-
-    if (amt < 0) {
-       return "Credit amounts cannot be negative.";
-    }
-
-    if (!amt || amt <= 0) {
-      return "Credit amounts must be greater than zero.";
-    }
-  }
-
-    if (debits.length === 0 || credits.length === 0)
-      return "Each journal entry must include at least one debit and one credit.";
-
-    const totalDebit = debits.reduce((sum, d) => sum + Number(d.amount || 0), 0);
-    const totalCredit = credits.reduce((sum, c) => sum + Number(c.amount || 0), 0);
-
-    if (totalDebit !== totalCredit) {
-      return `Total debits (${totalDebit.toFixed(2)}) must equal total credits (${totalCredit.toFixed(2)}).`;
-    }
-
-    return "";
-  };
+  // Validation rules (shared with JournalEntryPage)
+  const validate = () =>
+    validateJournalEntry(
+      { description, date, lines: linesFromRows(debits, credits, accounts) },
+      accounts
+    );
 
   // Submit journal entry
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    const msg = validate();
+    const msg = validate() || (await checkPostingPeriod(date, "regular"));
     if (msg) {
       setError(msg);
 
@@ -157,84 +93,59 @@ for (const c of credits) {
     try {
       setSaving(true);
 
-      // Create base journal entry
-      const entryRef = await addDoc(collection(db, "journalEntries"), {
-        description,
-        debits: debits.map(d => ({
-          accountId: d.accountId,
-          accountName: d.accountName,
-          amount: Number(d.amount || 0)
-        })),
-        credits: credits.map(c => ({
-          accountId: c.accountId,
-          accountName: c.accountName,
-          amount: Number(c.amount || 0)
-        })),
-        attachments: [],
-        preparedBy: userEmail,
-        preparedByRole: "accountant",
-        postRef: `PR-${Date.now()}`,
-        status: "pending",
-        createdAt: serverTimestamp()
-      });
+      // Create base journal entry (also notifies managers)
+      const entryRef = await createJournalEntry(
+        {
+          type: "regular",
+          date,
+          description,
+          lines: linesFromRows(debits, credits, accounts),
+        },
+        { userEmail, role }
+      );
 
       const journalId = entryRef.id;
 
       // Upload attachments
       const finalAttachments = [];
+      const allowed = ["pdf", "doc", "docx", "xls", "xlsx", "csv", "jpg", "png"];
 
       for (const att of attachments) {
         if (!att.file) continue;
 
         const ext = att.file.name.split(".").pop().toLowerCase();
-        const allowed = ["pdf", "doc", "docx", "xls", "xlsx", "csv", "jpg", "png"];
-         
-       if (!allowed.includes(ext)) {
-      
-        await addDoc(collection(db, "errorMessages"), {
-          user: userEmail,
-          message: `Attachment upload failed: ${att.file?.name}`,
-          createdAt: serverTimestamp(),
-          context: "create-journal-attachment"
-        });
-      continue;   
+        if (!allowed.includes(ext)) {
+          await addDoc(collection(db, "errorMessages"), {
+            user: userEmail,
+            message: `Attachment upload failed: ${att.file?.name}`,
+            createdAt: serverTimestamp(),
+            context: "create-journal-attachment"
+          });
+          continue;
+        }
+
+        try {
+          const uploaded = await uploadAttachment(
+            `journalEntries/${journalId}/attachments`,
+            att.file
+          );
+          finalAttachments.push(uploaded);
+        } catch (err) {
+          await addDoc(collection(db, "errorMessages"), {
+            user: userEmail,
+            message: `Attachment upload failed: ${att.file.name}`,
+            createdAt: serverTimestamp(),
+            context: "create-journal-attachment"
+          });
+        }
       }
 
-      try {
-    const uploaded = await uploadAttachment(
-      `journalEntries/${journalId}/attachments`,
-      att.file
-    );
-    finalAttachments.push(uploaded);
-  } catch (err) {
-    
-    await addDoc(collection(db, "errorMessages"), {
-      user: userEmail,
-      message: `Attachment upload failed: ${att.file.name}`,
-      createdAt: serverTimestamp(),
-      context: "create-journal-attachment"
-    });
-  }
-}
-
-await updateDoc(entryRef, { attachments: finalAttachments })
-    
-      await updateDoc(entryRef, { attachments: finalAttachments });
-
-      // Create notification for manager review
-      await addDoc(collection(db, "notifications"), {
-        recipient: "manager@example.com",
-        sender: userEmail,
-        senderRole: "accountant", 
-        entryId: journalId, description, 
-        totalDebit: debits.reduce((s, d) => s + Number(d.amount || 0), 0), 
-        totalCredit: credits.reduce((s, c) => s + Number(c.amount || 0), 0),
-        message: `A new adjusting journal entry was submitted by ${userEmail}.`, 
-        type: "submission",
-        createdAt: serverTimestamp()
-      });
+      if (finalAttachments.length) {
+        await updateDoc(entryRef, { attachments: finalAttachments });
+      }
 
       // Reset
+      setDate(today());
       setDescription("");
       setDebits([{ accountId: "", accountName: "", amount: "" }]);
       setCredits([{ accountId: "", accountName: "", amount: "" }]);
@@ -244,7 +155,7 @@ await updateDoc(entryRef, { attachments: finalAttachments })
       alert("Journal entry submitted for approval.");
     } catch (err) {
       console.error("Save error:", err);
-      setError("Failed to save journal entry.");
+      setError(err.message || "Failed to save journal entry.");
     } finally {
       setSaving(false);
     }
@@ -259,6 +170,16 @@ await updateDoc(entryRef, { attachments: finalAttachments })
 
         <form onSubmit={handleSubmit} style={{ maxWidth: 800 }}>
 
+          {/* Date */}
+          <label>Date:</label>
+          <input
+            type="date"
+            value={date}
+            onChange={e => setDate(e.target.value)}
+            style={input}
+            required
+          />
+
           {/* Description */}
           <label>Description:</label>
           <input
@@ -392,6 +313,7 @@ await updateDoc(entryRef, { attachments: finalAttachments })
               type="button"
               style={{ marginLeft: 8 }}
               onClick={() => {
+                setDate(today());
                 setDescription("");
                 setDebits([{ accountId: "", accountName: "", amount: "" }]);
                 setCredits([{ accountId: "", accountName: "", amount: "" }]);
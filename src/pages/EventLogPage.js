@@ -17,10 +17,12 @@
 
 import React, { useEffect, useMemo, useState } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
-import { collection, getDocs, orderBy, query } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import { getDocs, orderBy, query } from "firebase/firestore";
 import NavBar from "../components/NavBar";
 import { formatMoney } from "../utils/format";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
 
 /**
  * EventLogPage Component
@@ -50,7 +52,7 @@ export default function EventLogPage() {
   // ==================== State Management ====================
   
   /** @type {string} Current user's email */
-  const userEmail = auth?.currentUser?.email || "user@example.com";
+  const { userEmail } = useAuth();
   
   /** @type {[string, Function]} Selected date for NavBar */
   const [selectedDate, setSelectedDate] = useState(() =>
@@ -100,7 +102,7 @@ export default function EventLogPage() {
   useEffect(() => {
     const load = async () => {
       const snap = await getDocs(
-        query(collection(db, "eventLogs"), orderBy("at", "desc"))
+        query(companyCollection("eventLogs"), orderBy("at", "desc"))
       );
       setLogs(snap.docs.map(d => ({ id: d.id, ...d.data() })));
       setLoading(false);
@@ -181,6 +183,39 @@ export default function EventLogPage() {
     return v;
   }, [logs, entityFilter, qAccountId, from, to, search]);
 
+  /**
+   * Filtered logs as an export table (see utils/export)
+   *
+   * @function exportTable
+   * @returns {Object} Table with one row per log entry
+   */
+  const exportTable = () => {
+    const snapshot = (snap) =>
+      snap
+        ? `${snap.name || ""} (${snap.number || ""}) ${snap.category || ""} > ${snap.subcategory || ""}` +
+          (typeof snap.balance === "number" ? `; Bal: ${formatMoney(snap.balance)}` : "")
+        : "";
+    return {
+      title: "Event Logs",
+      period: from || to ? { from, to } : null,
+      generatedBy: userEmail,
+      columns: [
+        { label: "Timestamp" },
+        { label: "User" },
+        { label: "Action Taken" },
+        { label: "Before" },
+        { label: "After" },
+      ],
+      rows: view.map((l) => [
+        l.at?.toDate ? l.at.toDate().toLocaleString() : "",
+        l.user || "",
+        l.action || "",
+        snapshot(l.before),
+        snapshot(l.after),
+      ]),
+    };
+  };
+
   // ==================== Render ====================
   
   return (
@@ -239,6 +274,9 @@ export default function EventLogPage() {
             <button style={styles.applyBtn} onClick={() => {}}>
               Apply Filters
             </button>
+
+            {/* Export filtered logs */}
+            <ExportMenu getTable={exportTable} disabled={loading} title="Export the filtered logs" />
           </div>
         </div>
 
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Exchange Rates Page
+ * @description Maintain the exchange rate table used to convert foreign-currency
+ * journal lines, and create the period-end unrealized FX revaluation entry.
+ *
+ * @module pages/ExchangeRatesPage
+ * @requires react
+ * @requires react-router-dom
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/currency
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import NavBar from "../components/NavBar";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
+import { formatMoney } from "../utils/format";
+import { FUNCTIONAL_CURRENCY } from "../utils/financials";
+import {
+  CURRENCIES, createRevaluationEntry, isGainLossAccount, loadRates, loadRevaluation, rateOn, saveRate,
+} from "../utils/currency";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const EMPTY_RATE = () => ({ currency: CURRENCIES.find((c) => c !== FUNCTIONAL_CURRENCY), date: today(), rate: "" });
+
+/** Default FX gain / loss account: the first active revenue or expense account named "…exchange…". */
+const defaultGainLoss = (accounts) =>
+  accounts.find((a) => isGainLossAccount(a) && a.active !== false && /exchange/i.test(a.name || ""))?.id || "";
+
+/**
+ * ExchangeRatesPage Component
+ *
+ * @component
+ * @description Latest rate per currency, the full rate history with an add
+ * form, and a revaluation preview that submits the adjusting entry.
+ *
+ * @returns {JSX.Element} Exchange rates and revaluation
+ */
+export default function ExchangeRatesPage() {
+  const { userEmail, role } = useAuth();
+  const navigate = useNavigate();
+
+  // ==================== State Management ====================
+
+  /** @type {[Array<Object>, Function]} Rates by currency, newest first */
+  const [rates, setRates] = useState([]);
+
+  /** @type {[Array<Object>, Function]} Revenue / expense accounts for FX gains and losses */
+  const [gainLossAccounts, setGainLossAccounts] = useState([]);
+
+  const [loading, setLoading] = useState(true);
+
+  /** @type {[Object, Function]} New rate form */
+  const [form, setForm] = useState(EMPTY_RATE);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  /** @type {[string, Function]} Revaluation date (YYYY-MM-DD) */
+  const [asOf, setAsOf] = useState(today);
+  const [gainLossId, setGainLossId] = useState("");
+
+  /** @type {[Object|null, Function]} revaluation() preview for `asOf` */
+  const [preview, setPreview] = useState(null);
+  const [revaluing, setRevaluing] = useState(false);
+
+  // ==================== Effects ====================
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [list, accSnap] = await Promise.all([loadRates(), getDocs(companyCollection("accounts"))]);
+        const accounts = accSnap.docs
+          .map((d) => ({ id: d.id, ...d.data() }))
+          .filter((a) => isGainLossAccount(a) && a.active !== false);
+        setRates(list);
+        setGainLossAccounts(accounts);
+        setGainLossId(defaultGainLoss(accounts));
+      } catch (err) {
+        console.error("Failed to load exchange rates:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  /** Latest rate per currency today */
+  const latest = useMemo(() => {
+    const seen = new Map();
+    for (const r of rates) if (!seen.has(r.currency)) seen.set(r.currency, r);
+    return [...seen.values()];
+  }, [rates]);
+
+  // ==================== Event Handlers ====================
+
+  const handleSaveRate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await saveRate(form, userEmail);
+      setRates(await loadRates());
+      setForm({ ...EMPTY_RATE(), currency: form.currency });
+      setPreview(null);
+    } catch (err) {
+      console.error("Failed to save rate:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      const { reval } = await loadRevaluation(asOf);
+      setPreview({ asOf, ...reval });
+    } catch (err) {
+      console.error("Revaluation preview failed:", err);
+      alert(`Error computing revaluation: ${err.message}`);
+    }
+  };
+
+  const handleRevalue = async () => {
+    if (!window.confirm(`Submit the foreign exchange revaluation entry as of ${asOf} for approval?`)) return;
+    setRevaluing(true);
+    try {
+      const id = await createRevaluationEntry(asOf, gainLossId, { userEmail, role });
+      navigate(`/journal/${id}`);
+    } catch (err) {
+      console.error("Revaluation failed:", err);
+      alert(err.message);
+    } finally {
+      setRevaluing(false);
+    }
+  };
+
+  const previewTable = () =>
+    preview && {
+      title: "Foreign Currency Revaluation",
+      period: { from: "", to: preview.asOf },
+      columns: [
+        { label: "Account" },
+        { label: "Currency" },
+        { label: "Balance (transaction currency)", format: "money" },
+        { label: "Rate" },
+        { label: `Book (${FUNCTIONAL_CURRENCY})`, format: "money" },
+        { label: `Revalued (${FUNCTIONAL_CURRENCY})`, format: "money" },
+        { label: "Adjustment", format: "money" },
+      ],
+      rows: [
+        ...preview.rows.map((r) => [
+          `${r.account.number} ${r.account.name}`, r.currency, r.transactionBalance, String(r.rate),
+          r.bookBalance, r.revaluedBalance, r.adjustment,
+        ]),
+        { cells: [preview.net >= 0 ? "Net unrealized gain" : "Net unrealized loss", "", "", "", "", "", preview.net], kind: "grand" },
+      ],
+      generatedBy: userEmail,
+    };
+
+  // ==================== Render ====================
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1100 }}>
+        <h2>Exchange Rates</h2>
+        <p style={styles.muted}>
+          Rates are {FUNCTIONAL_CURRENCY} (functional currency) per one unit of the foreign currency. A journal line uses
+          the latest rate on or before its entry date.
+        </p>
+
+        {/* Add rate */}
+        <form onSubmit={handleSaveRate} style={styles.form}>
+          <div style={styles.row}>
+            <select value={form.currency} onChange={(e) => setForm({ ...form, currency: e.target.value })}>
+              {CURRENCIES.filter((c) => c !== FUNCTIONAL_CURRENCY).map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            <input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+            <label>
+              1 {form.currency} ={" "}
+              <input type="number" step="any" min="0" value={form.rate}
+                onChange={(e) => setForm({ ...form, rate: e.target.value })} style={{ width: 110 }} />{" "}
+              {FUNCTIONAL_CURRENCY}
+            </label>
+            <button type="submit" disabled={saving}>{saving ? "Saving..." : "Save Rate"}</button>
+          </div>
+          {error && <div style={styles.error}>{error}</div>}
+        </form>
+
+        {loading ? (
+          <p>Loading...</p>
+        ) : rates.length === 0 ? (
+          <p>No exchange rates recorded.</p>
+        ) : (
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 2fr", gap: 24 }}>
+            <section>
+              <h3>Current Rates</h3>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Currency</th>
+                    <th style={{ ...styles.th, textAlign: "right" }}>Rate</th>
+                    <th style={styles.th}>As Of</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {latest.map((r) => (
+                    <tr key={r.currency}>
+                      <td style={styles.td}>{r.currency}</td>
+                      <td style={{ ...styles.td, textAlign: "right" }}>{rateOn(rates, r.currency, today()) ?? "—"}</td>
+                      <td style={styles.td}>{r.date}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+
+            <section>
+              <h3>History</h3>
+              <div style={{ maxHeight: 320, overflowY: "auto" }}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>Currency</th>
+                      <th style={styles.th}>Date</th>
+                      <th style={{ ...styles.th, textAlign: "right" }}>Rate</th>
+                      <th style={styles.th}>Entered By</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rates.map((r) => (
+                      <tr key={r.id}>
+                        <td style={styles.td}>{r.currency}</td>
+                        <td style={styles.td}>{r.date}</td>
+                        <td style={{ ...styles.td, textAlign: "right" }}>{r.rate}</td>
+                        <td style={styles.td}>{r.createdBy || "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          </div>
+        )}
+
+        {/* Revaluation */}
+        <section style={{ marginTop: 32 }}>
+          <div style={styles.header}>
+            <h3>Unrealized FX Revaluation</h3>
+            <ExportMenu getTable={previewTable} disabled={!preview || !preview.rows.length} />
+          </div>
+          <p style={styles.muted}>
+            Restates foreign-currency asset and liability balances at the rate on the revaluation date. The entry is an
+            adjusting entry that reverses the next day.
+          </p>
+          <div style={styles.row}>
+            <label>
+              As of <input type="date" value={asOf} onChange={(e) => { setAsOf(e.target.value); setPreview(null); }} />
+            </label>
+            <label>
+              Gain / loss account{" "}
+              <select value={gainLossId} onChange={(e) => setGainLossId(e.target.value)}>
+                <option value="">Select account</option>
+                {gainLossAccounts.map((a) => (
+                  <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+                ))}
+              </select>
+            </label>
+            <button onClick={handlePreview} disabled={!asOf}>Preview</button>
+          </div>
+
+          {preview && (
+            <>
+              {preview.missing.length > 0 && (
+                <div style={styles.error}>
+                  No rate on or before {preview.asOf} for {preview.missing.join(", ")}; those accounts are not revalued.
+                </div>
+              )}
+              {preview.rows.length === 0 ? (
+                <p>Nothing to revalue as of {preview.asOf}.</p>
+              ) : (
+                <>
+                  <table style={{ ...styles.table, marginTop: 12 }}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>Account</th>
+                        <th style={{ ...styles.th, textAlign: "right" }}>Balance</th>
+                        <th style={{ ...styles.th, textAlign: "right" }}>Rate</th>
+                        <th style={{ ...styles.th, textAlign: "right" }}>Book ({FUNCTIONAL_CURRENCY})</th>
+                        <th style={{ ...styles.th, textAlign: "right" }}>Revalued ({FUNCTIONAL_CURRENCY})</th>
+                        <th style={{ ...styles.th, textAlign: "right" }}>Adjustment</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.map((r) => (
+                        <tr key={r.account.id}>
+                          <td style={styles.td}>{r.account.name} ({r.account.number})</td>
+                          <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.transactionBalance, r.currency)}</td>
+                          <td style={{ ...styles.td, textAlign: "right" }}>{r.rate}</td>
+                          <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.bookBalance)}</td>
+                          <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.revaluedBalance)}</td>
+                          <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.adjustment)}</td>
+                        </tr>
+                      ))}
+                      <tr style={{ fontWeight: 600 }}>
+                        <td style={styles.td} colSpan={5}>
+                          {preview.net >= 0 ? "Net unrealized gain" : "Net unrealized loss"}
+                        </td>
+                        <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(Math.abs(preview.net))}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  <div style={{ ...styles.row, marginTop: 12 }}>
+                    <button onClick={handleRevalue} disabled={revaluing || !gainLossId || preview.missing.length > 0}>
+                      {revaluing ? "Submitting..." : "Create Revaluation Entry"}
+                    </button>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  form: {
+    background: "#f8fafc",
+    border: "1px solid #e2e8f0",
+    borderRadius: 12,
+    padding: 16,
+    margin: "12px 0 24px",
+  },
+  row: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13 },
+  muted: { color: "#64748b", fontSize: 13 },
+  error: { color: "#b91c1c", marginTop: 8 },
+};
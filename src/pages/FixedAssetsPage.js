@@ -0,0 +1,502 @@
+/**
+ * @fileoverview Fixed Assets Page
+ * @description Fixed asset register: record assets with their cost, useful
+ * life, salvage value, depreciation method and accounts, view each asset's
+ * depreciation schedule and generate the monthly depreciation entries.
+ *
+ * @module pages/FixedAssetsPage
+ * @requires react
+ * @requires react-router-dom
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/assets
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import NavBar from "../components/NavBar";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
+import { formatMoney } from "../utils/format";
+import {
+  DEFAULT_DECLINING_FACTOR, DEPRECIATION_METHODS, bookValueAt, depreciationEntryId, depreciationSchedule,
+  dueDepreciation, generateDepreciation, loadAssets, loadRejectedDepreciation, saveAsset,
+} from "../utils/assets";
+
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+const EMPTY_FORM = () => ({
+  name: "",
+  cost: "",
+  salvageValue: "0",
+  inServiceDate: new Date().toISOString().slice(0, 10),
+  usefulLifeYears: "5",
+  method: "straight_line",
+  decliningFactor: String(DEFAULT_DECLINING_FACTOR),
+  assetAccountId: "",
+  accumulatedAccountId: "",
+  expenseAccountId: "",
+  active: true,
+});
+
+/** Form state for an existing asset. */
+const assetToForm = (a) => ({
+  ...EMPTY_FORM(),
+  ...a,
+  cost: String(a.cost),
+  salvageValue: String(a.salvageValue || 0),
+  usefulLifeYears: String(a.usefulLifeYears),
+  decliningFactor: String(a.decliningFactor || DEFAULT_DECLINING_FACTOR),
+  active: a.active !== false,
+});
+
+/**
+ * FixedAssetsPage Component
+ *
+ * @component
+ * @description Asset list with accumulated depreciation and book value, the
+ * create / edit form, a per-asset schedule and "Generate Depreciation".
+ *
+ * @returns {JSX.Element} Fixed asset register
+ */
+export default function FixedAssetsPage() {
+  const { userEmail, role } = useAuth();
+  const navigate = useNavigate();
+
+  // ==================== State Management ====================
+
+  /** @type {[Array<Object>, Function]} Assets sorted by name */
+  const [assets, setAssets] = useState([]);
+
+  /** @type {[Array<Object>, Function]} Chart of accounts */
+  const [accounts, setAccounts] = useState([]);
+
+  /** @type {[Object, Function]} Months of rejected depreciation entries, by asset id */
+  const [rejected, setRejected] = useState({});
+
+  const [loading, setLoading] = useState(true);
+
+  /** @type {[Object|null, Function]} Asset form, or null when closed */
+  const [form, setForm] = useState(null);
+
+  /** @type {[string|null, Function]} Id of the asset being edited */
+  const [editingId, setEditingId] = useState(null);
+
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  /** @type {[string|null, Function]} Asset whose schedule is shown */
+  const [scheduleId, setScheduleId] = useState(null);
+
+  /** @type {[string, Function]} Generate depreciation through this month (YYYY-MM) */
+  const [through, setThrough] = useState(thisMonth);
+  const [generating, setGenerating] = useState(false);
+
+  /** @type {[Object|null, Function]} Result of the last generation run */
+  const [result, setResult] = useState(null);
+
+  // ==================== Effects ====================
+
+  const refresh = async () => {
+    const [list, rejectedMonths] = await Promise.all([loadAssets(), loadRejectedDepreciation()]);
+    setAssets(list);
+    setRejected(rejectedMonths);
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [list, accSnap, rejectedMonths] = await Promise.all([
+          loadAssets(),
+          getDocs(companyCollection("accounts")),
+          loadRejectedDepreciation(),
+        ]);
+        setAssets(list);
+        setRejected(rejectedMonths);
+        setAccounts(accSnap.docs.map((d) => ({ id: d.id, ...d.data() })));
+      } catch (err) {
+        console.error("Failed to load fixed assets:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const accountName = (id) => accounts.find((a) => a.id === id)?.name || "—";
+  const accountsIn = (category) => accounts.filter((a) => a.category === category && a.active !== false);
+
+  const dueCount = useMemo(
+    () => assets.filter((a) => a.active !== false).reduce((n, a) => n + dueDepreciation(a, through, rejected[a.id]).length, 0),
+    [assets, through, rejected]
+  );
+
+  const scheduleAsset = assets.find((a) => a.id === scheduleId) || null;
+  const schedule = useMemo(() => (scheduleAsset ? depreciationSchedule(scheduleAsset) : []), [scheduleAsset]);
+
+  // ==================== Event Handlers ====================
+
+  const openNew = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM());
+    setError("");
+  };
+
+  const openEdit = (a) => {
+    setEditingId(a.id);
+    setForm(assetToForm(a));
+    setError("");
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+    setError("");
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await saveAsset(form, accounts, userEmail, editingId);
+      closeForm();
+      await refresh();
+    } catch (err) {
+      console.error("Failed to save asset:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (!window.confirm(`Create pending depreciation entries for all assets through ${through}?`)) return;
+    setGenerating(true);
+    setResult(null);
+    try {
+      setResult(await generateDepreciation(through, { userEmail, role }));
+      await refresh();
+    } catch (err) {
+      console.error("Depreciation failed:", err);
+      alert(`Error generating depreciation: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const scheduleTable = () =>
+    scheduleAsset && {
+      title: `Depreciation Schedule — ${scheduleAsset.name}`,
+      period: null,
+      columns: [
+        { label: "Month" },
+        { label: "Depreciation", format: "money" },
+        { label: "Accumulated", format: "money" },
+        { label: "Book Value", format: "money" },
+      ],
+      rows: schedule.map((r) => [r.month, r.amount, r.accumulated, r.bookValue]),
+      generatedBy: userEmail,
+    };
+
+  // ==================== Render ====================
+
+  const accountSelect = (field, category) => (
+    <select value={form[field]} onChange={(e) => setForm({ ...form, [field]: e.target.value })} style={{ flex: 1 }}>
+      <option value="">Select account</option>
+      {accountsIn(category).map((a) => (
+        <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1200 }}>
+        <div style={styles.header}>
+          <h2>Fixed Assets</h2>
+          <button onClick={openNew}>+ New Asset</button>
+        </div>
+
+        {/* Generate */}
+        <div style={styles.generate}>
+          <label>
+            Depreciate through{" "}
+            <input type="month" value={through} onChange={(e) => setThrough(e.target.value)} />
+          </label>
+          <span>{dueCount} month{dueCount === 1 ? "" : "s"} due</span>
+          <button onClick={handleGenerate} disabled={generating || !through || dueCount === 0}>
+            {generating ? "Generating..." : "Generate Depreciation"}
+          </button>
+        </div>
+
+        {result && (
+          <div style={styles.result}>
+            <strong>{result.created.length}</strong> depreciation entr{result.created.length === 1 ? "y" : "ies"} submitted
+            for approval{result.existing > 0 && <>, {result.existing} already existed</>}.
+            {result.created.length > 0 && (
+              <ul>
+                {result.created.map((c) => (
+                  <li key={c.id}>
+                    <button style={styles.linkBtn} onClick={() => navigate(`/journal/${c.id}`)}>
+                      {c.assetName} — {c.month}: {formatMoney(c.amount)}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {result.errors.map((e, i) => (
+              <div key={i} style={styles.error}>
+                {e.assetName} ({e.month}): {e.message}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Asset form */}
+        {form && (
+          <form onSubmit={handleSave} style={styles.form}>
+            <h3>{editingId ? "Edit Asset" : "New Asset"}</h3>
+
+            <div style={styles.row}>
+              <input
+                placeholder="Asset name (e.g. Delivery van)"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                style={{ flex: 1 }}
+              />
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                />{" "}
+                Depreciate
+              </label>
+            </div>
+
+            <div style={styles.row}>
+              <label>
+                Cost{" "}
+                <input type="number" step="0.01" min="0" value={form.cost}
+                  onChange={(e) => setForm({ ...form, cost: e.target.value })} style={{ width: 120 }} />
+              </label>
+              <label>
+                Salvage value{" "}
+                <input type="number" step="0.01" min="0" value={form.salvageValue}
+                  onChange={(e) => setForm({ ...form, salvageValue: e.target.value })} style={{ width: 120 }} />
+              </label>
+              <label>
+                In service{" "}
+                <input type="date" value={form.inServiceDate}
+                  onChange={(e) => setForm({ ...form, inServiceDate: e.target.value })} />
+              </label>
+              <label>
+                Useful life (years){" "}
+                <input type="number" step="0.25" min="0.25" value={form.usefulLifeYears}
+                  onChange={(e) => setForm({ ...form, usefulLifeYears: e.target.value })} style={{ width: 70 }} />
+              </label>
+            </div>
+
+            <div style={styles.row}>
+              <select value={form.method} onChange={(e) => setForm({ ...form, method: e.target.value })}>
+                {Object.entries(DEPRECIATION_METHODS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {form.method === "declining_balance" && (
+                <label title="Multiple of the straight-line rate; 2 is double-declining balance">
+                  Factor{" "}
+                  <input type="number" step="0.25" min="0.25" value={form.decliningFactor}
+                    onChange={(e) => setForm({ ...form, decliningFactor: e.target.value })} style={{ width: 70 }} />
+                </label>
+              )}
+            </div>
+
+            <div style={styles.row}>
+              <span style={styles.fieldLabel}>Asset account</span>
+              {accountSelect("assetAccountId", "Asset")}
+            </div>
+            <div style={styles.row}>
+              <span style={styles.fieldLabel}>Accumulated depreciation</span>
+              {accountSelect("accumulatedAccountId", "Asset")}
+            </div>
+            <div style={styles.row}>
+              <span style={styles.fieldLabel}>Depreciation expense</span>
+              {accountSelect("expenseAccountId", "Expense")}
+            </div>
+
+            {editingId && form.lastDepreciatedMonth && (
+              <p style={styles.muted}>
+                Depreciation is recorded through {form.lastDepreciatedMonth}. Changes only affect months not yet generated.
+              </p>
+            )}
+
+            {error && <div style={styles.error}>{error}</div>}
+
+            <div style={{ ...styles.row, marginTop: 12 }}>
+              <button type="submit" disabled={saving}>{saving ? "Saving..." : "Save Asset"}</button>
+              <button type="button" onClick={closeForm}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {/* Asset list */}
+        {loading ? (
+          <p>Loading...</p>
+        ) : assets.length === 0 ? (
+          <p>No fixed assets recorded.</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Asset</th>
+                <th style={styles.th}>In Service</th>
+                <th style={styles.th}>Method / Life</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Cost</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Accumulated</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Book Value</th>
+                <th style={styles.th}>Depreciated Through</th>
+                <th style={styles.th}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {assets.map((a) => {
+                const { accumulated, bookValue } = bookValueAt(a, a.lastDepreciatedMonth);
+                return (
+                  <tr key={a.id} style={a.active === false ? { opacity: 0.6 } : undefined}>
+                    <td style={styles.td}>
+                      <strong>{a.name}</strong>
+                      <div style={styles.muted}>
+                        {accountName(a.assetAccountId)} · {accountName(a.expenseAccountId)}
+                      </div>
+                    </td>
+                    <td style={styles.td}>{a.inServiceDate}</td>
+                    <td style={styles.td}>
+                      {DEPRECIATION_METHODS[a.method]}
+                      {a.method === "declining_balance" && ` (${a.decliningFactor || DEFAULT_DECLINING_FACTOR}×)`}
+                      {" / "}{a.usefulLifeYears} yrs
+                    </td>
+                    <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(a.cost)}</td>
+                    <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(accumulated)}</td>
+                    <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(bookValue)}</td>
+                    <td style={styles.td}>{a.lastDepreciatedMonth || "—"}</td>
+                    <td style={styles.td}>
+                      <button onClick={() => openEdit(a)}>Edit</button>{" "}
+                      <button onClick={() => setScheduleId(scheduleId === a.id ? null : a.id)}>
+                        {scheduleId === a.id ? "Hide Schedule" : "Schedule"}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {/* Depreciation schedule */}
+        {scheduleAsset && (
+          <section style={{ marginTop: 24 }}>
+            <div style={styles.header}>
+              <h3>Depreciation Schedule — {scheduleAsset.name}</h3>
+              <ExportMenu getTable={scheduleTable} disabled={!schedule.length} />
+            </div>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Month</th>
+                  <th style={{ ...styles.th, textAlign: "right" }}>Depreciation</th>
+                  <th style={{ ...styles.th, textAlign: "right" }}>Accumulated</th>
+                  <th style={{ ...styles.th, textAlign: "right" }}>Book Value</th>
+                  <th style={styles.th}>Entry</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.map((r) => {
+                  const generated = scheduleAsset.lastDepreciatedMonth && r.month <= scheduleAsset.lastDepreciatedMonth;
+                  return (
+                    <tr key={r.month}>
+                      <td style={styles.td}>{r.month}</td>
+                      <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.amount)}</td>
+                      <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.accumulated)}</td>
+                      <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.bookValue)}</td>
+                      <td style={styles.td}>
+                        {generated ? (
+                          <button style={styles.linkBtn} onClick={() => navigate(`/journal/${depreciationEntryId(scheduleAsset.id, r.month)}`)}>
+                            View entry
+                          </button>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  generate: {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    margin: "12px 0 20px",
+    background: "#f8fafc",
+    padding: "10px 12px",
+    borderRadius: 8,
+    border: "1px solid #e2e8f0",
+  },
+  result: {
+    background: "#f0fdf4",
+    border: "1px solid #bbf7d0",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+  },
+  form: {
+    background: "#f8fafc",
+    border: "1px solid #e2e8f0",
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 24,
+  },
+  row: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 8 },
+  fieldLabel: { width: 190, fontSize: 13 },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13, verticalAlign: "top" },
+  muted: { color: "#64748b", fontSize: 12 },
+  error: { color: "#b91c1c", marginTop: 8 },
+  linkBtn: {
+    background: "transparent",
+    border: "none",
+    color: "#2563eb",
+    textDecoration: "underline",
+    cursor: "pointer",
+    padding: 0,
+  },
+};
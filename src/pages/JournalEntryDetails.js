@@ -15,9 +15,15 @@
  */
 
 import React, { useEffect, useState } from "react";
-import { useParams, useNavigate } from "react-router-dom";
-import { doc, getDoc } from "firebase/firestore";
-import { db } from "../firebase";
+import { useParams, useNavigate, Link } from "react-router-dom";
+import { getDoc } from "firebase/firestore";
+import { companyDoc } from "../utils/company";
+import { createReversingEntry, entryLines } from "../utils/journal";
+import { FUNCTIONAL_CURRENCY } from "../utils/financials";
+import { formatMoney } from "../utils/format";
+import { approvalStatus } from "../utils/approvals";
+import { useAuth } from "../context/authContext";
+import { ROLES } from "../components/RoleRoute";
 
 /**
  * JournalEntryDetails Component
@@ -31,7 +37,11 @@ import { db } from "../firebase";
  * - Lists all debit transactions with account names and amounts
  * - Lists all credit transactions with account names and amounts
  * - Shows attached supporting documents with download links
- * - Normalizes data structure (supports both debits/credits and lines formats)
+ * - Approval rules the entry must satisfy, who has approved and what is outstanding
+ * - Reverse action for approved entries and links between an entry and its reversal
+ * - Auto-reverse date of adjusting entries (accruals)
+ * - Link back to the recurring template or fixed asset an entry was generated from
+ * - Reads legacy debits/credits documents through the shared entryLines helper
  * - Back navigation to previous page
  * 
  * @returns {JSX.Element} Journal entry details page
@@ -57,6 +67,17 @@ export default function JournalEntryDetails() {
   /** @type {[boolean, Function]} Loading state */
   const [loading, setLoading] = useState(true);
 
+  /** Current user, used as preparer of reversing entries */
+  const { userEmail, role } = useAuth();
+
+  /** @type {[string, Function]} Date for a new reversing entry (YYYY-MM-DD) */
+  const [reverseDate, setReverseDate] = useState(() =>
+    new Date().toISOString().slice(0, 10)
+  );
+
+  /** @type {[boolean, Function]} Reversal submission state */
+  const [reversing, setReversing] = useState(false);
+
   // ==================== Effects ====================
   
   /**
@@ -76,7 +97,7 @@ export default function JournalEntryDetails() {
      */
     const load = async () => {
       try {
-        const snap = await getDoc(doc(db, "journalEntries", id));
+        const snap = await getDoc(companyDoc("journalEntries", id));
         if (snap.exists()) {
           setEntry({ id: snap.id, ...snap.data() });
         }
@@ -89,6 +110,33 @@ export default function JournalEntryDetails() {
     load();
   }, [id]);
 
+  // ==================== Event Handlers ====================
+
+  /**
+   * Creates a pending reversing entry for this (approved) entry
+   *
+   * @async
+   * @function handleReverse
+   * @returns {Promise<void>}
+   *
+   * @description Swaps debit/credit on every line, dates the copy to
+   * reverseDate and submits it for approval. Opens the new entry on success.
+   */
+  const handleReverse = async () => {
+    if (!window.confirm(`Create a reversing entry dated ${reverseDate}? It will be sent for approval.`)) return;
+    setReversing(true);
+    try {
+      const ref = await createReversingEntry(entry.id, reverseDate, { userEmail, role });
+      alert("Reversing entry submitted for approval.");
+      navigate(`/journal/${ref.id}`);
+    } catch (err) {
+      console.error("Reversal failed:", err);
+      alert(`Error creating reversing entry: ${err.message}`);
+    } finally {
+      setReversing(false);
+    }
+  };
+
   // ==================== Early Returns ====================
   
   /** Show loading state */
@@ -100,28 +148,24 @@ export default function JournalEntryDetails() {
   // ==================== Data Normalization ====================
   
   /**
-   * Normalize debit line items
+   * Debit / credit line items
    * @constant {Array<Object>}
-   * @description Supports two data structures:
-   * 1. entry.debits array (newer format)
-   * 2. entry.lines filtered by side="debit" (legacy format)
+   * @description Read through entryLines so legacy debits/credits documents
+   * and canonical `lines` documents render the same way.
    */
-  const debitLines =
-    entry.debits ||
-    entry.lines?.filter((l) => l.side === "debit") ||
-    [];
+  const lines = entryLines(entry);
+  const debitLines = lines.filter((l) => l.side === "debit");
+  const creditLines = lines.filter((l) => l.side === "credit");
 
-  /**
-   * Normalize credit line items
-   * @constant {Array<Object>}
-   * @description Supports two data structures:
-   * 1. entry.credits array (newer format)
-   * 2. entry.lines filtered by side="credit" (legacy format)
-   */
-  const creditLines =
-    entry.credits ||
-    entry.lines?.filter((l) => l.side === "credit") ||
-    [];
+  /** Progress on each approval rule evaluated when the entry was submitted */
+  const approvalRules = approvalStatus(entry);
+  const isPending = (entry.status || "pending") === "pending";
+
+  /** Approved, not itself a reversal, and the user may prepare entries */
+  const canReverse =
+    entry.status === "approved" &&
+    !entry.reversalOf &&
+    ROLES.ADMIN_ACCOUNTANT.includes(role);
 
   // ==================== Render ====================
   
@@ -139,7 +183,123 @@ export default function JournalEntryDetails() {
       <p><strong>Date:</strong> {entry.date || "—"}</p>
       <p><strong>Description:</strong> {entry.description || "—"}</p>
       <p><strong>Status:</strong> {entry.status || "pending"}</p>
-      <p><strong>Prepared By:</strong> {entry.preparedBy || entry.createdBy || "—"}</p>
+      <p><strong>Prepared By:</strong> {entry.createdBy || entry.preparedBy || "—"}</p>
+
+      {/* Approvals */}
+      <h3>Approvals</h3>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Rule</th>
+            <th style={styles.th}>Approvers</th>
+            <th style={styles.th}>Progress</th>
+          </tr>
+        </thead>
+        <tbody>
+          {approvalRules.map((r) => (
+            <tr key={r.id}>
+              <td style={styles.td}>{r.label}</td>
+              <td style={styles.td}>{r.roles.join(" or ")}</td>
+              <td style={{ ...styles.td, color: r.met ? "#166534" : isPending ? "#92400e" : "#64748b" }}>
+                {r.met
+                  ? `✓ ${Math.max(r.have, r.approvals)} of ${r.approvals}`
+                  : isPending
+                    ? `Outstanding: ${r.have} of ${r.approvals}`
+                    : `${r.have} of ${r.approvals}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!(entry.approvals || []).length && entry.approvedBy && <p>Approved by {entry.approvedBy}</p>}
+      {(entry.approvals || []).length > 0 && (
+        <ul>
+          {entry.approvals.map((a, i) => (
+            <li key={i}>
+              Approved by {a.by} ({a.role || "—"})
+              {a.at?.toDate ? ` on ${a.at.toDate().toLocaleString()}` : ""}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Recurring Template Link */}
+      {entry.templateId && (
+        <p>
+          <strong>Template:</strong>{" "}
+          <Link to={`/journal-templates?edit=${entry.templateId}`}>{entry.templateName || entry.templateId}</Link>
+          {entry.recurrenceDate && ` (occurrence ${entry.recurrenceDate})`}
+        </p>
+      )}
+
+      {/* Fixed Asset Link */}
+      {entry.assetId && (
+        <p>
+          <strong>Fixed Asset:</strong>{" "}
+          <Link to="/fixed-assets">{entry.assetName || entry.assetId}</Link>
+          {entry.depreciationMonth && ` (depreciation for ${entry.depreciationMonth})`}
+        </p>
+      )}
+
+      {/* Receivables Link */}
+      {entry.invoiceId && (
+        <p>
+          <strong>{entry.paymentId ? "Customer Payment" : "Invoice"}:</strong>{" "}
+          <Link to="/receivables">{entry.description}</Link>
+        </p>
+      )}
+
+      {/* Payables Link */}
+      {entry.billId && (
+        <p>
+          <strong>{entry.paymentId ? "Bill Payment" : "Bill"}:</strong>{" "}
+          <Link to="/payables">{entry.description}</Link>
+        </p>
+      )}
+
+      {entry.fxRevaluationDate && (
+        <p>
+          <strong>FX Revaluation:</strong> <Link to="/exchange-rates">as of {entry.fxRevaluationDate}</Link>
+        </p>
+      )}
+
+      {entry.autoReverseOn && (
+        <p>
+          <strong>Auto-Reverse On:</strong> {entry.autoReverseOn}
+          {entry.status !== "approved" && " (the reversing entry is created when this entry is approved)"}
+        </p>
+      )}
+
+      {/* Reversal Links */}
+      {entry.reversalOf && (
+        <p>
+          <strong>Reverses:</strong>{" "}
+          <Link to={`/journal/${entry.reversalOf}`}>{entry.reversalOf}</Link>
+        </p>
+      )}
+      {entry.reversedBy && (
+        <p>
+          <strong>Reversed By:</strong>{" "}
+          <Link to={`/journal/${entry.reversedBy}`}>{entry.reversedBy}</Link>
+        </p>
+      )}
+
+      {/* Reverse Action (approved entries only) */}
+      {canReverse && (
+        <div style={{ margin: "12px 0", display: "flex", gap: 8, alignItems: "center" }}>
+          <label>
+            Reversal date:{" "}
+            <input
+              type="date"
+              value={reverseDate}
+              onChange={(e) => setReverseDate(e.target.value)}
+            />
+          </label>
+          <button onClick={handleReverse} disabled={reversing || !reverseDate}>
+            {reversing ? "Reversing..." : "Reverse Entry"}
+          </button>
+        </div>
+      )}
 
       {/* Debit Transactions */}
       <h3>Debits</h3>
@@ -147,6 +307,9 @@ export default function JournalEntryDetails() {
         {debitLines.map((d, i) => (
           <li key={i}>
             {d.accountName} — ${Number(d.amount || 0).toFixed(2)}
+            {d.currency !== FUNCTIONAL_CURRENCY && (
+              <span style={{ color: "#64748b" }}> ({formatMoney(d.transactionAmount, d.currency)} @ {d.exchangeRate})</span>
+            )}
           </li>
         ))}
       </ul>
@@ -157,6 +320,9 @@ export default function JournalEntryDetails() {
         {creditLines.map((c, i) => (
           <li key={i}>
             {c.accountName} — ${Number(c.amount || 0).toFixed(2)}
+            {c.currency !== FUNCTIONAL_CURRENCY && (
+              <span style={{ color: "#64748b" }}> ({formatMoney(c.transactionAmount, c.currency)} @ {c.exchangeRate})</span>
+            )}
           </li>
         ))}
       </ul>
@@ -183,4 +349,12 @@ export default function JournalEntryDetails() {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  table: { borderCollapse: "collapse", margin: "8px 0", fontSize: 14 },
+  th: { border: "1px solid #e2e8f0", padding: "6px 10px", background: "#f1f5f9", textAlign: "left" },
+  td: { border: "1px solid #e2e8f0", padding: "6px 10px" },
+};
@@ -12,11 +12,21 @@
 // Enhanced version with support for Regular vs Adjusting journal entries
 // Sprint 4 requirement: distinguish adjusting entries from regular entries
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import { collection, addDoc, getDocs, query, orderBy, serverTimestamp } from "firebase/firestore";
 import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
-import { auth, db, storage } from "../firebase";
+import { db, storage } from "../firebase";
+import { companyCollection } from "../utils/company";
 import ErrorDisplay from "../components/ErrorDisplay";
+import ImportWizard from "../components/ImportWizard";
+import { createJournalEntry, entryLines, lineTotals, linesFromRows, validateJournalEntry } from "../utils/journal";
+import { checkPostingPeriod } from "../utils/periods";
+import { convertLines, loadRates } from "../utils/currency";
+import { FUNCTIONAL_CURRENCY, accountCurrency } from "../utils/financials";
+import { formatMoney } from "../utils/format";
+import { importJournalEntries, JOURNAL_TEMPLATE, previewJournalImport } from "../utils/imports";
+import { useAuth } from "../context/authContext";
 
 const ALLOWED_TYPES = [
   "application/pdf",
@@ -29,24 +39,31 @@ const ALLOWED_TYPES = [
   "image/png",
 ];
 
-function moneyToNumber(v) {
-  if (typeof v === "number") return v;
-  if (!v) return 0;
-  return Number(String(v).replace(/,/g, ""));
-}
-
-function formatMoney(n) {
-  const x = Number(n || 0);
-  return x.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-}
+const normalizeStatus = (s) => {
+  if (!s) return "pending";
+  s = s.toLowerCase();
+  if (["approved", "rejected", "pending"].includes(s)) return s;
+  if (s === "pendingapproval" || s === "submitted") return "pending";
+  return "pending";
+};
+
+const normalizeDate = (entry) => {
+  if (entry.date) return entry.date;
+  if (entry.createdAt?.toDate) {
+    return entry.createdAt.toDate().toISOString().slice(0, 10);
+  }
+  return "";
+};
 
 export default function JournalEntryPage() {
-  const user = auth.currentUser;
+  const { userEmail, role } = useAuth();
   const [accounts, setAccounts] = useState([]);
+  const [rates, setRates] = useState([]); // exchange rate table
   
   // Form state
   const [entryType, setEntryType] = useState("regular"); // NEW: regular or adjusting
   const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [autoReverseOn, setAutoReverseOn] = useState(""); // adjusting entries only
   const [description, setDescription] = useState("");
   const [debits, setDebits] = useState([{ accountId: "", amount: "" }]);
   const [credits, setCredits] = useState([{ accountId: "", amount: "" }]);
@@ -61,62 +78,58 @@ export default function JournalEntryPage() {
   const [fromDate, setFromDate] = useState("");
   const [toDate, setToDate] = useState("");
   const [searchTerm, setSearchTerm] = useState("");
+  const [importOpen, setImportOpen] = useState(false);
 
-  // Load accounts
+  // Load accounts and exchange rates
   useEffect(() => {
     const load = async () => {
-      const snap = await getDocs(collection(db, "accounts"));
+      const [snap, rateList] = await Promise.all([getDocs(companyCollection("accounts")), loadRates()]);
       setAccounts(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+      setRates(rateList);
     };
     load();
   }, []);
 
-  const normalizeStatus = (s) => {
-    if (!s) return "pending";
-    s = s.toLowerCase();
-    if (["approved", "rejected", "pending"].includes(s)) return s;
-    if (s === "pendingapproval" || s === "submitted") return "pending";
-    return "pending";
-  };
-
-  const normalizeDate = (entry) => {
-    if (entry.date) return entry.date;
-    if (entry.createdAt?.toDate) {
-      return entry.createdAt.toDate().toISOString().slice(0, 10);
-    }
-    return "";
-  };
-
   // Load entries
+  const loadEntries = useCallback(async () => {
+    const q = query(companyCollection("journalEntries"), orderBy("createdAt", "desc"));
+    const snap = await getDocs(q);
+    setEntries(
+      snap.docs.map(d => {
+        const data = d.data();
+        return {
+          id: d.id,
+          ...data,
+          status: normalizeStatus(data.status),
+          type: data.type || "regular", // Default to regular if not set
+          filterDate: normalizeDate(data),
+        };
+      })
+    );
+  }, []);
+
   useEffect(() => {
-    const loadEntries = async () => {
-      const q = query(collection(db, "journalEntries"), orderBy("createdAt", "desc"));
-      const snap = await getDocs(q);
-      setEntries(
-        snap.docs.map(d => {
-          const data = d.data();
-          return {
-            id: d.id,
-            ...data,
-            status: normalizeStatus(data.status),
-            type: data.type || "regular", // Default to regular if not set
-            filterDate: normalizeDate(data),
-          };
-        })
-      );
-    };
     loadEntries();
-  }, []);
+  }, [loadEntries]);
 
-  const totalDebits = useMemo(
-    () => debits.reduce((s, r) => s + moneyToNumber(r.amount), 0),
-    [debits]
-  );
-  
-  const totalCredits = useMemo(
-    () => credits.reduce((s, r) => s + moneyToNumber(r.amount), 0),
-    [credits]
+  // Row amounts are in each account's currency; totals and balancing use
+  // the functional amounts at the entry date's rates
+  const converted = useMemo(
+    () => convertLines(linesFromRows(debits, credits, accounts), accounts, rates, date),
+    [debits, credits, accounts, rates, date]
   );
+  const { totalDebits, totalCredits } = useMemo(() => lineTotals(converted.lines), [converted]);
+
+  /** Currency label and functional equivalent for a foreign-currency line. */
+  const currencyNote = (line) => {
+    if (!line || line.currency === FUNCTIONAL_CURRENCY) return null;
+    return (
+      <span style={{ fontSize: 12, color: "#64748b", whiteSpace: "nowrap" }}>
+        {line.currency}
+        {line.exchangeRate ? ` = ${formatMoney(line.amount, FUNCTIONAL_CURRENCY)}` : " (no rate)"}
+      </span>
+    );
+  };
 
   const onChangeDebit = (idx, key, val) => {
     const next = debits.map((r, i) => (i === idx ? { ...r, [key]: val } : r));
@@ -136,6 +149,7 @@ export default function JournalEntryPage() {
   const resetForm = () => {
     setEntryType("regular");
     setDate(new Date().toISOString().slice(0, 10));
+    setAutoReverseOn("");
     setDescription("");
     setDebits([{ accountId: "", amount: "" }]);
     setCredits([{ accountId: "", amount: "" }]);
@@ -144,19 +158,18 @@ export default function JournalEntryPage() {
   };
 
   const validate = () => {
-    if (debits.length === 0 || credits.length === 0) {
-      return "Each journal entry must have at least one debit and one credit.";
-    }
-    
-    for (const r of [...debits, ...credits]) {
-      if (!r.accountId) return "All lines must have an account selected.";
-      const amt = moneyToNumber(r.amount);
-      if (!amt || amt <= 0) return "All line amounts must be greater than zero.";
-    }
-    
-    if (Math.abs(totalDebits - totalCredits) > 0.0001) {
-      return "Total debits must equal total credits.";
-    }
+    if (converted.error) return converted.error;
+    const msg = validateJournalEntry(
+      {
+        type: entryType,
+        description,
+        date,
+        autoReverseOn: entryType === "adjusting" ? autoReverseOn : "",
+        lines: converted.lines,
+      },
+      accounts
+    );
+    if (msg) return msg;
     
     for (const f of files) {
       if (!ALLOWED_TYPES.includes(f.type)) {
@@ -170,14 +183,14 @@ export default function JournalEntryPage() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
-    const v = validate();
+    const v = validate() || (await checkPostingPeriod(date, entryType));
     
     if (v) {
       setError(v);
       await addDoc(collection(db, "errorMessages"), {
         code: "JE_VALIDATION",
         message: v,
-        user: user?.email || "unknown",
+        user: userEmail,
         createdAt: serverTimestamp(),
       });
       return;
@@ -195,49 +208,24 @@ export default function JournalEntryPage() {
         uploads.push({ name: f.name, url, contentType: f.type, size: f.size });
       }
 
-      // Resolve account metadata
-      const accountLookup = Object.fromEntries(accounts.map(a => [a.id, a]));
-      const debitLines = debits.map(r => ({
-        accountId: r.accountId,
-        accountName: accountLookup[r.accountId]?.name || "",
-        amount: moneyToNumber(r.amount),
-        side: "debit",
-      }));
-      const creditLines = credits.map(r => ({
-        accountId: r.accountId,
-        accountName: accountLookup[r.accountId]?.name || "",
-        amount: moneyToNumber(r.amount),
-        side: "credit",
-      }));
-
-      // Create journal entry
-      const docRef = await addDoc(collection(db, "journalEntries"), {
-        type: entryType, // NEW: regular or adjusting
-        date,
-        description,
-        lines: [...debitLines, ...creditLines],
-        totalDebits: Number(totalDebits.toFixed(2)),
-        totalCredits: Number(totalCredits.toFixed(2)),
-        status: "pending",
-        attachments: uploads,
-        createdBy: user?.email || "unknown",
-        createdAt: serverTimestamp(),
-      });
-
-      // Notification for manager
-      await addDoc(collection(db, "notifications"), {
-        type: entryType === "adjusting" ? "adjusting_journal_submitted" : "journal_submitted",
-        journalId: docRef.id,
-        forRole: "manager",
-        message: `New ${entryType} journal entry submitted by ${user?.email}`,
-        createdAt: serverTimestamp(),
-      });
+      // Create journal entry (also notifies managers)
+      await createJournalEntry(
+        {
+          type: entryType, // NEW: regular or adjusting
+          date,
+          ...(entryType === "adjusting" && autoReverseOn ? { autoReverseOn } : {}),
+          description,
+          lines: converted.lines,
+          attachments: uploads,
+        },
+        { userEmail, role }
+      );
 
       alert(`✅ ${entryType === "adjusting" ? "Adjusting" : "Regular"} journal entry submitted for approval!`);
       resetForm();
 
       // Reload entries
-      const q = query(collection(db, "journalEntries"), orderBy("createdAt", "desc"));
+      const q = query(companyCollection("journalEntries"), orderBy("createdAt", "desc"));
       const snap = await getDocs(q);
       setEntries(
         snap.docs.map(d => {
@@ -253,7 +241,7 @@ export default function JournalEntryPage() {
       );
     } catch (err) {
       console.error("Submit error:", err);
-      setError("Failed to submit journal entry. Please try again.");
+      setError(err.message || "Failed to submit journal entry. Please try again.");
     } finally {
       setSubmitting(false);
     }
@@ -270,8 +258,7 @@ export default function JournalEntryPage() {
       if (searchTerm) {
         const st = searchTerm.toLowerCase();
         const inAccounts =
-          Array.isArray(e.lines) &&
-          e.lines.some(
+          entryLines(e).some(
             ln =>
               (ln.accountName || "").toLowerCase().includes(st) ||
               (ln.accountNumber || "").toLowerCase?.().includes(st) ||
@@ -287,7 +274,34 @@ export default function JournalEntryPage() {
 
   return (
     <div style={{ padding: 20, maxWidth: 1100, margin: "0 auto" }}>
-      <h2>Journal Entries</h2>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h2>Journal Entries</h2>
+        <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+          <Link to="/adjusting-entries">Adjusting Entries Report</Link>
+          <button type="button" onClick={() => setImportOpen(true)} title="Submit journal entries from a CSV file">
+            Import CSV
+          </button>
+        </div>
+      </div>
+
+      <ImportWizard
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        title="Import Journal Entries"
+        template={JOURNAL_TEMPLATE}
+        templateName="journal-entries-template.csv"
+        preview={(text) => previewJournalImport(text, accounts)}
+        onImport={async (drafts) => {
+          const ids = await importJournalEntries(drafts, { userEmail, role });
+          await loadEntries();
+          return `${ids.length} journal entr${ids.length === 1 ? "y" : "ies"} submitted for approval.`;
+        }}
+      >
+        One row per journal line. Columns: <strong>Entry</strong> (rows with the same value form one entry),{" "}
+        <strong>Date</strong>, <strong>Account</strong> (number or name), <strong>Debit</strong>,{" "}
+        <strong>Credit</strong>, and optional <strong>Type</strong> (regular / adjusting) and{" "}
+        <strong>Description</strong>. Each entry must balance; imported entries are pending until approved.
+      </ImportWizard>
 
       {/* Entry form */}
       <form onSubmit={handleSubmit} style={styles.form}>
@@ -326,6 +340,12 @@ export default function JournalEntryPage() {
             <label>Date</label><br />
             <input type="date" value={date} onChange={e => setDate(e.target.value)} required />
           </div>
+          {entryType === "adjusting" && (
+            <div title="When this entry is approved, its reversing entry is created for this date">
+              <label>Auto-reverse on (optional)</label><br />
+              <input type="date" value={autoReverseOn} min={date} onChange={e => setAutoReverseOn(e.target.value)} />
+            </div>
+          )}
           <div style={{ flex: 1 }}>
             <label>Description</label><br />
             <input
@@ -352,7 +372,9 @@ export default function JournalEntryPage() {
                 >
                   <option value="">Select account</option>
                   {accounts.map(a => (
-                    <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+                    <option key={a.id} value={a.id}>
+                      {a.name} ({a.number}){accountCurrency(a) !== FUNCTIONAL_CURRENCY && ` — ${accountCurrency(a)}`}
+                    </option>
                   ))}
                 </select>
                 <input
@@ -365,6 +387,7 @@ export default function JournalEntryPage() {
                   required
                   style={{ width: 140, textAlign: "right" }}
                 />
+                {currencyNote(converted.lines[idx])}
                 {debits.length > 1 && (
                   <button type="button" onClick={() => removeDebit(idx)}>Remove</button>
                 )}
@@ -386,7 +409,9 @@ export default function JournalEntryPage() {
                 >
                   <option value="">Select account</option>
                   {accounts.map(a => (
-                    <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+                    <option key={a.id} value={a.id}>
+                      {a.name} ({a.number}){accountCurrency(a) !== FUNCTIONAL_CURRENCY && ` — ${accountCurrency(a)}`}
+                    </option>
                   ))}
                 </select>
                 <input
@@ -399,6 +424,7 @@ export default function JournalEntryPage() {
                   required
                   style={{ width: 140, textAlign: "right" }}
                 />
+                {currencyNote(converted.lines[debits.length + idx])}
                 {credits.length > 1 && (
                   <button type="button" onClick={() => removeCredit(idx)}>Remove</button>
                 )}
@@ -410,8 +436,8 @@ export default function JournalEntryPage() {
 
         <div style={{ marginTop: 12, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
           <div>
-            <strong>Total Debits:</strong> {formatMoney(totalDebits)} &nbsp; | &nbsp;
-            <strong>Total Credits:</strong> {formatMoney(totalCredits)}
+            <strong>Total Debits ({FUNCTIONAL_CURRENCY}):</strong> {formatMoney(totalDebits)} &nbsp; | &nbsp;
+            <strong>Total Credits ({FUNCTIONAL_CURRENCY}):</strong> {formatMoney(totalCredits)}
             {Math.abs(totalDebits - totalCredits) < 0.01 && totalDebits > 0 && (
               <span style={{ marginLeft: 12, color: "#059669" }}>✓ Balanced</span>
             )}
@@ -458,6 +484,7 @@ export default function JournalEntryPage() {
             <option value="all">All types</option>
             <option value="regular">Regular Entries</option>
             <option value="adjusting">Adjusting Entries</option>
+            <option value="closing">Closing Entries</option>
           </select>
           
           <div>
@@ -492,20 +519,27 @@ export default function JournalEntryPage() {
             </thead>
             <tbody>
               {filteredEntries.map((je) => {
-                const debs = (je.lines || []).filter(l => l.side === "debit");
-                const creds = (je.lines || []).filter(l => l.side === "credit");
+                const lines = entryLines(je);
+                const debs = lines.filter(l => l.side === "debit");
+                const creds = lines.filter(l => l.side === "credit");
+                const totals = lineTotals(lines);
                 
                 // Type badge styling
                 const typeBadge = je.type === "adjusting"
                   ? { background: "#fef3c7", color: "#92400e", padding: "4px 8px", borderRadius: 12, fontSize: 11, fontWeight: 600 }
+                  : je.type === "closing"
+                  ? { background: "#ede9fe", color: "#5b21b6", padding: "4px 8px", borderRadius: 12, fontSize: 11, fontWeight: 600 }
                   : { background: "#dbeafe", color: "#1e40af", padding: "4px 8px", borderRadius: 12, fontSize: 11, fontWeight: 600 };
                 
                 return (
                   <tr key={je.id}>
                     <td>
                       <span style={typeBadge}>
-                        {je.type === "adjusting" ? "Adjusting" : "Regular"}
+                        {je.type === "adjusting" ? "Adjusting" : je.type === "closing" ? "Closing" : "Regular"}
                       </span>
+                      {je.autoReverseOn && (
+                        <div style={{ fontSize: 11, marginTop: 4 }}>Reverses {je.autoReverseOn}</div>
+                      )}
                     </td>
                     <td>{je.date}</td>
                     <td>{je.description || ""}</td>
@@ -514,13 +548,13 @@ export default function JournalEntryPage() {
                       {debs.map((l, i) => (
                         <div key={i}>{l.accountName}: {formatMoney(l.amount)}</div>
                       ))}
-                      <div><strong>Total:</strong> {formatMoney(je.totalDebits)}</div>
+                      <div><strong>Total:</strong> {formatMoney(totals.totalDebits)}</div>
                     </td>
                     <td>
                       {creds.map((l, i) => (
                         <div key={i}>{l.accountName}: {formatMoney(l.amount)}</div>
                       ))}
-                      <div><strong>Total:</strong> {formatMoney(je.totalCredits)}</div>
+                      <div><strong>Total:</strong> {formatMoney(totals.totalCredits)}</div>
                     </td>
                     <td>
                       {(je.attachments || []).map((a, i) => (
@@ -0,0 +1,481 @@
+/**
+ * @fileoverview Journal Templates Page
+ * @description Recurring journal entry templates (rent, depreciation,
+ * accruals): create and edit templates with their lines and recurrence, and
+ * generate the pending entries that have come due.
+ *
+ * @module pages/JournalTemplatesPage
+ * @requires react
+ * @requires react-router-dom
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/recurring
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { useSearchParams, useNavigate } from "react-router-dom";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import NavBar from "../components/NavBar";
+import { useAuth } from "../context/authContext";
+import { formatMoney } from "../utils/format";
+import { linesFromRows } from "../utils/journal";
+import { FUNCTIONAL_CURRENCY } from "../utils/financials";
+import {
+  RECURRENCE_FREQUENCIES, describeRecurrence, dueDates, generateDueEntries,
+  loadTemplates, nextDueDate, saveTemplate,
+} from "../utils/recurring";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const EMPTY_FORM = () => ({
+  name: "",
+  type: "regular",
+  description: "",
+  frequency: "monthly",
+  day: "1",
+  startDate: today(),
+  endDate: "",
+  active: true,
+  rows: [
+    { accountId: "", side: "debit", amount: "" },
+    { accountId: "", side: "credit", amount: "" },
+  ],
+});
+
+/** Form state for an existing template. */
+const templateToForm = (t) => ({
+  name: t.name || "",
+  type: t.type || "regular",
+  description: t.description || "",
+  frequency: t.recurrence?.frequency || "monthly",
+  day: String(t.recurrence?.day || 1),
+  startDate: t.recurrence?.startDate || today(),
+  endDate: t.recurrence?.endDate || "",
+  active: t.active !== false,
+  rows: (t.lines || []).map((l) => ({ accountId: l.accountId, side: l.side, amount: String(l.transactionAmount ?? l.amount) })),
+});
+
+/**
+ * JournalTemplatesPage Component
+ *
+ * @component
+ * @description Template list with next due date, the create / edit form and
+ * the "Generate Due Entries" action. `?edit=<id>` opens a template for editing
+ * (used by the template link on generated journal entries).
+ *
+ * @returns {JSX.Element} Journal templates page
+ */
+export default function JournalTemplatesPage() {
+  const { userEmail, role } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // ==================== State Management ====================
+
+  /** @type {[Array<Object>, Function]} Templates sorted by name */
+  const [templates, setTemplates] = useState([]);
+
+  /** @type {[Array<Object>, Function]} Chart of accounts */
+  const [accounts, setAccounts] = useState([]);
+
+  const [loading, setLoading] = useState(true);
+
+  /** @type {[Object|null, Function]} Template form, or null when closed */
+  const [form, setForm] = useState(null);
+
+  /** @type {[string|null, Function]} Id of the template being edited */
+  const [editingId, setEditingId] = useState(null);
+
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  /** @type {[string, Function]} Generate entries due on or before this date */
+  const [through, setThrough] = useState(today);
+  const [generating, setGenerating] = useState(false);
+
+  /** @type {[Object|null, Function]} Result of the last generation run */
+  const [result, setResult] = useState(null);
+
+  // ==================== Effects ====================
+
+  const refresh = async () => {
+    setTemplates(await loadTemplates());
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [list, accSnap] = await Promise.all([
+          loadTemplates(),
+          getDocs(companyCollection("accounts")),
+        ]);
+        setTemplates(list);
+        setAccounts(accSnap.docs.map((d) => ({ id: d.id, ...d.data() })));
+      } catch (err) {
+        console.error("Failed to load journal templates:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // Open ?edit=<id> once templates are loaded
+  const editParam = searchParams.get("edit");
+  useEffect(() => {
+    if (!editParam || loading) return;
+    const t = templates.find((x) => x.id === editParam);
+    if (t) {
+      setEditingId(t.id);
+      setForm(templateToForm(t));
+    }
+  }, [editParam, loading, templates]);
+
+  /** Occurrences due on or before `through`, per template */
+  const dueCount = useMemo(
+    () => templates.filter((t) => t.active !== false).reduce((n, t) => n + dueDates(t, through).length, 0),
+    [templates, through]
+  );
+
+  // ==================== Event Handlers ====================
+
+  const openNew = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM());
+    setError("");
+  };
+
+  const openEdit = (t) => {
+    setEditingId(t.id);
+    setForm(templateToForm(t));
+    setError("");
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+    setError("");
+    if (editParam) setSearchParams({});
+  };
+
+  const setRow = (idx, patch) =>
+    setForm({ ...form, rows: form.rows.map((r, i) => (i === idx ? { ...r, ...patch } : r)) });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      const debits = form.rows.filter((r) => r.side === "debit");
+      const credits = form.rows.filter((r) => r.side === "credit");
+      await saveTemplate(
+        {
+          name: form.name,
+          type: form.type,
+          description: form.description,
+          lines: linesFromRows(debits, credits, accounts),
+          recurrence: {
+            frequency: form.frequency,
+            day: form.day,
+            startDate: form.startDate,
+            endDate: form.endDate,
+          },
+          active: form.active,
+        },
+        accounts,
+        userEmail,
+        editingId
+      );
+      closeForm();
+      await refresh();
+    } catch (err) {
+      console.error("Failed to save template:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (!window.confirm(`Create pending journal entries for all templates due on or before ${through}?`)) return;
+    setGenerating(true);
+    setResult(null);
+    try {
+      setResult(await generateDueEntries(through, { userEmail, role }));
+      await refresh();
+    } catch (err) {
+      console.error("Generation failed:", err);
+      alert(`Error generating entries: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // ==================== Render ====================
+
+  const formDebits = form ? form.rows.filter((r) => r.side === "debit").reduce((s, r) => s + Number(r.amount || 0), 0) : 0;
+  const formCredits = form ? form.rows.filter((r) => r.side === "credit").reduce((s, r) => s + Number(r.amount || 0), 0) : 0;
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1100 }}>
+        <div style={styles.header}>
+          <h2>Recurring Journal Templates</h2>
+          <button onClick={openNew}>+ New Template</button>
+        </div>
+
+        {/* Generate */}
+        <div style={styles.generate}>
+          <label>
+            Generate entries due through{" "}
+            <input type="date" value={through} onChange={(e) => setThrough(e.target.value)} />
+          </label>
+          <span>{dueCount} due</span>
+          <button onClick={handleGenerate} disabled={generating || !through || dueCount === 0}>
+            {generating ? "Generating..." : "Generate Due Entries"}
+          </button>
+        </div>
+
+        {result && (
+          <div style={styles.result}>
+            <strong>{result.created.length}</strong> entr{result.created.length === 1 ? "y" : "ies"} created
+            {result.existing > 0 && <>, {result.existing} already existed</>}.
+            {result.created.length > 0 && (
+              <ul>
+                {result.created.map((c) => (
+                  <li key={c.id}>
+                    <button style={styles.linkBtn} onClick={() => navigate(`/journal/${c.id}`)}>
+                      {c.templateName} — {c.date}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {result.errors.map((e, i) => (
+              <div key={i} style={styles.error}>
+                {e.templateName} ({e.date}): {e.message}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Template form */}
+        {form && (
+          <form onSubmit={handleSave} style={styles.form}>
+            <h3>{editingId ? "Edit Template" : "New Template"}</h3>
+
+            <div style={styles.row}>
+              <input
+                placeholder="Template name (e.g. Monthly rent)"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                style={{ flex: 1 }}
+              />
+              <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                <option value="regular">Regular</option>
+                <option value="adjusting">Adjusting</option>
+              </select>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                />{" "}
+                Active
+              </label>
+            </div>
+
+            <div style={styles.row}>
+              <input
+                placeholder="Entry description"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                style={{ flex: 1 }}
+              />
+            </div>
+
+            <div style={styles.row}>
+              <select value={form.frequency} onChange={(e) => setForm({ ...form, frequency: e.target.value })}>
+                {Object.entries(RECURRENCE_FREQUENCIES).map(([value, f]) => (
+                  <option key={value} value={value}>{f.label}</option>
+                ))}
+              </select>
+              <label>
+                on day{" "}
+                <input
+                  type="number"
+                  min="1"
+                  max="31"
+                  value={form.day}
+                  onChange={(e) => setForm({ ...form, day: e.target.value })}
+                  style={{ width: 60 }}
+                  title="Days past the end of a month use the month's last day"
+                />
+              </label>
+              <label>
+                Start{" "}
+                <input type="date" value={form.startDate} onChange={(e) => setForm({ ...form, startDate: e.target.value })} />
+              </label>
+              <label>
+                End{" "}
+                <input type="date" value={form.endDate} onChange={(e) => setForm({ ...form, endDate: e.target.value })} />
+              </label>
+            </div>
+
+            <h4>Lines</h4>
+            {form.rows.map((r, idx) => (
+              <div key={idx} style={styles.row}>
+                <select value={r.side} onChange={(e) => setRow(idx, { side: e.target.value })}>
+                  <option value="debit">Debit</option>
+                  <option value="credit">Credit</option>
+                </select>
+                <select value={r.accountId} onChange={(e) => setRow(idx, { accountId: e.target.value })} style={{ flex: 1 }}>
+                  <option value="">Select account</option>
+                  {accounts.map((a) => (
+                    <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={r.amount}
+                  onChange={(e) => setRow(idx, { amount: e.target.value })}
+                  placeholder="Amount"
+                  style={{ width: 140, textAlign: "right" }}
+                />
+                {form.rows.length > 2 && (
+                  <button type="button" onClick={() => setForm({ ...form, rows: form.rows.filter((_, i) => i !== idx) })}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, rows: [...form.rows, { accountId: "", side: "debit", amount: "" }] })}
+            >
+              Add line
+            </button>
+            <div style={{ marginTop: 8 }}>
+              <strong>Total Debits:</strong> {formatMoney(formDebits)} &nbsp; | &nbsp;
+              <strong>Total Credits:</strong> {formatMoney(formCredits)}
+            </div>
+
+            {error && <div style={styles.error}>{error}</div>}
+
+            <div style={{ ...styles.row, marginTop: 12 }}>
+              <button type="submit" disabled={saving}>{saving ? "Saving..." : "Save Template"}</button>
+              <button type="button" onClick={closeForm}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {/* Template list */}
+        {loading ? (
+          <p>Loading...</p>
+        ) : templates.length === 0 ? (
+          <p>No templates yet.</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Name</th>
+                <th style={styles.th}>Type</th>
+                <th style={styles.th}>Lines</th>
+                <th style={styles.th}>Recurrence</th>
+                <th style={styles.th}>Last Generated</th>
+                <th style={styles.th}>Next Due</th>
+                <th style={styles.th}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map((t) => (
+                <tr key={t.id} style={t.active === false ? { opacity: 0.6 } : undefined}>
+                  <td style={styles.td}>
+                    <strong>{t.name}</strong>
+                    {t.active === false && <span style={styles.muted}> (inactive)</span>}
+                    <div style={styles.muted}>{t.description}</div>
+                  </td>
+                  <td style={styles.td}>{t.type === "adjusting" ? "Adjusting" : "Regular"}</td>
+                  <td style={styles.td}>
+                    {(t.lines || []).map((l, i) => (
+                      <div key={i}>
+                        {l.side === "debit" ? "Dr" : "Cr"} {l.accountName}:{" "}
+                        {formatMoney(l.transactionAmount ?? l.amount, l.currency !== FUNCTIONAL_CURRENCY ? l.currency : "")}
+                      </div>
+                    ))}
+                  </td>
+                  <td style={styles.td}>{describeRecurrence(t.recurrence)}</td>
+                  <td style={styles.td}>{t.lastGeneratedDate || "—"}</td>
+                  <td style={styles.td}>{t.active === false ? "—" : nextDueDate(t) || "Finished"}</td>
+                  <td style={styles.td}>
+                    <button onClick={() => openEdit(t)}>Edit</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  generate: {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    margin: "12px 0 20px",
+    background: "#f8fafc",
+    padding: "10px 12px",
+    borderRadius: 8,
+    border: "1px solid #e2e8f0",
+  },
+  result: {
+    background: "#f0fdf4",
+    border: "1px solid #bbf7d0",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+  },
+  form: {
+    background: "#f8fafc",
+    border: "1px solid #e2e8f0",
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 24,
+  },
+  row: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 8 },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13, verticalAlign: "top" },
+  muted: { color: "#64748b", fontSize: 12 },
+  error: { color: "#b91c1c", marginTop: 8 },
+  linkBtn: {
+    background: "transparent",
+    border: "none",
+    color: "#2563eb",
+    textDecoration: "underline",
+    cursor: "pointer",
+    padding: 0,
+  },
+};
@@ -15,8 +15,10 @@
 import React, { useEffect, useState } from "react";
 import NavBar from "../components/NavBar";
 import { collection, getDocs, query, where } from "firebase/firestore";
-import { db, auth } from "../firebase";
+import { db } from "../firebase";
+import { companyCollection } from "../utils/company";
 import useUserRole from "../hooks/useUserRole";
+import useNotifications from "../hooks/useNotifications";
 import { useNavigate } from "react-router-dom";
 import { computeBalances, incomeStatement, balanceSheet } from "../utils/financials";
 import { computeRatios } from "../utils/ratios";
@@ -24,29 +26,23 @@ import { computeRatios } from "../utils/ratios";
 export default function LandingDashboard() {
   const today = new Date().toISOString().slice(0, 10);
   const navigate = useNavigate();
-  const { role, loading: roleLoading, userEmail } = useUserRole();
+  const { role, userEmail } = useUserRole();
 
   const [ratios, setRatios] = useState(null);
   const [loading, setLoading] = useState(true);
   const [pendingCount, setPendingCount] = useState(0);
   const [rejectedCount, setRejectedCount] = useState(0);
-  const [unreadNotifications, setUnreadNotifications] = useState(0);
+  const { unreadCount: unreadNotifications } = useNotifications();
   const [lastLogin, setLastLogin] = useState(null);
 
-  useEffect(() => {
-    if (!auth?.currentUser) {
-      navigate("/");
-    }
-  }, [navigate]);
-
   useEffect(() => {
     const load = async () => {
       try {
         // Load accounts and ledger
-        const accSnap = await getDocs(collection(db, "accounts"));
+        const accSnap = await getDocs(companyCollection("accounts"));
         const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
 
-        const ledSnap = await getDocs(collection(db, "ledgerEntries"));
+        const ledSnap = await getDocs(companyCollection("ledgerEntries"));
         const ledger = ledSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
 
         // Compute balances
@@ -54,7 +50,7 @@ export default function LandingDashboard() {
 
         // Compute statements
         const is = incomeStatement(accMap);
-        const bs = balanceSheet(accMap, 0, is.netIncome);
+        const bs = balanceSheet(accMap);
 
         // Extract totals
         const totals = {
@@ -72,25 +68,19 @@ export default function LandingDashboard() {
         setRatios(computeRatios(totals));
 
         // Load journal entry counts
-        const jeSnap = await getDocs(collection(db, "journalEntries"));
+        const jeSnap = await getDocs(companyCollection("journalEntries"));
         const journalEntries = jeSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
 
         setPendingCount(journalEntries.filter((j) => j.status === "pending").length);
         setRejectedCount(journalEntries.filter((j) => j.status === "rejected").length);
 
-        // Load notifications
-        const notifSnap = await getDocs(collection(db, "notifications"));
-        setUnreadNotifications(notifSnap.docs.length);
-
-        // Load last login
-        const userEmail = auth?.currentUser?.email;
+        // Load last login (LoginPage records logins globally in loginEvents)
         if (userEmail) {
           const eventSnap = await getDocs(
-            query(collection(db, "eventLogs"), where("createdBy", "==", userEmail))
+            query(collection(db, "loginEvents"), where("user", "==", userEmail))
           );
           const events = eventSnap.docs
             .map((d) => ({ id: d.id, ...d.data() }))
-            .filter((e) => e.action === "login")
             .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
 
           if (events.length > 0) {
@@ -105,7 +95,7 @@ export default function LandingDashboard() {
     };
 
     load();
-  }, [today]);
+  }, [today, userEmail]);
 
   // Ratio icons
   const getRatioIcon = (key) => {
@@ -230,7 +220,7 @@ export default function LandingDashboard() {
               </div>
               <button
                 style={{ ...styles.alertButton, background: "#3b82f6" }}
-                onClick={() => alert("Notifications page coming soon!")}
+                onClick={() => navigate("/notifications")}
               >
                 View All
               </button>
@@ -11,10 +11,12 @@
 
 import React, { useEffect, useMemo, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { db, auth } from "../firebase";
-import { doc, getDoc, collection, getDocs, query, where } from "firebase/firestore";
+import { companyCollection, companyDoc } from "../utils/company";
+import { getDoc, getDocs, query, where } from "firebase/firestore";
 import NavBar from "../components/NavBar";
 import { formatMoney } from "../utils/format";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
 
 /**
  * Decide if the account is debit-normal.
@@ -44,7 +46,7 @@ function computeNextBalance(isDebitNormal, previous, debit, credit) {
 function LedgerPage() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const userEmail = auth?.currentUser?.email || "user@example.com";
+  const { userEmail } = useAuth();
   const [selectedDate, setSelectedDate] = useState(() =>
     new Date().toISOString().slice(0, 10)
   );
@@ -64,11 +66,11 @@ function LedgerPage() {
     const load = async () => {
       try {
         // Load account
-        const accSnap = await getDoc(doc(db, "accounts", id));
+        const accSnap = await getDoc(companyDoc("accounts", id));
         if (accSnap.exists()) setAccount({ id: accSnap.id, ...accSnap.data() });
 
         // Query entries filtered by accountId (no index required), then sort in JS
-        const q = query(collection(db, "ledgerEntries"), where("accountId", "==", id));
+        const q = query(companyCollection("ledgerEntries"), where("accountId", "==", id));
         const snap = await getDocs(q);
         const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
         rows.sort((a, b) => {
@@ -138,6 +140,31 @@ function LedgerPage() {
   });
 }, [entries, fromDate, toDate, searchTerm, account]);
 
+  // Export the filtered ledger as shown
+  const exportTable = () => ({
+    title: `Ledger - ${account.name} (${account.number})`,
+    period: fromDate || toDate ? { from: fromDate, to: toDate } : null,
+    generatedBy: userEmail,
+    columns: [
+      { label: "Date" },
+      { label: "Description" },
+      { label: "Debit", format: "money" },
+      { label: "Credit", format: "money" },
+      { label: "Running Balance", format: "money" },
+      { label: "Post Ref (PR)" },
+      { label: "Entered By" },
+    ],
+    rows: computed.map((e) => [
+      e.date?.toDate ? e.date.toDate().toISOString().slice(0, 10) : "",
+      e.description || "",
+      Number(e.debit || 0),
+      Number(e.credit || 0),
+      e.runningBalance || 0,
+      e.journalId || "",
+      e.createdBy || "",
+    ]),
+  });
+
   return (
     <div>
       <NavBar
@@ -160,6 +187,12 @@ function LedgerPage() {
                 <span style={{ color: "#64748b" }}>({account.number})</span>
               </h2>
               <div style={{ display: "flex", gap: 8 }}>
+                <ExportMenu getTable={exportTable} />
+                {account.category === "Asset" && (
+                  <button onClick={() => navigate(`/reconciliation?account=${id}`)} title="Reconcile to a bank statement">
+                    Reconcile
+                  </button>
+                )}
                 <button onClick={() => navigate(`/accounts/${id}`)} title="View account details">
                   Account Details
                 </button>
@@ -259,7 +292,14 @@ function LedgerPage() {
                         <td style={td}>
                           {e.date?.toDate ? e.date.toDate().toLocaleDateString() : "—"}
                         </td>
-                        <td style={td}>{e.description || "—"}</td>
+                        <td style={td}>
+                          {e.description || "—"}
+                          {e.reconciliationId && (
+                            <span title="Cleared on a finalized bank reconciliation" style={{ color: "#166534", marginLeft: 6 }}>
+                              ✓ cleared
+                            </span>
+                          )}
+                        </td>
                         <td style={{ ...td, textAlign: "right" }}>
                           {formatMoney(e.debit || 0)}
                         </td>
@@ -24,7 +24,7 @@
  */
 
 import React, { useState, useEffect } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useNavigate, useLocation, Link } from "react-router-dom";
 import { signInWithEmailAndPassword } from "firebase/auth";
 import { collection, query, where, getDocs, updateDoc, doc, addDoc, serverTimestamp } from "firebase/firestore";
 import { auth, db } from "../firebase";
@@ -64,6 +64,10 @@ function LoginPage() {
   
   /** Navigation hook for redirecting after login */
   const navigate = useNavigate();
+
+  /** Route the user was redirected from by ProtectedRoute (if any) */
+  const location = useLocation();
+  const redirectTo = location.state?.from?.pathname || "/dashboard";
   
   // ==================== State Management ====================
   
@@ -180,12 +184,10 @@ function LoginPage() {
           lastLogin: serverTimestamp()
         });
 
-        // Step 6: Log successful login event
-        await addDoc(collection(db, "eventLogs"), {
-          action: "login",
+        // Step 6: Log successful login event (global; a login belongs to no company)
+        await addDoc(collection(db, "loginEvents"), {
           user: email.trim(),
           timestamp: Date.now(),
-          createdBy: email.trim(),
           at: serverTimestamp()
         });
 
@@ -200,7 +202,7 @@ function LoginPage() {
           setDaysUntilExpiry(Math.ceil(daysUntilExpiry));
           // Give user time to read warning before redirecting
           setTimeout(() => {
-            navigate("/dashboard");
+            navigate(redirectTo);
           }, 3000);
         } else if (daysUntilExpiry <= 0) {
           // Password has expired
@@ -209,7 +211,7 @@ function LoginPage() {
           return;
         } else {
           // Password valid - redirect immediately
-          navigate("/dashboard");
+          navigate(redirectTo);
         }
 
       } catch (authError) {
@@ -11,25 +11,41 @@
 
 import React, { useEffect, useMemo, useState } from "react";
 import {
-  collection, getDocs, doc, updateDoc, addDoc,
+  getDocs, addDoc,
   serverTimestamp, query, orderBy
 } from "firebase/firestore";
-import { db, auth } from "../firebase";
+import { companyCollection } from "../utils/company";
 import NavBar from "../components/NavBar";
 import SendEmailModal from "../components/SendEmailModal";
+import { computeBalances, trialBalanceRows, serializeReport } from "../utils/financials";
 import {
-  computeBalances, trialBalanceRows, incomeStatement,
-  balanceSheet, retainedEarningsStatement, serializeReport
-} from "../utils/financials";
+  incomeStatementReport, balanceSheetReport, retainedEarningsReport, cashFlowReport,
+} from "../utils/statements";
+import { COMPARISON_MODES, comparisonPeriods, comparativeStatement } from "../utils/comparative";
+import FinancialStatement from "../components/FinancialStatement";
+import ComparativeStatement from "../components/ComparativeStatement";
+import ExportMenu from "../components/ExportMenu";
+import { reportTable } from "../utils/export";
 import { formatMoney } from "../utils/format";
+import { approveJournalEntry, entryLines, rejectJournalEntry } from "../utils/journal";
+import { approvalError, describeOutstanding, outstandingApprovals } from "../utils/approvals";
 import { useNavigate } from "react-router-dom";
+import { useAuth } from "../context/authContext";
 
 
 
 
+/** Statement builders that support comparative columns, by report type */
+const STATEMENT_BUILDERS = {
+  income: incomeStatementReport,
+  balance: balanceSheetReport,
+  re: retainedEarningsReport,
+  cash: cashFlowReport,
+};
+
 function ManagerDashboard() {
   const navigate = useNavigate();
-  const userEmail = auth?.currentUser?.email || "manager@example.com";
+  const { userEmail, role } = useAuth();
   const [selectedDate, setSelectedDate] = useState(() => new Date().toISOString().slice(0, 10));
 
   // ---- Journal approvals list ----
@@ -43,26 +59,29 @@ function ManagerDashboard() {
   // ---- Reports state ----
   const [rFrom, setRFrom] = useState("");
   const [rTo, setRTo] = useState(() => new Date().toISOString().slice(0, 10));
-  const [reportType, setReportType] = useState("trial"); // trial | income | balance | re
+  const [reportType, setReportType] = useState("trial"); // trial | income | balance | re | cash
   const [reportData, setReportData] = useState(null);
+  const [compareMode, setCompareMode] = useState(""); // "" | mom | yoy | monthly
+  const [compareCount, setCompareCount] = useState(3);
 
   // Email modal (for reports)
   const [emailOpen, setEmailOpen] = useState(false);
   const [lastSavedId, setLastSavedId] = useState(null);
 
+  const loadEntries = async () => {
+    try {
+      const q = query(companyCollection("journalEntries"), orderBy("createdAt", "desc"));
+      const snap = await getDocs(q);
+      setEntries(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    } catch (e) {
+      console.error("Failed to load journal entries:", e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   useEffect(() => {
-    const load = async () => {
-      try {
-        const q = query(collection(db, "journalEntries"), orderBy("createdAt", "desc"));
-        const snap = await getDocs(q);
-        setEntries(snap.docs.map(d => ({ id: d.id, ...d.data() })));
-      } catch (e) {
-        console.error("Failed to load journal entries:", e);
-      } finally {
-        setLoading(false);
-      }
-    };
-    load();
+    loadEntries();
   }, []);
 
   // Filter journals (pending/approved/rejected; date; search by account name/amount/desc/date)
@@ -76,20 +95,12 @@ function ManagerDashboard() {
     if (searchTerm.trim()) {
       const st = searchTerm.toLowerCase();
       list = list.filter(e => {
-        // legacy shape
-        const dMatch = (e.debits || []).some(d =>
-          (d.accountName || "").toLowerCase().includes(st) || String(d.amount).includes(st)
-        );
-        const cMatch = (e.credits || []).some(c =>
-          (c.accountName || "").toLowerCase().includes(st) || String(c.amount).includes(st)
-        );
-        // new shape
-        const lMatch = (e.lines || []).some(l =>
+        const lMatch = entryLines(e).some(l =>
           (l.accountName || "").toLowerCase().includes(st) || String(l.amount).includes(st)
         );
         const desc = (e.description || "").toLowerCase().includes(st);
         const dateStr = (e.date || "").toLowerCase().includes(st);
-        return dMatch || cMatch || lMatch || desc || dateStr;
+        return lMatch || desc || dateStr;
       });
     }
     return list;
@@ -98,91 +109,40 @@ function ManagerDashboard() {
   // ---- Approve / Reject ----
 
   const handleApprove = async (entry) => {
-    const { id, description } = entry;
+    const { id } = entry;
     try {
-      // Mark approved
-      await updateDoc(doc(db, "journalEntries", id), {
-        status: "approved",
-        approvedBy: userEmail,
-        approvedAt: serverTimestamp(),
-      });
-
-      // Normalize lines for posting
-      let lines = [];
-      if (Array.isArray(entry.lines) && entry.lines.length) {
-        lines = entry.lines.map(l => ({
-          accountId: l.accountId || "unknown",
-          accountName: l.accountName || "unknown",
-          amount: Number(l.amount || 0),
-          side: (l.side || "").toLowerCase() === "credit" ? "credit" : "debit",
-        }));
+      // Status, ledger lines, account totals and notification commit together
+      const result = await approveJournalEntry(id, userEmail, role);
+
+      if (result.posted && result.reversalId) {
+        alert(`✅ Journal entry approved and posted to ledger.\nIts reversing entry dated ${entry.autoReverseOn} was submitted for approval.`);
+        await loadEntries();
+      } else if (result.posted) {
+        alert("✅ Journal entry approved and posted to ledger.");
+        setEntries(prev => prev.map(e => (
+          e.id === id ? { ...e, status: "approved", approvals: result.approvals, approvedBy: userEmail } : e
+        )));
       } else {
-        // legacy shape: debits/credits
-        const ds = (entry.debits || []).map(d => ({ ...d, side: "debit" }));
-        const cs = (entry.credits || []).map(c => ({ ...c, side: "credit" }));
-        lines = [...ds, ...cs].map(x => ({
-          accountId: x.accountId || "unknown",
-          accountName: x.accountName || "unknown",
-          amount: Number(x.amount || 0),
-          side: x.side,
-        }));
+        alert(`✅ Approval recorded. Still needed:\n${result.outstanding.map(describeOutstanding).join("\n")}`);
+        setEntries(prev => prev.map(e => (e.id === id ? { ...e, approvals: result.approvals } : e)));
       }
-
-      // Post each line to ledgerEntries
-      const posts = lines.map(ln => addDoc(collection(db, "ledgerEntries"), {
-        accountId: ln.accountId,
-        accountName: ln.accountName,
-        debit: ln.side === "debit" ? ln.amount : 0,
-        credit: ln.side === "credit" ? ln.amount : 0,
-        description: description || "—",
-        journalId: id,
-        // If the journal had a date (YYYY-MM-DD), store it too for statements:
-        date: entry.date ? new Date(entry.date) : null,
-        createdBy: userEmail,
-        createdAt: serverTimestamp(),
-      }));
-      await Promise.all(posts);
-
-      // Notify preparer (optional)
-      await addDoc(collection(db, "notifications"), {
-        recipient: entry.createdBy || entry.preparedBy || "unknown",
-        message: `Your journal entry "${description || id}" was approved.`,
-        type: "approval",
-        createdAt: serverTimestamp(),
-        sentBy: userEmail,
-      });
-
-      alert("✅ Journal entry approved and posted to ledger.");
-      setEntries(prev => prev.map(e => (e.id === id ? { ...e, status: "approved" } : e)));
     } catch (err) {
       console.error("Approval failed:", err);
-      alert("Error approving journal entry.");
+      alert(`Error approving journal entry: ${err.message}`);
     }
   };
 
   const handleReject = async (entry) => {
-    const { id, description } = entry;
+    const { id } = entry;
     const reason = prompt("Enter rejection reason (required):");
     if (!reason || !reason.trim()) return alert("Rejection reason required.");
     try {
-      await updateDoc(doc(db, "journalEntries", id), {
-        status: "rejected",
-        rejectedBy: userEmail,
-        rejectedAt: serverTimestamp(),
-        rejectionReason: reason.trim(),
-      });
-      await addDoc(collection(db, "notifications"), {
-        recipient: entry.createdBy || entry.preparedBy || "unknown",
-        message: `Your journal entry "${description || id}" was rejected: ${reason}`,
-        type: "rejection",
-        createdAt: serverTimestamp(),
-        sentBy: userEmail,
-      });
+      await rejectJournalEntry(id, reason, userEmail);
       alert("❌ Journal entry rejected and notification sent.");
       setEntries(prev => prev.map(e => (e.id === id ? { ...e, status: "rejected" } : e)));
     } catch (err) {
       console.error("Rejection failed:", err);
-      alert("Error rejecting journal entry.");
+      alert(`Error rejecting journal entry: ${err.message}`);
     }
   };
 
@@ -191,39 +151,47 @@ function ManagerDashboard() {
   const generateReport = async () => {
     // Pull accounts & ledgerEntries (manager sees all)
     const [accSnap, ledSnap] = await Promise.all([
-      getDocs(collection(db, "accounts")),
-      getDocs(collection(db, "ledgerEntries")),
+      getDocs(companyCollection("accounts")),
+      getDocs(companyCollection("ledgerEntries")),
     ]);
     const accounts = accSnap.docs.map(d => ({ id: d.id, ...d.data() }));
     const ledger = ledSnap.docs.map(d => ({ id: d.id, ...d.data() }));
 
+    if (compareMode) {
+      const builder = STATEMENT_BUILDERS[reportType];
+      if (!builder) return alert("The trial balance has no comparative layout. Choose another report type.");
+      // Columns are calendar periods around the To date; From is not used
+      const periods = comparisonPeriods(compareMode, rTo, compareCount);
+      setReportData(comparativeStatement(builder, accounts, ledger, periods));
+      return;
+    }
+
     const accMap = computeBalances(accounts, ledger, rFrom, rTo);
 
     if (reportType === "trial") {
       const tb = trialBalanceRows(accMap);
       setReportData({ kind: "Trial Balance", period: { from: rFrom, to: rTo }, ...tb });
     } else if (reportType === "income") {
-      const is = incomeStatement(accMap);
-      setReportData({ kind: "Income Statement", period: { from: rFrom, to: rTo }, ...is });
+      setReportData(incomeStatementReport(accMap, { from: rFrom, to: rTo }));
     } else if (reportType === "balance") {
-      // For demo: compute RE from same period NI (no dividends tracking here)
-      const is = incomeStatement(accMap);
-      const bs = balanceSheet(accMap, /*openingRE*/ 0, /*NI*/ is.netIncome);
-      setReportData({ kind: "Balance Sheet", period: { from: rFrom, to: rTo }, ...bs });
+      // Retained earnings = designated RE account + earnings not yet closed
+      setReportData(balanceSheetReport(accMap, { from: rFrom, to: rTo }));
+    } else if (reportType === "cash") {
+      // Indirect method: net income adjusted by balance changes from From to To
+      setReportData(cashFlowReport(accMap, { from: rFrom, to: rTo }));
     } else {
-      const is = incomeStatement(accMap);
-      const re = retainedEarningsStatement(/*opening*/ 0, is.netIncome, /*dividends*/ 0);
-      setReportData({ kind: "Retained Earnings", period: { from: rFrom, to: rTo }, ...re });
+      setReportData(retainedEarningsReport(accMap, { from: rFrom, to: rTo }));
     }
   };
 
   const saveReport = async () => {
     if (!reportData) return alert("Generate a report first.");
-    const docRef = await addDoc(collection(db, "financialReports"), {
+    const docRef = await addDoc(companyCollection("financialReports"), {
       createdAt: serverTimestamp(),
       createdBy: userEmail,
       type: reportData.kind,
-      period: { from: rFrom || null, to: rTo || null },
+      period: { from: reportData.period?.from || null, to: reportData.period?.to || null },
+      comparative: !!reportData.comparative,
       payload: serializeReport(reportData),
     });
     setLastSavedId(docRef.id);
@@ -287,56 +255,35 @@ function ManagerDashboard() {
         </table>
       );
     }
-    if (reportData.kind === "Income Statement") {
-      const { revenue, expenses, netIncome } = reportData;
+    if (reportData.comparative) {
       return (
-        <table style={tbl}>
-          <tbody>
-            <tr><td style={td}>Revenue</td><td style={{...td, textAlign:"right"}}>{formatMoney(revenue)}</td></tr>
-            <tr><td style={td}>Expenses</td><td style={{...td, textAlign:"right"}}>{formatMoney(expenses)}</td></tr>
-            <tr><td style={{...td, fontWeight:700}}>Net Income</td><td style={{...td, textAlign:"right", fontWeight:700}}>{formatMoney(netIncome)}</td></tr>
-          </tbody>
-        </table>
-      );
-    }
-    if (reportData.kind === "Balance Sheet") {
-      const { assets, liabilities, equityTotal, retainedEarnings } = reportData;
-      return (
-        <table style={tbl}>
-          <tbody>
-            <tr><td style={td}>Assets</td><td style={{...td, textAlign:"right"}}>{formatMoney(assets)}</td></tr>
-            <tr><td style={td}>Liabilities</td><td style={{...td, textAlign:"right"}}>{formatMoney(liabilities)}</td></tr>
-            <tr><td style={td}>Retained Earnings</td><td style={{...td, textAlign:"right"}}>{formatMoney(retainedEarnings)}</td></tr>
-            <tr><td style={{...td, fontWeight:700}}>Equity (incl. RE)</td><td style={{...td, textAlign:"right", fontWeight:700}}>{formatMoney(equityTotal)}</td></tr>
-          </tbody>
-        </table>
+        <ComparativeStatement
+          statement={reportData}
+          onOpenAccount={(accountId) => navigate(`/ledger/${accountId}`)}
+        />
       );
     }
-    // Retained Earnings Statement
-    const { opening, netIncome, dividends, ending } = reportData;
+    // Income Statement / Balance Sheet / Retained Earnings / Cash Flows
     return (
-      <table style={tbl}>
-        <tbody>
-          <tr><td style={td}>Opening Retained Earnings</td><td style={{...td, textAlign:"right"}}>{formatMoney(opening)}</td></tr>
-          <tr><td style={td}>+ Net Income</td><td style={{...td, textAlign:"right"}}>{formatMoney(netIncome)}</td></tr>
-          <tr><td style={td}>− Dividends</td><td style={{...td, textAlign:"right"}}>{formatMoney(dividends)}</td></tr>
-          <tr><td style={{...td, fontWeight:700}}>Ending Retained Earnings</td><td style={{...td, textAlign:"right", fontWeight:700}}>{formatMoney(ending)}</td></tr>
-        </tbody>
-      </table>
+      <FinancialStatement
+        statement={reportData}
+        onOpenAccount={(accountId) => navigate(`/ledger/${accountId}`)}
+      />
     );
   };
 
   const tableRows = useMemo(() =>
     filteredEntries.map((e) => {
-      const debs = (e.lines || []).filter((l) => l.side === "debit");
-      const creds = (e.lines || []).filter((l) => l.side === "credit");
-      // legacy display fallback:
-      const showDebs = (debs.length ? debs : e.debits || []).map((d, i) => (
+      const lines = entryLines(e);
+      const showDebs = lines.filter((l) => l.side === "debit").map((d, i) => (
         <div key={`d-${i}`}>{d.accountName}: ${Number(d.amount || 0).toFixed(2)}</div>
       ));
-      const showCreds = (creds.length ? creds : e.credits || []).map((c, i) => (
+      const showCreds = lines.filter((l) => l.side === "credit").map((c, i) => (
         <div key={`c-${i}`}>{c.accountName}: ${Number(c.amount || 0).toFixed(2)}</div>
       ));
+      const pending = (e.status || "pending") === "pending";
+      const outstanding = pending ? outstandingApprovals(e) : [];
+      const cannotApprove = pending ? approvalError(e, userEmail, role) : "";
 
       return (
         <tr key={e.id}>
@@ -369,7 +316,14 @@ function ManagerDashboard() {
             )}
           </td>
 
-          <td style={td}>{e.status || "pending"}</td>
+          <td style={td}>
+            {e.status || "pending"}
+            {outstanding.map((r) => (
+              <div key={r.id} style={{ fontSize: 12, color: "#92400e" }}>
+                {r.label}: {r.have}/{r.approvals}
+              </div>
+            ))}
+          </td>
 
           <td style={td}>{e.createdBy || e.preparedBy || "—"}</td>
 
@@ -377,7 +331,13 @@ function ManagerDashboard() {
             <button onClick={() => navigate(`/journal/${e.id}`)}>View</button>
             {e.status === "pending" && (
               <>
-                <button onClick={() => handleApprove(e)}>Approve</button>{" "}
+                <button
+                  onClick={() => handleApprove(e)}
+                  disabled={!!cannotApprove}
+                  title={cannotApprove || "Approve this entry"}
+                >
+                  Approve
+                </button>{" "}
                 <button onClick={() => handleReject(e)}>Reject</button>
               </>
             )}
@@ -385,14 +345,20 @@ function ManagerDashboard() {
         </tr>
       );
     }),
-    [filteredEntries, navigate]
+    [filteredEntries, navigate, userEmail, role]
   );
 
   return (
     <div>
       <NavBar userEmail={userEmail} selectedDate={selectedDate} onDateChange={setSelectedDate} />
       <main style={{ padding: "20px" }}>
-        <h2>Reports</h2>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2>Reports</h2>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={() => navigate("/consolidated-trial-balance")}>Consolidated Trial Balance</button>
+            <button onClick={() => navigate("/adjusting-entries")}>Adjusting Entries Report</button>
+          </div>
+        </div>
 
         {/* ===== Reports ===== */}
         <section style={card}>
@@ -404,17 +370,37 @@ function ManagerDashboard() {
               <option value="income">Income Statement</option>
               <option value="balance">Balance Sheet</option>
               <option value="re">Retained Earnings</option>
+              <option value="cash">Cash Flows</option>
             </select>
 
             <label>From</label>
             <input type="date" value={rFrom} onChange={e => setRFrom(e.target.value)} style={input} />
             <label>To</label>
             <input type="date" value={rTo} onChange={e => setRTo(e.target.value)} style={input} />
+            <label>Compare</label>
+            <select value={compareMode} onChange={e => setCompareMode(e.target.value)} style={input}>
+              <option value="">No comparison</option>
+              {Object.entries(COMPARISON_MODES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {compareMode === "monthly" && (
+              <input
+                type="number" min={2} max={12} value={compareCount}
+                onChange={e => setCompareCount(e.target.value)}
+                style={{ ...input, width: 70 }}
+                title="Number of months (2–12)"
+              />
+            )}
 
             <button onClick={generateReport}>Generate</button>
             <button onClick={saveReport}>Save</button>
             <button onClick={emailReport}>Email</button>
             <button onClick={printReport}>Print</button>
+            <ExportMenu
+              getTable={() => reportData && { ...reportTable(reportData), generatedBy: userEmail }}
+              disabled={!reportData}
+            />
           </div>
 
           {reportData && (
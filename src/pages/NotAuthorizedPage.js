@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Not Authorized Page
+ * @description Shown when a signed-in user opens a route their role does not allow.
+ *
+ * @module pages/NotAuthorizedPage
+ * @requires react
+ * @requires react-router-dom
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+
+/**
+ * NotAuthorizedPage Component
+ *
+ * @component
+ * @description Explains that access was denied and offers a way back to the dashboard.
+ *
+ * @returns {JSX.Element} Not authorized page
+ *
+ * @example
+ * <Route path="/not-authorized" element={<NotAuthorizedPage />} />
+ */
+export default function NotAuthorizedPage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  /** Path the user originally tried to open (set by RoleRoute) */
+  const attempted = location.state?.from?.pathname;
+
+  return (
+    <div style={styles.wrapper}>
+      <div style={styles.card}>
+        <h2 style={styles.title}>🚫 Not Authorized</h2>
+        <p style={styles.message}>
+          Your role does not have access to {attempted ? <code>{attempted}</code> : "this page"}.
+          Contact an administrator if you believe this is a mistake.
+        </p>
+        <button onClick={() => navigate("/dashboard")} style={styles.button}>
+          Go to Dashboard
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  wrapper: {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    background: "#f8fafc",
+    padding: 20,
+  },
+  card: {
+    background: "#fff",
+    border: "1px solid #e2e8f0",
+    borderRadius: 12,
+    padding: 32,
+    maxWidth: 460,
+    textAlign: "center",
+    boxShadow: "0 4px 16px rgba(0,0,0,0.06)",
+  },
+  title: { margin: "0 0 12px", color: "#991b1b" },
+  message: { color: "#334155", lineHeight: 1.5, marginBottom: 20 },
+  button: {
+    padding: "10px 20px",
+    background: "#2563eb",
+    color: "#fff",
+    border: "none",
+    borderRadius: 6,
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+};
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Notifications Page
+ * @description Full notification inbox for the signed-in user: notifications
+ * addressed to them and broadcasts to their role, with read/unread state,
+ * mark-all-read and links to the records they refer to.
+ *
+ * @module pages/NotificationsPage
+ * @requires react
+ * @requires react-router-dom
+ * @requires ../components/NavBar
+ * @requires ../hooks/useNotifications
+ * @requires ../utils/notifications
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import NavBar from "../components/NavBar";
+import { useAuth } from "../context/authContext";
+import useNotifications from "../hooks/useNotifications";
+import { notificationLink, notificationTime, notificationTitle } from "../utils/notifications";
+
+/**
+ * NotificationsPage Component
+ *
+ * @component
+ * @returns {JSX.Element} Notification inbox
+ */
+export default function NotificationsPage() {
+  const navigate = useNavigate();
+  const { userEmail, role } = useAuth();
+  const { notifications, unreadCount, loading, markRead, markAllRead } = useNotifications();
+
+  /** @type {[boolean, Function]} Show unread notifications only */
+  const [unreadOnly, setUnreadOnly] = useState(false);
+
+  const shown = unreadOnly ? notifications.filter((n) => n.unread) : notifications;
+
+  const handle = (action) => async () => {
+    try {
+      await action();
+    } catch (err) {
+      console.error("Notification update failed:", err);
+      alert("Could not update notifications. Please try again.");
+    }
+  };
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1000 }}>
+        <h2>Notifications</h2>
+
+        <div style={styles.toolbar}>
+          <span>
+            {unreadCount} unread of {notifications.length}
+          </span>
+          <label>
+            <input type="checkbox" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} />{" "}
+            Unread only
+          </label>
+          <button onClick={handle(markAllRead)} disabled={!unreadCount}>
+            Mark all read
+          </button>
+        </div>
+
+        {loading ? (
+          <p>Loading…</p>
+        ) : shown.length === 0 ? (
+          <p>{unreadOnly ? "No unread notifications." : "No notifications."}</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Received</th>
+                <th style={styles.th}>Notification</th>
+                <th style={styles.th}>From</th>
+                <th style={styles.th}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((n) => {
+                const link = notificationLink(n, role);
+                return (
+                  <tr key={n.id} style={n.unread ? styles.unread : undefined}>
+                    <td style={styles.td}>{notificationTime(n)}</td>
+                    <td style={styles.td}>
+                      <div style={{ fontWeight: n.unread ? 700 : 500 }}>{notificationTitle(n)}</div>
+                      <div style={{ color: "#475569" }}>{n.message}</div>
+                      {n.forRole && <div style={styles.muted}>To all {n.forRole}s</div>}
+                    </td>
+                    <td style={styles.td}>{n.sentBy || n.sender || "—"}</td>
+                    <td style={{ ...styles.td, whiteSpace: "nowrap" }}>
+                      {link && (
+                        <button
+                          onClick={handle(async () => {
+                            if (n.unread) await markRead(n.id);
+                            navigate(link);
+                          })}
+                        >
+                          Open
+                        </button>
+                      )}{" "}
+                      {n.unread && <button onClick={handle(() => markRead(n.id))}>Mark read</button>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  toolbar: {
+    display: "flex",
+    gap: 16,
+    alignItems: "center",
+    margin: "12px 0 20px",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    background: "white",
+  },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    fontSize: 13,
+    verticalAlign: "top",
+  },
+  unread: { background: "#eff6ff" },
+  muted: { color: "#94a3b8", fontSize: 11, marginTop: 4 },
+};
@@ -0,0 +1,712 @@
+/**
+ * @fileoverview Payables Page
+ * @description Accounts payable subledger: maintain vendors, enter bills
+ * coded to expense accounts, pay them, list the bills due this week, and run
+ * the AP aging report tied to the payable liability account.
+ *
+ * @module pages/PayablesPage
+ * @requires react
+ * @requires react-router-dom
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/payables
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import NavBar from "../components/NavBar";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
+import { formatMoney } from "../utils/format";
+import { AGING_BUCKETS, addDays, agingTable, documentBalances, loadControlLedger } from "../utils/aging";
+import {
+  DEFAULT_TERMS_DAYS, billTotal, billsDueThisWeek, enterBill, loadPayables, payablesAging, payBill, saveVendor,
+} from "../utils/payables";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const TABS = { bills: "Bills", vendors: "Vendors", aging: "AP Aging" };
+
+const EMPTY_VENDOR = () => ({ name: "", email: "", phone: "", address: "", termsDays: String(DEFAULT_TERMS_DAYS), active: true });
+
+const EMPTY_LINE = () => ({ description: "", amount: "", accountId: "" });
+
+/** Default AP control account: the first active liability account named "…payable…". */
+const defaultPayable = (accounts) =>
+  accounts.find((a) => a.category === "Liability" && a.active !== false && /payable/i.test(a.name || ""))?.id || "";
+
+/**
+ * PayablesPage Component
+ *
+ * @component
+ * @description Tabs for bills (with payments and the bills due this week),
+ * vendors and the AP aging report. Bills and payments are submitted as
+ * journal entries for approval.
+ *
+ * @returns {JSX.Element} Accounts payable workspace
+ */
+export default function PayablesPage() {
+  const { userEmail, role } = useAuth();
+  const navigate = useNavigate();
+
+  // ==================== State Management ====================
+
+  const [tab, setTab] = useState("bills");
+
+  /** @type {[Object, Function]} loadPayables() result */
+  const [data, setData] = useState({ vendors: [], bills: [], payments: [], entriesById: {} });
+
+  /** @type {[Array<Object>, Function]} Chart of accounts */
+  const [accounts, setAccounts] = useState([]);
+
+  const [loading, setLoading] = useState(true);
+
+  /** @type {[Object|null, Function]} Vendor form, or null when closed */
+  const [vendorForm, setVendorForm] = useState(null);
+
+  /** @type {[string|null, Function]} Id of the vendor being edited */
+  const [editingVendorId, setEditingVendorId] = useState(null);
+
+  /** @type {[Object|null, Function]} Bill form, or null when closed */
+  const [billForm, setBillForm] = useState(null);
+
+  /** @type {[Object|null, Function]} Payment form, or null when closed */
+  const [paymentForm, setPaymentForm] = useState(null);
+
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  /** @type {[string, Function]} Aging report date (YYYY-MM-DD) */
+  const [asOf, setAsOf] = useState(today);
+
+  /** @type {[string, Function]} AP control account for the aging report */
+  const [apAccountId, setApAccountId] = useState("");
+
+  /** @type {[Array<Object>, Function]} Ledger lines of the control account */
+  const [controlLedger, setControlLedger] = useState([]);
+
+  // ==================== Effects ====================
+
+  const refresh = async () => {
+    setData(await loadPayables());
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loaded, accSnap] = await Promise.all([
+          loadPayables(),
+          getDocs(companyCollection("accounts")),
+        ]);
+        const list = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+        setData(loaded);
+        setAccounts(list);
+        setApAccountId(defaultPayable(list));
+      } catch (err) {
+        console.error("Failed to load payables:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    if (tab !== "aging" || !apAccountId) return;
+    loadControlLedger(apAccountId)
+      .then(setControlLedger)
+      .catch((err) => console.error("Failed to load control account ledger:", err));
+  }, [tab, apAccountId, data]);
+
+  const accountsIn = (category) => accounts.filter((a) => a.category === category && a.active !== false);
+  const vendorById = useMemo(() => Object.fromEntries(data.vendors.map((v) => [v.id, v])), [data.vendors]);
+
+  /** Current status and balance of every bill, by bill id */
+  const balances = useMemo(
+    () => Object.fromEntries(
+      documentBalances(data.bills, data.payments, "billId", data.entriesById, today()).map((b) => [b.document.id, b])
+    ),
+    [data]
+  );
+
+  /** Unpaid bills due within the next seven days, or already overdue */
+  const dueThisWeek = useMemo(() => billsDueThisWeek(data, today()), [data]);
+
+  const aging = useMemo(
+    () => (apAccountId ? payablesAging({ ...data, accounts, ledger: controlLedger }, apAccountId, asOf) : null),
+    [data, accounts, controlLedger, apAccountId, asOf]
+  );
+
+  // ==================== Event Handlers ====================
+
+  const closeForms = () => {
+    setVendorForm(null);
+    setEditingVendorId(null);
+    setBillForm(null);
+    setPaymentForm(null);
+    setError("");
+  };
+
+  const openVendor = (v = null) => {
+    closeForms();
+    setTab("vendors");
+    setEditingVendorId(v?.id || null);
+    setVendorForm(v ? { ...EMPTY_VENDOR(), ...v, termsDays: String(v.termsDays ?? DEFAULT_TERMS_DAYS) } : EMPTY_VENDOR());
+  };
+
+  const openBill = () => {
+    closeForms();
+    setTab("bills");
+    setBillForm({
+      vendorId: "",
+      number: "",
+      date: today(),
+      dueDate: addDays(today(), DEFAULT_TERMS_DAYS),
+      apAccountId: defaultPayable(accounts),
+      memo: "",
+      lineItems: [EMPTY_LINE()],
+    });
+  };
+
+  const openPayment = (bill) => {
+    closeForms();
+    const remaining = Number(bill.total) - (balances[bill.id]?.committed || 0);
+    setPaymentForm({ billId: bill.id, date: today(), amount: remaining.toFixed(2), cashAccountId: "", reference: "" });
+  };
+
+  /** Picking a vendor sets the due date from its payment terms. */
+  const chooseVendor = (vendorId) => {
+    const terms = vendorById[vendorId]?.termsDays ?? DEFAULT_TERMS_DAYS;
+    setBillForm({ ...billForm, vendorId, dueDate: addDays(billForm.date, terms) });
+  };
+
+  const setLine = (i, field, value) => {
+    const lineItems = billForm.lineItems.map((l, j) => (j === i ? { ...l, [field]: value } : l));
+    setBillForm({ ...billForm, lineItems });
+  };
+
+  /** Run a save, then close the form and reload. */
+  const submit = (action, label) => async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await action();
+      closeForms();
+      await refresh();
+    } catch (err) {
+      console.error(`Failed to save ${label}:`, err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const author = { userEmail, role };
+  const handleSaveVendor = submit(() => saveVendor(vendorForm, userEmail, editingVendorId), "vendor");
+  const handleEnterBill = submit(() => enterBill(billForm, { ...data, accounts }, author), "bill");
+  const handlePayBill = submit(() => payBill(paymentForm, { ...data, accounts }, author), "payment");
+
+  const agingExport = () => aging && { ...agingTable("AP Aging", aging.report, asOf, "Vendor"), generatedBy: userEmail };
+
+  // ==================== Render ====================
+
+  const total = billForm ? billTotal(billForm.lineItems) : 0;
+  const paymentBill = paymentForm && data.bills.find((bill) => bill.id === paymentForm.billId);
+
+  const renderVendorForm = () => (
+    <form onSubmit={handleSaveVendor} style={styles.form}>
+      <h3>{editingVendorId ? "Edit Vendor" : "New Vendor"}</h3>
+      <div style={styles.row}>
+        <input placeholder="Vendor name" value={vendorForm.name}
+          onChange={(e) => setVendorForm({ ...vendorForm, name: e.target.value })} style={{ flex: 1 }} />
+        <label>
+          <input type="checkbox" checked={vendorForm.active}
+            onChange={(e) => setVendorForm({ ...vendorForm, active: e.target.checked })} />{" "}
+          Active
+        </label>
+      </div>
+      <div style={styles.row}>
+        <input placeholder="Email" value={vendorForm.email}
+          onChange={(e) => setVendorForm({ ...vendorForm, email: e.target.value })} />
+        <input placeholder="Phone" value={vendorForm.phone}
+          onChange={(e) => setVendorForm({ ...vendorForm, phone: e.target.value })} />
+        <label>
+          Terms (days){" "}
+          <input type="number" min="0" step="1" value={vendorForm.termsDays}
+            onChange={(e) => setVendorForm({ ...vendorForm, termsDays: e.target.value })} style={{ width: 70 }} />
+        </label>
+      </div>
+      <div style={styles.row}>
+        <input placeholder="Address" value={vendorForm.address}
+          onChange={(e) => setVendorForm({ ...vendorForm, address: e.target.value })} style={{ flex: 1 }} />
+      </div>
+      {error && <div style={styles.error}>{error}</div>}
+      <div style={{ ...styles.row, marginTop: 12 }}>
+        <button type="submit" disabled={saving}>{saving ? "Saving..." : "Save Vendor"}</button>
+        <button type="button" onClick={closeForms}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderBillForm = () => (
+    <form onSubmit={handleEnterBill} style={styles.form}>
+      <h3>New Bill</h3>
+      <div style={styles.row}>
+        <select value={billForm.vendorId} onChange={(e) => chooseVendor(e.target.value)} style={{ flex: 1 }}>
+          <option value="">Select vendor</option>
+          {data.vendors.filter((v) => v.active !== false).map((v) => (
+            <option key={v.id} value={v.id}>{v.name}</option>
+          ))}
+        </select>
+        <label>
+          Number{" "}
+          <input value={billForm.number} onChange={(e) => setBillForm({ ...billForm, number: e.target.value })}
+            style={{ width: 100 }} />
+        </label>
+        <label>
+          Date{" "}
+          <input type="date" value={billForm.date} onChange={(e) => setBillForm({ ...billForm, date: e.target.value })} />
+        </label>
+        <label>
+          Due{" "}
+          <input type="date" value={billForm.dueDate} onChange={(e) => setBillForm({ ...billForm, dueDate: e.target.value })} />
+        </label>
+      </div>
+      <div style={styles.row}>
+        <span style={styles.fieldLabel}>Payable account</span>
+        <select value={billForm.apAccountId} onChange={(e) => setBillForm({ ...billForm, apAccountId: e.target.value })}
+          style={{ flex: 1 }}>
+          <option value="">Select account</option>
+          {accountsIn("Liability").map((a) => (
+            <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+          ))}
+        </select>
+      </div>
+
+      <table style={{ ...styles.table, margin: "8px 0" }}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Description</th>
+            <th style={styles.th}>Expense Account</th>
+            <th style={{ ...styles.th, textAlign: "right" }}>Amount</th>
+            <th style={styles.th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {billForm.lineItems.map((l, i) => (
+            <tr key={i}>
+              <td style={styles.td}>
+                <input value={l.description} onChange={(e) => setLine(i, "description", e.target.value)} style={{ width: "100%" }} />
+              </td>
+              <td style={styles.td}>
+                <select value={l.accountId} onChange={(e) => setLine(i, "accountId", e.target.value)}>
+                  <option value="">Select account</option>
+                  {accountsIn("Expense").map((a) => (
+                    <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+                  ))}
+                </select>
+              </td>
+              <td style={{ ...styles.td, textAlign: "right" }}>
+                <input type="number" min="0" step="0.01" value={l.amount}
+                  onChange={(e) => setLine(i, "amount", e.target.value)} style={{ width: 120 }} />
+              </td>
+              <td style={styles.td}>
+                {billForm.lineItems.length > 1 && (
+                  <button type="button" onClick={() =>
+                    setBillForm({ ...billForm, lineItems: billForm.lineItems.filter((_, j) => j !== i) })}>
+                    Remove
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <td style={styles.td} colSpan={2}>
+              <button type="button" onClick={() =>
+                setBillForm({ ...billForm, lineItems: [...billForm.lineItems, EMPTY_LINE()] })}>
+                + Add Line
+              </button>
+            </td>
+            <td style={{ ...styles.td, textAlign: "right", fontWeight: 600 }}>{formatMoney(total)}</td>
+            <td style={styles.td}></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div style={styles.row}>
+        <input placeholder="Memo (optional)" value={billForm.memo}
+          onChange={(e) => setBillForm({ ...billForm, memo: e.target.value })} style={{ flex: 1 }} />
+      </div>
+      <p style={styles.muted}>Saving submits the expense / payable journal entry for approval.</p>
+      {error && <div style={styles.error}>{error}</div>}
+      <div style={{ ...styles.row, marginTop: 12 }}>
+        <button type="submit" disabled={saving}>{saving ? "Saving..." : "Enter Bill"}</button>
+        <button type="button" onClick={closeForms}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderPaymentForm = () => (
+    <form onSubmit={handlePayBill} style={styles.form}>
+      <h3>Pay Bill — {paymentBill?.number} ({paymentBill?.vendorName})</h3>
+      <div style={styles.row}>
+        <label>
+          Date{" "}
+          <input type="date" value={paymentForm.date} onChange={(e) => setPaymentForm({ ...paymentForm, date: e.target.value })} />
+        </label>
+        <label>
+          Amount{" "}
+          <input type="number" min="0" step="0.01" value={paymentForm.amount}
+            onChange={(e) => setPaymentForm({ ...paymentForm, amount: e.target.value })} style={{ width: 120 }} />
+        </label>
+        <input placeholder="Reference (check #)" value={paymentForm.reference}
+          onChange={(e) => setPaymentForm({ ...paymentForm, reference: e.target.value })} />
+      </div>
+      <div style={styles.row}>
+        <span style={styles.fieldLabel}>Pay from</span>
+        <select value={paymentForm.cashAccountId} onChange={(e) => setPaymentForm({ ...paymentForm, cashAccountId: e.target.value })}
+          style={{ flex: 1 }}>
+          <option value="">Select account</option>
+          {accountsIn("Asset").map((a) => (
+            <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+          ))}
+        </select>
+      </div>
+      {error && <div style={styles.error}>{error}</div>}
+      <div style={{ ...styles.row, marginTop: 12 }}>
+        <button type="submit" disabled={saving}>{saving ? "Saving..." : "Record Payment"}</button>
+        <button type="button" onClick={closeForms}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderBills = () => (
+    <>
+      {billForm && renderBillForm()}
+      {paymentForm && renderPaymentForm()}
+
+      <section style={styles.dueWeek}>
+        <h3 style={{ marginTop: 0 }}>Bills Due This Week</h3>
+        {dueThisWeek.length === 0 ? (
+          <p style={styles.muted}>Nothing due in the next seven days.</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Due</th>
+                <th style={styles.th}>Vendor</th>
+                <th style={styles.th}>Bill</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Amount Due</th>
+                <th style={styles.th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {dueThisWeek.map(({ bill, remaining, overdue }) => (
+                <tr key={bill.id}>
+                  <td style={{ ...styles.td, ...(overdue ? styles.overdue : null) }}>
+                    {bill.dueDate}{overdue && " (overdue)"}
+                  </td>
+                  <td style={styles.td}>{bill.vendorName}</td>
+                  <td style={styles.td}>{bill.number}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(remaining)}</td>
+                  <td style={styles.td}>
+                    <button onClick={() => openPayment(bill)}>Pay</button>
+                  </td>
+                </tr>
+              ))}
+              <tr style={{ fontWeight: 600 }}>
+                <td style={styles.td} colSpan={3}>Total</td>
+                <td style={{ ...styles.td, textAlign: "right" }}>
+                  {formatMoney(dueThisWeek.reduce((sum, d) => sum + d.remaining, 0))}
+                </td>
+                <td style={styles.td}></td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {data.bills.length === 0 ? (
+        <p>No bills yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Bill</th>
+              <th style={styles.th}>Vendor</th>
+              <th style={styles.th}>Date</th>
+              <th style={styles.th}>Due</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Total</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Paid</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Balance</th>
+              <th style={styles.th}>Status</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.bills.map((bill) => {
+              const b = balances[bill.id];
+              const canPay = b && b.status !== "rejected" && b.committed < Number(bill.total);
+              return (
+                <tr key={bill.id}>
+                  <td style={styles.td}>
+                    <button style={styles.linkBtn} onClick={() => navigate(`/journal/${bill.journalId}`)}>{bill.number}</button>
+                  </td>
+                  <td style={styles.td}>{bill.vendorName}</td>
+                  <td style={styles.td}>{bill.date}</td>
+                  <td style={{ ...styles.td, ...(b?.balance > 0 && bill.dueDate < today() ? styles.overdue : null) }}>{bill.dueDate}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(bill.total)}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(b?.paid || 0)}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(b?.balance || 0)}</td>
+                  <td style={styles.td}>{b?.status}</td>
+                  <td style={styles.td}>
+                    {canPay && <button onClick={() => openPayment(bill)}>Pay</button>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {data.payments.length > 0 && (
+        <section style={{ marginTop: 24 }}>
+          <h3>Payments</h3>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Date</th>
+                <th style={styles.th}>Vendor</th>
+                <th style={styles.th}>Bill</th>
+                <th style={styles.th}>Reference</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Amount</th>
+                <th style={styles.th}>Entry</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.payments.map((p) => (
+                <tr key={p.id}>
+                  <td style={styles.td}>{p.date}</td>
+                  <td style={styles.td}>{p.vendorName}</td>
+                  <td style={styles.td}>{p.billNumber}</td>
+                  <td style={styles.td}>{p.reference || "—"}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(p.amount)}</td>
+                  <td style={styles.td}>
+                    <button style={styles.linkBtn} onClick={() => navigate(`/journal/${p.journalId}`)}>
+                      {data.entriesById[p.journalId]?.status || "pending"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </>
+  );
+
+  const renderVendors = () => (
+    <>
+      {vendorForm && renderVendorForm()}
+      {data.vendors.length === 0 ? (
+        <p>No vendors yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Vendor</th>
+              <th style={styles.th}>Contact</th>
+              <th style={styles.th}>Terms</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Open Balance</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.vendors.map((v) => {
+              const open = data.bills
+                .filter((bill) => bill.vendorId === v.id)
+                .reduce((s, bill) => s + (balances[bill.id]?.balance || 0), 0);
+              return (
+                <tr key={v.id} style={v.active === false ? { opacity: 0.6 } : undefined}>
+                  <td style={styles.td}>
+                    <strong>{v.name}</strong>
+                    {v.address && <div style={styles.muted}>{v.address}</div>}
+                  </td>
+                  <td style={styles.td}>{[v.email, v.phone].filter(Boolean).join(" · ") || "—"}</td>
+                  <td style={styles.td}>Net {v.termsDays ?? DEFAULT_TERMS_DAYS}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(open)}</td>
+                  <td style={styles.td}>
+                    <button onClick={() => openVendor(v)}>Edit</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+
+  const renderAging = () => (
+    <>
+      <div style={styles.toolbar}>
+        <label>
+          As of <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+        </label>
+        <label>
+          Control account{" "}
+          <select value={apAccountId} onChange={(e) => setApAccountId(e.target.value)}>
+            <option value="">Select account</option>
+            {accountsIn("Liability").map((a) => (
+              <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+            ))}
+          </select>
+        </label>
+        <ExportMenu getTable={agingExport} disabled={!aging} />
+      </div>
+
+      {!aging ? (
+        <p>Choose the payable control account.</p>
+      ) : (
+        <>
+          <p style={styles.muted}>Days past each bill&apos;s due date; bills not yet due are in the first column.</p>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Vendor</th>
+                {AGING_BUCKETS.map((b) => (
+                  <th key={b.label} style={{ ...styles.th, textAlign: "right" }}>{b.label} days</th>
+                ))}
+                <th style={{ ...styles.th, textAlign: "right" }}>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {aging.report.rows.map((r) => (
+                <tr key={r.partyId}>
+                  <td style={styles.td}>{r.partyName}</td>
+                  {r.buckets.map((n, i) => (
+                    <td key={i} style={{ ...styles.td, textAlign: "right" }}>{n ? formatMoney(n) : "—"}</td>
+                  ))}
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.total)}</td>
+                </tr>
+              ))}
+              <tr style={{ fontWeight: 600 }}>
+                <td style={styles.td}>Total</td>
+                {aging.report.totals.map((n, i) => (
+                  <td key={i} style={{ ...styles.td, textAlign: "right" }}>{formatMoney(n)}</td>
+                ))}
+                <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(aging.report.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div style={aging.tieOut.difference === 0 ? styles.tied : styles.untied}>
+            Control account balance {formatMoney(aging.tieOut.ledgerBalance)} · Aging total{" "}
+            {formatMoney(aging.tieOut.subledgerTotal)} ·{" "}
+            {aging.tieOut.difference === 0
+              ? "In agreement"
+              : `Difference ${formatMoney(aging.tieOut.difference)} (entries posted to the account outside the subledger)`}
+          </div>
+        </>
+      )}
+    </>
+  );
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1200 }}>
+        <div style={styles.header}>
+          <h2>Accounts Payable</h2>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={() => openVendor()}>+ New Vendor</button>
+            <button onClick={openBill}>+ New Bill</button>
+          </div>
+        </div>
+
+        <div style={styles.tabs}>
+          {Object.entries(TABS).map(([key, label]) => (
+            <button key={key} onClick={() => setTab(key)} style={tab === key ? styles.tabActive : styles.tab}>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <p>Loading...</p>
+        ) : tab === "bills" ? (
+          renderBills()
+        ) : tab === "vendors" ? (
+          renderVendors()
+        ) : (
+          renderAging()
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  tabs: { display: "flex", gap: 4, margin: "12px 0 20px", borderBottom: "1px solid #e2e8f0" },
+  tab: { background: "transparent", border: "none", padding: "8px 14px", cursor: "pointer", color: "#475569" },
+  tabActive: {
+    background: "transparent",
+    border: "none",
+    borderBottom: "2px solid #2563eb",
+    padding: "8px 14px",
+    cursor: "pointer",
+    color: "#1e293b",
+    fontWeight: 600,
+  },
+  dueWeek: {
+    background: "#fffbeb",
+    border: "1px solid #fde68a",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+  },
+  toolbar: { display: "flex", gap: 12, alignItems: "center", marginBottom: 16 },
+  form: {
+    background: "#f8fafc",
+    border: "1px solid #e2e8f0",
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 24,
+  },
+  row: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 8 },
+  fieldLabel: { width: 160, fontSize: 13 },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13, verticalAlign: "top" },
+  overdue: { color: "#b91c1c", fontWeight: 600 },
+  tied: { marginTop: 12, padding: 10, borderRadius: 8, background: "#f0fdf4", border: "1px solid #bbf7d0" },
+  untied: { marginTop: 12, padding: 10, borderRadius: 8, background: "#fef2f2", border: "1px solid #fecaca" },
+  muted: { color: "#64748b", fontSize: 12 },
+  error: { color: "#b91c1c", marginTop: 8 },
+  linkBtn: {
+    background: "transparent",
+    border: "none",
+    color: "#2563eb",
+    textDecoration: "underline",
+    cursor: "pointer",
+    padding: 0,
+  },
+};
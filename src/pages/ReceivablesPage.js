@@ -0,0 +1,669 @@
+/**
+ * @fileoverview Receivables Page
+ * @description Accounts receivable subledger: maintain customers, issue
+ * invoices with line items, record customer payments, and run the AR aging
+ * report tied to the receivable control account.
+ *
+ * @module pages/ReceivablesPage
+ * @requires react
+ * @requires react-router-dom
+ * @requires firebase/firestore
+ * @requires ../firebase
+ * @requires ../components/NavBar
+ * @requires ../utils/receivables
+ *
+ * @author Tabuledge Development Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { getDocs } from "firebase/firestore";
+import { companyCollection } from "../utils/company";
+import NavBar from "../components/NavBar";
+import ExportMenu from "../components/ExportMenu";
+import { useAuth } from "../context/authContext";
+import { formatMoney } from "../utils/format";
+import { AGING_BUCKETS, addDays, agingTable, documentBalances, loadControlLedger } from "../utils/aging";
+import {
+  DEFAULT_TERMS_DAYS, invoiceTotals, loadReceivables, nextInvoiceNumber,
+  postInvoice, receivablesAging, receivePayment, saveCustomer,
+} from "../utils/receivables";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const TABS = { invoices: "Invoices", customers: "Customers", aging: "AR Aging" };
+
+const EMPTY_CUSTOMER = () => ({ name: "", email: "", phone: "", address: "", termsDays: String(DEFAULT_TERMS_DAYS), active: true });
+
+const EMPTY_LINE = () => ({ description: "", quantity: "1", unitPrice: "", accountId: "" });
+
+/** Default AR control account: the first active asset account named "…receivable…". */
+const defaultReceivable = (accounts) =>
+  accounts.find((a) => a.category === "Asset" && a.active !== false && /receivable/i.test(a.name || ""))?.id || "";
+
+/**
+ * ReceivablesPage Component
+ *
+ * @component
+ * @description Tabs for invoices (with payments), customers and the AR aging
+ * report. Invoices and payments are submitted as journal entries for approval.
+ *
+ * @returns {JSX.Element} Accounts receivable workspace
+ */
+export default function ReceivablesPage() {
+  const { userEmail, role } = useAuth();
+  const navigate = useNavigate();
+
+  // ==================== State Management ====================
+
+  const [tab, setTab] = useState("invoices");
+
+  /** @type {[Object, Function]} loadReceivables() result */
+  const [data, setData] = useState({ customers: [], invoices: [], payments: [], entriesById: {} });
+
+  /** @type {[Array<Object>, Function]} Chart of accounts */
+  const [accounts, setAccounts] = useState([]);
+
+  const [loading, setLoading] = useState(true);
+
+  /** @type {[Object|null, Function]} Customer form, or null when closed */
+  const [customerForm, setCustomerForm] = useState(null);
+
+  /** @type {[string|null, Function]} Id of the customer being edited */
+  const [editingCustomerId, setEditingCustomerId] = useState(null);
+
+  /** @type {[Object|null, Function]} Invoice form, or null when closed */
+  const [invoiceForm, setInvoiceForm] = useState(null);
+
+  /** @type {[Object|null, Function]} Payment form, or null when closed */
+  const [paymentForm, setPaymentForm] = useState(null);
+
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  /** @type {[string, Function]} Aging report date (YYYY-MM-DD) */
+  const [asOf, setAsOf] = useState(today);
+
+  /** @type {[string, Function]} AR control account for the aging report */
+  const [arAccountId, setArAccountId] = useState("");
+
+  /** @type {[Array<Object>, Function]} Ledger lines of the control account */
+  const [controlLedger, setControlLedger] = useState([]);
+
+  // ==================== Effects ====================
+
+  const refresh = async () => {
+    setData(await loadReceivables());
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loaded, accSnap] = await Promise.all([
+          loadReceivables(),
+          getDocs(companyCollection("accounts")),
+        ]);
+        const list = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+        setData(loaded);
+        setAccounts(list);
+        setArAccountId(defaultReceivable(list));
+      } catch (err) {
+        console.error("Failed to load receivables:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    if (tab !== "aging" || !arAccountId) return;
+    loadControlLedger(arAccountId)
+      .then(setControlLedger)
+      .catch((err) => console.error("Failed to load control account ledger:", err));
+  }, [tab, arAccountId, data]);
+
+  const accountsIn = (category) => accounts.filter((a) => a.category === category && a.active !== false);
+  const customerById = useMemo(() => Object.fromEntries(data.customers.map((c) => [c.id, c])), [data.customers]);
+
+  /** Current status and balance of every invoice, by invoice id */
+  const balances = useMemo(
+    () => Object.fromEntries(
+      documentBalances(data.invoices, data.payments, "invoiceId", data.entriesById, today()).map((b) => [b.document.id, b])
+    ),
+    [data]
+  );
+
+  const aging = useMemo(
+    () => (arAccountId ? receivablesAging({ ...data, accounts, ledger: controlLedger }, arAccountId, asOf) : null),
+    [data, accounts, controlLedger, arAccountId, asOf]
+  );
+
+  // ==================== Event Handlers ====================
+
+  const closeForms = () => {
+    setCustomerForm(null);
+    setEditingCustomerId(null);
+    setInvoiceForm(null);
+    setPaymentForm(null);
+    setError("");
+  };
+
+  const openCustomer = (c = null) => {
+    closeForms();
+    setTab("customers");
+    setEditingCustomerId(c?.id || null);
+    setCustomerForm(c ? { ...EMPTY_CUSTOMER(), ...c, termsDays: String(c.termsDays ?? DEFAULT_TERMS_DAYS) } : EMPTY_CUSTOMER());
+  };
+
+  const openInvoice = () => {
+    closeForms();
+    setTab("invoices");
+    setInvoiceForm({
+      customerId: "",
+      number: nextInvoiceNumber(data.invoices),
+      date: today(),
+      dueDate: addDays(today(), DEFAULT_TERMS_DAYS),
+      arAccountId: defaultReceivable(accounts),
+      memo: "",
+      lineItems: [EMPTY_LINE()],
+    });
+  };
+
+  const openPayment = (inv) => {
+    closeForms();
+    const remaining = Number(inv.total) - (balances[inv.id]?.committed || 0);
+    setPaymentForm({ invoiceId: inv.id, date: today(), amount: remaining.toFixed(2), cashAccountId: "", reference: "" });
+  };
+
+  /** Picking a customer sets the due date from its payment terms. */
+  const chooseCustomer = (customerId) => {
+    const terms = customerById[customerId]?.termsDays ?? DEFAULT_TERMS_DAYS;
+    setInvoiceForm({ ...invoiceForm, customerId, dueDate: addDays(invoiceForm.date, terms) });
+  };
+
+  const setLine = (i, field, value) => {
+    const lineItems = invoiceForm.lineItems.map((l, j) => (j === i ? { ...l, [field]: value } : l));
+    setInvoiceForm({ ...invoiceForm, lineItems });
+  };
+
+  /** Run a save, then close the form and reload. */
+  const submit = (action, label) => async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await action();
+      closeForms();
+      await refresh();
+    } catch (err) {
+      console.error(`Failed to save ${label}:`, err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const author = { userEmail, role };
+  const handleSaveCustomer = submit(() => saveCustomer(customerForm, userEmail, editingCustomerId), "customer");
+  const handlePostInvoice = submit(() => postInvoice(invoiceForm, { ...data, accounts }, author), "invoice");
+  const handleReceivePayment = submit(() => receivePayment(paymentForm, { ...data, accounts }, author), "payment");
+
+  const agingExport = () => aging && { ...agingTable("AR Aging", aging.report, asOf, "Customer"), generatedBy: userEmail };
+
+  // ==================== Render ====================
+
+  const invoiceTotal = invoiceForm ? invoiceTotals(invoiceForm.lineItems).total : 0;
+  const paymentInvoice = paymentForm && data.invoices.find((inv) => inv.id === paymentForm.invoiceId);
+
+  const renderCustomerForm = () => (
+    <form onSubmit={handleSaveCustomer} style={styles.form}>
+      <h3>{editingCustomerId ? "Edit Customer" : "New Customer"}</h3>
+      <div style={styles.row}>
+        <input placeholder="Customer name" value={customerForm.name}
+          onChange={(e) => setCustomerForm({ ...customerForm, name: e.target.value })} style={{ flex: 1 }} />
+        <label>
+          <input type="checkbox" checked={customerForm.active}
+            onChange={(e) => setCustomerForm({ ...customerForm, active: e.target.checked })} />{" "}
+          Active
+        </label>
+      </div>
+      <div style={styles.row}>
+        <input placeholder="Email" value={customerForm.email}
+          onChange={(e) => setCustomerForm({ ...customerForm, email: e.target.value })} />
+        <input placeholder="Phone" value={customerForm.phone}
+          onChange={(e) => setCustomerForm({ ...customerForm, phone: e.target.value })} />
+        <label>
+          Terms (days){" "}
+          <input type="number" min="0" step="1" value={customerForm.termsDays}
+            onChange={(e) => setCustomerForm({ ...customerForm, termsDays: e.target.value })} style={{ width: 70 }} />
+        </label>
+      </div>
+      <div style={styles.row}>
+        <input placeholder="Address" value={customerForm.address}
+          onChange={(e) => setCustomerForm({ ...customerForm, address: e.target.value })} style={{ flex: 1 }} />
+      </div>
+      {error && <div style={styles.error}>{error}</div>}
+      <div style={{ ...styles.row, marginTop: 12 }}>
+        <button type="submit" disabled={saving}>{saving ? "Saving..." : "Save Customer"}</button>
+        <button type="button" onClick={closeForms}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderInvoiceForm = () => (
+    <form onSubmit={handlePostInvoice} style={styles.form}>
+      <h3>New Invoice</h3>
+      <div style={styles.row}>
+        <select value={invoiceForm.customerId} onChange={(e) => chooseCustomer(e.target.value)} style={{ flex: 1 }}>
+          <option value="">Select customer</option>
+          {data.customers.filter((c) => c.active !== false).map((c) => (
+            <option key={c.id} value={c.id}>{c.name}</option>
+          ))}
+        </select>
+        <label>
+          Number{" "}
+          <input value={invoiceForm.number} onChange={(e) => setInvoiceForm({ ...invoiceForm, number: e.target.value })}
+            style={{ width: 100 }} />
+        </label>
+        <label>
+          Date{" "}
+          <input type="date" value={invoiceForm.date} onChange={(e) => setInvoiceForm({ ...invoiceForm, date: e.target.value })} />
+        </label>
+        <label>
+          Due{" "}
+          <input type="date" value={invoiceForm.dueDate} onChange={(e) => setInvoiceForm({ ...invoiceForm, dueDate: e.target.value })} />
+        </label>
+      </div>
+      <div style={styles.row}>
+        <span style={styles.fieldLabel}>Receivable account</span>
+        <select value={invoiceForm.arAccountId} onChange={(e) => setInvoiceForm({ ...invoiceForm, arAccountId: e.target.value })}
+          style={{ flex: 1 }}>
+          <option value="">Select account</option>
+          {accountsIn("Asset").map((a) => (
+            <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+          ))}
+        </select>
+      </div>
+
+      <table style={{ ...styles.table, margin: "8px 0" }}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Description</th>
+            <th style={styles.th}>Revenue Account</th>
+            <th style={{ ...styles.th, textAlign: "right" }}>Qty</th>
+            <th style={{ ...styles.th, textAlign: "right" }}>Unit Price</th>
+            <th style={{ ...styles.th, textAlign: "right" }}>Amount</th>
+            <th style={styles.th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {invoiceForm.lineItems.map((l, i) => (
+            <tr key={i}>
+              <td style={styles.td}>
+                <input value={l.description} onChange={(e) => setLine(i, "description", e.target.value)} style={{ width: "100%" }} />
+              </td>
+              <td style={styles.td}>
+                <select value={l.accountId} onChange={(e) => setLine(i, "accountId", e.target.value)}>
+                  <option value="">Select account</option>
+                  {accountsIn("Revenue").map((a) => (
+                    <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+                  ))}
+                </select>
+              </td>
+              <td style={{ ...styles.td, textAlign: "right" }}>
+                <input type="number" min="0" step="any" value={l.quantity}
+                  onChange={(e) => setLine(i, "quantity", e.target.value)} style={{ width: 70 }} />
+              </td>
+              <td style={{ ...styles.td, textAlign: "right" }}>
+                <input type="number" min="0" step="0.01" value={l.unitPrice}
+                  onChange={(e) => setLine(i, "unitPrice", e.target.value)} style={{ width: 100 }} />
+              </td>
+              <td style={{ ...styles.td, textAlign: "right" }}>
+                {formatMoney((Number(l.quantity) || 0) * (Number(l.unitPrice) || 0))}
+              </td>
+              <td style={styles.td}>
+                {invoiceForm.lineItems.length > 1 && (
+                  <button type="button" onClick={() =>
+                    setInvoiceForm({ ...invoiceForm, lineItems: invoiceForm.lineItems.filter((_, j) => j !== i) })}>
+                    Remove
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <td style={styles.td} colSpan={4}>
+              <button type="button" onClick={() =>
+                setInvoiceForm({ ...invoiceForm, lineItems: [...invoiceForm.lineItems, EMPTY_LINE()] })}>
+                + Add Line
+              </button>
+            </td>
+            <td style={{ ...styles.td, textAlign: "right", fontWeight: 600 }}>{formatMoney(invoiceTotal)}</td>
+            <td style={styles.td}></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div style={styles.row}>
+        <input placeholder="Memo (optional)" value={invoiceForm.memo}
+          onChange={(e) => setInvoiceForm({ ...invoiceForm, memo: e.target.value })} style={{ flex: 1 }} />
+      </div>
+      <p style={styles.muted}>Posting submits the receivable / revenue journal entry for approval.</p>
+      {error && <div style={styles.error}>{error}</div>}
+      <div style={{ ...styles.row, marginTop: 12 }}>
+        <button type="submit" disabled={saving}>{saving ? "Posting..." : "Post Invoice"}</button>
+        <button type="button" onClick={closeForms}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderPaymentForm = () => (
+    <form onSubmit={handleReceivePayment} style={styles.form}>
+      <h3>Receive Payment — {paymentInvoice?.number} ({paymentInvoice?.customerName})</h3>
+      <div style={styles.row}>
+        <label>
+          Date{" "}
+          <input type="date" value={paymentForm.date} onChange={(e) => setPaymentForm({ ...paymentForm, date: e.target.value })} />
+        </label>
+        <label>
+          Amount{" "}
+          <input type="number" min="0" step="0.01" value={paymentForm.amount}
+            onChange={(e) => setPaymentForm({ ...paymentForm, amount: e.target.value })} style={{ width: 120 }} />
+        </label>
+        <input placeholder="Reference (check #)" value={paymentForm.reference}
+          onChange={(e) => setPaymentForm({ ...paymentForm, reference: e.target.value })} />
+      </div>
+      <div style={styles.row}>
+        <span style={styles.fieldLabel}>Deposit to</span>
+        <select value={paymentForm.cashAccountId} onChange={(e) => setPaymentForm({ ...paymentForm, cashAccountId: e.target.value })}
+          style={{ flex: 1 }}>
+          <option value="">Select account</option>
+          {accountsIn("Asset").filter((a) => a.id !== paymentInvoice?.arAccountId).map((a) => (
+            <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+          ))}
+        </select>
+      </div>
+      {error && <div style={styles.error}>{error}</div>}
+      <div style={{ ...styles.row, marginTop: 12 }}>
+        <button type="submit" disabled={saving}>{saving ? "Saving..." : "Receive Payment"}</button>
+        <button type="button" onClick={closeForms}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderInvoices = () => (
+    <>
+      {invoiceForm && renderInvoiceForm()}
+      {paymentForm && renderPaymentForm()}
+      {data.invoices.length === 0 ? (
+        <p>No invoices yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Invoice</th>
+              <th style={styles.th}>Customer</th>
+              <th style={styles.th}>Date</th>
+              <th style={styles.th}>Due</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Total</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Paid</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Balance</th>
+              <th style={styles.th}>Status</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.invoices.map((inv) => {
+              const b = balances[inv.id];
+              const canPay = b && b.status !== "rejected" && b.committed < Number(inv.total);
+              return (
+                <tr key={inv.id}>
+                  <td style={styles.td}>
+                    <button style={styles.linkBtn} onClick={() => navigate(`/journal/${inv.journalId}`)}>{inv.number}</button>
+                  </td>
+                  <td style={styles.td}>{inv.customerName}</td>
+                  <td style={styles.td}>{inv.date}</td>
+                  <td style={{ ...styles.td, ...(b?.balance > 0 && inv.dueDate < today() ? styles.overdue : null) }}>{inv.dueDate}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(inv.total)}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(b?.paid || 0)}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(b?.balance || 0)}</td>
+                  <td style={styles.td}>{b?.status}</td>
+                  <td style={styles.td}>
+                    {canPay && <button onClick={() => openPayment(inv)}>Receive Payment</button>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {data.payments.length > 0 && (
+        <section style={{ marginTop: 24 }}>
+          <h3>Payments</h3>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Date</th>
+                <th style={styles.th}>Customer</th>
+                <th style={styles.th}>Invoice</th>
+                <th style={styles.th}>Reference</th>
+                <th style={{ ...styles.th, textAlign: "right" }}>Amount</th>
+                <th style={styles.th}>Entry</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.payments.map((p) => (
+                <tr key={p.id}>
+                  <td style={styles.td}>{p.date}</td>
+                  <td style={styles.td}>{p.customerName}</td>
+                  <td style={styles.td}>{p.invoiceNumber}</td>
+                  <td style={styles.td}>{p.reference || "—"}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(p.amount)}</td>
+                  <td style={styles.td}>
+                    <button style={styles.linkBtn} onClick={() => navigate(`/journal/${p.journalId}`)}>
+                      {data.entriesById[p.journalId]?.status || "pending"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </>
+  );
+
+  const renderCustomers = () => (
+    <>
+      {customerForm && renderCustomerForm()}
+      {data.customers.length === 0 ? (
+        <p>No customers yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Customer</th>
+              <th style={styles.th}>Contact</th>
+              <th style={styles.th}>Terms</th>
+              <th style={{ ...styles.th, textAlign: "right" }}>Open Balance</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.customers.map((c) => {
+              const open = data.invoices
+                .filter((inv) => inv.customerId === c.id)
+                .reduce((s, inv) => s + (balances[inv.id]?.balance || 0), 0);
+              return (
+                <tr key={c.id} style={c.active === false ? { opacity: 0.6 } : undefined}>
+                  <td style={styles.td}>
+                    <strong>{c.name}</strong>
+                    {c.address && <div style={styles.muted}>{c.address}</div>}
+                  </td>
+                  <td style={styles.td}>{[c.email, c.phone].filter(Boolean).join(" · ") || "—"}</td>
+                  <td style={styles.td}>Net {c.termsDays ?? DEFAULT_TERMS_DAYS}</td>
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(open)}</td>
+                  <td style={styles.td}>
+                    <button onClick={() => openCustomer(c)}>Edit</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+
+  const renderAging = () => (
+    <>
+      <div style={styles.toolbar}>
+        <label>
+          As of <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+        </label>
+        <label>
+          Control account{" "}
+          <select value={arAccountId} onChange={(e) => setArAccountId(e.target.value)}>
+            <option value="">Select account</option>
+            {accountsIn("Asset").map((a) => (
+              <option key={a.id} value={a.id}>{a.name} ({a.number})</option>
+            ))}
+          </select>
+        </label>
+        <ExportMenu getTable={agingExport} disabled={!aging} />
+      </div>
+
+      {!aging ? (
+        <p>Choose the receivable control account.</p>
+      ) : (
+        <>
+          <p style={styles.muted}>Days past each invoice&apos;s due date; invoices not yet due are in the first column.</p>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Customer</th>
+                {AGING_BUCKETS.map((b) => (
+                  <th key={b.label} style={{ ...styles.th, textAlign: "right" }}>{b.label} days</th>
+                ))}
+                <th style={{ ...styles.th, textAlign: "right" }}>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {aging.report.rows.map((r) => (
+                <tr key={r.partyId}>
+                  <td style={styles.td}>{r.partyName}</td>
+                  {r.buckets.map((n, i) => (
+                    <td key={i} style={{ ...styles.td, textAlign: "right" }}>{n ? formatMoney(n) : "—"}</td>
+                  ))}
+                  <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(r.total)}</td>
+                </tr>
+              ))}
+              <tr style={{ fontWeight: 600 }}>
+                <td style={styles.td}>Total</td>
+                {aging.report.totals.map((n, i) => (
+                  <td key={i} style={{ ...styles.td, textAlign: "right" }}>{formatMoney(n)}</td>
+                ))}
+                <td style={{ ...styles.td, textAlign: "right" }}>{formatMoney(aging.report.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div style={aging.tieOut.difference === 0 ? styles.tied : styles.untied}>
+            Control account balance {formatMoney(aging.tieOut.ledgerBalance)} · Aging total{" "}
+            {formatMoney(aging.tieOut.subledgerTotal)} ·{" "}
+            {aging.tieOut.difference === 0
+              ? "In agreement"
+              : `Difference ${formatMoney(aging.tieOut.difference)} (entries posted to the account outside the subledger)`}
+          </div>
+        </>
+      )}
+    </>
+  );
+
+  return (
+    <div>
+      <NavBar userEmail={userEmail} />
+
+      <main style={{ padding: 20, maxWidth: 1200 }}>
+        <div style={styles.header}>
+          <h2>Accounts Receivable</h2>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={() => openCustomer()}>+ New Customer</button>
+            <button onClick={openInvoice}>+ New Invoice</button>
+          </div>
+        </div>
+
+        <div style={styles.tabs}>
+          {Object.entries(TABS).map(([key, label]) => (
+            <button key={key} onClick={() => setTab(key)} style={tab === key ? styles.tabActive : styles.tab}>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <p>Loading...</p>
+        ) : tab === "invoices" ? (
+          renderInvoices()
+        ) : tab === "customers" ? (
+          renderCustomers()
+        ) : (
+          renderAging()
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = {
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center" },
+  tabs: { display: "flex", gap: 4, margin: "12px 0 20px", borderBottom: "1px solid #e2e8f0" },
+  tab: { background: "transparent", border: "none", padding: "8px 14px", cursor: "pointer", color: "#475569" },
+  tabActive: {
+    background: "transparent",
+    border: "none",
+    borderBottom: "2px solid #2563eb",
+    padding: "8px 14px",
+    cursor: "pointer",
+    color: "#1e293b",
+    fontWeight: 600,
+  },
+  toolbar: { display: "flex", gap: 12, alignItems: "center", marginBottom: 16 },
+  form: {
+    background: "#f8fafc",
+    border: "1px solid #e2e8f0",
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 24,
+  },
+  row: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 8 },
+  fieldLabel: { width: 160, fontSize: 13 },
+  table: { width: "100%", borderCollapse: "collapse", background: "white" },
+  th: {
+    border: "1px solid #e2e8f0",
+    padding: 10,
+    background: "#f1f5f9",
+    textAlign: "left",
+    fontWeight: 600,
+    fontSize: 13,
+  },
+  td: { border: "1px solid #e2e8f0", padding: 10, fontSize: 13, verticalAlign: "top" },
+  overdue: { color: "#b91c1c", fontWeight: 600 },
+  tied: { marginTop: 12, padding: 10, borderRadius: 8, background: "#f0fdf4", border: "1px solid #bbf7d0" },
+  untied: { marginTop: 12, padding: 10, borderRadius: 8, background: "#fef2f2", border: "1px solid #fecaca" },
+  muted: { color: "#64748b", fontSize: 12 },
+  error: { color: "#b91c1c", marginTop: 8 },
+  linkBtn: {
+    background: "transparent",
+    border: "none",
+    color: "#2563eb",
+    textDecoration: "underline",
+    cursor: "pointer",
+    padding: 0,
+  },
+};
@@ -154,7 +154,7 @@ function RegisterPage() {
       // Send notification to admin (in a real app, this would send an email)
       await addDoc(collection(db, "notifications"), {
         type: "new_user_request",
-        recipient: "admin@example.com",
+        forRole: "admin",
         message: `New user request from ${form.firstName} ${form.lastName} (${form.email})`,
         username,
         email: form.email.trim(),
@@ -0,0 +1,70 @@
+// src/utils/accounts.js
+//
+// Chart of accounts writes shared by the ChartOfAccounts form and the CSV
+// account import: uniqueness checks and the stored account document.
+import { getDocs, query, serverTimestamp, where } from "firebase/firestore";
+import { companyCollection } from "./company";
+import { FUNCTIONAL_CURRENCY, nextAccountTotals } from "./financials";
+import { parseMoney } from "./format";
+
+/**
+ * Throws if another account already uses `name` or `number`.
+ * @param {string} name
+ * @param {string|number} number
+ * @param {string} [excludeId] - account being edited
+ */
+export async function ensureUnique(name, number, excludeId = null) {
+  const nameQ = query(companyCollection("accounts"), where("name", "==", name));
+  const nameSnap = await getDocs(nameQ);
+  const nameClash = nameSnap.docs.some((d) => d.id !== excludeId);
+
+  const numQ = query(companyCollection("accounts"), where("number", "==", String(number)));
+  const numSnap = await getDocs(numQ);
+  const numClash = numSnap.docs.some((d) => d.id !== excludeId);
+
+  if (nameClash) throw new Error("Duplicate account name not allowed");
+  if (numClash) throw new Error("Duplicate account number not allowed");
+}
+
+/**
+ * Stored accounts document for form values.
+ * Debit/credit totals come from posting (approveJournalEntry); only the
+ * balance is re-derived here when initialBalance or normalSide changes.
+ * @param {object} raw - form values (strings as typed)
+ * @param {string} userEmail
+ * @param {object} [existing] - the stored account when editing
+ */
+export function accountDocument(raw, userEmail, existing = null) {
+  const initBal = parseMoney(raw.initialBalance);
+  const totals = nextAccountTotals({
+    normalSide: raw.normalSide,
+    category: raw.category,
+    initialBalance: initBal,
+    debit: existing?.debit || 0,
+    credit: existing?.credit || 0,
+  });
+
+  return {
+    name: raw.name.trim(),
+    number: String(raw.number),
+    description: (raw.description || "").trim(),
+    normalSide: raw.normalSide,
+    category: raw.category,
+    subcategory: raw.subcategory,
+    // "" = classify from subcategory (see accountTerm in utils/financials)
+    term: ["Asset", "Liability"].includes(raw.category) ? raw.term || "" : "",
+    // "" = classify automatically (see cashFlowActivity in utils/financials)
+    cashFlow: ["Asset", "Liability", "Equity"].includes(raw.category) ? raw.cashFlow || "" : "",
+    initialBalance: initBal,
+    currency: raw.currency || FUNCTIONAL_CURRENCY,
+    debit: totals.debit,
+    credit: totals.credit,
+    balance: totals.balance,
+    statement: raw.statement,
+    order: String(raw.order).padStart(2, "0"),
+    comment: raw.comment || "",
+    createdAt: serverTimestamp(),
+    createdBy: userEmail,
+    active: true,
+  };
+}
@@ -0,0 +1,144 @@
+// src/utils/aging.js
+//
+// Aging of open subledger documents (customer invoices, vendor bills) and the
+// tie-out of their total to the general ledger control account.
+//
+// Documents and payments reach the general ledger through ordinary journal
+// entries, so they only count once their journal entry (`journalId`) is
+// approved; a rejected entry leaves the document out altogether. That keeps
+// the aging total comparable with the control account balance.
+//
+// An aging item is { id, partyId, partyName, date, dueDate?, balance } (dates
+// "YYYY-MM-DD"). Its age is the number of days from its due date (or its date,
+// without one) to the as-of date, so items not yet due fall in the first bucket.
+import { getDocs, query, where } from "firebase/firestore";
+import { companyCollection } from "./company";
+import { computeBalances } from "./financials";
+
+export const AGING_BUCKETS = [
+  { label: "0-30", max: 30 },
+  { label: "31-60", max: 60 },
+  { label: "61-90", max: 90 },
+  { label: "90+", max: Infinity },
+];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/** Whole days from `from` to `to` ("YYYY-MM-DD"). */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+/** "YYYY-MM-DD" `days` after `date`. */
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + Number(days || 0));
+  return d.toISOString().slice(0, 10);
+}
+
+/** Index into AGING_BUCKETS for an age in days (future-dated items count as 0). */
+export function agingBucket(days) {
+  return AGING_BUCKETS.findIndex((b) => Math.max(days, 0) <= b.max);
+}
+
+/**
+ * Posting status and open balance of each document (invoice or bill) as of a
+ * date, from the status of its own journal entry and of its payments'.
+ *
+ * @param {Array} documents - { id, date, total, journalId }
+ * @param {Array} payments - { <key>, date, amount, journalId }
+ * @param {string} key - payment field naming the document, e.g. "invoiceId"
+ * @param {Object<string, object>} entriesById - journalEntries by id
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @returns {Array<{document, status, paid, committed, balance}>} `status` is
+ *   "pending approval" | "rejected" | "open" | "partially paid" | "paid";
+ *   `committed` also counts payments still awaiting approval.
+ */
+export function documentBalances(documents, payments, key, entriesById, asOf) {
+  const statusOf = (x) => entriesById[x.journalId]?.status || "pending";
+  return documents.map((document) => {
+    let paid = 0, committed = 0;
+    for (const p of payments) {
+      if (p[key] !== document.id || statusOf(p) === "rejected") continue;
+      committed += Number(p.amount);
+      if (statusOf(p) === "approved" && p.date <= asOf) paid += Number(p.amount);
+    }
+    paid = round(paid);
+    committed = round(committed);
+
+    const posting = statusOf(document);
+    const total = Number(document.total);
+    let status = "open";
+    if (posting === "rejected") status = "rejected";
+    else if (posting !== "approved") status = "pending approval";
+    else if (paid >= total) status = "paid";
+    else if (paid > 0) status = "partially paid";
+
+    const counts = posting === "approved" && document.date <= asOf;
+    return { document, status, paid, committed, balance: counts ? round(total - paid) : 0 };
+  });
+}
+
+/**
+ * Open balances by party and age bucket.
+ * @param {Array} items - open items with a non-zero balance
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @returns {{ rows: Array<{partyId, partyName, buckets: number[], total: number}>, totals: number[], total: number }}
+ */
+export function agingReport(items, asOf) {
+  const byParty = new Map();
+  const totals = AGING_BUCKETS.map(() => 0);
+
+  for (const item of items) {
+    if (!item.balance) continue;
+    const b = agingBucket(daysBetween(item.dueDate || item.date, asOf));
+    const row = byParty.get(item.partyId) || {
+      partyId: item.partyId,
+      partyName: item.partyName,
+      buckets: AGING_BUCKETS.map(() => 0),
+      total: 0,
+    };
+    row.buckets[b] = round(row.buckets[b] + item.balance);
+    row.total = round(row.total + item.balance);
+    totals[b] = round(totals[b] + item.balance);
+    byParty.set(item.partyId, row);
+  }
+
+  const rows = [...byParty.values()].sort((a, b) => (a.partyName || "").localeCompare(b.partyName || ""));
+  return { rows, totals, total: round(totals.reduce((s, n) => s + n, 0)) };
+}
+
+/**
+ * Balance of a control account at `asOf` (computeBalances, signed by its
+ * normal side, in the account's own currency like its documents) next to the
+ * subledger total.
+ * @returns {{ ledgerBalance: number, subledgerTotal: number, difference: number }}
+ */
+export function controlAccountTieOut(accounts, ledgerEntries, accountId, asOf, subledgerTotal) {
+  const rec = computeBalances(accounts, ledgerEntries, null, asOf).get(accountId);
+  const ledgerBalance = round(rec ? rec.transactionEnd : 0);
+  return { ledgerBalance, subledgerTotal, difference: round(ledgerBalance - subledgerTotal) };
+}
+
+/** Ledger lines of one control account, for the aging tie-out. */
+export async function loadControlLedger(accountId) {
+  const snap = await getDocs(query(companyCollection("ledgerEntries"), where("accountId", "==", accountId)));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/** Export table rows (utils/export) for an aging report. */
+export function agingTable(title, report, asOf, partyLabel) {
+  return {
+    title,
+    period: { from: "", to: asOf },
+    columns: [
+      { label: partyLabel },
+      ...AGING_BUCKETS.map((b) => ({ label: b.label, format: "money" })),
+      { label: "Total", format: "money" },
+    ],
+    rows: [
+      ...report.rows.map((r) => [r.partyName, ...r.buckets, r.total]),
+      { cells: ["Total", ...report.totals, report.total], kind: "grand" },
+    ],
+  };
+}
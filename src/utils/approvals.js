@@ -0,0 +1,206 @@
+// src/utils/approvals.js
+//
+// Approval policies for journal entries.
+//
+// settings/approvalPolicy document:
+//   {
+//     rules: [{
+//       id: string, label: string,
+//       minAmount: number | null,   applies when total debits exceed this
+//       categories: [string],       applies when any line is on an account in these categories
+//       approvals: number,          distinct approvers required
+//       roles: ["manager", "admin"] roles whose approvals count toward the rule
+//     }],
+//     updatedBy, updatedAt
+//   }
+//
+// A rule with no minAmount and no categories applies to every entry. When the
+// document does not exist DEFAULT_APPROVAL_POLICY is used.
+//
+// Rules are evaluated when an entry is submitted (journal.js) and the matching
+// ones are copied onto the entry as `approvalRules`, so later policy edits do
+// not change what a submitted entry needs. Each approval is appended to the
+// entry's `approvals` ([{ by, role, at }]); the entry posts once every rule has
+// enough distinct approvers. The preparer can never approve their own entry.
+import { getDoc, getDocs, serverTimestamp, setDoc } from "firebase/firestore";
+import { companyCollection, companyDoc } from "./company";
+import { formatMoney } from "./format";
+import { logEvent } from "./logEvent";
+
+export const APPROVER_ROLES = ["manager", "admin"];
+
+/** Rule used for entries submitted before approval policies existed. */
+export const BASE_RULE = {
+  id: "base",
+  label: "Manager approval",
+  minAmount: null,
+  categories: [],
+  approvals: 1,
+  roles: ["manager", "admin"],
+};
+
+export const DEFAULT_APPROVAL_POLICY = {
+  rules: [
+    BASE_RULE,
+    {
+      id: "large",
+      label: "Entries over $10,000",
+      minAmount: 10000,
+      categories: [],
+      approvals: 2,
+      roles: ["manager", "admin"],
+    },
+    {
+      id: "equity",
+      label: "Entries touching equity accounts",
+      minAmount: null,
+      categories: ["Equity"],
+      approvals: 1,
+      roles: ["admin"],
+    },
+  ],
+};
+
+const policyRef = () => companyDoc("settings", "approvalPolicy");
+
+/** The stored approval policy, or the default when none has been saved. */
+export async function loadApprovalPolicy() {
+  const snap = await getDoc(policyRef());
+  return snap.exists() ? snap.data() : DEFAULT_APPROVAL_POLICY;
+}
+
+/** Validate a rule. Returns an error message, or "" when valid. */
+export function validateApprovalRule(rule) {
+  if (!rule.label || !rule.label.trim()) return "Every rule needs a label.";
+  const n = Number(rule.approvals);
+  if (!Number.isInteger(n) || n < 1) return `"${rule.label}": approvals must be a whole number of at least 1.`;
+  if (rule.minAmount != null && rule.minAmount !== "" && !(Number(rule.minAmount) >= 0)) {
+    return `"${rule.label}": minimum amount must be zero or more.`;
+  }
+  const roles = (rule.roles || []).filter((r) => APPROVER_ROLES.includes(r));
+  if (!roles.length) return `"${rule.label}": choose at least one approver role.`;
+  return "";
+}
+
+/** Normalised stored form of a rule. */
+function ruleDocument(rule, i) {
+  const min = rule.minAmount === "" || rule.minAmount == null ? null : Number(rule.minAmount);
+  return {
+    id: rule.id || `rule-${i + 1}`,
+    label: rule.label.trim(),
+    minAmount: min,
+    categories: rule.categories || [],
+    approvals: Number(rule.approvals),
+    roles: (rule.roles || []).filter((r) => APPROVER_ROLES.includes(r)),
+  };
+}
+
+/**
+ * Save the approval policy. Applies to entries submitted from now on.
+ * @throws {Error} if a rule is invalid
+ */
+export async function saveApprovalPolicy(rules, userEmail) {
+  for (const r of rules) {
+    const error = validateApprovalRule(r);
+    if (error) throw new Error(error);
+  }
+  const before = await loadApprovalPolicy();
+  const after = { rules: rules.map(ruleDocument) };
+  await setDoc(policyRef(), { ...after, updatedBy: userEmail, updatedAt: serverTimestamp() });
+  await logEvent("approvalPolicy", "update", { rules: before.rules }, after);
+  return after;
+}
+
+/** True when `rule` applies to an entry with `lines` (canonical shape). */
+export function ruleApplies(rule, lines, accountsById) {
+  const total = lines
+    .filter((l) => l.side === "debit")
+    .reduce((s, l) => s + Number(l.amount || 0), 0);
+  if (rule.minAmount != null && !(total > rule.minAmount)) return false;
+  if (rule.categories?.length) {
+    return lines.some((l) => rule.categories.includes(accountsById[l.accountId]?.category));
+  }
+  return true;
+}
+
+/** The part of a rule stored on an entry. */
+const entryRule = ({ id, label, approvals, roles }) => ({ id, label, approvals, roles });
+
+/**
+ * Rules from `policy` that apply to a draft entry. Every entry needs at least
+ * one approval, so BASE_RULE is used when nothing matches.
+ */
+export function approvalRules(lines, accounts, policy) {
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const rules = (policy?.rules || []).filter((r) => ruleApplies(r, lines || [], byId));
+  return (rules.length ? rules : [BASE_RULE]).map(entryRule);
+}
+
+/**
+ * Loads the policy and chart of accounts once and returns `(lines) → rules`,
+ * for evaluating one or many drafts at submission.
+ */
+export async function approvalEvaluator() {
+  const [policy, accSnap] = await Promise.all([
+    loadApprovalPolicy(),
+    getDocs(companyCollection("accounts")),
+  ]);
+  const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return (lines) => approvalRules(lines, accounts, policy);
+}
+
+/** Rules an entry needs (entries from before policies need BASE_RULE). */
+export function entryApprovalRules(entry) {
+  return entry.approvalRules?.length ? entry.approvalRules : [BASE_RULE];
+}
+
+/**
+ * Progress on each of an entry's rules.
+ * @returns {Array<{id, label, approvals, roles, have: number, met: boolean}>}
+ */
+export function approvalStatus(entry) {
+  const approvals = entry.approvals || [];
+  // Entries approved before approvals were recorded only have approvedBy
+  const legacyApproved = entry.status === "approved" && approvals.length === 0;
+  return entryApprovalRules(entry).map((rule) => {
+    const approvers = new Set(approvals.filter((a) => rule.roles.includes(a.role)).map((a) => a.by));
+    return { ...rule, have: approvers.size, met: legacyApproved || approvers.size >= rule.approvals };
+  });
+}
+
+/** Rules still waiting for approvals. */
+export function outstandingApprovals(entry) {
+  return approvalStatus(entry).filter((r) => !r.met);
+}
+
+/** What a rule still needs, e.g. "Entries over $10,000 — 1 more from manager or admin". */
+export function describeOutstanding(rule) {
+  const more = rule.approvals - rule.have;
+  return `${rule.label} — ${more} more from ${rule.roles.join(" or ")}`;
+}
+
+/**
+ * Why `email` (with `role`) cannot approve `entry` now, or "" if they can.
+ */
+export function approvalError(entry, email, role) {
+  if ((entry.status || "pending") !== "pending") return `Journal entry is already ${entry.status}.`;
+  if (email && email === (entry.createdBy || entry.preparedBy)) {
+    return "You cannot approve a journal entry you prepared.";
+  }
+  if ((entry.approvals || []).some((a) => a.by === email)) {
+    return "You have already approved this journal entry.";
+  }
+  const outstanding = outstandingApprovals(entry);
+  if (outstanding.length && !outstanding.some((r) => r.roles.includes(role))) {
+    return `Still awaiting: ${outstanding.map(describeOutstanding).join("; ")}.`;
+  }
+  return "";
+}
+
+/** Short label for the rule's threshold and account condition. */
+export function ruleSummary(rule) {
+  const parts = [];
+  if (rule.minAmount != null && rule.minAmount !== "") parts.push(`over $${formatMoney(rule.minAmount)}`);
+  if (rule.categories?.length) parts.push(`touching ${rule.categories.join("/")}`);
+  return parts.length ? parts.join(", ") : "all entries";
+}
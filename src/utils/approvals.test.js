@@ -0,0 +1,47 @@
+import {
+  DEFAULT_APPROVAL_POLICY, approvalError, approvalRules, outstandingApprovals,
+} from "./approvals";
+
+const accounts = [
+  { id: "cash", category: "Asset" },
+  { id: "capital", category: "Equity" },
+  { id: "rev", category: "Revenue" },
+];
+const entry = (debit, credit, amount) => [
+  { accountId: debit, side: "debit", amount },
+  { accountId: credit, side: "credit", amount },
+];
+
+test("policy rules are matched by amount and account category", () => {
+  const ids = (lines) => approvalRules(lines, accounts, DEFAULT_APPROVAL_POLICY).map((r) => r.id);
+  expect(ids(entry("cash", "rev", 500))).toEqual(["base"]);
+  expect(ids(entry("cash", "rev", 10000))).toEqual(["base"]);
+  expect(ids(entry("cash", "rev", 10000.01))).toEqual(["base", "large"]);
+  expect(ids(entry("cash", "capital", 25000))).toEqual(["base", "large", "equity"]);
+  // nothing matches: one manager/admin approval is still required
+  expect(approvalRules(entry("cash", "rev", 5), accounts, { rules: [] }).map((r) => r.id)).toEqual(["base"]);
+});
+
+test("approvals accumulate per rule and the preparer cannot approve", () => {
+  const e = {
+    status: "pending",
+    createdBy: "acct@x.com",
+    approvalRules: approvalRules(entry("cash", "capital", 25000), accounts, DEFAULT_APPROVAL_POLICY),
+    approvals: [],
+  };
+  expect(approvalError(e, "acct@x.com", "admin")).toMatch(/you prepared/);
+  expect(approvalError(e, "mgr@x.com", "accountant")).toMatch(/Still awaiting/);
+
+  e.approvals.push({ by: "mgr@x.com", role: "manager" });
+  expect(outstandingApprovals(e).map((r) => [r.id, r.have])).toEqual([["large", 1], ["equity", 0]]);
+  expect(approvalError(e, "mgr@x.com", "manager")).toMatch(/already approved/);
+  expect(approvalError(e, "mgr2@x.com", "manager")).toBe("");
+
+  e.approvals.push({ by: "boss@x.com", role: "admin" });
+  expect(outstandingApprovals(e)).toEqual([]);
+});
+
+test("entries submitted before policies need a single approval", () => {
+  expect(outstandingApprovals({ status: "pending" }).map((r) => r.id)).toEqual(["base"]);
+  expect(outstandingApprovals({ status: "approved", approvedBy: "mgr@x.com" })).toEqual([]);
+});
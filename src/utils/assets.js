@@ -0,0 +1,307 @@
+// src/utils/assets.js
+//
+// Fixed asset register and monthly depreciation.
+//
+// fixedAssets document:
+//   {
+//     name: string,
+//     cost: number, salvageValue: number,
+//     inServiceDate: "YYYY-MM-DD",
+//     usefulLifeYears: number (whole months, e.g. 2.5),
+//     method: "straight_line" | "declining_balance",
+//     decliningFactor: number (declining balance only; 2 = double-declining),
+//     assetAccountId, accumulatedAccountId, expenseAccountId,
+//     active: boolean,
+//     lastDepreciatedMonth: "YYYY-MM" | null,
+//     createdBy / createdAt, updatedBy / updatedAt
+//   }
+//
+// Depreciation starts in the in-service month (full-month convention) and runs
+// for the useful life; the last month takes whatever is left down to salvage.
+// Declining balance switches to straight-line over the remaining months once
+// that is the larger amount, so the tail is not left to the last month.
+// generateDepreciation() creates one pending adjusting entry per asset and
+// month (Dr expense, Cr accumulated depreciation) with the id
+// `<assetId>_<YYYY-MM>` (createJournalEntryOnce), so it never duplicates.
+// A month whose entry was rejected is due again and its entry is replaced.
+// Generated entries carry assetId / assetName / depreciationMonth.
+import {
+  addDoc, getDoc, getDocs, query, serverTimestamp, updateDoc, where,
+} from "firebase/firestore";
+import { companyCollection, companyDoc } from "./company";
+import { approvalEvaluator } from "./approvals";
+import { FUNCTIONAL_CURRENCY, accountCurrency } from "./financials";
+import { createJournalEntryOnce, validateJournalEntry } from "./journal";
+import { logEvent } from "./logEvent";
+import { loadPeriods } from "./periods";
+
+export const DEPRECIATION_METHODS = {
+  straight_line: "Straight-line",
+  declining_balance: "Declining balance",
+};
+
+export const DEFAULT_DECLINING_FACTOR = 2;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/** "YYYY-MM-DD" of the last day of year / zero-based month. */
+function monthEnd(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Month-by-month depreciation over the asset's useful life.
+ * @param {object} asset - { cost, salvageValue, inServiceDate, usefulLifeYears, method, decliningFactor }
+ * @returns {Array<{month: string, date: string, amount: number, accumulated: number, bookValue: number}>}
+ */
+export function depreciationSchedule(asset) {
+  const cost = Number(asset.cost);
+  const base = round(cost - Number(asset.salvageValue || 0));
+  const months = Math.round(Number(asset.usefulLifeYears) * 12);
+  if (!(base > 0) || !(months > 0) || !asset.inServiceDate) return [];
+
+  const [y, m] = asset.inServiceDate.split("-").map(Number);
+  const factor = Number(asset.decliningFactor) || DEFAULT_DECLINING_FACTOR;
+  const monthlyRate = factor / months;
+
+  const rows = [];
+  let accumulated = 0;
+  for (let k = 0; k < months; k++) {
+    const remaining = round(base - accumulated);
+    if (remaining <= 0) break;
+
+    let amount;
+    if (k === months - 1) amount = remaining;
+    else if (asset.method === "declining_balance") {
+      const declining = round((cost - accumulated) * monthlyRate);
+      const straight = round(remaining / (months - k));
+      amount = Math.min(Math.max(declining, straight), remaining);
+    }
+    // Spread evenly so the cents add up to exactly the depreciable base
+    else amount = round((base * (k + 1)) / months) - round((base * k) / months);
+
+    accumulated = round(accumulated + amount);
+    const date = monthEnd(y, m - 1 + k);
+    rows.push({ month: date.slice(0, 7), date, amount: round(amount), accumulated, bookValue: round(cost - accumulated) });
+  }
+  return rows;
+}
+
+/** Accumulated depreciation and book value after `month` ("YYYY-MM"), or at cost before any. */
+export function bookValueAt(asset, month) {
+  const rows = depreciationSchedule(asset).filter((r) => month && r.month <= month);
+  const accumulated = rows.length ? rows[rows.length - 1].accumulated : 0;
+  return { accumulated, bookValue: round(Number(asset.cost) - accumulated) };
+}
+
+/**
+ * Schedule rows not yet generated, up to and including `throughMonth`, plus
+ * earlier months whose entry was rejected.
+ * @param {object} asset
+ * @param {string} throughMonth - "YYYY-MM"
+ * @param {Array<string>} [rejectedMonths] - months of the asset's rejected entries
+ */
+export function dueDepreciation(asset, throughMonth, rejectedMonths = []) {
+  const last = asset.lastDepreciatedMonth || "";
+  return depreciationSchedule(asset).filter(
+    (r) => r.month <= throughMonth && (r.month > last || rejectedMonths.includes(r.month))
+  );
+}
+
+/** Deterministic journal entry id for an asset's month. */
+export function depreciationEntryId(assetId, month) {
+  return `${assetId}_${month}`;
+}
+
+/**
+ * Pending adjusting entry for one schedule row.
+ * @param {object} asset - with `id`
+ * @param {object} row - depreciationSchedule row
+ * @param {Array} accounts - chart of accounts, for names and numbers
+ */
+export function depreciationEntryDraft(asset, row, accounts) {
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const line = (accountId, side) => ({
+    accountId,
+    accountName: byId[accountId]?.name || "",
+    accountNumber: String(byId[accountId]?.number || ""),
+    amount: row.amount,
+    side,
+  });
+  return {
+    type: "adjusting",
+    date: row.date,
+    description: `Depreciation — ${asset.name} (${row.month})`,
+    lines: [line(asset.expenseAccountId, "debit"), line(asset.accumulatedAccountId, "credit")],
+    assetId: asset.id,
+    assetName: asset.name,
+    depreciationMonth: row.month,
+  };
+}
+
+/**
+ * Validate an asset draft. Returns an error message, or "" when valid.
+ * @param {object} draft - asset fields (numbers may be strings from inputs)
+ * @param {Array} accounts - chart of accounts
+ */
+export function validateAsset(draft, accounts) {
+  const d = draft || {};
+  if (!d.name || !d.name.trim()) return "Asset name is required.";
+
+  const cost = Number(d.cost);
+  const salvage = Number(d.salvageValue || 0);
+  if (!(cost > 0)) return "Cost must be greater than zero.";
+  if (!(salvage >= 0)) return "Salvage value cannot be negative.";
+  if (salvage >= cost) return "Salvage value must be less than cost.";
+
+  if (!d.inServiceDate || isNaN(new Date(d.inServiceDate).getTime())) return "A valid in-service date is required.";
+
+  const months = Number(d.usefulLifeYears) * 12;
+  if (!(months >= 1) || Math.abs(months - Math.round(months)) > 1e-9) {
+    return "Useful life must be a whole number of months (e.g. 5 or 2.5 years).";
+  }
+
+  if (!DEPRECIATION_METHODS[d.method]) return "Choose a depreciation method.";
+  if (d.method === "declining_balance" && d.decliningFactor !== "" && d.decliningFactor != null) {
+    if (!(Number(d.decliningFactor) > 0)) return "Declining balance factor must be greater than zero.";
+  }
+
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const roles = [
+    ["assetAccountId", "Asset account", "Asset"],
+    ["accumulatedAccountId", "Accumulated depreciation account", "Asset"],
+    ["expenseAccountId", "Depreciation expense account", "Expense"],
+  ];
+  for (const [field, label, category] of roles) {
+    const account = byId[d[field]];
+    if (!account) return `${label} is required.`;
+    if (account.active === false) return `${label} "${account.name}" is inactive.`;
+    if (account.category && account.category !== category) {
+      return `${label} must be an ${category.toLowerCase()} account.`;
+    }
+    if (accountCurrency(account) !== FUNCTIONAL_CURRENCY) {
+      return `${label} must be kept in ${FUNCTIONAL_CURRENCY}; fixed assets are recorded in the functional currency.`;
+    }
+  }
+  if (d.assetAccountId === d.accumulatedAccountId) {
+    return "Accumulated depreciation needs its own account, separate from the asset account.";
+  }
+  return "";
+}
+
+/** Stored fixedAssets fields for a validated draft. */
+function assetDocument(draft) {
+  const declining = draft.method === "declining_balance";
+  return {
+    name: draft.name.trim(),
+    cost: round(Number(draft.cost)),
+    salvageValue: round(Number(draft.salvageValue || 0)),
+    inServiceDate: draft.inServiceDate,
+    usefulLifeYears: Number(draft.usefulLifeYears),
+    method: draft.method,
+    decliningFactor: declining ? Number(draft.decliningFactor) || DEFAULT_DECLINING_FACTOR : null,
+    assetAccountId: draft.assetAccountId,
+    accumulatedAccountId: draft.accumulatedAccountId,
+    expenseAccountId: draft.expenseAccountId,
+    active: draft.active !== false,
+  };
+}
+
+export async function loadAssets() {
+  const snap = await getDocs(companyCollection("fixedAssets"));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+}
+
+/**
+ * Months of rejected depreciation entries, by asset id. A replaced entry is
+ * pending again, so only months still rejected are listed.
+ * @returns {Promise<Object<string, string[]>>}
+ */
+export async function loadRejectedDepreciation() {
+  const snap = await getDocs(query(companyCollection("journalEntries"), where("status", "==", "rejected")));
+  const byAsset = {};
+  for (const d of snap.docs) {
+    const { assetId, depreciationMonth } = d.data();
+    if (!assetId || !depreciationMonth || d.id !== depreciationEntryId(assetId, depreciationMonth)) continue;
+    (byAsset[assetId] = byAsset[assetId] || []).push(depreciationMonth);
+  }
+  return byAsset;
+}
+
+/**
+ * Create or update an asset. Depreciation already generated is not changed.
+ * @throws {Error} if the draft is invalid
+ */
+export async function saveAsset(draft, accounts, userEmail, assetId = null) {
+  const error = validateAsset(draft, accounts);
+  if (error) throw new Error(error);
+
+  const data = assetDocument(draft);
+  if (assetId) {
+    const ref = companyDoc("fixedAssets", assetId);
+    const before = await getDoc(ref);
+    await updateDoc(ref, { ...data, updatedBy: userEmail, updatedAt: serverTimestamp() });
+    await logEvent("fixedAsset", "update", before.exists() ? before.data() : null, { id: assetId, ...data });
+    return assetId;
+  }
+  const ref = await addDoc(companyCollection("fixedAssets"), {
+    ...data,
+    lastDepreciatedMonth: null,
+    createdBy: userEmail,
+    createdAt: serverTimestamp(),
+  });
+  await logEvent("fixedAsset", "create", null, { id: ref.id, ...data });
+  return ref.id;
+}
+
+/**
+ * Create pending depreciation entries for every active asset up to and
+ * including `throughMonth`, replacing rejected ones. An asset stops at its
+ * first failing month (e.g. a closed period) so months are never skipped; the
+ * failure is reported and retried next run.
+ *
+ * @param {string} throughMonth - "YYYY-MM"
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<{created: Array, existing: number, errors: Array}>}
+ */
+export async function generateDepreciation(throughMonth, author) {
+  const [assets, accSnap, periods, rulesFor, rejected] = await Promise.all([
+    loadAssets(),
+    getDocs(companyCollection("accounts")),
+    loadPeriods(),
+    approvalEvaluator(),
+    loadRejectedDepreciation(),
+  ]);
+  const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const result = { created: [], existing: 0, errors: [] };
+  for (const asset of assets.filter((a) => a.active !== false)) {
+    let lastMonth = asset.lastDepreciatedMonth || null;
+
+    for (const row of dueDepreciation(asset, throughMonth, rejected[asset.id])) {
+      const draft = depreciationEntryDraft(asset, row, accounts);
+      try {
+        const invalid = validateJournalEntry(draft, accounts);
+        if (invalid) throw new Error(invalid);
+
+        const id = depreciationEntryId(asset.id, row.month);
+        if (await createJournalEntryOnce(id, draft, author, { periods, rulesFor, replaceRejected: true })) {
+          result.created.push({ id, assetName: asset.name, month: row.month, amount: row.amount });
+        } else {
+          result.existing += 1;
+        }
+        if (!lastMonth || row.month > lastMonth) lastMonth = row.month;
+      } catch (err) {
+        result.errors.push({ assetName: asset.name, month: row.month, message: err.message });
+        break;
+      }
+    }
+
+    if (lastMonth !== (asset.lastDepreciatedMonth || null)) {
+      await updateDoc(companyDoc("fixedAssets", asset.id), { lastDepreciatedMonth: lastMonth });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,74 @@
+import { bookValueAt, depreciationSchedule, dueDepreciation, validateAsset } from "./assets";
+
+const van = {
+  name: "Delivery van",
+  cost: 10000,
+  salvageValue: 1000,
+  inServiceDate: "2026-01-15",
+  usefulLifeYears: 3,
+  method: "straight_line",
+  assetAccountId: "equip",
+  accumulatedAccountId: "accum",
+  expenseAccountId: "depexp",
+};
+const accounts = [
+  { id: "equip", name: "Equipment", category: "Asset" },
+  { id: "accum", name: "Accumulated Depreciation", category: "Asset" },
+  { id: "depexp", name: "Depreciation Expense", category: "Expense" },
+];
+
+test("straight-line spreads the depreciable base evenly to the cent", () => {
+  const rows = depreciationSchedule(van);
+  expect(rows).toHaveLength(36);
+  expect(rows[0]).toEqual({ month: "2026-01", date: "2026-01-31", amount: 250, accumulated: 250, bookValue: 9750 });
+  expect(rows[35]).toMatchObject({ month: "2028-12", accumulated: 9000, bookValue: 1000 });
+
+  const odd = depreciationSchedule({ ...van, cost: 1000, salvageValue: 0 });
+  expect(odd.map((r) => r.amount).reduce((s, a) => s + a, 0)).toBeCloseTo(1000, 2);
+  expect(odd[35].accumulated).toBe(1000);
+});
+
+test("declining balance front-loads and stops at salvage", () => {
+  const rows = depreciationSchedule({ ...van, method: "declining_balance", decliningFactor: 2 });
+  // 2 / 36 months of the opening book value
+  expect(rows[0].amount).toBeCloseTo(555.56, 2);
+  expect(rows[1].amount).toBeLessThan(rows[0].amount);
+  expect(rows[rows.length - 1].bookValue).toBe(1000);
+  expect(rows.every((r) => r.bookValue >= 1000)).toBe(true);
+});
+
+test("declining balance switches to straight-line for the tail", () => {
+  const rows = depreciationSchedule({
+    ...van, cost: 10000, salvageValue: 0, usefulLifeYears: 5, method: "declining_balance", decliningFactor: 2,
+  });
+  expect(rows).toHaveLength(60);
+  expect(rows.slice(-4).map((r) => r.amount)).toEqual([120.56, 120.55, 120.56, 120.55]);
+  expect(rows[59]).toMatchObject({ accumulated: 10000, bookValue: 0 });
+  // Never rises month to month, apart from a cent of rounding
+  expect(rows.every((r, i) => i === 0 || r.amount <= rows[i - 1].amount + 0.01)).toBe(true);
+
+  const vanTail = depreciationSchedule({ ...van, method: "declining_balance", decliningFactor: 2 }).slice(-3);
+  expect(vanTail.map((r) => r.amount)).toEqual([126.24, 126.25, 126.24]);
+  expect(vanTail[2].bookValue).toBe(1000);
+});
+
+test("only months after the last generated one are due", () => {
+  const asset = { ...van, lastDepreciatedMonth: "2026-02" };
+  expect(dueDepreciation(asset, "2026-04").map((r) => r.month)).toEqual(["2026-03", "2026-04"]);
+  expect(bookValueAt(asset, asset.lastDepreciatedMonth)).toEqual({ accumulated: 500, bookValue: 9500 });
+  expect(bookValueAt({ ...van, lastDepreciatedMonth: null }, null)).toEqual({ accumulated: 0, bookValue: 10000 });
+});
+
+test("months whose entry was rejected are due again", () => {
+  const asset = { ...van, lastDepreciatedMonth: "2026-03" };
+  expect(dueDepreciation(asset, "2026-04", ["2026-02"]).map((r) => r.month)).toEqual(["2026-02", "2026-04"]);
+  expect(dueDepreciation(asset, "2026-01", ["2026-02"])).toEqual([]);
+});
+
+test("assets need sensible amounts, life and accounts", () => {
+  expect(validateAsset(van, accounts)).toBe("");
+  expect(validateAsset({ ...van, salvageValue: 10000 }, accounts)).toMatch(/less than cost/);
+  expect(validateAsset({ ...van, usefulLifeYears: 1.1 }, accounts)).toMatch(/whole number of months/);
+  expect(validateAsset({ ...van, expenseAccountId: "equip" }, accounts)).toMatch(/expense account/);
+  expect(validateAsset({ ...van, accumulatedAccountId: "equip" }, accounts)).toMatch(/its own account/);
+});
@@ -0,0 +1,101 @@
+// src/utils/balances.js
+//
+// Account running totals (debit, credit, balance) are maintained by
+// approveJournalEntry as lines are posted. This module recomputes them from
+// ledgerEntries so drift (legacy hand-typed totals, manual Firestore edits)
+// can be reported and corrected.
+import { getDocs, runTransaction } from "firebase/firestore";
+import { db } from "../firebase";
+import { companyCollection, companyDoc } from "./company";
+import { nextAccountTotals } from "./financials";
+
+const off = (a, b) => Math.abs(Number(a || 0) - Number(b || 0)) >= 0.005;
+
+/**
+ * Expected running totals per account from the ledger.
+ * @returns {Map<string, {debit: number, credit: number, balance: number}>}
+ */
+export function ledgerTotals(accounts, ledgerEntries) {
+  const sums = new Map();
+  for (const e of ledgerEntries || []) {
+    const t = sums.get(e.accountId) || { debit: 0, credit: 0 };
+    t.debit += Number(e.debit || 0);
+    t.credit += Number(e.credit || 0);
+    sums.set(e.accountId, t);
+  }
+
+  const totals = new Map();
+  for (const a of accounts || []) {
+    const t = sums.get(a.id) || { debit: 0, credit: 0 };
+    // Start from zero so stored (possibly wrong) totals don't leak in
+    totals.set(a.id, nextAccountTotals({ ...a, debit: 0, credit: 0 }, t.debit, t.credit));
+  }
+  return totals;
+}
+
+/**
+ * Accounts whose stored totals differ from the ledger by a cent or more.
+ * @returns {Array<{account: object, stored: object, expected: object}>}
+ */
+export function findBalanceDrift(accounts, ledgerEntries) {
+  const expectedById = ledgerTotals(accounts, ledgerEntries);
+
+  const drift = [];
+  for (const account of accounts || []) {
+    const expected = expectedById.get(account.id);
+    const stored = {
+      debit: Number(account.debit || 0),
+      credit: Number(account.credit || 0),
+      balance: Number(account.balance || 0),
+    };
+    if (
+      off(stored.debit, expected.debit) ||
+      off(stored.credit, expected.credit) ||
+      off(stored.balance, expected.balance)
+    ) {
+      drift.push({ account, stored, expected });
+    }
+  }
+  return drift;
+}
+
+/** Load accounts and ledger, then report drift. */
+export async function loadBalanceDrift() {
+  const [accSnap, ledSnap] = await Promise.all([
+    getDocs(companyCollection("accounts")),
+    getDocs(companyCollection("ledgerEntries")),
+  ]);
+  const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const ledger = ledSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return findBalanceDrift(accounts, ledger);
+}
+
+/**
+ * Overwrite stored totals with the ledger-derived ones. Each account is
+ * rewritten in its own transaction, and only if its stored totals still match
+ * what the drift report saw; an account that moved since (a posting landed in
+ * between) is left alone so a stale expected value never clobbers it.
+ * @param {Array} drift - result of findBalanceDrift / loadBalanceDrift
+ * @returns {Promise<{fixed: Array, changed: Array}>} drift rows written and
+ *   rows skipped because the account changed; re-check the latter
+ */
+export async function fixBalanceDrift(drift) {
+  const fixed = [];
+  const changed = [];
+  for (const row of drift) {
+    const ref = companyDoc("accounts", row.account.id);
+    const written = await runTransaction(db, async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists()) return false;
+      const current = snap.data();
+      const same = ["debit", "credit", "balance"].every(
+        (k) => !off(current[k], row.stored[k])
+      );
+      if (!same) return false;
+      tx.update(ref, row.expected);
+      return true;
+    });
+    (written ? fixed : changed).push(row);
+  }
+  return { fixed, changed };
+}
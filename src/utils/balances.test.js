@@ -0,0 +1,85 @@
+import { getDoc, doc, __store as store } from "firebase/firestore";
+import { db } from "../firebase";
+import { findBalanceDrift, fixBalanceDrift, ledgerTotals, loadBalanceDrift } from "./balances";
+
+jest.mock("../firebase", () => ({ db: {}, auth: {} }));
+
+jest.mock("firebase/firestore", () => require("./testing/firestore"));
+
+beforeEach(() => store.clear());
+
+const accounts = [
+  { id: "cash", normalSide: "Debit", initialBalance: 100, debit: 500, credit: 200, balance: 400 },
+  { id: "sales", normalSide: "Credit", debit: 0, credit: 500, balance: 500 },
+  { id: "rent", normalSide: "Debit", debit: 0, credit: 0, balance: 0 },
+];
+const ledger = [
+  { accountId: "cash", debit: 500, credit: 0 },
+  { accountId: "cash", debit: 0, credit: 200 },
+  { accountId: "sales", debit: 0, credit: 500 },
+  { accountId: "rent", debit: 200, credit: 0 },
+];
+
+test("ledger totals start from zero and respect the normal side and opening balance", () => {
+  const totals = ledgerTotals(accounts, ledger);
+  expect(totals.get("cash")).toEqual({ debit: 500, credit: 200, balance: 400 });
+  expect(totals.get("sales")).toEqual({ debit: 0, credit: 500, balance: 500 });
+  expect(totals.get("rent")).toEqual({ debit: 200, credit: 0, balance: 200 });
+  expect(ledgerTotals([{ id: "idle", debit: 90, balance: 90 }], []).get("idle")).toEqual({
+    debit: 0,
+    credit: 0,
+    balance: 0,
+  });
+});
+
+test("accounts that agree with the ledger report no drift", () => {
+  const clean = accounts.filter((a) => a.id !== "rent");
+  expect(findBalanceDrift(clean, ledger)).toEqual([]);
+  expect(findBalanceDrift([{ ...clean[0], balance: 400.004 }], ledger)).toEqual([]);
+});
+
+test("accounts off by a cent or more are reported with stored and expected totals", () => {
+  const drift = findBalanceDrift(accounts, ledger);
+  expect(drift).toHaveLength(1);
+  expect(drift[0].account.id).toBe("rent");
+  expect(drift[0].stored).toEqual({ debit: 0, credit: 0, balance: 0 });
+  expect(drift[0].expected).toEqual({ debit: 200, credit: 0, balance: 200 });
+});
+
+const seed = () => {
+  for (const { id, ...data } of accounts) store.set(`accounts/${id}`, data);
+  ledger.forEach((line, i) => store.set(`ledgerEntries/l${i}`, line));
+};
+const stored = async (id) => (await getDoc(doc(db, "accounts", id))).data();
+
+test("fixing drift writes the ledger totals", async () => {
+  seed();
+  const drift = await loadBalanceDrift();
+  const { fixed, changed } = await fixBalanceDrift(drift);
+
+  expect(fixed.map((d) => d.account.id)).toEqual(["rent"]);
+  expect(changed).toEqual([]);
+  expect(await stored("rent")).toMatchObject({ debit: 200, credit: 0, balance: 200 });
+  expect(await loadBalanceDrift()).toEqual([]);
+});
+
+test("with no drift nothing is written", async () => {
+  seed();
+  store.set("accounts/rent", { ...(await stored("rent")), debit: 200, balance: 200 });
+  const before = new Map(store);
+
+  expect(await fixBalanceDrift(await loadBalanceDrift())).toEqual({ fixed: [], changed: [] });
+  expect(store).toEqual(before);
+});
+
+test("an account that changed since the check is skipped, not overwritten", async () => {
+  seed();
+  const drift = await loadBalanceDrift();
+  // A posting lands between the drift check and the fix
+  store.set("accounts/rent", { ...(await stored("rent")), debit: 350, balance: 350 });
+
+  const { fixed, changed } = await fixBalanceDrift(drift);
+  expect(fixed).toEqual([]);
+  expect(changed.map((d) => d.account.id)).toEqual(["rent"]);
+  expect(await stored("rent")).toMatchObject({ debit: 350, balance: 350 });
+});
@@ -0,0 +1,163 @@
+// src/utils/closing.js
+//
+// Year-end close: builds a "closing" journal entry that zeroes every revenue,
+// expense and dividend account into the designated retained earnings account.
+// The entry goes through the normal approval workflow; once posted, its ledger
+// lines carry entryType "closing" so income statements still report the
+// closed year while later periods open with the real retained earnings balance.
+import {
+  getDocs, query, where, writeBatch,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { companyCollection, companyDoc } from "./company";
+import {
+  FUNCTIONAL_CURRENCY, accountCurrency, computeBalances, isDebitNormal, isDividendAccount,
+  isRetainedEarningsAccount,
+} from "./financials";
+import { closingConflict, createJournalEntry, lineTotals } from "./journal";
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/** Revenue, expense and dividend accounts are closed at year end. */
+function isTemporaryAccount(account) {
+  const cat = (account.category || "").toLowerCase();
+  return cat === "revenue" || cat === "expense" || isDividendAccount(account);
+}
+
+/**
+ * Closing lines for balances as of year end.
+ * Each temporary account is posted on its opposite side for its full balance;
+ * the net goes to retained earnings. A foreign-currency account also closes
+ * its balance in its own currency, at the rate implied by the two balances.
+ *
+ * @param {Map} accMap - computeBalances() result as of the year end
+ * @param {object} reAccount - retained earnings account
+ * @returns {Array} canonical journal lines (empty if nothing to close)
+ */
+export function closingLines(accMap, reAccount) {
+  const lines = [];
+
+  for (const { account, end, transactionEnd } of accMap.values()) {
+    if (!isTemporaryAccount(account)) continue;
+    const bal = round(Number(end || 0));
+    if (!bal) continue;
+
+    // A positive balance sits on the normal side; close it on the other side
+    const normalDebit = isDebitNormal(account);
+    const side = (bal > 0) === normalDebit ? "credit" : "debit";
+
+    const line = {
+      accountId: account.id,
+      accountName: account.name || "",
+      accountNumber: String(account.number || ""),
+      amount: Math.abs(bal),
+      side,
+    };
+    const currency = accountCurrency(account);
+    if (currency !== FUNCTIONAL_CURRENCY) {
+      const transactionAmount = Math.abs(round(Number(transactionEnd || 0)));
+      line.currency = currency;
+      line.transactionAmount = transactionAmount;
+      line.exchangeRate = transactionAmount ? line.amount / transactionAmount : 1;
+    }
+    lines.push(line);
+  }
+
+  if (!lines.length) return lines;
+
+  const { totalDebits, totalCredits } = lineTotals(lines);
+  const diff = round(totalDebits - totalCredits);
+  if (diff) {
+    lines.push({
+      accountId: reAccount.id,
+      accountName: reAccount.name || "",
+      accountNumber: String(reAccount.number || ""),
+      amount: Math.abs(diff),
+      side: diff > 0 ? "credit" : "debit",
+    });
+  }
+  return lines;
+}
+
+/**
+ * Create the pending closing entry for a fiscal year.
+ *
+ * Refuses when the retained earnings account is not an equity account, when a
+ * closing entry for the same year end already exists (and was not rejected),
+ * or while entries dated on or before the year end are still pending. Until
+ * the closing entry is approved or rejected, no entry dated on or before the
+ * year end can post (journal closingConflict), so its amounts stay current.
+ * Once the entry is created, the chosen account becomes the designated
+ * retained earnings account.
+ *
+ * @param {{yearEnd: string, retainedEarningsAccountId: string}} options
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<DocumentReference>} the closing journal entry
+ */
+export async function createClosingEntry({ yearEnd, retainedEarningsAccountId }, author) {
+  if (!yearEnd || isNaN(new Date(yearEnd).getTime())) {
+    throw new Error("A valid fiscal year end date is required.");
+  }
+
+  const [accSnap, ledSnap, existingSnap, pendingSnap] = await Promise.all([
+    getDocs(companyCollection("accounts")),
+    getDocs(companyCollection("ledgerEntries")),
+    getDocs(query(companyCollection("journalEntries"), where("closingFor", "==", yearEnd))),
+    getDocs(query(companyCollection("journalEntries"), where("status", "==", "pending"))),
+  ]);
+
+  const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const reAccount = accounts.find((a) => a.id === retainedEarningsAccountId);
+  if (!reAccount || (reAccount.category || "").toLowerCase() !== "equity") {
+    throw new Error("Choose an equity account to receive retained earnings.");
+  }
+
+  if (existingSnap.docs.some((d) => d.data().status !== "rejected")) {
+    throw new Error(`A closing entry for ${yearEnd} already exists.`);
+  }
+
+  const pending = pendingSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const blocking = closingConflict({ type: "closing", date: yearEnd }, pending);
+  if (blocking) throw new Error(blocking);
+
+  const ledger = ledSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const accMap = computeBalances(accounts, ledger, null, yearEnd);
+  const lines = closingLines(accMap, reAccount);
+  if (!lines.length) throw new Error(`Nothing to close as of ${yearEnd}.`);
+
+  const entryRef = await createJournalEntry(
+    {
+      type: "closing",
+      date: yearEnd,
+      description: `Year-end closing entry for fiscal year ending ${yearEnd}`,
+      lines,
+      closingFor: yearEnd,
+      retainedEarningsAccountId: reAccount.id,
+    },
+    author
+  );
+  // Only once the entry exists, so a refused entry leaves the accounts as they were
+  await designateRetainedEarnings(accounts, reAccount.id);
+  return entryRef;
+}
+
+/**
+ * Flag `accountId` as the retained earnings account and explicitly unflag any
+ * other account that would otherwise be treated as retained earnings by name.
+ */
+async function designateRetainedEarnings(accounts, accountId) {
+  const batch = writeBatch(db);
+  let changed = false;
+
+  for (const a of accounts) {
+    if (a.id === accountId && a.retainedEarnings !== true) {
+      batch.update(companyDoc("accounts", a.id), { retainedEarnings: true });
+      changed = true;
+    } else if (a.id !== accountId && isRetainedEarningsAccount(a)) {
+      batch.update(companyDoc("accounts", a.id), { retainedEarnings: false });
+      changed = true;
+    }
+  }
+
+  if (changed) await batch.commit();
+}
@@ -0,0 +1,91 @@
+import { getDocs, collection, __store as store } from "firebase/firestore";
+import { db } from "../firebase";
+import { closingLines, createClosingEntry } from "./closing";
+import { computeBalances, incomeStatement } from "./financials";
+import { approveJournalEntry, lineTotals } from "./journal";
+
+jest.mock("../firebase", () => ({ db: {}, auth: {} }));
+
+jest.mock("firebase/firestore", () => require("./testing/firestore"));
+
+const docs = async (name) => (await getDocs(collection(db, name))).docs.map((d) => ({ id: d.id, ...d.data() }));
+
+beforeEach(() => store.clear());
+
+const accounts = [
+  { id: "cash", name: "Cash", number: "101", category: "Asset", normalSide: "Debit", initialBalance: 1000 },
+  { id: "capital", name: "Owner Capital", number: "301", category: "Equity", normalSide: "Credit", initialBalance: 1000 },
+  { id: "re", name: "Retained Earnings", number: "302", category: "Equity", normalSide: "Credit" },
+  { id: "dividends", name: "Dividends", number: "303", category: "Equity", normalSide: "Debit" },
+  { id: "sales", name: "Sales", number: "401", category: "Revenue", normalSide: "Credit" },
+  { id: "rent", name: "Rent Expense", number: "501", category: "Expense", normalSide: "Debit" },
+];
+const TEMPORARY = ["dividends", "sales", "rent"];
+
+// Sales 900, rent 300, dividends 150: net income 600, retained earnings +450
+const ledger = [
+  { accountId: "cash", date: "2025-06-01", debit: 900, credit: 0 },
+  { accountId: "sales", date: "2025-06-01", debit: 0, credit: 900 },
+  { accountId: "rent", date: "2025-07-01", debit: 300, credit: 0 },
+  { accountId: "cash", date: "2025-07-01", debit: 0, credit: 300 },
+  { accountId: "dividends", date: "2025-12-15", debit: 150, credit: 0 },
+  { accountId: "cash", date: "2025-12-15", debit: 0, credit: 150 },
+];
+
+const byId = (lines) => Object.fromEntries(lines.map((l) => [l.accountId, [l.side, l.amount]]));
+
+test("closing lines balance and close every temporary account into retained earnings", () => {
+  const lines = closingLines(computeBalances(accounts, ledger, null, "2025-12-31"), accounts[2]);
+
+  const { totalDebits, totalCredits } = lineTotals(lines);
+  expect(totalDebits).toBe(totalCredits);
+  expect(byId(lines)).toEqual({
+    sales: ["debit", 900],
+    rent: ["credit", 300],
+    dividends: ["credit", 150],
+    re: ["credit", 450],
+  });
+});
+
+test("there is nothing to close without temporary balances", () => {
+  const permanent = ledger.filter((l) => !TEMPORARY.includes(l.accountId));
+  expect(closingLines(computeBalances(accounts, permanent, null, "2025-12-31"), accounts[2])).toEqual([]);
+});
+
+const seedBooks = () => {
+  for (const { id, ...data } of accounts) store.set(`accounts/${id}`, data);
+  ledger.forEach((line, i) => store.set(`ledgerEntries/l${i}`, line));
+};
+const author = { userEmail: "accountant@example.com", role: "accountant" };
+
+test("a posted closing entry zeroes temporary accounts while the income statement still reports the year", async () => {
+  seedBooks();
+  const ref = await createClosingEntry({ yearEnd: "2025-12-31", retainedEarningsAccountId: "re" }, author);
+  expect(store.get(`journalEntries/${ref.id}`)).toMatchObject({ type: "closing", status: "pending", closingFor: "2025-12-31" });
+  expect(store.get("accounts/re").retainedEarnings).toBe(true);
+
+  // Closing touches equity, so an admin signs off
+  expect((await approveJournalEntry(ref.id, "admin@example.com", "admin")).posted).toBe(true);
+  const posted = await docs("ledgerEntries");
+  expect(posted.filter((l) => l.journalId === ref.id).every((l) => l.entryType === "closing")).toBe(true);
+
+  const year = computeBalances(accounts, posted, "2025-01-01", "2025-12-31");
+  for (const id of TEMPORARY) expect(year.get(id).end).toBe(0);
+  expect(year.get("re").end).toBe(450);
+  expect(incomeStatement(year)).toEqual({ revenue: 900, expenses: 300, netIncome: 600 });
+
+  // The next year opens with nothing left in revenue or expense
+  expect(incomeStatement(computeBalances(accounts, posted, "2026-01-01", "2026-12-31")).netIncome).toBe(0);
+
+  await expect(createClosingEntry({ yearEnd: "2025-12-31", retainedEarningsAccountId: "re" }, author)).rejects.toThrow(
+    /already exists/
+  );
+});
+
+test("retained earnings must be an equity account", async () => {
+  seedBooks();
+  await expect(createClosingEntry({ yearEnd: "2025-12-31", retainedEarningsAccountId: "cash" }, author)).rejects.toThrow(
+    /equity account/
+  );
+  expect(await docs("journalEntries")).toEqual([]);
+});
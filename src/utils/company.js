@@ -0,0 +1,232 @@
+// src/utils/company.js
+//
+// Companies (entities): each one keeps its own set of books.
+//
+// companies document:
+//   { name, createdBy, createdAt }
+//
+// Book-keeping collections (COMPANY_COLLECTIONS) live under
+// companies/<id>/<collection>. The default company keeps the original
+// top-level collections, so books created before companies existed stay where
+// they are. users, userRequests, errorMessages, loginEvents and notifications
+// stay global; notifications about a company's journal entries carry its
+// `companyId`.
+//
+// A user's role is per company: users.companyRoles maps company id → role
+// ("admin" | "manager" | "accountant", or "" for no access). The top-level
+// `role` is the fallback for the default company only.
+//
+// The active company is module state (remembered in localStorage) so that
+// utils which query Firestore outside React scope to it too. The auth context
+// switches it and remounts the app, see context/authContext.
+import { addDoc, collection, doc, getDocs, serverTimestamp, updateDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import { computeBalances, isDebitNormal } from "./financials";
+
+export const DEFAULT_COMPANY_ID = "default";
+export const DEFAULT_COMPANY_NAME = "Main Company";
+
+export const COMPANY_COLLECTIONS = [
+  "accounts", "journalEntries", "ledgerEntries", "accountingPeriods", "journalTemplates",
+  "fixedAssets", "bankReconciliations", "customers", "invoices", "customerPayments",
+  "vendors", "bills", "vendorPayments", "exchangeRates", "financialReports", "eventLogs", "settings",
+];
+
+const STORAGE_KEY = "tabuledge.company";
+
+const stored = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+let activeCompanyId = stored() || DEFAULT_COMPANY_ID;
+
+/** Id of the company whose books are open. */
+export function getCompanyId() {
+  return activeCompanyId;
+}
+
+/** Open another company's books (callers remount the app afterwards). */
+export function setCompanyId(id) {
+  activeCompanyId = id || DEFAULT_COMPANY_ID;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, activeCompanyId);
+  } catch {
+    // Private mode: the choice lasts for this page load only
+  }
+}
+
+const companyPath = (name, companyId) => {
+  const id = companyId || activeCompanyId;
+  if (!COMPANY_COLLECTIONS.includes(name)) throw new Error(`"${name}" is not a company collection.`);
+  return id === DEFAULT_COMPANY_ID ? [name] : ["companies", id, name];
+};
+
+/**
+ * A book-keeping collection of the active company (or of `companyId`).
+ * @param {string} name - one of COMPANY_COLLECTIONS
+ * @param {string} [companyId]
+ */
+export function companyCollection(name, companyId) {
+  return collection(db, ...companyPath(name, companyId));
+}
+
+/** A document in a company collection, see companyCollection(). */
+export function companyDoc(name, id, companyId) {
+  return doc(db, ...companyPath(name, companyId), id);
+}
+
+// ==================== Roles ====================
+
+/**
+ * A user's role in a company, or null without access.
+ * @param {object} profile - users document
+ * @param {string} companyId
+ */
+export function companyRole(profile, companyId) {
+  const role = profile?.companyRoles?.[companyId];
+  if (role !== undefined) return role || null;
+  return companyId === DEFAULT_COMPANY_ID ? profile?.role || null : null;
+}
+
+/**
+ * Companies a user has a role in, in list order. The default company is
+ * listed even without a companies document.
+ * @param {object} profile - users document
+ * @param {Array} companies - companies documents
+ */
+export function userCompanies(profile, companies) {
+  const list = (companies || []).some((c) => c.id === DEFAULT_COMPANY_ID)
+    ? companies
+    : [{ id: DEFAULT_COMPANY_ID, name: DEFAULT_COMPANY_NAME }, ...(companies || [])];
+  return list.filter((c) => companyRole(profile, c.id));
+}
+
+/**
+ * Role fields for a user approved while `companyId` is open: access to that
+ * company only. Outside the default company the default company is closed
+ * explicitly, since the top-level role would otherwise open it.
+ * @param {string} companyId
+ * @param {string} [role="accountant"]
+ */
+export function approvedUserRoles(companyId, role = "accountant") {
+  if (!companyId || companyId === DEFAULT_COMPANY_ID) {
+    return { role, companyRoles: { [DEFAULT_COMPANY_ID]: role } };
+  }
+  return { role, companyRoles: { [companyId]: role, [DEFAULT_COMPANY_ID]: "" } };
+}
+
+// ==================== Persistence ====================
+
+/** Every company, default first, then by name. */
+export async function loadCompanies() {
+  const snap = await getDocs(collection(db, "companies"));
+  const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  if (!list.some((c) => c.id === DEFAULT_COMPANY_ID)) list.push({ id: DEFAULT_COMPANY_ID, name: DEFAULT_COMPANY_NAME });
+  return list.sort((a, b) =>
+    (b.id === DEFAULT_COMPANY_ID) - (a.id === DEFAULT_COMPANY_ID) || (a.name || "").localeCompare(b.name || "")
+  );
+}
+
+/** Returns an error message, or "" when the name is usable. */
+export function validateCompany(name, companies) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return "Company name is required.";
+  if ((companies || []).some((c) => (c.name || "").toLowerCase() === trimmed.toLowerCase())) {
+    return `A company named "${trimmed}" already exists.`;
+  }
+  return "";
+}
+
+/**
+ * Create a company with empty books and make its creator an admin of it.
+ * @param {string} name
+ * @param {object} profile - creator's users document
+ * @param {Array} companies - existing companies, for the duplicate check
+ * @returns {Promise<string>} company id
+ * @throws {Error} if the name is missing or taken
+ */
+export async function createCompany(name, profile, companies) {
+  const error = validateCompany(name, companies);
+  if (error) throw new Error(error);
+
+  const ref = await addDoc(collection(db, "companies"), {
+    name: name.trim(),
+    createdBy: profile?.email || "unknown",
+    createdAt: serverTimestamp(),
+  });
+  if (profile?.id) await setCompanyRole(profile.id, ref.id, "admin");
+  return ref.id;
+}
+
+/** Give a user a role in a company; "" removes their access. */
+export async function setCompanyRole(userId, companyId, role) {
+  await updateDoc(doc(db, "users", userId), { [`companyRoles.${companyId}`]: role || "" });
+}
+
+// ==================== Consolidation ====================
+
+/**
+ * Trial balance summed across companies. Accounts are matched by account
+ * number; name and category come from the first company that has the number.
+ *
+ * @param {Array<{company: object, accounts: Array, ledger: Array}>} books
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @returns {{rows: Array<{number, name, category, byCompany: Object, debit, credit}>,
+ *   totals: {byCompany: Object, debit: number, credit: number}}}
+ *   byCompany holds each company's balance, positive for a debit balance.
+ */
+export function consolidatedTrialBalance(books, asOf) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const rows = new Map();
+  const companyTotals = {};
+
+  for (const { company, accounts, ledger } of books) {
+    companyTotals[company.id] = 0;
+    for (const { account, end } of computeBalances(accounts, ledger, null, asOf).values()) {
+      const net = isDebitNormal(account) ? Number(end || 0) : -Number(end || 0);
+      const key = String(account.number || account.id);
+      if (!rows.has(key)) {
+        rows.set(key, { number: key, name: account.name || "", category: account.category || "", byCompany: {}, net: 0 });
+      }
+      const row = rows.get(key);
+      row.byCompany[company.id] = round((row.byCompany[company.id] || 0) + net);
+      row.net += net;
+      companyTotals[company.id] += net;
+    }
+  }
+
+  const list = [...rows.values()]
+    .filter((r) => Object.values(r.byCompany).some(Boolean))
+    .sort((a, b) => a.number.localeCompare(b.number, undefined, { numeric: true }))
+    .map(({ net, ...r }) => ({ ...r, debit: round(Math.max(net, 0)), credit: round(Math.max(-net, 0)) }));
+
+  return {
+    rows: list,
+    totals: {
+      byCompany: Object.fromEntries(Object.entries(companyTotals).map(([id, t]) => [id, round(t)])),
+      debit: round(list.reduce((s, r) => s + r.debit, 0)),
+      credit: round(list.reduce((s, r) => s + r.credit, 0)),
+    },
+  };
+}
+
+/** Accounts and posted ledger lines of each company, for consolidatedTrialBalance(). */
+export async function loadBooks(companies) {
+  return Promise.all(
+    companies.map(async (company) => {
+      const [accSnap, ledgerSnap] = await Promise.all([
+        getDocs(companyCollection("accounts", company.id)),
+        getDocs(companyCollection("ledgerEntries", company.id)),
+      ]);
+      return {
+        company,
+        accounts: accSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+        ledger: ledgerSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+      };
+    })
+  );
+}
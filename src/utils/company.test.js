@@ -0,0 +1,65 @@
+import { approvedUserRoles, companyRole, consolidatedTrialBalance, userCompanies, validateCompany } from "./company";
+
+test("roles are per company and the top-level role only covers the default company", () => {
+  const legacy = { role: "manager" };
+  expect(companyRole(legacy, "default")).toBe("manager");
+  expect(companyRole(legacy, "acme")).toBeNull();
+
+  const user = { role: "manager", companyRoles: { default: "", acme: "accountant" } };
+  expect(companyRole(user, "default")).toBeNull();
+  expect(companyRole(user, "acme")).toBe("accountant");
+
+  const companies = [{ id: "acme", name: "Acme" }, { id: "globex", name: "Globex" }];
+  expect(userCompanies(user, companies).map((c) => c.id)).toEqual(["acme"]);
+  expect(userCompanies(legacy, companies).map((c) => c.id)).toEqual(["default"]);
+});
+
+test("users approved into a company get no access to the default company's books", () => {
+  const acme = approvedUserRoles("acme");
+  expect(companyRole(acme, "acme")).toBe("accountant");
+  expect(companyRole(acme, "default")).toBeNull();
+  expect(userCompanies(acme, [{ id: "acme", name: "Acme" }]).map((c) => c.id)).toEqual(["acme"]);
+
+  const main = approvedUserRoles("default");
+  expect(companyRole(main, "default")).toBe("accountant");
+  expect(companyRole(main, "acme")).toBeNull();
+});
+
+test("company names must be present and unique", () => {
+  const companies = [{ id: "acme", name: "Acme" }];
+  expect(validateCompany("  ", companies)).toMatch(/required/);
+  expect(validateCompany("acme", companies)).toMatch(/already exists/);
+  expect(validateCompany("Globex", companies)).toBe("");
+});
+
+test("the consolidated trial balance sums companies by account number", () => {
+  const chart = (prefix) => [
+    { id: `${prefix}-cash`, number: "101", name: "Cash", category: "Asset", normalSide: "Debit" },
+    { id: `${prefix}-loan`, number: "250", name: "Loan Payable", category: "Liability", normalSide: "Credit" },
+    { id: `${prefix}-sales`, number: "400", name: "Sales", category: "Revenue", normalSide: "Credit" },
+  ];
+  const line = (accountId, date, debit, credit) => ({ accountId, date, debit, credit });
+  const books = [
+    {
+      company: { id: "a", name: "A" },
+      accounts: chart("a"),
+      ledger: [line("a-cash", "2026-02-01", 500, 0), line("a-sales", "2026-02-01", 0, 500)],
+    },
+    {
+      company: { id: "b", name: "B" },
+      accounts: chart("b"),
+      ledger: [
+        line("b-cash", "2026-02-10", 1000, 0), line("b-loan", "2026-02-10", 0, 1000),
+        line("b-sales", "2026-04-01", 0, 300), line("b-cash", "2026-04-01", 300, 0),
+      ],
+    },
+  ];
+
+  const { rows, totals } = consolidatedTrialBalance(books, "2026-03-31");
+  expect(rows.map((r) => [r.number, r.byCompany, r.debit, r.credit])).toEqual([
+    ["101", { a: 500, b: 1000 }, 1500, 0],
+    ["250", { a: 0, b: -1000 }, 0, 1000],
+    ["400", { a: -500, b: 0 }, 0, 500],
+  ]);
+  expect(totals).toEqual({ byCompany: { a: 0, b: 0 }, debit: 1500, credit: 1500 });
+});
@@ -0,0 +1,150 @@
+// src/utils/comparative.js
+//
+// Side-by-side (comparative) statements. Each column is a full statement from
+// utils/statements built on its own computeBalances() range; the columns are
+// then merged line by line. Columns run newest first, and the variance columns
+// compare the first (current) column with the second (comparison) column.
+//
+// Comparative statement shape (rendered by components/ComparativeStatement):
+//   {
+//     kind, title, comparative: true,
+//     columns: [{ label, from, to }],
+//     period: { from, to },                      ← overall range, for headers / saving
+//     sections: [
+//       { title, totalLabel, totals: [..], variance, variancePct,
+//         groups: [{ title, totals: [..], variance, variancePct,
+//                    lines: [{ accountId, number, name, amounts: [..], variance, variancePct }] }] }
+//       | { totalLabel, totals: [..], variance, variancePct }
+//     ],
+//     checks: [{ label, ok, detail }]            ← column label prefixed
+//   }
+import { computeBalances } from "./financials";
+
+const pad = (n) => String(n).padStart(2, "0");
+const round = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/** Calendar month range for year/month (month 0-11, may overflow either way). */
+function monthRange(year, month) {
+  const d = new Date(Date.UTC(year, month, 1));
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+  const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return {
+    label: `${MONTHS[m]} ${y}`,
+    from: `${y}-${pad(m + 1)}-01`,
+    to: `${y}-${pad(m + 1)}-${pad(last)}`,
+  };
+}
+
+export const COMPARISON_MODES = {
+  mom: "This month vs. last month",
+  yoy: "This year vs. prior year",
+  monthly: "Monthly columns",
+};
+
+/**
+ * Column date ranges for a comparison, newest first.
+ * @param {"mom"|"yoy"|"monthly"} mode
+ * @param {string} anchor - "YYYY-MM-DD" inside the current (newest) period
+ * @param {number} [count=3] - number of monthly columns for "monthly"
+ * @returns {Array<{label: string, from: string, to: string}>}
+ */
+export function comparisonPeriods(mode, anchor, count = 3) {
+  const [y, m] = (anchor || new Date().toISOString().slice(0, 10)).split("-").map(Number);
+
+  if (mode === "yoy") {
+    return [y, y - 1].map((year) => ({ label: String(year), from: `${year}-01-01`, to: `${year}-12-31` }));
+  }
+
+  const n = mode === "monthly" ? Math.max(2, Math.min(Number(count) || 3, 12)) : 2;
+  return Array.from({ length: n }, (_, i) => monthRange(y, m - 1 - i));
+}
+
+/** $ and % change of current over prior; % is null when prior is zero. */
+export function variance(current, prior) {
+  const diff = round(Number(current || 0) - Number(prior || 0));
+  const pct = Number(prior) ? diff / Math.abs(Number(prior)) : null;
+  return { variance: diff, variancePct: pct };
+}
+
+/**
+ * Build a comparative statement.
+ * @param {Function} builder - a utils/statements builder, e.g. incomeStatementReport
+ * @param {Array} accounts
+ * @param {Array} ledgerEntries
+ * @param {Array<{label, from, to}>} periods - from comparisonPeriods()
+ */
+export function comparativeStatement(builder, accounts, ledgerEntries, periods) {
+  const statements = periods.map((p) =>
+    builder(computeBalances(accounts, ledgerEntries, p.from, p.to), { from: p.from, to: p.to })
+  );
+  const n = statements.length;
+  const zeros = () => Array(n).fill(0);
+
+  // Merge sections → groups → lines by title / account, keeping first-seen order
+  const sections = new Map();
+  statements.forEach((st, col) => {
+    for (const sec of st.sections) {
+      const key = sec.title || sec.totalLabel;
+      if (!sections.has(key)) {
+        sections.set(key, {
+          title: sec.title,
+          totalLabel: sec.totalLabel,
+          totals: zeros(),
+          groups: sec.groups ? new Map() : null,
+        });
+      }
+      const target = sections.get(key);
+      target.totals[col] = sec.total;
+
+      for (const g of sec.groups || []) {
+        if (!target.groups.has(g.title)) target.groups.set(g.title, { title: g.title, totals: zeros(), lines: new Map() });
+        const group = target.groups.get(g.title);
+        group.totals[col] = g.total;
+
+        for (const line of g.lines) {
+          const lineKey = line.accountId || line.name;
+          if (!group.lines.has(lineKey)) {
+            group.lines.set(lineKey, {
+              accountId: line.accountId, number: line.number, name: line.name, amounts: zeros(),
+            });
+          }
+          group.lines.get(lineKey).amounts[col] = line.amount;
+        }
+      }
+    }
+  });
+
+  const withVariance = (obj, values) => ({ ...obj, ...variance(values[0], values[1]) });
+
+  return {
+    kind: statements[0].kind,
+    title: statements[0].title,
+    comparative: true,
+    columns: periods,
+    period: { from: periods[n - 1].from, to: periods[0].to },
+    sections: [...sections.values()].map((sec) => {
+      const out = withVariance(
+        { title: sec.title, totalLabel: sec.totalLabel, totals: sec.totals },
+        sec.totals
+      );
+      if (!sec.groups) return out;
+      out.groups = [...sec.groups.values()].map((g) =>
+        withVariance(
+          {
+            title: g.title,
+            totals: g.totals,
+            lines: [...g.lines.values()].map((l) => withVariance(l, l.amounts)),
+          },
+          g.totals
+        )
+      );
+      return out;
+    }),
+    checks: statements.flatMap((st, col) =>
+      (st.checks || []).map((c) => ({ ...c, label: `${periods[col].label}: ${c.label}` }))
+    ),
+  };
+}
@@ -0,0 +1,309 @@
+// src/utils/currency.js
+//
+// Multi-currency: account and line currencies, the exchange rate table and
+// period-end revaluation.
+//
+// Everything that reaches the ledger stays in the functional currency
+// (FUNCTIONAL_CURRENCY, financials.js): the `amount` of a journal line,
+// debit / credit on ledgerEntries and account balances. A journal line also
+// records the currency it was entered in:
+//   { currency, transactionAmount, exchangeRate, amount }
+// where amount = transactionAmount × exchangeRate, rounded to the cent. A line
+// on a foreign-currency account must be in that account's currency; its
+// ledger line keeps currency / transactionDebit / transactionCredit so the
+// account's balance in its own currency is known (computeBalances
+// `transactionEnd`).
+//
+// exchangeRates document (id `<currency>_<YYYY-MM-DD>`, one per currency and day):
+//   {
+//     currency: "EUR",
+//     date: "YYYY-MM-DD",
+//     rate: number (functional currency units for one unit of `currency`),
+//     createdBy / createdAt
+//   }
+// The rate for a date is the latest one on or before it.
+//
+// Revaluation restates foreign-currency asset and liability accounts at the
+// rate on the revaluation date. The difference from their functional book
+// balance is posted against an FX gain / loss account in one adjusting entry
+// (id `fxreval_<date>`, so one per date; after a rejection the next attempt is
+// `fxreval_<date>_2` and so on) that reverses the next day; lines on
+// the revalued accounts carry a transactionAmount of 0 because only the
+// functional amount changes. Revaluation entries carry fxRevaluationDate.
+import { getDoc, getDocs, query, serverTimestamp, setDoc, where } from "firebase/firestore";
+import { companyCollection, companyDoc } from "./company";
+import { addDays } from "./aging";
+import { FUNCTIONAL_CURRENCY, accountCurrency, computeBalances, isDebitNormal } from "./financials";
+import { createJournalEntryOnce, validateJournalEntry } from "./journal";
+import { logEvent } from "./logEvent";
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "CAD", "MXN", "JPY", "CHF", "AUD", "CNY", "INR"];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Rate to the functional currency on a date: the latest rate on or before
+ * it, 1 for the functional currency, or null if there is none.
+ * @param {Array} rates - exchangeRates documents
+ * @param {string} currency
+ * @param {string} date - "YYYY-MM-DD"
+ */
+export function rateOn(rates, currency, date) {
+  if (!currency || currency === FUNCTIONAL_CURRENCY) return 1;
+  let best = null;
+  for (const r of rates || []) {
+    if (r.currency !== currency || r.date > date) continue;
+    if (!best || r.date > best.date) best = r;
+  }
+  return best ? Number(best.rate) : null;
+}
+
+const missingRate = (currency, date) =>
+  `No ${currency} exchange rate on or before ${date}. Add one under Exchange Rates.`;
+
+/**
+ * Convert lines entered in their accounts' currencies to functional amounts.
+ * Each line's `amount` is read as the transaction amount.
+ *
+ * With `currency`, every amount is instead in that one currency (a bill or
+ * invoice in its control account's currency): lines on other accounts are
+ * restated in their own currency, and a cent of rounding is moved to the
+ * largest line so the entry still balances.
+ *
+ * @param {Array} lines - canonical lines (linesFromRows)
+ * @param {Array} accounts - chart of accounts
+ * @param {Array} rates - exchangeRates documents
+ * @param {string} date - entry date, picks the rate
+ * @param {string} [currency] - currency all amounts are in
+ * @returns {{lines: Array, error: string}} error names the first missing rate
+ */
+export function convertLines(lines, accounts, rates, date, currency) {
+  if (currency) return convertDocumentLines(lines, accounts, rates, date, currency);
+
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  let error = "";
+  const converted = (lines || []).map((l) => {
+    const lineCurrency = accountCurrency(byId[l.accountId]);
+    const rate = rateOn(rates, lineCurrency, date);
+    if (rate == null) {
+      error = error || missingRate(lineCurrency, date);
+      return { ...l, currency: lineCurrency, transactionAmount: l.amount, exchangeRate: null };
+    }
+    return { ...l, currency: lineCurrency, transactionAmount: l.amount, exchangeRate: rate, amount: round(Number(l.amount) * rate) };
+  });
+  return { lines: converted, error };
+}
+
+/** convertLines() for amounts that are all in `currency`. */
+function convertDocumentLines(lines, accounts, rates, date, currency) {
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const documentRate = rateOn(rates, currency, date);
+  if (documentRate == null) return { lines: lines || [], error: missingRate(currency, date) };
+
+  let error = "";
+  const converted = (lines || []).map((l) => {
+    const lineCurrency = accountCurrency(byId[l.accountId]);
+    const amount = round(Number(l.amount) * documentRate);
+    if (lineCurrency === currency) {
+      return { ...l, currency: lineCurrency, transactionAmount: round(Number(l.amount)), exchangeRate: documentRate, amount };
+    }
+    const rate = rateOn(rates, lineCurrency, date);
+    if (rate == null) {
+      error = error || missingRate(lineCurrency, date);
+      return { ...l, currency: lineCurrency, transactionAmount: amount, exchangeRate: null, amount };
+    }
+    return { ...l, currency: lineCurrency, transactionAmount: round(amount / rate), exchangeRate: rate, amount };
+  });
+
+  // Rounding each line can leave the sides a cent or two apart
+  const total = (side) => round(converted.filter((l) => l.side === side).reduce((s, l) => s + l.amount, 0));
+  const difference = round(total("debit") - total("credit"));
+  if (difference && !error) {
+    const count = (side) => converted.filter((l) => l.side === side).length;
+    const side = count("debit") >= count("credit") ? "debit" : "credit";
+    const largest = converted
+      .filter((l) => l.side === side)
+      .reduce((best, l) => (!best || l.amount > best.amount ? l : best), null);
+    const amount = round(largest.amount + (side === "debit" ? -difference : difference));
+    const fixed = { ...largest, amount };
+    if (fixed.currency === FUNCTIONAL_CURRENCY) fixed.transactionAmount = amount;
+    converted[converted.indexOf(largest)] = fixed;
+  }
+  return { lines: converted, error };
+}
+
+/**
+ * Revaluation of every foreign-currency asset and liability account at the
+ * rate on `asOf`.
+ *
+ * @param {Map} balances - computeBalances() as of `asOf`
+ * @param {Array} rates - exchangeRates documents
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @returns {{rows: Array<{account, currency, transactionBalance, rate, bookBalance, revaluedBalance, adjustment}>, missing: string[], net: number}}
+ *   `adjustment` is signed by the account's normal side; `net` is the total
+ *   gain (positive) or loss (negative).
+ */
+export function revaluation(balances, rates, asOf) {
+  const rows = [];
+  const missing = new Set();
+  let net = 0;
+
+  for (const { account, end, transactionEnd } of balances.values()) {
+    const currency = accountCurrency(account);
+    if (currency === FUNCTIONAL_CURRENCY || account.active === false) continue;
+    if (!["asset", "liability"].includes((account.category || "").toLowerCase())) continue;
+
+    const rate = rateOn(rates, currency, asOf);
+    if (rate == null) {
+      missing.add(currency);
+      continue;
+    }
+    const bookBalance = round(end);
+    const revaluedBalance = round(transactionEnd * rate);
+    const adjustment = round(revaluedBalance - bookBalance);
+    if (!adjustment) continue;
+
+    // A larger asset is a gain, a larger liability a loss
+    net += isDebitNormal(account) ? adjustment : -adjustment;
+    rows.push({ account, currency, transactionBalance: round(transactionEnd), rate, bookBalance, revaluedBalance, adjustment });
+  }
+  return { rows, missing: [...missing].sort(), net: round(net) };
+}
+
+/**
+ * Journal entry id of the revaluation as of a date, given how many earlier
+ * revaluation entries for that date were rejected.
+ */
+export function revaluationEntryId(asOf, rejected = 0) {
+  return rejected ? `fxreval_${asOf}_${rejected + 1}` : `fxreval_${asOf}`;
+}
+
+/** True for a revenue or expense account, which can take FX gains and losses. */
+export function isGainLossAccount(account) {
+  return ["revenue", "expense"].includes((account?.category || "").toLowerCase());
+}
+
+/**
+ * Adjusting entry for a revaluation(): each account moves by its adjustment
+ * and the net goes to the FX gain / loss account. Reverses the next day.
+ * @param {object} reval - revaluation() result with at least one row
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @param {object} gainLossAccount - revenue or expense account for FX gains and losses
+ */
+export function revaluationEntryDraft(reval, asOf, gainLossAccount) {
+  const line = (account, amount, side, fx) => ({
+    accountId: account.id,
+    accountName: account.name || "",
+    accountNumber: String(account.number || ""),
+    amount: round(Math.abs(amount)),
+    side,
+    currency: fx ? fx.currency : FUNCTIONAL_CURRENCY,
+    transactionAmount: fx ? 0 : round(Math.abs(amount)),
+    exchangeRate: fx ? fx.rate : 1,
+  });
+
+  const lines = reval.rows.map((r) => {
+    const increase = r.adjustment > 0;
+    const side = isDebitNormal(r.account) === increase ? "debit" : "credit";
+    return line(r.account, r.adjustment, side, r);
+  });
+  if (reval.net) lines.push(line(gainLossAccount, reval.net, reval.net > 0 ? "credit" : "debit"));
+
+  return {
+    type: "adjusting",
+    date: asOf,
+    autoReverseOn: addDays(asOf, 1),
+    description: `Unrealized foreign exchange ${reval.net >= 0 ? "gain" : "loss"} — revaluation as of ${asOf}`,
+    lines,
+    fxRevaluationDate: asOf,
+  };
+}
+
+// ==================== Persistence ====================
+
+export function exchangeRateId(currency, date) {
+  return `${currency}_${date}`;
+}
+
+/** Exchange rates by currency, newest first. */
+export async function loadRates() {
+  const snap = await getDocs(companyCollection("exchangeRates"));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+}
+
+/** Returns an error message, or "" when the rate is valid. */
+export function validateRate(draft) {
+  const d = draft || {};
+  if (!CURRENCIES.includes(d.currency)) return "Choose a currency.";
+  if (d.currency === FUNCTIONAL_CURRENCY) return `${FUNCTIONAL_CURRENCY} is the functional currency; its rate is always 1.`;
+  if (!d.date || isNaN(new Date(d.date).getTime())) return "A valid date is required.";
+  if (!(Number(d.rate) > 0)) return "The rate must be greater than zero.";
+  return "";
+}
+
+/**
+ * Add a rate, or replace the rate for the same currency and day.
+ * @throws {Error} if the rate is invalid
+ */
+export async function saveRate(draft, userEmail) {
+  const error = validateRate(draft);
+  if (error) throw new Error(error);
+
+  const id = exchangeRateId(draft.currency, draft.date);
+  const ref = companyDoc("exchangeRates", id);
+  const before = await getDoc(ref);
+  const data = { currency: draft.currency, date: draft.date, rate: Number(draft.rate) };
+  await setDoc(ref, { ...data, createdBy: userEmail, createdAt: serverTimestamp() });
+  await logEvent("exchangeRate", before.exists() ? "update" : "create", before.exists() ? before.data() : null, { id, ...data });
+  return id;
+}
+
+/** Accounts, posted ledger lines and rates needed to revalue as of a date. */
+export async function loadRevaluation(asOf) {
+  const [accSnap, ledgerSnap, rates] = await Promise.all([
+    getDocs(companyCollection("accounts")),
+    getDocs(companyCollection("ledgerEntries")),
+    loadRates(),
+  ]);
+  const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const ledger = ledgerSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return { accounts, rates, reval: revaluation(computeBalances(accounts, ledger, null, asOf), rates, asOf) };
+}
+
+/**
+ * Submit the revaluation entry for `asOf` for approval.
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @param {string} gainLossAccountId
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<string>} journal entry id
+ * @throws {Error} if a rate is missing, nothing needs revaluing, the date (or
+ *   the next day, when it reverses) is in a closed period, or the date already
+ *   has a revaluation entry that was not rejected
+ */
+export async function createRevaluationEntry(asOf, gainLossAccountId, author) {
+  const { accounts, reval } = await loadRevaluation(asOf);
+  if (reval.missing.length) throw new Error(`No exchange rate on or before ${asOf} for ${reval.missing.join(", ")}.`);
+  if (!reval.rows.length) throw new Error(`Foreign-currency balances are already stated at the ${asOf} rates.`);
+
+  const gainLoss = accounts.find((a) => a.id === gainLossAccountId);
+  if (!gainLoss || !isGainLossAccount(gainLoss)) {
+    throw new Error("Choose a revenue or expense account for foreign exchange gains and losses.");
+  }
+
+  const draft = revaluationEntryDraft(reval, asOf, gainLoss);
+  const invalid = validateJournalEntry(draft, accounts);
+  if (invalid) throw new Error(invalid);
+
+  // A rejected revaluation stays on record; the next attempt takes a new id
+  const earlier = await getDocs(query(companyCollection("journalEntries"), where("fxRevaluationDate", "==", asOf)));
+  if (earlier.docs.some((d) => d.data().status !== "rejected")) {
+    throw new Error(`A revaluation entry for ${asOf} already exists.`);
+  }
+  const id = revaluationEntryId(asOf, earlier.size);
+  if (!(await createJournalEntryOnce(id, draft, author))) {
+    throw new Error(`A revaluation entry for ${asOf} already exists.`);
+  }
+  return id;
+}
@@ -0,0 +1,116 @@
+import {
+  convertLines, isGainLossAccount, rateOn, revaluation, revaluationEntryDraft, revaluationEntryId,
+} from "./currency";
+import { computeBalances } from "./financials";
+import { validateJournalEntry } from "./journal";
+
+const accounts = [
+  { id: "cash", name: "Cash", number: "101", category: "Asset", normalSide: "Debit" },
+  { id: "eurbank", name: "Bank EUR", number: "102", category: "Asset", normalSide: "Debit", currency: "EUR" },
+  { id: "apgbp", name: "AP GBP Vendors", number: "202", category: "Liability", normalSide: "Credit", currency: "GBP" },
+  { id: "fx", name: "Foreign Exchange Gain/Loss", number: "790", category: "Revenue", normalSide: "Credit" },
+  { id: "supplies", name: "Supplies Expense", number: "620", category: "Expense", normalSide: "Debit" },
+];
+
+const rates = [
+  { currency: "EUR", date: "2026-01-01", rate: 1.1 },
+  { currency: "EUR", date: "2026-03-31", rate: 1.2 },
+  { currency: "GBP", date: "2026-01-01", rate: 1.25 },
+  { currency: "GBP", date: "2026-03-31", rate: 1.3 },
+];
+
+test("the rate for a date is the latest on or before it", () => {
+  expect(rateOn(rates, "EUR", "2026-02-15")).toBe(1.1);
+  expect(rateOn(rates, "EUR", "2026-03-31")).toBe(1.2);
+  expect(rateOn(rates, "EUR", "2025-12-31")).toBeNull();
+  expect(rateOn(rates, "USD", "2025-12-31")).toBe(1);
+});
+
+test("foreign lines convert to functional amounts and keep their transaction amounts", () => {
+  const { lines, error } = convertLines(
+    [
+      { accountId: "supplies", side: "debit", amount: 550 },
+      { accountId: "eurbank", side: "credit", amount: 500 },
+    ],
+    accounts,
+    rates,
+    "2026-02-10"
+  );
+  expect(error).toBe("");
+  expect(lines.map((l) => [l.currency, l.transactionAmount, l.exchangeRate, l.amount])).toEqual([
+    ["USD", 550, 1, 550],
+    ["EUR", 500, 1.1, 550],
+  ]);
+  expect(convertLines(lines.slice(1), accounts, rates, "2025-06-01").error).toMatch(/No EUR exchange rate/);
+
+  const entry = { date: "2026-02-10", description: "Supplies", lines };
+  expect(validateJournalEntry(entry, accounts)).toBe("");
+  const usdOnEur = { ...entry, lines: [lines[0], { ...lines[1], currency: "USD" }] };
+  expect(validateJournalEntry(usdOnEur, accounts)).toMatch(/kept in EUR/);
+});
+
+test("revaluation restates foreign balances at the period-end rate", () => {
+  const ledger = [
+    // EUR 1,000 deposited at 1.1; GBP 400 bill at 1.25
+    { accountId: "eurbank", date: new Date("2026-01-15"), debit: 1100, credit: 0, currency: "EUR", transactionDebit: 1000, transactionCredit: 0 },
+    { accountId: "cash", date: new Date("2026-01-15"), debit: 0, credit: 1100 },
+    { accountId: "apgbp", date: new Date("2026-02-01"), debit: 0, credit: 500, currency: "GBP", transactionDebit: 0, transactionCredit: 400 },
+    { accountId: "supplies", date: new Date("2026-02-01"), debit: 500, credit: 0 },
+  ];
+  const balances = computeBalances(accounts, ledger, null, "2026-03-31");
+  expect(balances.get("eurbank")).toMatchObject({ end: 1100, transactionEnd: 1000 });
+
+  const reval = revaluation(balances, rates, "2026-03-31");
+  expect(reval.rows.map((r) => [r.account.id, r.revaluedBalance, r.adjustment])).toEqual([
+    ["eurbank", 1200, 100],
+    ["apgbp", 520, 20],
+  ]);
+  expect(reval.net).toBe(80);
+  expect(revaluation(balances, rates.slice(0, 1), "2026-03-31").missing).toEqual(["GBP"]);
+
+  const draft = revaluationEntryDraft(reval, "2026-03-31", accounts[3]);
+  expect(draft).toMatchObject({ type: "adjusting", autoReverseOn: "2026-04-01", fxRevaluationDate: "2026-03-31" });
+  expect(draft.lines.map((l) => [l.accountId, l.side, l.amount, l.transactionAmount])).toEqual([
+    ["eurbank", "debit", 100, 0],
+    ["apgbp", "credit", 20, 0],
+    ["fx", "credit", 80, 80],
+  ]);
+  expect(validateJournalEntry(draft, accounts)).toBe("");
+});
+
+test("categories match in any case and rejected revaluations free their date", () => {
+  const lower = accounts.map((a) => ({ ...a, category: a.category.toLowerCase() }));
+  const ledger = [
+    { accountId: "eurbank", date: "2026-01-15", debit: 1100, credit: 0, currency: "EUR", transactionDebit: 1000, transactionCredit: 0 },
+    { accountId: "cash", date: "2026-01-15", debit: 0, credit: 1100 },
+  ];
+  const reval = revaluation(computeBalances(lower, ledger, null, "2026-03-31"), rates, "2026-03-31");
+  expect(reval.rows.map((r) => [r.account.id, r.adjustment])).toEqual([["eurbank", 100]]);
+  expect(isGainLossAccount(lower[3])).toBe(true);
+  expect(isGainLossAccount(lower[0])).toBe(false);
+
+  expect(revaluationEntryId("2026-03-31")).toBe("fxreval_2026-03-31");
+  expect(revaluationEntryId("2026-03-31", 1)).toBe("fxreval_2026-03-31_2");
+});
+
+test("document amounts convert at one rate and keep the entry balanced", () => {
+  const eurRates = [{ currency: "EUR", date: "2026-01-01", rate: 1.0837 }];
+  const { lines, error } = convertLines(
+    [
+      { accountId: "supplies", side: "debit", amount: 33.33 },
+      { accountId: "supplies", side: "debit", amount: 66.67 },
+      { accountId: "eurbank", side: "credit", amount: 100 },
+    ],
+    accounts,
+    eurRates,
+    "2026-02-01",
+    "EUR"
+  );
+  expect(error).toBe("");
+  expect(lines.map((l) => [l.currency, l.transactionAmount, l.amount])).toEqual([
+    ["USD", 36.12, 36.12],
+    ["USD", 72.25, 72.25],
+    ["EUR", 100, 108.37],
+  ]);
+  expect(convertLines(lines, accounts, [], "2026-02-01", "EUR").error).toMatch(/No EUR exchange rate/);
+});
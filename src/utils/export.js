@@ -0,0 +1,304 @@
+// src/utils/export.js
+//
+// Client-side export of reports and lists to CSV, Excel (.xlsx) and PDF.
+// Every page describes what it shows as a plain table:
+//
+//   {
+//     title: "Trial Balance",
+//     period: { from, to } | null,                 ← printed under the title
+//     columns: [{ label, format?: "money" | "percent" }],
+//     rows: [[cell, ...] | { cells: [...], kind: "section" | "group" | "total" | "grand" }],
+//     generatedBy?: "user@example.com",
+//     company?: "Acme Co",                         ← defaults to COMPANY_NAME
+//   }
+//
+// Each file starts with the company name, title, period and generation
+// timestamp. The exceljs / jspdf libraries are loaded on demand so they stay out
+// of the main bundle.
+import { formatMoney } from "./format";
+
+export const COMPANY_NAME = process.env.REACT_APP_COMPANY_NAME || "Tabuledge";
+
+export const EXPORT_FORMATS = { csv: "CSV", xlsx: "Excel", pdf: "PDF" };
+
+const round = (n) => Math.round(Number(n || 0) * 100) / 100;
+const cellsOf = (row) => (Array.isArray(row) ? row : row.cells);
+const kindOf = (row) => (Array.isArray(row) ? "" : row.kind || "");
+
+/** "2026-01-01 to 2026-03-31", "As of 2026-03-31", ... */
+export function periodLabel(period) {
+  if (!period) return "";
+  if (typeof period === "string") return period;
+  if (period.from && period.to) return `${period.from} to ${period.to}`;
+  if (period.to) return `As of ${period.to}`;
+  if (period.from) return `From ${period.from}`;
+  return "All dates";
+}
+
+/** Company, title, period and timestamp lines that head every export. */
+export function headerLines(table, now = new Date()) {
+  const generated = `Generated ${now.toLocaleString()}${table.generatedBy ? ` by ${table.generatedBy}` : ""}`;
+  return [table.company || COMPANY_NAME, table.title, periodLabel(table.period), generated].filter(Boolean);
+}
+
+/** Safe file name from a title: "Trial Balance" → "trial-balance-2026-03-31" */
+export function exportFileName(title, period) {
+  const slug = String(title || "export").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const stamp = (period && typeof period === "object" && period.to) || new Date().toISOString().slice(0, 10);
+  return `${slug}-${stamp}`;
+}
+
+/** Display text for a cell (PDF and on-screen) */
+function displayValue(value, format) {
+  if (value === null || value === undefined || value === "") return "";
+  if (format === "money") return formatMoney(value);
+  if (format === "percent") return `${(Number(value) * 100).toFixed(1)}%`;
+  return String(value);
+}
+
+// ==================== CSV ====================
+
+/** Quote a CSV field; text starting with = + - @ is prefixed so spreadsheets don't run it. */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for a table. Money columns are plain numbers (two decimals) so the
+ * file can be summed; percentages are written as text ("12.5%").
+ */
+export function toCSV(table, now = new Date()) {
+  const { columns = [], rows = [] } = table;
+  const lines = headerLines(table, now).map((l) => [l]);
+  lines.push([]);
+  lines.push(columns.map((c) => c.label));
+
+  for (const row of rows) {
+    lines.push(
+      cellsOf(row).map((v, i) => {
+        const format = columns[i]?.format;
+        if (v === null || v === undefined || v === "") return "";
+        if (format === "money") return round(v);
+        if (format === "percent") return displayValue(v, format);
+        return v;
+      })
+    );
+  }
+  return lines.map((l) => l.map(csvField).join(",")).join("\r\n");
+}
+
+export function exportCSV(table, fileName = exportFileName(table.title, table.period)) {
+  // BOM so Excel opens UTF-8 text correctly
+  const blob = new Blob(["\uFEFF", toCSV(table)], { type: "text/csv;charset=utf-8" });
+  download(blob, `${fileName}.csv`);
+}
+
+// ==================== XLSX ====================
+
+/**
+ * ExcelJS workbook for a table: the header lines, then one row per table row
+ * with money and percent columns number-formatted.
+ */
+export async function xlsxWorkbook(table) {
+  const { default: ExcelJS } = await import("exceljs");
+  const { columns = [], rows = [] } = table;
+
+  const header = headerLines(table);
+  const aoa = [...header.map((l) => [l]), [], columns.map((c) => c.label)];
+  const firstDataRow = aoa.length;
+  for (const row of rows) {
+    aoa.push(cellsOf(row).map((v, i) =>
+      v === null || v === undefined || v === "" ? "" : columns[i]?.format === "money" ? round(v) : v
+    ));
+  }
+
+  const book = new ExcelJS.Workbook();
+  // Sheet names: max 31 chars, no []:*?/\
+  const sheet = book.addWorksheet(String(table.title || "Export").replace(/[[\]:*?/\\]/g, "").slice(0, 31));
+  sheet.addRows(aoa);
+
+  // Number formats for money / percent columns
+  columns.forEach((col, c) => {
+    if (!col.format) return;
+    const numFmt = col.format === "money" ? "#,##0.00" : "0.0%";
+    for (let r = firstDataRow; r < aoa.length; r++) {
+      const cell = sheet.getCell(r + 1, c + 1);
+      if (typeof cell.value === "number") cell.numFmt = numFmt;
+    }
+  });
+
+  columns.forEach((col, c) => {
+    const widest = Math.max(
+      String(col.label || "").length,
+      ...rows.map((row) => displayValue(cellsOf(row)[c], col.format).length)
+    );
+    sheet.getColumn(c + 1).width = Math.min(Math.max(widest + 2, 10), 60);
+  });
+
+  return book;
+}
+
+export async function exportXLSX(table, fileName = exportFileName(table.title, table.period)) {
+  const book = await xlsxWorkbook(table);
+  const buffer = await book.xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+  download(blob, `${fileName}.xlsx`);
+}
+
+// ==================== PDF ====================
+
+/** jsPDF's built-in fonts only cover Latin-1; swap the symbols we use. */
+const pdfText = (s) =>
+  String(s).replace(/≠/g, "!=").replace(/→/g, "->").replace(/[−–—]/g, "-").replace(/✓/g, "OK").replace(/✗/g, "X");
+
+export async function exportPDF(table, fileName = exportFileName(table.title, table.period)) {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import("jspdf"), import("jspdf-autotable")]);
+  const { columns = [], rows = [] } = table;
+
+  const doc = new jsPDF({ orientation: columns.length > 5 ? "landscape" : "portrait", unit: "pt", format: "letter" });
+  const header = headerLines(table).map(pdfText);
+  const marginX = 40;
+  const headerHeight = 30 + header.length * 14;
+
+  const drawHeader = () => {
+    const width = doc.internal.pageSize.getWidth();
+    header.forEach((line, i) => {
+      doc.setFont("helvetica", i < 2 ? "bold" : "normal");
+      doc.setFontSize(i === 0 ? 13 : i === 1 ? 12 : 9);
+      doc.text(line, width / 2, 30 + i * 14, { align: "center" });
+    });
+  };
+
+  autoTable(doc, {
+    head: [columns.map((c) => pdfText(c.label))],
+    body: rows.map((row) => cellsOf(row).map((v, i) => pdfText(displayValue(v, columns[i]?.format)))),
+    startY: headerHeight,
+    margin: { top: headerHeight, left: marginX, right: marginX, bottom: 40 },
+    styles: { fontSize: 9, cellPadding: 4 },
+    headStyles: { fillColor: [30, 41, 59] },
+    columnStyles: Object.fromEntries(
+      columns.map((c, i) => [i, c.format ? { halign: "right" } : {}])
+    ),
+    didParseCell: (data) => {
+      if (data.section !== "body") return;
+      const kind = kindOf(rows[data.row.index]);
+      if (kind === "section" || kind === "total" || kind === "grand") data.cell.styles.fontStyle = "bold";
+      if (kind === "group") data.cell.styles.fontStyle = "italic";
+      if (kind === "grand") data.cell.styles.fillColor = [226, 232, 240];
+    },
+    didDrawPage: drawHeader,
+  });
+
+  // "Page x of y" once the page count is known
+  const pages = doc.internal.getNumberOfPages();
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.text(
+      `Page ${p} of ${pages}`,
+      doc.internal.pageSize.getWidth() - marginX,
+      doc.internal.pageSize.getHeight() - 20,
+      { align: "right" }
+    );
+  }
+
+  doc.save(`${fileName}.pdf`);
+}
+
+/** Export a table in one of EXPORT_FORMATS. */
+export function exportTable(format, table, fileName) {
+  if (format === "csv") return exportCSV(table, fileName);
+  if (format === "xlsx") return exportXLSX(table, fileName);
+  if (format === "pdf") return exportPDF(table, fileName);
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+function download(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ==================== Report tables ====================
+
+/**
+ * Table for a generated report: the trial balance, a utils/statements
+ * statement, or a utils/comparative statement.
+ */
+export function reportTable(report) {
+  const base = { title: report.title || report.kind, period: report.period };
+
+  if (report.kind === "Trial Balance" && report.rows) {
+    return {
+      ...base,
+      columns: [{ label: "Account" }, { label: "Debit", format: "money" }, { label: "Credit", format: "money" }],
+      rows: [
+        ...report.rows.map((r) => [`${r.account.name} (${r.account.number})`, r.debit, r.credit]),
+        { cells: ["Total", report.totalD, report.totalC], kind: "grand" },
+      ],
+    };
+  }
+
+  const label = (line) => (line.number ? `${line.name} (${line.number})` : line.name);
+  const checks = (report.checks || []).map((c) => ({
+    cells: [`${c.ok ? "✓" : "✗"} ${c.label}: ${c.detail}`],
+  }));
+
+  if (report.comparative) {
+    const n = report.columns.length;
+    const blank = Array(n + 2).fill("");
+    const amounts = (r) => [...r.totals, r.variance, r.variancePct];
+    const rows = [];
+    for (const sec of report.sections) {
+      if (!sec.groups) {
+        rows.push({ cells: [sec.totalLabel, ...amounts(sec)], kind: "grand" });
+        continue;
+      }
+      rows.push({ cells: [sec.title, ...blank], kind: "section" });
+      for (const g of sec.groups) {
+        if (g.title) rows.push({ cells: [g.title, ...blank], kind: "group" });
+        for (const line of g.lines) rows.push([label(line), ...line.amounts, line.variance, line.variancePct]);
+      }
+      rows.push({ cells: [sec.totalLabel, ...amounts(sec)], kind: "total" });
+    }
+    return {
+      ...base,
+      period: report.columns.map((c) => c.label).join(" vs. "),
+      columns: [
+        { label: "" },
+        ...report.columns.map((c) => ({ label: c.label, format: "money" })),
+        { label: "Variance $", format: "money" },
+        { label: "Variance %", format: "percent" },
+      ],
+      rows: [...rows, ...checks],
+    };
+  }
+
+  const rows = [];
+  for (const sec of report.sections || []) {
+    if (!sec.groups) {
+      rows.push({ cells: [sec.totalLabel, "", sec.total], kind: "grand" });
+      continue;
+    }
+    if (sec.title) rows.push({ cells: [sec.title, "", ""], kind: "section" });
+    for (const g of sec.groups) {
+      if (g.title) rows.push({ cells: [g.title, "", ""], kind: "group" });
+      for (const line of g.lines) rows.push([label(line), line.amount, ""]);
+    }
+    rows.push({ cells: [sec.totalLabel, "", sec.total], kind: "total" });
+  }
+  return {
+    ...base,
+    columns: [{ label: "" }, { label: "Amount", format: "money" }, { label: "Total", format: "money" }],
+    rows: [...rows, ...checks],
+  };
+}
@@ -0,0 +1,54 @@
+import { reportTable, toCSV, xlsxWorkbook } from "./export";
+
+const now = new Date("2026-03-31T12:00:00Z");
+
+test("CSV starts with the company header and keeps amounts numeric", () => {
+  const csv = toCSV({
+    company: "Acme Co",
+    title: "Ledger",
+    period: { from: "2026-01-01", to: "2026-03-31" },
+    columns: [{ label: "Description" }, { label: "Debit", format: "money" }],
+    rows: [["Office, supplies", 1234.5], ["=HYPERLINK()", 0]],
+  }, now);
+  const lines = csv.split("\r\n");
+  expect(lines.slice(0, 3)).toEqual(["Acme Co", "Ledger", "2026-01-01 to 2026-03-31"]);
+  expect(lines[3]).toMatch(/Generated /);
+  expect(lines.slice(5)).toEqual(["Description,Debit", '"Office, supplies",1234.5', "'=HYPERLINK(),0"]);
+});
+
+test("report table flattens statement sections with totals", () => {
+  const table = reportTable({
+    kind: "Income Statement",
+    title: "Income Statement",
+    period: { from: "2026-01-01", to: "2026-03-31" },
+    sections: [
+      { title: "Revenue", groups: [{ title: "Sales", lines: [{ name: "Sales", number: "401", amount: 500 }], total: 500 }], total: 500, totalLabel: "Total Revenue" },
+      { totalLabel: "Net Income", total: 500 },
+    ],
+    checks: [],
+  });
+  expect(table.rows).toEqual([
+    { cells: ["Revenue", "", ""], kind: "section" },
+    { cells: ["Sales", "", ""], kind: "group" },
+    ["Sales (401)", 500, ""],
+    { cells: ["Total Revenue", "", 500], kind: "total" },
+    { cells: ["Net Income", "", 500], kind: "grand" },
+  ]);
+});
+
+test("Excel sheets carry the header and number-format money columns", async () => {
+  const book = await xlsxWorkbook({
+    company: "Acme Co",
+    title: "Ledger: Q1 [draft]",
+    columns: [{ label: "Description" }, { label: "Debit", format: "money" }],
+    rows: [["Supplies", 1234.567], ["Rent", ""]],
+  });
+  const sheet = book.worksheets[0];
+  expect(sheet.name).toBe("Ledger Q1 draft");
+  expect(sheet.getCell("A1").value).toBe("Acme Co");
+  expect(sheet.getCell("A5").value).toBe("Description");
+  expect(sheet.getCell("B6").value).toBe(1234.57);
+  expect(sheet.getCell("B6").numFmt).toBe("#,##0.00");
+  expect(sheet.getCell("B7").numFmt).toBeUndefined();
+  expect(sheet.getCell("A6").numFmt).toBeUndefined();
+});
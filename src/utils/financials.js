@@ -13,6 +13,14 @@ export function normalizeAccount(a) {
   };
 }
 
+/** Currency of every ledger amount and account balance (see utils/currency). */
+export const FUNCTIONAL_CURRENCY = "USD";
+
+/** Currency an account is kept in; accounts without one use the functional currency. */
+export function accountCurrency(account) {
+  return account?.currency || FUNCTIONAL_CURRENCY;
+}
+
 /** True if account's normal balance is debit (Assets, Expenses, or normalSide=Debit) */
 export function isDebitNormal(account) {
   const side = (account?.normalSide || "").toLowerCase();
@@ -23,6 +31,81 @@ export function isDebitNormal(account) {
   return cat === "asset" || cat === "expense";
 }
 
+/** Natural (normal) side of a category: assets and expenses are debit. */
+function categoryIsDebit(category) {
+  const cat = (category || "").toLowerCase();
+  return cat === "asset" || cat === "expense";
+}
+
+/**
+ * An account's balance expressed in its category's natural direction.
+ * Contra accounts (e.g. Accumulated Depreciation: asset with a credit normal
+ * side, Sales Returns: revenue with a debit normal side) come out negative.
+ */
+export function categoryAmount(account, amount) {
+  const n = Number(amount || 0);
+  return isDebitNormal(account) === categoryIsDebit(account?.category) ? n : -n;
+}
+
+const NONCURRENT_ASSET = /property|plant|equipment|fixed asset|building|land|vehicle|machinery|furniture|depreciation|intangible|goodwill|long[- ]term/i;
+const NONCURRENT_LIABILITY = /long[- ]term|mortgage|bonds? payable|deferred tax/i;
+const PROPERTY = /property|plant|equipment|fixed asset|building|land|vehicle|machinery|furniture|depreciation/i;
+
+/**
+ * "current" or "noncurrent" for asset and liability accounts, "" otherwise.
+ * An explicit `term` attribute wins; otherwise the subcategory decides
+ * ("Current Assets", "Long-term Liabilities", "Property, Plant & Equipment"...).
+ * Unrecognized assets and liabilities are treated as current.
+ */
+export function accountTerm(account) {
+  const cat = (account?.category || "").toLowerCase();
+  if (cat !== "asset" && cat !== "liability") return "";
+
+  const term = (account?.term || "").toLowerCase();
+  if (term === "current" || term === "noncurrent") return term;
+
+  const sub = account?.subcategory || "";
+  if (/non-?\s?current/i.test(sub)) return "noncurrent";
+  if (/current/i.test(sub)) return "current";
+
+  const label = `${sub} ${account?.name || ""}`;
+  const pattern = cat === "asset" ? NONCURRENT_ASSET : NONCURRENT_LIABILITY;
+  return pattern.test(label) ? "noncurrent" : "current";
+}
+
+/**
+ * Balance sheet section for an account:
+ * currentAssets | propertyAndEquipment | otherAssets |
+ * currentLiabilities | longTermLiabilities | equity | "" (income statement accounts)
+ */
+export function balanceSheetSection(account) {
+  const cat = (account?.category || "").toLowerCase();
+  if (cat === "equity") return "equity";
+
+  const term = accountTerm(account);
+  if (cat === "liability") return term === "noncurrent" ? "longTermLiabilities" : "currentLiabilities";
+  if (cat !== "asset") return "";
+  if (term === "current") return "currentAssets";
+
+  const label = `${account?.subcategory || ""} ${account?.name || ""}`;
+  return PROPERTY.test(label) ? "propertyAndEquipment" : "otherAssets";
+}
+
+/**
+ * Account running totals after posting additional debits/credits.
+ * Balance is derived from initialBalance and the account's normal side.
+ */
+export function nextAccountTotals(account, addDebit = 0, addCredit = 0) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const debit = round(Number(account?.debit || 0) + Number(addDebit || 0));
+  const credit = round(Number(account?.credit || 0) + Number(addCredit || 0));
+  const initial = Number(account?.initialBalance || 0);
+  const balance = isDebitNormal(account)
+    ? round(initial + debit - credit)
+    : round(initial + credit - debit);
+  return { debit, credit, balance };
+}
+
 /** Normalize date range for filtering */
 export function normalizeRange(from, to) {
   const fromMs = from ? new Date(from).getTime() : -Infinity;
@@ -30,8 +113,47 @@ export function normalizeRange(from, to) {
   return { fromMs, toMs };
 }
 
+/** True for ledger lines posted by a year-end closing entry. */
+export function isClosingLine(e) {
+  return e?.entryType === "closing";
+}
+
+/** The equity account that closing entries post net income into. */
+export function isRetainedEarningsAccount(account) {
+  if (typeof account?.retainedEarnings === "boolean") return account.retainedEarnings;
+  const cat = (account?.category || "").toLowerCase();
+  return cat === "equity" && /retained earnings/i.test(account?.name || "");
+}
+
+/** Equity accounts that record distributions to owners (dividends / drawings). */
+export function isDividendAccount(account) {
+  const cat = (account?.category || "").toLowerCase();
+  const label = `${account?.name || ""} ${account?.subcategory || ""}`;
+  return cat === "equity" && !isRetainedEarningsAccount(account) && /dividend|drawing/i.test(label);
+}
+
+/**
+ * Designated retained earnings account: the one flagged `retainedEarnings`,
+ * otherwise the first equity account named "Retained Earnings".
+ */
+export function findRetainedEarningsAccount(accounts) {
+  const list = accounts || [];
+  return list.find((a) => a.retainedEarnings === true) ||
+    list.find(isRetainedEarningsAccount) ||
+    null;
+}
+
 /**
  * Build account balances for a date range.
+ *
+ * begin   → balance at the start of the range (initialBalance + earlier activity)
+ * end     → balance at the end of the range
+ * debitTotal / creditTotal → activity inside the range
+ * closing → part of the in-range change that came from closing entries
+ * transactionEnd → end balance in the account's own currency (equal to `end`
+ *   for functional-currency accounts; foreign ones start from zero)
+ * All balances are in the functional currency unless noted and signed by the
+ * account's normal side.
  */
 export function computeBalances(accounts, ledgerEntries, from, to) {
   const { fromMs, toMs } = normalizeRange(from, to);
@@ -44,8 +166,10 @@ export function computeBalances(accounts, ledgerEntries, from, to) {
       account: a,
       debitTotal: 0,
       creditTotal: 0,
+      closing: 0,
       begin: Number(a.initialBalance || 0),
       end: Number(a.initialBalance || 0),
+      transactionEnd: accountCurrency(a) === FUNCTIONAL_CURRENCY ? Number(a.initialBalance || 0) : 0,
     });
   });
 
@@ -72,33 +196,49 @@ export function computeBalances(accounts, ledgerEntries, from, to) {
   for (const e of ledgerEntries) {
     const when = pickWhen(e);
 
-    if (when == null || when < fromMs || when > toMs) continue;
+    if (when == null || when > toMs) continue;
 
     const rec = accMap.get(e.accountId);
     if (!rec) continue;
 
     const d = Number(e.debit || 0);
     const c = Number(e.credit || 0);
+    const change = isDebitNormal(rec.account) ? d - c : c - d;
+
+    rec.end += change;
+    if (e.currency && e.currency !== FUNCTIONAL_CURRENCY) {
+      const td = Number(e.transactionDebit || 0);
+      const tc = Number(e.transactionCredit || 0);
+      rec.transactionEnd += isDebitNormal(rec.account) ? td - tc : tc - td;
+    } else {
+      rec.transactionEnd += change;
+    }
+
+    // Activity before the range only moves the opening balance
+    if (when < fromMs) {
+      rec.begin += change;
+      continue;
+    }
 
     rec.debitTotal += d;
     rec.creditTotal += c;
-
-    const debitNormal = isDebitNormal(rec.account);
-    rec.end = debitNormal ? rec.end + d - c : rec.end + c - d;
+    if (isClosingLine(e)) rec.closing += change;
   }
 
   return accMap;
 }
 
 /**
- * Income statement totals (Revenue – Expenses)
+ * Income statement totals (Revenue – Expenses) for the range.
+ * Uses in-range activity, ignoring closing entries, so a closed year still
+ * reports its revenue and expenses.
  */
 export function incomeStatement(accMap) {
   let revenue = 0, expenses = 0;
 
-  for (const { account, end } of accMap.values()) {
+  for (const { account, begin, end, closing } of accMap.values()) {
     const cat = (account.category || "").toLowerCase();
-    const n = Number(end || 0);
+    const n = categoryAmount(account, Number(end || 0) - Number(begin || 0) - Number(closing || 0));
 
     if (cat === "revenue") revenue += n;
     if (cat === "expense") expenses += n;
@@ -108,59 +248,180 @@ export function incomeStatement(accMap) {
   return { revenue, expenses, netIncome };
 }
 
+/**
+ * Retained earnings roll-forward for the range.
+ *
+ * opening   → retained earnings account at range start, plus revenue/expense/dividend
+ *             balances not yet closed at that date (and any direct, non-closing
+ *             postings to retained earnings during the range)
+ * netIncome → income statement net income for the range
+ * dividends → dividend / drawing activity in the range (excluding closing)
+ * ending    → opening + netIncome − dividends, which equals the balance sheet figure
+ */
+export function retainedEarnings(accMap) {
+  let opening = 0, dividends = 0;
 
-export function balanceSheet(accMap, retainedEarningsOpening = 0, periodNetIncome = 0) {
-  let currentAssets = 0;
-  let inventory = 0;
-  let currentLiabilities = 0;
+  for (const { account, begin, end, closing } of accMap.values()) {
+    const cat = (account.category || "").toLowerCase();
+    const b = Number(begin || 0);
+
+    if (isRetainedEarningsAccount(account)) {
+      opening += b + (Number(end || 0) - b - Number(closing || 0));
+    } else if (isDividendAccount(account)) {
+      // Express as debit-positive whatever the configured normal side
+      const sign = isDebitNormal(account) ? 1 : -1;
+      opening -= sign * b;
+      dividends += sign * (Number(end || 0) - b - Number(closing || 0));
+    } else if (cat === "revenue") {
+      opening += categoryAmount(account, b);
+    } else if (cat === "expense") {
+      opening -= categoryAmount(account, b);
+    }
+  }
+
+  const { netIncome } = incomeStatement(accMap);
+  return retainedEarningsStatement(opening, netIncome, dividends);
+}
 
-  let totalAssets = 0;
-  let totalLiabilities = 0;
-  let equity = 0;
+/**
+ * Balance sheet totals as of the range end, split into current and
+ * non-current sections (see balanceSheetSection). Contra accounts reduce their
+ * section. Equity includes retained earnings (the designated account plus any
+ * earnings not yet closed into it).
+ */
+export function balanceSheet(accMap) {
+  const sections = {
+    currentAssets: 0,
+    propertyAndEquipment: 0,
+    otherAssets: 0,
+    currentLiabilities: 0,
+    longTermLiabilities: 0,
+    equity: 0,
+  };
+  let inventory = 0;
 
   for (const { account, end } of accMap.values()) {
-    const amount = Number(end || 0);
-    const cat = (account.category || "").toLowerCase();
-    const sub = (account.subcategory || "").toLowerCase();
+    const section = balanceSheetSection(account);
+    if (!section) continue;
 
-    // ASSETS
-    if (cat === "asset") {
-      totalAssets += amount;
-      currentAssets += amount;
-
-      // Detect inventory by label
-      if (sub.includes("inventory")) {
-        inventory += amount;
-      }
+    // Retained earnings and dividends are rolled up below
+    if (section === "equity" && (isRetainedEarningsAccount(account) || isDividendAccount(account))) {
+      continue;
     }
 
-    // LIABILITIES
-    else if (cat === "liability") {
-      totalLiabilities += amount;
-      currentLiabilities += amount;
-    }
+    const amount = categoryAmount(account, end);
+    sections[section] += amount;
 
-    // EQUITY
-    else if (cat === "equity") {
-      equity += amount;
+    // Detect inventory by label
+    if (section === "currentAssets" && (account.subcategory || "").toLowerCase().includes("inventory")) {
+      inventory += amount;
     }
   }
 
-  const retainedEarnings =
-    Number(retainedEarningsOpening || 0) + Number(periodNetIncome || 0);
-
-  const totalEquity = equity + retainedEarnings;
+  const totalAssets = sections.currentAssets + sections.propertyAndEquipment + sections.otherAssets;
+  const totalLiabilities = sections.currentLiabilities + sections.longTermLiabilities;
+  const retained = retainedEarnings(accMap).ending;
+  const totalEquity = sections.equity + retained;
 
   return {
-    currentAssets,
+    currentAssets: sections.currentAssets,
+    propertyAndEquipment: sections.propertyAndEquipment,
+    otherAssets: sections.otherAssets,
     inventory,
-    currentLiabilities,
+    currentLiabilities: sections.currentLiabilities,
+    longTermLiabilities: sections.longTermLiabilities,
     totalLiabilities,
     totalAssets,
+    contributedEquity: sections.equity,
+    retainedEarnings: retained,
     totalEquity,
   };
 }
 
+export const CASH_FLOW_ACTIVITIES = ["operating", "investing", "financing"];
+
+/** Labels for the account `cashFlow` attribute ("" = automatic). */
+export const CASH_FLOW_LABELS = {
+  cash: "Cash",
+  operating: "Operating",
+  investing: "Investing",
+  financing: "Financing",
+};
+
+const CASH_LABEL = /\bcash\b|\bbank\b|checking|savings/i;
+
+/**
+ * Cash flow classification for an account:
+ * "cash" | "operating" | "investing" | "financing" | "" (revenue / expense,
+ * which reach the statement through net income).
+ * An explicit `cashFlow` attribute wins; otherwise current assets named like
+ * cash are cash, other current assets and liabilities are operating, contra
+ * non-current assets (accumulated depreciation) are operating non-cash items,
+ * non-current assets are investing, and non-current liabilities and equity
+ * are financing.
+ */
+export function cashFlowActivity(account) {
+  const cat = (account?.category || "").toLowerCase();
+  if (cat !== "asset" && cat !== "liability" && cat !== "equity") return "";
+
+  const explicit = (account?.cashFlow || "").toLowerCase();
+  if (explicit === "cash" || CASH_FLOW_ACTIVITIES.includes(explicit)) return explicit;
+
+  if (cat === "equity") return "financing";
+
+  const term = accountTerm(account);
+  if (cat === "liability") return term === "noncurrent" ? "financing" : "operating";
+
+  if (term === "current") {
+    return CASH_LABEL.test(`${account?.name || ""} ${account?.subcategory || ""}`) ? "cash" : "operating";
+  }
+  return isDebitNormal(account) ? "investing" : "operating";
+}
+
+/**
+ * Indirect-method cash flow totals for the range: net income adjusted for the
+ * change in every non-cash balance sheet account between the range start and
+ * end (closing entries excluded). Each item's cash effect is the decrease in
+ * its debit balance.
+ *
+ * items    → [{ account, activity, amount }] non-zero cash effects
+ * netChange equals endCash − beginCash whenever the ledger balances.
+ */
+export function cashFlowStatement(accMap) {
+  const { netIncome } = incomeStatement(accMap);
+  const totals = { operating: netIncome, investing: 0, financing: 0 };
+  const items = [];
+  let beginCash = 0, endCash = 0;
+
+  for (const { account, begin, end, closing } of accMap.values()) {
+    const activity = cashFlowActivity(account);
+    if (!activity) continue;
+
+    const sign = isDebitNormal(account) ? 1 : -1;
+    if (activity === "cash") {
+      beginCash += sign * Number(begin || 0);
+      endCash += sign * Number(end || 0);
+      continue;
+    }
+
+    const amount = -sign * (Number(end || 0) - Number(begin || 0) - Number(closing || 0));
+    if (Math.abs(amount) < 0.005) continue;
+    totals[activity] += amount;
+    items.push({ account, activity, amount });
+  }
+
+  return {
+    netIncome,
+    operating: totals.operating,
+    investing: totals.investing,
+    financing: totals.financing,
+    netChange: totals.operating + totals.investing + totals.financing,
+    beginCash,
+    endCash,
+    items,
+  };
+}
+
 /**
  * Retained earnings statement
  */
@@ -0,0 +1,94 @@
+import {
+  balanceSheet, computeBalances, incomeStatement, retainedEarnings,
+} from "./financials";
+
+const accounts = [
+  { id: "cash", name: "Cash", category: "Asset", normalSide: "Debit" },
+  { id: "capital", name: "Owner Capital", category: "Equity", normalSide: "Credit" },
+  { id: "re", name: "Retained Earnings", category: "Equity", normalSide: "Credit" },
+  { id: "div", name: "Dividends", category: "Equity", normalSide: "Debit" },
+  { id: "sales", name: "Sales", category: "Revenue", normalSide: "Credit" },
+  { id: "rent", name: "Rent Expense", category: "Expense", normalSide: "Debit" },
+];
+
+const line = (accountId, date, debit, credit, entryType = "regular") =>
+  ({ accountId, date, debit, credit, entryType });
+
+const ledger = [
+  // 2025: capital 1000, sales 500, rent 200, dividends 50
+  line("cash", "2025-01-02", 1000, 0), line("capital", "2025-01-02", 0, 1000),
+  line("cash", "2025-03-01", 500, 0), line("sales", "2025-03-01", 0, 500),
+  line("rent", "2025-04-01", 200, 0), line("cash", "2025-04-01", 0, 200),
+  line("div", "2025-06-01", 50, 0), line("cash", "2025-06-01", 0, 50),
+  // 2025 closing entry
+  line("sales", "2025-12-31", 500, 0, "closing"),
+  line("rent", "2025-12-31", 0, 200, "closing"),
+  line("div", "2025-12-31", 0, 50, "closing"),
+  line("re", "2025-12-31", 0, 250, "closing"),
+  // 2026: sales 300
+  line("cash", "2026-02-01", 300, 0), line("sales", "2026-02-01", 0, 300),
+];
+
+describe("year-end close in statements", () => {
+  test("closed year still reports its income", () => {
+    const accMap = computeBalances(accounts, ledger, "2025-01-01", "2025-12-31");
+    expect(incomeStatement(accMap)).toEqual({ revenue: 500, expenses: 200, netIncome: 300 });
+  });
+
+  test("next year opens with real retained earnings", () => {
+    const accMap = computeBalances(accounts, ledger, "2026-01-01", "2026-12-31");
+    expect(retainedEarnings(accMap)).toEqual({
+      opening: 250, netIncome: 300, dividends: 0, ending: 550,
+    });
+  });
+
+  test("unclosed earnings are included and the balance sheet balances", () => {
+    const accMap = computeBalances(accounts, ledger, "2026-01-01", "2026-12-31");
+    const bs = balanceSheet(accMap);
+    expect(bs.totalAssets).toBe(1550);
+    expect(bs.retainedEarnings).toBe(550);
+    expect(bs.totalLiabilities + bs.totalEquity).toBe(bs.totalAssets);
+  });
+
+  test("dividends reduce retained earnings before closing", () => {
+    const open = ledger.filter((e) => e.entryType !== "closing");
+    const accMap = computeBalances(accounts, open, "2025-01-01", "2025-12-31");
+    expect(retainedEarnings(accMap)).toEqual({
+      opening: 0, netIncome: 300, dividends: 50, ending: 250,
+    });
+    const bs = balanceSheet(accMap);
+    expect(bs.totalLiabilities + bs.totalEquity).toBe(bs.totalAssets);
+  });
+});
+
+describe("current vs non-current classification", () => {
+  const accts = [
+    { id: "cash", name: "Cash", category: "Asset", subcategory: "Current Assets" },
+    { id: "inv", name: "Inventory", category: "Asset", subcategory: "Current Assets - Inventory" },
+    { id: "equip", name: "Equipment", category: "Asset", subcategory: "Property, Plant & Equipment" },
+    { id: "accdep", name: "Accumulated Depreciation", category: "Asset", subcategory: "Property, Plant & Equipment", normalSide: "Credit" },
+    { id: "ap", name: "Accounts Payable", category: "Liability", subcategory: "Current Liabilities" },
+    { id: "loan", name: "Bank Loan", category: "Liability", subcategory: "Notes Payable", term: "noncurrent" },
+    { id: "mort", name: "Mortgage Payable", category: "Liability", subcategory: "Long-term Liabilities" },
+    { id: "cap", name: "Common Stock", category: "Equity" },
+  ].map((a) => ({ ...a, initialBalance: 0 }));
+
+  const entries = [
+    line("cash", "2026-01-01", 5000, 0), line("cap", "2026-01-01", 0, 5000),
+    line("inv", "2026-01-02", 800, 0), line("ap", "2026-01-02", 0, 800),
+    line("equip", "2026-01-03", 12000, 0), line("mort", "2026-01-03", 0, 9000),
+    line("loan", "2026-01-03", 0, 3000),
+    line("accdep", "2026-01-31", 0, 500), line("cap", "2026-01-31", 500, 0),
+  ];
+
+  test("sections follow the term attribute and subcategory", () => {
+    const bs = balanceSheet(computeBalances(accts, entries, null, "2026-12-31"));
+    expect(bs.currentAssets).toBe(5800);
+    expect(bs.inventory).toBe(800);
+    expect(bs.propertyAndEquipment).toBe(11500);
+    expect(bs.totalAssets).toBe(17300);
+    expect(bs.currentLiabilities).toBe(800);
+    expect(bs.longTermLiabilities).toBe(12000);
+    expect(bs.totalLiabilities + bs.totalEquity).toBe(bs.totalAssets);
+  });
+});
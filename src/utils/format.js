@@ -1,11 +1,14 @@
 // src/utils/format.js
-export const formatMoney = (value) => {
+// Amounts are shown without a symbol; pass `currency` to label an amount that
+// is not in the functional currency (e.g. "1,250.00 EUR").
+export const formatMoney = (value, currency = "") => {
   const n = Number.isFinite(value) ? value : parseFloat(value || 0);
   const rounded = Math.round(n * 100) / 100; // two decimals
-  return new Intl.NumberFormat(undefined, {
+  const text = new Intl.NumberFormat(undefined, {
     minimumFractionDigits: 2,
     maximumFractionDigits: 2,
   }).format(rounded);
+  return currency ? `${text} ${currency}` : text;
 };
 
 export const parseMoney = (value) => {
@@ -0,0 +1,373 @@
+// src/utils/imports.js
+//
+// CSV import of the chart of accounts and of journal entries. Files are parsed
+// and checked row by row first; nothing is written until the preview shows no
+// errors and the user confirms.
+//
+// Import preview shape (rendered by components/ImportWizard):
+//   {
+//     columns: ["Number", "Name", ...],
+//     rows: [{ row: 2, cells: [...], errors: ["..."] }],   ← row = spreadsheet row (header = 1)
+//     payload,                                              ← what the import writes
+//     summary: "12 accounts",
+//   }
+import { doc, serverTimestamp, writeBatch } from "firebase/firestore";
+import { db } from "../firebase";
+import { companyCollection } from "./company";
+import { accountDocument, ensureUnique } from "./accounts";
+import { convertLines, loadRates } from "./currency";
+import { createJournalEntries, validateJournalEntry } from "./journal";
+import { loadPeriods, periodForDate, periodPostingError } from "./periods";
+import { isDigitsOnly, hasCorrectPrefix, CATEGORY_PREFIX } from "./validation";
+
+const BATCH_LIMIT = 400;
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180: quoted fields, doubled
+ * quotes, embedded commas and newlines). Blank lines are skipped.
+ */
+export function parseCSV(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+const headerKey = (h) => String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Map CSV rows to records keyed by field name using the header row.
+ * @param {string} text
+ * @param {Object<string, string[]>} fields - field → accepted header spellings (normalized)
+ * @returns {{ records: Array<{row: number, data: object}>, missing: string[] }}
+ */
+export function readRecords(text, fields, required = []) {
+  const [header = [], ...body] = parseCSV(text);
+  const index = {};
+  header.forEach((h, i) => {
+    const key = headerKey(h);
+    const field = Object.keys(fields).find((f) => fields[f].includes(key));
+    if (field && index[field] === undefined) index[field] = i;
+  });
+
+  const records = body.map((cells, i) => ({
+    row: i + 2, // header is line 1
+    data: Object.fromEntries(
+      Object.keys(fields).map((f) => [f, index[f] === undefined ? "" : String(cells[index[f]] ?? "").trim()])
+    ),
+  }));
+  return { records, missing: required.filter((f) => index[f] === undefined) };
+}
+
+/** Amount from a CSV cell ("1,250.00", "$40"); NaN when not a number, 0 when blank. */
+export function parseAmount(value) {
+  const s = String(value ?? "").replace(/[$,\s]/g, "");
+  if (s === "") return 0;
+  if (!/^-?\d*\.?\d+$/.test(s)) return NaN;
+  return Math.round(Number(s) * 100) / 100;
+}
+
+/** "YYYY-MM-DD" from "YYYY-MM-DD" or "M/D/YYYY", or "" if invalid. */
+export function parseDate(value) {
+  const s = String(value || "").trim();
+  let y, m, d;
+  if (/^\d{4}-\d{1,2}-\d{1,2}$/.test(s)) [y, m, d] = s.split("-").map(Number);
+  else if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(s)) [m, d, y] = s.split("/").map(Number);
+  else return "";
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return "";
+  return date.toISOString().slice(0, 10);
+}
+
+// ==================== Accounts ====================
+
+const ACCOUNT_FIELDS = {
+  number: ["number", "accountnumber", "accountno", "no"],
+  name: ["name", "accountname"],
+  category: ["category", "type"],
+  subcategory: ["subcategory", "subtype"],
+  normalSide: ["normalside", "normal", "side"],
+  initialBalance: ["initialbalance", "openingbalance", "balance"],
+  description: ["description"],
+  order: ["order"],
+  statement: ["statement"],
+  term: ["term", "classification"],
+  comment: ["comment", "comments", "notes"],
+};
+const ACCOUNT_REQUIRED = ["number", "name", "category", "subcategory"];
+
+export const ACCOUNT_TEMPLATE = [
+  "Number,Name,Category,Subcategory,Normal Side,Initial Balance,Description,Order,Statement",
+  "101,Cash,Asset,Current Assets,Debit,0.00,Operating bank account,01,BS",
+  "401,Service Revenue,Revenue,Operating Revenue,Credit,0.00,,01,IS",
+].join("\r\n");
+
+const CATEGORIES = Object.keys(CATEGORY_PREFIX);
+
+/** Normal side and statement implied by a category when the file leaves them blank. */
+const categoryDefaults = (category) => ({
+  normalSide: category === "Asset" || category === "Expense" ? "Debit" : "Credit",
+  statement: category === "Revenue" || category === "Expense" ? "IS" : "BS",
+});
+
+/**
+ * Check account rows without touching Firestore: required fields,
+ * isDigitsOnly / hasCorrectPrefix on the number, known category and normal
+ * side, a numeric balance, and names / numbers repeated within the file.
+ * @returns {Array<{row: number, account: object, errors: string[]}>}
+ */
+export function checkAccountRows(records) {
+  const seenNames = new Map(), seenNumbers = new Map();
+
+  return records.map(({ row, data }) => {
+    const errors = [];
+    const category = CATEGORIES.find((c) => c.toLowerCase() === data.category.toLowerCase()) || "";
+    const defaults = categoryDefaults(category);
+    const side = (data.normalSide || defaults.normalSide).toLowerCase();
+    const balance = parseAmount(data.initialBalance);
+
+    const account = {
+      ...data,
+      category,
+      normalSide: side === "debit" ? "Debit" : side === "credit" ? "Credit" : data.normalSide,
+      statement: (data.statement || defaults.statement).toUpperCase(),
+      term: data.term.toLowerCase().replace(/[^a-z]/g, ""),
+      initialBalance: Number.isNaN(balance) ? data.initialBalance : balance.toFixed(2),
+      order: data.order || "01",
+    };
+
+    if (!data.name) errors.push("Account name is required");
+    if (!data.number) errors.push("Account number is required");
+    else if (!isDigitsOnly(data.number)) errors.push("Account number must be digits only");
+    if (!category) errors.push(`Category must be one of ${CATEGORIES.join(", ")}`);
+    else if (data.number && !hasCorrectPrefix(category, data.number)) {
+      errors.push(`Account number must start with correct prefix for ${category}`);
+    }
+    if (!data.subcategory) errors.push("Subcategory is required");
+    if (side !== "debit" && side !== "credit") errors.push("Normal side must be Debit or Credit");
+    if (Number.isNaN(balance)) errors.push("Initial balance must be a number");
+    if (!["BS", "IS", "RE"].includes(account.statement)) errors.push("Statement must be BS, IS or RE");
+    if (account.term && !["current", "noncurrent"].includes(account.term)) {
+      errors.push("Term must be current or noncurrent");
+    }
+
+    if (data.name && seenNames.has(data.name)) errors.push(`Duplicate account name (also on row ${seenNames.get(data.name)})`);
+    if (data.number && seenNumbers.has(data.number)) errors.push(`Duplicate account number (also on row ${seenNumbers.get(data.number)})`);
+    if (data.name && !seenNames.has(data.name)) seenNames.set(data.name, row);
+    if (data.number && !seenNumbers.has(data.number)) seenNumbers.set(data.number, row);
+
+    return { row, account, errors };
+  });
+}
+
+/**
+ * Full account import preview: file checks plus ensureUnique against the
+ * existing chart of accounts for every row that passed them.
+ */
+export async function previewAccountImport(text) {
+  const { records, missing } = readRecords(text, ACCOUNT_FIELDS, ACCOUNT_REQUIRED);
+  if (missing.length) throw new Error(`Missing column(s): ${missing.join(", ")}`);
+
+  const checked = checkAccountRows(records);
+  for (const r of checked) {
+    if (r.errors.length) continue;
+    try {
+      await ensureUnique(r.account.name, r.account.number);
+    } catch (err) {
+      r.errors.push(err.message);
+    }
+  }
+
+  return {
+    columns: ["Number", "Name", "Category", "Subcategory", "Normal Side", "Initial Balance", "Statement"],
+    rows: checked.map(({ row, account: a, errors }) => ({
+      row,
+      cells: [a.number, a.name, a.category, a.subcategory, a.normalSide, a.initialBalance, a.statement],
+      errors,
+    })),
+    payload: checked.map((r) => r.account),
+    summary: `${checked.length} account(s)`,
+  };
+}
+
+/**
+ * Create the previewed accounts, each with a "create" event log entry.
+ * @returns {Promise<Array<object>>} the created accounts with ids
+ */
+export async function importAccounts(accounts, userEmail) {
+  const created = [];
+  // Two writes per account (account + event log)
+  for (let i = 0; i < accounts.length; i += BATCH_LIMIT / 2) {
+    const batch = writeBatch(db);
+    for (const raw of accounts.slice(i, i + BATCH_LIMIT / 2)) {
+      const ref = doc(companyCollection("accounts"));
+      const data = accountDocument(raw, userEmail);
+      batch.set(ref, data);
+      batch.set(doc(companyCollection("eventLogs")), {
+        entity: "account",
+        entityId: ref.id,
+        action: "create",
+        before: null,
+        after: data,
+        user: userEmail,
+        at: serverTimestamp(),
+      });
+      created.push({ id: ref.id, ...data });
+    }
+    await batch.commit();
+  }
+  return created;
+}
+
+// ==================== Journal entries ====================
+
+const JOURNAL_FIELDS = {
+  entry: ["entry", "entryno", "entryid", "ref", "reference", "journal", "group"],
+  date: ["date", "entrydate"],
+  type: ["type", "entrytype"],
+  account: ["account", "accountnumber", "accountno", "accountname"],
+  debit: ["debit", "dr"],
+  credit: ["credit", "cr"],
+  description: ["description", "memo"],
+};
+const JOURNAL_REQUIRED = ["entry", "date", "account", "debit", "credit"];
+
+export const JOURNAL_TEMPLATE = [
+  "Entry,Date,Type,Account,Debit,Credit,Description",
+  "OB-1,2026-01-01,regular,101,5000.00,,Opening balances",
+  "OB-1,2026-01-01,regular,301,,5000.00,",
+].join("\r\n");
+
+/**
+ * Group journal rows into entries by the Entry column and check them.
+ * Rows need a valid date, an active account (by number or exact name) and one
+ * positive debit or credit; each entry must share one date and type, and pass
+ * validateJournalEntry (balanced) and the posting period rules. Amounts are in
+ * each account's currency and converted at the rate on the entry date.
+ * Entry-level errors are repeated on every row of the entry.
+ *
+ * @param {Array} records - from readRecords
+ * @param {Array} accounts - chart of accounts
+ * @param {Array} [periods] - accounting periods
+ * @param {Array} [rates] - exchangeRates documents
+ * @returns {{ rows: Array<{row, entry, errors}>, entries: Array<{key, date, type, description, lines, rows, errors}> }}
+ */
+export function groupJournalRows(records, accounts, periods = [], rates = []) {
+  const byNumber = new Map(accounts.map((a) => [String(a.number), a]));
+  const byName = new Map(accounts.map((a) => [String(a.name || "").toLowerCase(), a]));
+  const entries = new Map();
+
+  const rows = records.map(({ row, data }) => {
+    const errors = [];
+    const date = parseDate(data.date);
+    const type = (data.type || "regular").toLowerCase();
+    const account = byNumber.get(data.account) || byName.get(data.account.toLowerCase());
+    const debit = parseAmount(data.debit);
+    const credit = parseAmount(data.credit);
+
+    if (!data.entry) errors.push("Entry reference is required");
+    if (!date) errors.push("Date must be YYYY-MM-DD or M/D/YYYY");
+    if (type !== "regular" && type !== "adjusting") errors.push("Type must be regular or adjusting");
+    if (!account) errors.push(`Account "${data.account}" not found`);
+    else if (account.active === false) errors.push(`Account "${account.name}" is inactive`);
+    if (Number.isNaN(debit) || Number.isNaN(credit)) errors.push("Debit and credit must be numbers");
+    else if (debit < 0 || credit < 0) errors.push("Amounts cannot be negative");
+    else if ((debit > 0) === (credit > 0)) errors.push("Enter either a debit or a credit amount");
+
+    const result = { row, entry: data.entry, date, type, account, debit, credit, description: data.description, errors };
+    if (data.entry) {
+      if (!entries.has(data.entry)) entries.set(data.entry, []);
+      entries.get(data.entry).push(result);
+    }
+    return result;
+  });
+
+  const grouped = [...entries.entries()].map(([key, group]) => {
+    const first = group[0];
+    const errors = [];
+    if (group.some((r) => r.date !== first.date)) errors.push(`Entry ${key}: all rows must have the same date`);
+    if (group.some((r) => r.type !== first.type)) errors.push(`Entry ${key}: all rows must have the same type`);
+
+    const entered = group
+      .filter((r) => r.account && r.errors.length === 0)
+      .map((r) => ({
+        accountId: r.account.id,
+        accountName: r.account.name || "",
+        accountNumber: String(r.account.number || ""),
+        amount: r.debit > 0 ? r.debit : r.credit,
+        side: r.debit > 0 ? "debit" : "credit",
+      }));
+    const { lines, error: rateError } = convertLines(entered, accounts, rates, first.date);
+    const draft = {
+      key,
+      type: first.type,
+      date: first.date,
+      description: group.map((r) => r.description).find(Boolean) || `Imported entry ${key}`,
+      lines,
+      rows: group.map((r) => r.row),
+    };
+
+    if (!errors.length && group.every((r) => r.errors.length === 0)) {
+      const invalid = rateError || validateJournalEntry(draft, accounts);
+      if (invalid) errors.push(`Entry ${key}: ${invalid}`);
+      const locked = periodPostingError(periodForDate(periods, draft.date), draft.type);
+      if (locked) errors.push(`Entry ${key}: ${locked}`);
+    }
+    group.forEach((r) => r.errors.push(...errors));
+    return { ...draft, errors };
+  });
+
+  return { rows, entries: grouped };
+}
+
+/** Journal import preview: rows grouped into entries and checked. */
+export async function previewJournalImport(text, accounts) {
+  const { records, missing } = readRecords(text, JOURNAL_FIELDS, JOURNAL_REQUIRED);
+  if (missing.length) throw new Error(`Missing column(s): ${missing.join(", ")}`);
+
+  const [periods, rates] = await Promise.all([loadPeriods(), loadRates()]);
+  const { rows, entries } = groupJournalRows(records, accounts, periods, rates);
+  return {
+    columns: ["Entry", "Date", "Type", "Account", "Debit", "Credit", "Description"],
+    rows: rows.map((r) => ({
+      row: r.row,
+      cells: [
+        r.entry, r.date, r.type,
+        r.account ? `${r.account.number} - ${r.account.name}` : "",
+        r.debit ? r.debit.toFixed(2) : "", r.credit ? r.credit.toFixed(2) : "",
+        r.description,
+      ],
+      errors: r.errors,
+    })),
+    payload: entries.map(({ type, date, description, lines }) => ({ type, date, description, lines })),
+    summary: `${entries.length} entr${entries.length === 1 ? "y" : "ies"} from ${rows.length} row(s)`,
+  };
+}
+
+/** Submit previewed entries as pending journal entries. */
+export function importJournalEntries(drafts, author) {
+  return createJournalEntries(drafts.map((d) => ({ ...d, source: "csv-import" })), author);
+}
@@ -0,0 +1,53 @@
+import { checkAccountRows, groupJournalRows, parseCSV } from "./imports";
+
+test("parses quoted fields with commas, quotes and newlines", () => {
+  expect(parseCSV('a,"b, c","say ""hi"""\r\n\r\n1,"two\nlines",3\n')).toEqual([
+    ["a", "b, c", 'say "hi"'],
+    ["1", "two\nlines", "3"],
+  ]);
+});
+
+test("account rows are checked for digits, prefix and duplicates", () => {
+  const rec = (row, number, name, category) => ({
+    row,
+    data: {
+      number, name, category, subcategory: "Current Assets", normalSide: "", initialBalance: "",
+      description: "", order: "", statement: "", term: "", comment: "",
+    },
+  });
+  const rows = checkAccountRows([
+    rec(2, "101", "Cash", "Asset"),
+    rec(3, "1O2", "Petty Cash", "Asset"),
+    rec(4, "201", "Sales", "Revenue"),
+    rec(5, "101", "Cash", "asset"),
+  ]);
+  expect(rows[0].errors).toEqual([]);
+  expect(rows[0].account).toMatchObject({ normalSide: "Debit", statement: "BS", initialBalance: "0.00" });
+  expect(rows[1].errors).toContain("Account number must be digits only");
+  expect(rows[2].errors).toContain("Account number must start with correct prefix for Revenue");
+  expect(rows[3].errors).toEqual([
+    "Duplicate account name (also on row 2)",
+    "Duplicate account number (also on row 2)",
+  ]);
+});
+
+test("journal rows group into balanced entries", () => {
+  const accounts = [
+    { id: "cash", number: "101", name: "Cash" },
+    { id: "cap", number: "301", name: "Owner Capital" },
+  ];
+  const row = (r, entry, account, debit, credit, date = "2026-01-01") =>
+    ({ row: r, data: { entry, date, type: "", account, debit, credit, description: "Opening" } });
+
+  const { rows, entries } = groupJournalRows([
+    row(2, "A", "101", "500", ""), row(3, "A", "Owner Capital", "", "500"),
+    row(4, "B", "101", "100", ""), row(5, "B", "301", "", "90"),
+    row(6, "C", "999", "10", ""),
+  ], accounts);
+
+  expect(entries[0]).toMatchObject({ key: "A", date: "2026-01-01", type: "regular", errors: [] });
+  expect(entries[0].lines.map((l) => [l.accountId, l.side, l.amount])).toEqual([["cash", "debit", 500], ["cap", "credit", 500]]);
+  expect(rows[2].errors[0]).toMatch(/^Entry B: Total debits \(100.00\) must equal total credits \(90.00\)/);
+  expect(rows[3].errors).toEqual(rows[2].errors);
+  expect(rows[4].errors).toEqual(['Account "999" not found']);
+});
@@ -0,0 +1,683 @@
+// src/utils/journal.js
+//
+// Journal entry domain: canonical schema, validation, creation, approval
+// (posting) and rejection. Every page that writes journalEntries goes through
+// this module so the stored shape stays the same everywhere. Creation and
+// approval are refused for dates inside a closed accounting period (periods.js).
+// The approval policy is evaluated on submission and an entry posts only once
+// every rule it matched has enough approvers (approvals.js).
+//
+// Canonical journalEntries document:
+//   {
+//     type: "regular" | "adjusting" | "closing",
+//     date: "YYYY-MM-DD",
+//     description: string,
+//     lines: [{ accountId, accountName, accountNumber, amount, side: "debit" | "credit",
+//               currency, transactionAmount, exchangeRate }],  ← amount is functional (currency.js)
+//     totalDebits: number,
+//     totalCredits: number,
+//     status: "pending" | "approved" | "rejected",
+//     attachments: [{ name, url }],
+//     postRef: "PR-<ms>",
+//     createdBy: email, createdByRole: role, createdAt: Timestamp,
+//     approvalRules: [{ id, label, approvals, roles }] (approvals.js),
+//     approvals: [{ by, role, at }],
+//     approvedBy / approvedAt, rejectedBy / rejectedAt / rejectionReason,
+//     reversalOf: id of the entry this one reverses,
+//     reversedBy: id of the entry that reverses this one,
+//     autoReverseOn: "YYYY-MM-DD" (adjusting entries only): approving the
+//       entry also creates its pending reversal dated this day,
+//     autoReversal: true on a reversal created that way,
+//     templateId / templateName / recurrenceDate: set on entries generated
+//       from a recurring template (recurring.js)
+//     assetId / assetName / depreciationMonth: set on depreciation entries
+//       generated from the fixed asset register (assets.js)
+//     fxRevaluationDate: set on foreign exchange revaluation entries (currency.js)
+//     invoiceId / customerId (+ paymentId): set on entries posted from the
+//       receivables subledger (receivables.js)
+//     billId / vendorId (+ paymentId): set on entries posted from the
+//       payables subledger (payables.js)
+//   }
+//
+// Older documents written by CreateJournalEntry used `debits` / `credits`
+// arrays and `preparedBy`; entryLines() reads both and
+// migrateLegacyJournalEntries() rewrites them.
+import {
+  collection, doc, getDocs, query, runTransaction, where, writeBatch,
+  serverTimestamp, deleteField,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { companyCollection, companyDoc, getCompanyId } from "./company";
+import { FUNCTIONAL_CURRENCY, accountCurrency, nextAccountTotals } from "./financials";
+import { parseMoney } from "./format";
+import { loadPeriods, periodForDate, periodPostingError } from "./periods";
+import { approvalError, approvalEvaluator, outstandingApprovals } from "./approvals";
+
+export const JOURNAL_TYPES = ["regular", "adjusting", "closing"];
+
+/**
+ * Flatten a journal entry into canonical lines.
+ * Accepts both the `lines` shape and the legacy `debits`/`credits` shape.
+ */
+export function entryLines(entry) {
+  if (Array.isArray(entry?.lines) && entry.lines.length) {
+    return entry.lines.map((l) => lineCurrency({
+      accountId: l.accountId || "",
+      accountName: l.accountName || "",
+      accountNumber: String(l.accountNumber || ""),
+      amount: Number(l.amount || 0),
+      side: (l.side || "").toLowerCase() === "credit" ? "credit" : "debit",
+    }, l));
+  }
+
+  // legacy shape: debits/credits
+  const ds = (entry?.debits || []).map((d) => ({ ...d, side: "debit" }));
+  const cs = (entry?.credits || []).map((c) => ({ ...c, side: "credit" }));
+  return [...ds, ...cs].map((x) => lineCurrency({
+    accountId: x.accountId || "",
+    accountName: x.accountName || "",
+    accountNumber: String(x.accountNumber || ""),
+    amount: Number(x.amount || 0),
+    side: x.side,
+  }, {}));
+}
+
+/**
+ * Add the currency fields to a canonical line. Lines stored before
+ * multi-currency (and legacy entries) are functional-currency lines.
+ */
+function lineCurrency(line, stored) {
+  return {
+    ...line,
+    currency: stored.currency || FUNCTIONAL_CURRENCY,
+    transactionAmount: Number(stored.transactionAmount ?? line.amount),
+    exchangeRate: Number(stored.exchangeRate ?? 1),
+  };
+}
+
+/**
+ * Build canonical lines from the debit/credit form rows used by the entry pages.
+ * Rows look like { accountId, amount } where amount may be a formatted string.
+ */
+export function linesFromRows(debitRows, creditRows, accounts) {
+  const lookup = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const toLine = (side) => (r) => ({
+    accountId: r.accountId || "",
+    accountName: lookup[r.accountId]?.name || r.accountName || "",
+    accountNumber: String(lookup[r.accountId]?.number || ""),
+    amount: parseMoney(r.amount),
+    side,
+  });
+  return [...(debitRows || []).map(toLine("debit")), ...(creditRows || []).map(toLine("credit"))];
+}
+
+/** Debit and credit totals for a set of lines, rounded to cents. */
+export function lineTotals(lines) {
+  let totalDebits = 0, totalCredits = 0;
+  for (const l of lines || []) {
+    if (l.side === "credit") totalCredits += Number(l.amount || 0);
+    else totalDebits += Number(l.amount || 0);
+  }
+  return {
+    totalDebits: Math.round(totalDebits * 100) / 100,
+    totalCredits: Math.round(totalCredits * 100) / 100,
+  };
+}
+
+/**
+ * Validate a journal entry draft. Returns an error message, or "" when valid.
+ * @param {{description: string, date: string, lines: Array}} draft
+ * @param {Array} accounts - chart of accounts used to check existence / active state
+ */
+export function validateJournalEntry(draft, accounts) {
+  const { description, date, lines = [] } = draft || {};
+
+  if (!description || !description.trim()) return "Description is required.";
+  if (!date || isNaN(new Date(date).getTime())) return "A valid entry date is required.";
+
+  if (draft.autoReverseOn) {
+    if (draft.type !== "adjusting") return "Only adjusting entries can be reversed automatically.";
+    if (isNaN(new Date(draft.autoReverseOn).getTime())) return "A valid auto-reverse date is required.";
+    if (draft.autoReverseOn <= date) return "The auto-reverse date must be after the entry date.";
+  }
+
+  const debits = lines.filter((l) => l.side === "debit");
+  const credits = lines.filter((l) => l.side === "credit");
+  if (debits.length === 0 || credits.length === 0) {
+    return "Each journal entry must include at least one debit and one credit.";
+  }
+
+  const lookup = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  for (const l of lines) {
+    const label = l.side === "debit" ? "Debit" : "Credit";
+    if (!l.accountId) return `All ${l.side} accounts must be selected.`;
+
+    const account = lookup[l.accountId];
+    if (!account) return `One or more ${l.side} accounts no longer exist in the chart of accounts.`;
+    if (account.active === false) return `${label} account "${account.name}" is inactive and cannot be used.`;
+
+    const currency = l.currency || FUNCTIONAL_CURRENCY;
+    if (currency !== accountCurrency(account)) {
+      return `${label} account "${account.name}" is kept in ${accountCurrency(account)}; enter its amount in ${accountCurrency(account)}.`;
+    }
+    if (currency !== FUNCTIONAL_CURRENCY && !(Number(l.exchangeRate) > 0)) {
+      return `${label} line in ${currency} needs an exchange rate.`;
+    }
+
+    const amt = Number(l.amount);
+    if (amt < 0) return `${label} amounts cannot be negative.`;
+    if (!amt || amt <= 0) return `${label} amounts must be greater than zero.`;
+  }
+
+  const { totalDebits, totalCredits } = lineTotals(lines);
+  if (totalDebits !== totalCredits) {
+    return `Total debits (${totalDebits.toFixed(2)}) must equal total credits (${totalCredits.toFixed(2)}).`;
+  }
+
+  return "";
+}
+
+/**
+ * Posting-period check for a draft's date and, for an adjusting entry that
+ * reverses itself, its auto-reverse date. Returns an error message or "".
+ * @param {Array} periods - accountingPeriods
+ * @param {{date: string, type: string, autoReverseOn?: string}} draft
+ */
+export function draftPeriodError(periods, draft) {
+  const periodError = periodPostingError(periodForDate(periods, draft.date), draft.type);
+  if (periodError) return periodError;
+  if (draft.autoReverseOn) {
+    const reverseError = periodPostingError(periodForDate(periods, draft.autoReverseOn), draft.type);
+    if (reverseError) return `Auto-reverse date: ${reverseError}`;
+  }
+  return "";
+}
+
+/**
+ * Why `entry` cannot be posted because of a year-end close, or "". A closing
+ * entry's amounts are the balances as of its date, so while one is pending no
+ * other entry dated on or before it may post, and it may only post once no
+ * other entry dated on or before it is pending.
+ * @param {object} entry - journal entry (or draft) about to post
+ * @param {Array} pending - pending journalEntries, with ids
+ */
+export function closingConflict(entry, pending) {
+  const others = (pending || []).filter((e) => !entry.id || e.id !== entry.id);
+  if (entry.type === "closing") {
+    const blocking = others.filter((e) => (e.date || "") <= entry.date);
+    if (!blocking.length) return "";
+    return `${blocking.length} pending journal entr${blocking.length === 1 ? "y is" : "ies are"} dated on or before ${entry.date}. Approve or reject them first.`;
+  }
+  const closing = others.find((e) => e.type === "closing" && entry.date <= (e.date || ""));
+  if (!closing) return "";
+  return `The closing entry dated ${closing.date} is pending; entries dated on or before it can post once it is approved or rejected.`;
+}
+
+/**
+ * Create a pending journal entry in the canonical shape and notify managers.
+ * Callers are expected to run validateJournalEntry first; the balance check is
+ * repeated here so an unbalanced entry can never be stored.
+ *
+ * @param {object} draft - { type, date, description, lines, attachments, ...extra }
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<DocumentReference>}
+ */
+export async function createJournalEntry(draft, author) {
+  const [periods, rulesFor] = await Promise.all([loadPeriods(), approvalEvaluator()]);
+  const periodError = draftPeriodError(periods, draft);
+  if (periodError) throw new Error(periodError);
+
+  const entryRef = doc(companyCollection("journalEntries"));
+  const batch = writeBatch(db);
+
+  const data = entryDocument(draft, author, rulesFor);
+  batch.set(entryRef, data);
+
+  // Notification for manager review
+  batch.set(doc(collection(db, "notifications")), submissionNotice(data, entryRef.id));
+
+  await batch.commit();
+  return entryRef;
+}
+
+/**
+ * Create several pending journal entries at once (e.g. a CSV import).
+ * Every draft (and its auto-reverse date) is checked against the posting
+ * periods and for balance before anything is written; entries are then
+ * committed in batches with their manager notifications.
+ *
+ * @param {Array<object>} drafts - as for createJournalEntry
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<string[]>} new entry ids
+ */
+export async function createJournalEntries(drafts, author) {
+  const [periods, rulesFor] = await Promise.all([loadPeriods(), approvalEvaluator()]);
+  const now = Date.now();
+  const docs = drafts.map((draft, i) => {
+    const periodError = draftPeriodError(periods, draft);
+    if (periodError) throw new Error(periodError);
+    // Distinct post references within one submission
+    return { ...entryDocument(draft, author, rulesFor), postRef: `PR-${now + i}` };
+  });
+
+  const ids = [];
+  // Two writes per entry (entry + notification)
+  for (let i = 0; i < docs.length; i += 200) {
+    const batch = writeBatch(db);
+    for (const data of docs.slice(i, i + 200)) {
+      const entryRef = doc(companyCollection("journalEntries"));
+      batch.set(entryRef, data);
+      batch.set(doc(collection(db, "notifications")), submissionNotice(data, entryRef.id));
+      ids.push(entryRef.id);
+    }
+    await batch.commit();
+  }
+  return ids;
+}
+
+/**
+ * Create a pending journal entry under a fixed document id unless the id is
+ * already taken, so a generator that runs repeatedly (recurring templates)
+ * never creates duplicates. A rejected entry keeps its id and is not recreated,
+ * unless `context.replaceRejected` is set: then it is overwritten by the new one.
+ *
+ * @param {string} entryId - deterministic journalEntries id
+ * @param {object} draft - as for createJournalEntry
+ * @param {{userEmail: string, role: string}} author
+ * @param {{periods: Array, rulesFor: Function, documents: Array, replaceRejected: boolean}} [context] -
+ *   preloaded periods and approvalEvaluator() result, for callers creating
+ *   many entries; `documents` are [ref, data] pairs set in the same
+ *   transaction (e.g. the invoice the entry posts), only if the entry is created
+ * @returns {Promise<boolean>} true if created, false if the entry already existed
+ */
+export async function createJournalEntryOnce(entryId, draft, author, context = {}) {
+  const periods = context.periods || (await loadPeriods());
+  const rulesFor = context.rulesFor || (await approvalEvaluator());
+  const periodError = draftPeriodError(periods, draft);
+  if (periodError) throw new Error(periodError);
+
+  const entryRef = companyDoc("journalEntries", entryId);
+  const data = entryDocument(draft, author, rulesFor);
+
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(entryRef);
+    if (snap.exists() && !(context.replaceRejected && snap.data().status === "rejected")) return false;
+    tx.set(entryRef, data);
+    tx.set(doc(collection(db, "notifications")), submissionNotice(data, entryRef.id));
+    for (const [ref, extra] of context.documents || []) tx.set(ref, extra);
+    return true;
+  });
+}
+
+/**
+ * Canonical pending journalEntries document for a draft. Throws if unbalanced.
+ * `rulesFor` (from approvalEvaluator) decides the approvals it needs.
+ */
+function entryDocument(draft, { userEmail, role }, rulesFor) {
+  const { type = "regular", date, description, lines, attachments = [], autoReverseOn, ...extra } = draft;
+  const { totalDebits, totalCredits } = lineTotals(lines);
+  if (!lines?.length || totalDebits !== totalCredits) {
+    throw new Error("Journal entry must be balanced before it can be submitted.");
+  }
+
+  return {
+    ...extra,
+    type,
+    date,
+    description: (description || "").trim(),
+    lines: lines.map((l) => lineCurrency({
+      accountId: l.accountId,
+      accountName: l.accountName || "",
+      accountNumber: String(l.accountNumber || ""),
+      amount: Number(l.amount),
+      side: l.side,
+    }, l)),
+    ...(type === "adjusting" && autoReverseOn ? { autoReverseOn } : {}),
+    totalDebits,
+    totalCredits,
+    status: "pending",
+    attachments,
+    postRef: `PR-${Date.now()}`,
+    approvalRules: rulesFor(lines),
+    approvals: [],
+    createdBy: userEmail,
+    createdByRole: role || null,
+    createdAt: serverTimestamp(),
+  };
+}
+
+/** Manager notification for a newly submitted entry. */
+function submissionNotice(data, journalId) {
+  return {
+    type: data.type === "adjusting" ? "adjusting_journal_submitted" : "journal_submitted",
+    journalId,
+    companyId: getCompanyId(),
+    forRole: "manager",
+    sender: data.createdBy,
+    message: `New ${data.type} journal entry submitted by ${data.createdBy}`,
+    createdAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Create a pending reversing entry for an approved journal entry.
+ *
+ * Every line is copied with debit and credit swapped, dated `date`, and sent
+ * through the normal approval workflow. The two entries are linked both ways:
+ * the reversal carries `reversalOf` and the original gets `reversedBy`.
+ * An entry can only have one live reversal; if its previous reversal was
+ * rejected a new one may be created.
+ *
+ * @param {string} entryId - approved journalEntries document id
+ * @param {string} date - reversal date (YYYY-MM-DD)
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<DocumentReference>} the reversing entry
+ */
+export async function createReversingEntry(entryId, date, author) {
+  if (!date || isNaN(new Date(date).getTime())) {
+    throw new Error("A valid reversal date is required.");
+  }
+
+  const originalRef = companyDoc("journalEntries", entryId);
+  const reversalRef = doc(companyCollection("journalEntries"));
+  const [periods, rulesFor] = await Promise.all([loadPeriods(), approvalEvaluator()]);
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(originalRef);
+    if (!snap.exists()) throw new Error("Journal entry not found.");
+
+    const original = { id: snap.id, ...snap.data() };
+    const periodError = periodPostingError(periodForDate(periods, date), original.type);
+    if (periodError) throw new Error(periodError);
+
+    if (original.status !== "approved") {
+      throw new Error("Only approved journal entries can be reversed.");
+    }
+    if (original.reversalOf) {
+      throw new Error("A reversing entry cannot itself be reversed.");
+    }
+    if (original.reversedBy) {
+      const prev = await tx.get(companyDoc("journalEntries", original.reversedBy));
+      if (prev.exists() && prev.data().status !== "rejected") {
+        throw new Error("This journal entry already has a reversing entry.");
+      }
+    }
+
+    const data = entryDocument(reversalDraft(original, date), author, rulesFor);
+
+    tx.set(reversalRef, data);
+    tx.update(originalRef, { reversedBy: reversalRef.id });
+    tx.set(doc(collection(db, "notifications")), submissionNotice(data, reversalRef.id));
+  });
+
+  return reversalRef;
+}
+
+/**
+ * Where an adjusting entry's reversal stands: "reversed" once the reversal is
+ * approved, otherwise "open" (not created yet, pending approval or rejected).
+ * @param {object} entry - adjusting journal entry
+ * @param {Object<string, object>} entriesById - journal entries by id
+ * @returns {{status: "open" | "reversed", reversal: object|null}}
+ */
+export function accrualStatus(entry, entriesById) {
+  const reversal = (entry.reversedBy && entriesById[entry.reversedBy]) || null;
+  return { status: reversal?.status === "approved" ? "reversed" : "open", reversal };
+}
+
+/** Draft for the entry reversing `original` on `date`: every line with debit and credit swapped. */
+function reversalDraft(original, date) {
+  return {
+    type: original.type || "regular",
+    date,
+    description: `Reversal of: ${original.description || original.id}`,
+    lines: entryLines(original).map((l) => ({
+      ...l,
+      side: l.side === "debit" ? "credit" : "debit",
+    })),
+    reversalOf: original.id,
+  };
+}
+
+/**
+ * Record an approval on a pending journal entry and, when it is the last one
+ * the entry's approval rules need, post it to the ledger in one transaction.
+ *
+ * The status change, every ledgerEntries line, the running totals on each
+ * affected account and the preparer notification either all commit or none do.
+ * An adjusting entry with `autoReverseOn` also gets its pending reversal,
+ * prepared in the original preparer's name, in the same transaction.
+ * The entry is re-read inside the transaction, so an entry that is no longer
+ * "pending" (e.g. approved in another tab) is refused.
+ *
+ * @param {string} entryId - journalEntries document id
+ * @param {string} approverEmail - email recorded as approvedBy / createdBy
+ * @param {string} approverRole - role the approval counts for
+ * @returns {Promise<object>} the entry with this approval added, plus
+ *   `posted` (true when it was the final approval), `outstanding` rules and
+ *   `reversalId` (the automatic reversal, if one was created)
+ * @throws {Error} if the entry is missing, not pending, prepared by the
+ *   approver, not approvable by this role, dated (or auto-reversing) in a
+ *   closed accounting period, in conflict with a year-end close (see
+ *   closingConflict), or references a missing account
+ */
+export async function approveJournalEntry(entryId, approverEmail, approverRole) {
+  // Periods and the approval policy are queried up front (transactions only
+  // read documents); the matching period is re-read inside so a concurrent
+  // close is respected.
+  const [periods, rulesFor, pendingSnap] = await Promise.all([
+    loadPeriods(),
+    approvalEvaluator(),
+    getDocs(query(companyCollection("journalEntries"), where("status", "==", "pending"))),
+  ]);
+  const pending = pendingSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  return runTransaction(db, async (tx) => {
+    const entryRef = companyDoc("journalEntries", entryId);
+    const snap = await tx.get(entryRef);
+    if (!snap.exists()) throw new Error("Journal entry not found.");
+
+    const entry = { id: snap.id, ...snap.data() };
+    if (entry.status !== "pending") {
+      throw new Error(`Journal entry is already ${entry.status || "processed"}.`);
+    }
+    const approvalProblem = approvalError(entry, approverEmail, approverRole);
+    if (approvalProblem) throw new Error(approvalProblem);
+
+    const period = periodForDate(periods, entry.date);
+    if (period) {
+      const periodSnap = await tx.get(companyDoc("accountingPeriods", period.id));
+      const current = periodSnap.exists() ? { id: period.id, ...periodSnap.data() } : null;
+      const periodError = periodPostingError(current, entry.type);
+      if (periodError) throw new Error(periodError);
+    }
+
+    const lines = entryLines(entry);
+    if (lines.length === 0) throw new Error("Journal entry has no lines to post.");
+    if (lines.some((l) => !l.accountId)) throw new Error("Every line must reference an account.");
+
+    // Firestore transactions require all reads before any writes
+    const accountIds = [...new Set(lines.map((l) => l.accountId))];
+    const accountSnaps = await Promise.all(
+      accountIds.map((id) => tx.get(companyDoc("accounts", id)))
+    );
+    const accounts = {};
+    for (const s of accountSnaps) {
+      if (!s.exists()) throw new Error(`Account ${s.id} no longer exists.`);
+      accounts[s.id] = { id: s.id, ...s.data() };
+    }
+
+    const approvals = [
+      ...(entry.approvals || []),
+      { by: approverEmail, role: approverRole || null, at: new Date() },
+    ];
+    const outstanding = outstandingApprovals({ ...entry, approvals });
+
+    // More approvals needed: record this one and leave the entry pending
+    if (outstanding.length) {
+      tx.update(entryRef, { approvals });
+      return { ...entry, approvals, posted: false, outstanding };
+    }
+
+    const closingError = closingConflict(entry, pending);
+    if (closingError) throw new Error(closingError);
+
+    // Accruals reverse automatically; refuse now rather than post one that can't
+    const autoReverse = entry.type === "adjusting" && entry.autoReverseOn && !entry.reversedBy;
+    if (autoReverse) {
+      const reverseError = periodPostingError(periodForDate(periods, entry.autoReverseOn), entry.type);
+      if (reverseError) throw new Error(`Auto-reverse date ${entry.autoReverseOn}: ${reverseError}`);
+    }
+
+    // Mark approved
+    const reversalRef = autoReverse ? doc(companyCollection("journalEntries")) : null;
+    tx.update(entryRef, {
+      status: "approved",
+      approvals,
+      approvedBy: approverEmail,
+      approvedAt: serverTimestamp(),
+      ...(reversalRef ? { reversedBy: reversalRef.id } : {}),
+    });
+
+    // Post each line to ledgerEntries and accumulate per-account totals
+    const perAccount = {};
+    for (const ln of lines) {
+      const debit = ln.side === "debit" ? ln.amount : 0;
+      const credit = ln.side === "credit" ? ln.amount : 0;
+
+      tx.set(doc(companyCollection("ledgerEntries")), {
+        accountId: ln.accountId,
+        accountName: ln.accountName || accounts[ln.accountId].name || "",
+        debit,
+        credit,
+        // Amounts in the line's own currency (equal to debit / credit when functional)
+        currency: ln.currency,
+        transactionDebit: ln.side === "debit" ? ln.transactionAmount : 0,
+        transactionCredit: ln.side === "credit" ? ln.transactionAmount : 0,
+        description: entry.description || "—",
+        journalId: entry.id,
+        entryType: entry.type || "regular",
+        // If the journal had a date (YYYY-MM-DD), store it too for statements:
+        date: entry.date ? new Date(entry.date) : null,
+        createdBy: approverEmail,
+        createdAt: serverTimestamp(),
+      });
+
+      const t = perAccount[ln.accountId] || { debit: 0, credit: 0 };
+      t.debit += debit;
+      t.credit += credit;
+      perAccount[ln.accountId] = t;
+    }
+
+    // Keep account running totals in step with the ledger
+    for (const [accountId, t] of Object.entries(perAccount)) {
+      tx.update(
+        companyDoc("accounts", accountId),
+        nextAccountTotals(accounts[accountId], t.debit, t.credit)
+      );
+    }
+
+    // Notify preparer
+    tx.set(doc(collection(db, "notifications")), {
+      recipient: entry.createdBy || entry.preparedBy || "unknown",
+      message: `Your journal entry "${entry.description || entry.id}" was approved.`,
+      type: "approval",
+      journalId: entry.id,
+      companyId: getCompanyId(),
+      createdAt: serverTimestamp(),
+      sentBy: approverEmail,
+    });
+
+    if (reversalRef) {
+      const reversal = entryDocument(
+        { ...reversalDraft(entry, entry.autoReverseOn), autoReversal: true },
+        { userEmail: entry.createdBy || entry.preparedBy, role: entry.createdByRole },
+        rulesFor
+      );
+      tx.set(reversalRef, reversal);
+      tx.set(doc(collection(db, "notifications")), submissionNotice(reversal, reversalRef.id));
+    }
+
+    return { ...entry, approvals, posted: true, outstanding, reversalId: reversalRef?.id || null };
+  });
+}
+
+/**
+ * Reject a pending journal entry and notify its preparer.
+ * @throws {Error} if the entry is missing or no longer pending
+ */
+export async function rejectJournalEntry(entryId, reason, rejecterEmail) {
+  const trimmed = (reason || "").trim();
+  if (!trimmed) throw new Error("Rejection reason is required.");
+
+  return runTransaction(db, async (tx) => {
+    const entryRef = companyDoc("journalEntries", entryId);
+    const snap = await tx.get(entryRef);
+    if (!snap.exists()) throw new Error("Journal entry not found.");
+
+    const entry = { id: snap.id, ...snap.data() };
+    if (entry.status !== "pending") {
+      throw new Error(`Journal entry is already ${entry.status || "processed"}.`);
+    }
+
+    tx.update(entryRef, {
+      status: "rejected",
+      rejectedBy: rejecterEmail,
+      rejectedAt: serverTimestamp(),
+      rejectionReason: trimmed,
+    });
+
+    tx.set(doc(collection(db, "notifications")), {
+      recipient: entry.createdBy || entry.preparedBy || "unknown",
+      message: `Your journal entry "${entry.description || entry.id}" was rejected: ${trimmed}`,
+      type: "rejection",
+      journalId: entry.id,
+      companyId: getCompanyId(),
+      createdAt: serverTimestamp(),
+      sentBy: rejecterEmail,
+    });
+
+    return entry;
+  });
+}
+
+/**
+ * Rewrite legacy `debits`/`credits` journal documents into the canonical `lines` shape.
+ * Safe to run repeatedly: documents that already have `lines` are skipped.
+ * @returns {Promise<number>} number of documents migrated
+ */
+export async function migrateLegacyJournalEntries(userEmail) {
+  const snap = await getDocs(companyCollection("journalEntries"));
+  const legacy = snap.docs.filter((d) => {
+    const data = d.data();
+    return !(Array.isArray(data.lines) && data.lines.length) &&
+      (Array.isArray(data.debits) || Array.isArray(data.credits));
+  });
+
+  // Firestore batches are limited to 500 writes
+  for (let i = 0; i < legacy.length; i += 400) {
+    const batch = writeBatch(db);
+    for (const d of legacy.slice(i, i + 400)) {
+      const data = d.data();
+      const lines = entryLines(data);
+      const created = data.createdAt?.toDate?.();
+      batch.update(d.ref, {
+        type: data.type || "regular",
+        date: data.date || (created ? created.toISOString().slice(0, 10) : null),
+        lines,
+        ...lineTotals(lines),
+        createdBy: data.createdBy || data.preparedBy || null,
+        createdByRole: data.createdByRole || data.preparedByRole || null,
+        debits: deleteField(),
+        credits: deleteField(),
+        preparedBy: deleteField(),
+        preparedByRole: deleteField(),
+        migratedAt: serverTimestamp(),
+        migratedBy: userEmail,
+      });
+    }
+    await batch.commit();
+  }
+
+  return legacy.length;
+}
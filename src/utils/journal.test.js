@@ -0,0 +1,255 @@
+import { getDocs, collection, __store as store } from "firebase/firestore";
+import { db } from "../firebase";
+import {
+  accrualStatus, approveJournalEntry, closingConflict, createJournalEntries, createJournalEntry, createJournalEntryOnce,
+  createReversingEntry, draftPeriodError, rejectJournalEntry, validateJournalEntry,
+} from "./journal";
+
+jest.mock("../firebase", () => ({ db: {}, auth: {} }));
+
+jest.mock("firebase/firestore", () => require("./testing/firestore"));
+
+const docs = async (name) => (await getDocs(collection(db, name))).docs.map((d) => ({ id: d.id, ...d.data() }));
+
+beforeEach(() => store.clear());
+
+const accounts = [
+  { id: "wages", name: "Wages Expense" },
+  { id: "payable", name: "Wages Payable" },
+];
+const accrual = (extra = {}) => ({
+  type: "adjusting",
+  date: "2026-03-31",
+  description: "Accrued wages",
+  lines: [
+    { accountId: "wages", side: "debit", amount: 800 },
+    { accountId: "payable", side: "credit", amount: 800 },
+  ],
+  ...extra,
+});
+
+test("auto-reverse dates are only for adjusting entries and must follow the entry date", () => {
+  expect(validateJournalEntry(accrual({ autoReverseOn: "2026-04-01" }), accounts)).toBe("");
+  expect(validateJournalEntry(accrual({ autoReverseOn: "2026-03-31" }), accounts)).toMatch(/after the entry date/);
+  expect(validateJournalEntry(accrual({ type: "regular", autoReverseOn: "2026-04-01" }), accounts)).toMatch(
+    /Only adjusting/
+  );
+});
+
+test("the auto-reverse date must fall in an open period too", () => {
+  const periods = [
+    { name: "Mar 2026", start: "2026-03-01", end: "2026-03-31", status: "open" },
+    { name: "Apr 2026", start: "2026-04-01", end: "2026-04-30", status: "closed" },
+  ];
+  expect(draftPeriodError(periods, accrual())).toBe("");
+  expect(draftPeriodError(periods, accrual({ autoReverseOn: "2026-04-01" }))).toMatch(/^Auto-reverse date: .*"Apr 2026" is closed/);
+  expect(draftPeriodError(periods, accrual({ date: "2026-04-02" }))).toMatch(/^Accounting period "Apr 2026" is closed/);
+});
+
+test("nothing on or before a pending closing entry posts until it is decided", () => {
+  const closing = { id: "close", type: "closing", date: "2026-12-31", closingFor: "2026-12-31" };
+  const late = { id: "late", type: "adjusting", date: "2026-12-15" };
+  const next = { id: "next", type: "regular", date: "2027-01-02" };
+
+  expect(closingConflict(late, [closing, late])).toMatch(/closing entry dated 2026-12-31 is pending/);
+  expect(closingConflict(next, [closing, next])).toBe("");
+  expect(closingConflict(closing, [closing, late, next])).toMatch(/^1 pending journal entry is dated on or before 2026-12-31/);
+  expect(closingConflict(closing, [closing, next])).toBe("");
+});
+
+test("an accrual is open until its reversal is approved", () => {
+  const entry = { id: "a1", ...accrual({ autoReverseOn: "2026-04-01", status: "approved" }) };
+  expect(accrualStatus(entry, {})).toEqual({ status: "open", reversal: null });
+
+  const reversal = { id: "r1", status: "pending", reversalOf: "a1" };
+  const linked = { ...entry, reversedBy: "r1" };
+  expect(accrualStatus(linked, { r1: reversal }).status).toBe("open");
+  expect(accrualStatus(linked, { r1: { ...reversal, status: "rejected" } }).status).toBe("open");
+  expect(accrualStatus(linked, { r1: { ...reversal, status: "approved" } }).status).toBe("reversed");
+});
+
+// ==================== Approval and posting ====================
+
+const seedBooks = () => {
+  store.set("accounts/cash", { name: "Cash", number: "101", category: "Asset", normalSide: "Debit", initialBalance: 100 });
+  store.set("accounts/sales", { name: "Sales", number: "401", category: "Revenue", normalSide: "Credit" });
+};
+const pendingEntry = (id, extra = {}) => {
+  store.set(`journalEntries/${id}`, {
+    type: "regular",
+    date: "2026-03-10",
+    description: "Cash sale",
+    lines: [
+      { accountId: "cash", side: "debit", amount: 500 },
+      { accountId: "sales", side: "credit", amount: 500 },
+    ],
+    status: "pending",
+    createdBy: "preparer@example.com",
+    approvalRules: [{ id: "base", label: "Manager approval", approvals: 1, roles: ["manager", "admin"] }],
+    approvals: [],
+    ...extra,
+  });
+};
+
+test("the final approval posts the entry, its ledger lines and account totals together", async () => {
+  seedBooks();
+  pendingEntry("je1");
+
+  const result = await approveJournalEntry("je1", "manager@example.com", "manager");
+  expect(result).toMatchObject({ posted: true, outstanding: [] });
+  expect(store.get("journalEntries/je1")).toMatchObject({ status: "approved", approvedBy: "manager@example.com" });
+  expect((await docs("ledgerEntries")).map((l) => [l.accountId, l.debit, l.credit, l.journalId])).toEqual([
+    ["cash", 500, 0, "je1"],
+    ["sales", 0, 500, "je1"],
+  ]);
+  expect(store.get("accounts/cash")).toMatchObject({ debit: 500, credit: 0, balance: 600 });
+  expect((await docs("notifications")).map((n) => [n.type, n.recipient])).toEqual([["approval", "preparer@example.com"]]);
+
+  await expect(approveJournalEntry("je1", "admin@example.com", "admin")).rejects.toThrow(/already approved/);
+  expect(await docs("ledgerEntries")).toHaveLength(2);
+});
+
+test("preparers cannot approve their own entries", async () => {
+  seedBooks();
+  pendingEntry("je1");
+
+  await expect(approveJournalEntry("je1", "preparer@example.com", "manager")).rejects.toThrow(/you prepared/);
+  expect(store.get("journalEntries/je1")).toMatchObject({ status: "pending", approvals: [] });
+  expect(await docs("ledgerEntries")).toEqual([]);
+});
+
+test("an entry needing two approvers posts only on the second distinct approval", async () => {
+  seedBooks();
+  pendingEntry("je1", {
+    approvalRules: [{ id: "large", label: "Entries over $10,000", approvals: 2, roles: ["manager", "admin"] }],
+  });
+
+  const first = await approveJournalEntry("je1", "manager@example.com", "manager");
+  expect(first).toMatchObject({ posted: false });
+  expect(first.outstanding.map((r) => r.id)).toEqual(["large"]);
+  expect(store.get("journalEntries/je1").status).toBe("pending");
+  expect(await docs("ledgerEntries")).toEqual([]);
+
+  await expect(approveJournalEntry("je1", "manager@example.com", "manager")).rejects.toThrow(/already approved this/);
+  await expect(approveJournalEntry("je1", "accountant@example.com", "accountant")).rejects.toThrow(/Still awaiting/);
+
+  const second = await approveJournalEntry("je1", "admin@example.com", "admin");
+  expect(second).toMatchObject({ posted: true });
+  expect(store.get("journalEntries/je1").approvals.map((a) => a.by)).toEqual(["manager@example.com", "admin@example.com"]);
+  expect(await docs("ledgerEntries")).toHaveLength(2);
+});
+
+test("a failed approval writes nothing", async () => {
+  seedBooks();
+  store.delete("accounts/sales");
+  pendingEntry("je1");
+
+  await expect(approveJournalEntry("je1", "manager@example.com", "manager")).rejects.toThrow(/no longer exists/);
+  expect(store.get("journalEntries/je1").status).toBe("pending");
+  expect(await docs("ledgerEntries")).toEqual([]);
+  expect(await docs("notifications")).toEqual([]);
+});
+
+// ==================== Submission ====================
+
+const author = { userEmail: "preparer@example.com", role: "accountant" };
+const sale = (amount, creditAmount = amount) => ({
+  date: "2026-03-10",
+  description: "  Cash sale ",
+  lines: [
+    { accountId: "cash", accountName: "Cash", accountNumber: 101, side: "debit", amount: String(amount) },
+    { accountId: "sales", accountName: "Sales", accountNumber: 401, side: "credit", amount: creditAmount },
+  ],
+});
+
+test("submitted entries are stored in the canonical shape with the approvals they need", async () => {
+  seedBooks();
+  const ref = await createJournalEntry(sale(12000), author);
+
+  const entry = store.get(`journalEntries/${ref.id}`);
+  expect(entry).toMatchObject({
+    type: "regular",
+    description: "Cash sale",
+    status: "pending",
+    totalDebits: 12000,
+    totalCredits: 12000,
+    approvals: [],
+    createdBy: "preparer@example.com",
+    createdByRole: "accountant",
+  });
+  expect(entry.lines).toEqual([
+    { accountId: "cash", accountName: "Cash", accountNumber: "101", amount: 12000, side: "debit", currency: "USD", transactionAmount: 12000, exchangeRate: 1 },
+    { accountId: "sales", accountName: "Sales", accountNumber: "401", amount: 12000, side: "credit", currency: "USD", transactionAmount: 12000, exchangeRate: 1 },
+  ]);
+  expect(entry.approvalRules.map((r) => [r.id, r.approvals])).toEqual([["base", 1], ["large", 2]]);
+  expect((await docs("notifications")).map((n) => [n.type, n.journalId])).toEqual([["journal_submitted", ref.id]]);
+});
+
+test("once-only entries are not recreated unless a rejected one may be replaced", async () => {
+  seedBooks();
+  expect(await createJournalEntryOnce("fixed", sale(100), author)).toBe(true);
+  expect(await createJournalEntryOnce("fixed", sale(200), author)).toBe(false);
+
+  await rejectJournalEntry("fixed", "Wrong amount", "manager@example.com");
+  expect(await createJournalEntryOnce("fixed", sale(200), author)).toBe(false);
+  expect(await createJournalEntryOnce("fixed", sale(200), author, { replaceRejected: true })).toBe(true);
+  expect(store.get("journalEntries/fixed")).toMatchObject({ status: "pending", totalDebits: 200 });
+  expect(await createJournalEntryOnce("fixed", sale(300), author, { replaceRejected: true })).toBe(false);
+});
+
+test("unbalanced entries are never stored", async () => {
+  seedBooks();
+  await expect(createJournalEntry(sale(500, 499.99), author)).rejects.toThrow(/must be balanced/);
+  await expect(createJournalEntry({ ...sale(500), lines: [] }, author)).rejects.toThrow(/must be balanced/);
+
+  // One bad draft stops the whole batch
+  await expect(createJournalEntries([sale(100), sale(200, 20)], author)).rejects.toThrow(/must be balanced/);
+  expect(await docs("journalEntries")).toEqual([]);
+  expect(await docs("notifications")).toEqual([]);
+});
+
+// ==================== Reversal and rejection ====================
+
+test("rejection needs a reason and only applies to pending entries", async () => {
+  seedBooks();
+  pendingEntry("je1");
+
+  await expect(rejectJournalEntry("je1", "  ", "manager@example.com")).rejects.toThrow(/reason is required/);
+  await rejectJournalEntry("je1", " Wrong account ", "manager@example.com");
+  expect(store.get("journalEntries/je1")).toMatchObject({
+    status: "rejected", rejectedBy: "manager@example.com", rejectionReason: "Wrong account",
+  });
+  expect((await docs("notifications")).map((n) => [n.type, n.recipient])).toEqual([["rejection", "preparer@example.com"]]);
+
+  await expect(rejectJournalEntry("je1", "Again", "manager@example.com")).rejects.toThrow(/already rejected/);
+  await expect(approveJournalEntry("je1", "manager@example.com", "manager")).rejects.toThrow(/already rejected/);
+});
+
+test("approved entries reverse once, with sides swapped and both entries linked", async () => {
+  seedBooks();
+  pendingEntry("je1");
+  await expect(createReversingEntry("je1", "2026-03-20", author)).rejects.toThrow(/Only approved/);
+  await approveJournalEntry("je1", "manager@example.com", "manager");
+
+  const ref = await createReversingEntry("je1", "2026-03-20", author);
+  const reversal = store.get(`journalEntries/${ref.id}`);
+  expect(reversal).toMatchObject({ date: "2026-03-20", reversalOf: "je1", status: "pending", description: "Reversal of: Cash sale" });
+  expect(reversal.lines.map((l) => [l.accountId, l.side, l.amount])).toEqual([["cash", "credit", 500], ["sales", "debit", 500]]);
+  expect(store.get("journalEntries/je1").reversedBy).toBe(ref.id);
+
+  await expect(createReversingEntry("je1", "2026-03-21", author)).rejects.toThrow(/already has a reversing entry/);
+  await approveJournalEntry(ref.id, "manager@example.com", "manager");
+  await expect(createReversingEntry(ref.id, "2026-03-22", author)).rejects.toThrow(/cannot itself be reversed/);
+  expect(store.get("accounts/cash")).toMatchObject({ debit: 500, credit: 500, balance: 100 });
+});
+
+test("a rejected reversal can be replaced", async () => {
+  seedBooks();
+  pendingEntry("je1");
+  await approveJournalEntry("je1", "manager@example.com", "manager");
+
+  const first = await createReversingEntry("je1", "2026-03-20", author);
+  await rejectJournalEntry(first.id, "Wrong date", "manager@example.com");
+  const second = await createReversingEntry("je1", "2026-03-31", author);
+  expect(store.get("journalEntries/je1").reversedBy).toBe(second.id);
+});
@@ -1,6 +1,7 @@
 // src/utils/logEvent.js
-import { addDoc, collection, serverTimestamp } from "firebase/firestore";
-import { db, auth } from "../firebase";
+import { addDoc, serverTimestamp } from "firebase/firestore";
+import { auth } from "../firebase";
+import { companyCollection } from "./company";
 
 /**
  * Writes a before/after log entry to Firestore.
@@ -12,7 +13,7 @@ import { db, auth } from "../firebase";
 export async function logEvent(entity, action, before, after) {
   try {
     const user = auth?.currentUser?.email || "unknown";
-    await addDoc(collection(db, "eventLogs"), {
+    await addDoc(companyCollection("eventLogs"), {
       entity,
       action,
       user,
@@ -0,0 +1,137 @@
+// src/utils/notifications.js
+//
+// In-app notification inbox over the `notifications` collection.
+//
+// A user's inbox is every notification addressed to their email
+// (`recipient`) plus role broadcasts (`forRole`) for their role. Admins also
+// receive manager broadcasts, since they approve entries too.
+//
+// Notifications about journal entries carry the `companyId` they belong to;
+// the inbox shows those of the open company plus ones without a company.
+//
+// Read state is per user: `readBy` holds the emails that have read the
+// notification, so a shared role broadcast read by one manager stays unread
+// for the others.
+import {
+  arrayUnion, collection, doc, onSnapshot, query, updateDoc, where, writeBatch,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { getCompanyId } from "./company";
+
+const BROADCAST_ROLES = {
+  admin: ["admin", "manager"],
+  manager: ["manager"],
+  accountant: ["accountant"],
+};
+
+/** Roles whose `forRole` broadcasts a user with `role` receives. */
+export function broadcastRoles(role) {
+  return BROADCAST_ROLES[role] || [];
+}
+
+/** Creation time in ms; a not-yet-resolved server timestamp counts as now. */
+function createdMillis(n) {
+  const t = n.createdAt;
+  if (!t) return Date.now();
+  if (typeof t.toMillis === "function") return t.toMillis();
+  return new Date(t).getTime() || 0;
+}
+
+/** True if `n` belongs in the inbox while `companyId` is open. */
+export function inCompany(n, companyId) {
+  return !n.companyId || n.companyId === companyId;
+}
+
+/** Merge notification lists by id, newest first. */
+export function mergeNotifications(...lists) {
+  const byId = new Map();
+  for (const list of lists) for (const n of list) byId.set(n.id, n);
+  return [...byId.values()].sort((a, b) => createdMillis(b) - createdMillis(a));
+}
+
+export function isUnread(n, userEmail) {
+  return !(n.readBy || []).includes(userEmail);
+}
+
+/**
+ * In-app route a notification opens, or null when there is nothing to open.
+ * @param {object} n - notification
+ * @param {string} role - viewer's role
+ */
+export function notificationLink(n, role) {
+  if (n.journalId) return `/journal/${n.journalId}`;
+  if (n.type === "new_user_request" && role === "admin") return "/admin";
+  return null;
+}
+
+/** Headline for a notification (stored subject, or one derived from its type). */
+export function notificationTitle(n) {
+  if (n.subject) return n.subject;
+  switch (n.type) {
+    case "approval": return "Journal entry approved";
+    case "rejection": return "Journal entry rejected";
+    case "journal_submitted": return "Journal entry submitted";
+    case "adjusting_journal_submitted": return "Adjusting entry submitted";
+    case "new_user_request": return "New user request";
+    default: return "Notification";
+  }
+}
+
+/** Locale date/time a notification was created ("just now" while pending). */
+export function notificationTime(n) {
+  const t = n.createdAt;
+  if (!t) return "just now";
+  const d = typeof t.toDate === "function" ? t.toDate() : new Date(t);
+  return isNaN(d) ? "" : d.toLocaleString();
+}
+
+/**
+ * Live inbox for a user. Calls `onChange(list)` with the merged, newest-first
+ * notifications whenever either query changes.
+ * @returns {Function} unsubscribe
+ */
+export function subscribeNotifications(userEmail, role, onChange, onError = console.error) {
+  if (!userEmail) {
+    onChange([]);
+    return () => {};
+  }
+
+  const companyId = getCompanyId();
+  const parts = { direct: [], broadcast: [] };
+  const emit = () => onChange(mergeNotifications(parts.direct, parts.broadcast));
+  const listen = (key, q) =>
+    onSnapshot(
+      q,
+      (snap) => {
+        parts[key] = snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((n) => inCompany(n, companyId));
+        emit();
+      },
+      onError
+    );
+
+  const notifications = collection(db, "notifications");
+  const unsubs = [listen("direct", query(notifications, where("recipient", "==", userEmail)))];
+  const roles = broadcastRoles(role);
+  if (roles.length) {
+    unsubs.push(listen("broadcast", query(notifications, where("forRole", "in", roles))));
+  }
+  return () => unsubs.forEach((u) => u());
+}
+
+/** Mark one notification read for `userEmail`. */
+export async function markNotificationRead(id, userEmail) {
+  await updateDoc(doc(db, "notifications", id), { readBy: arrayUnion(userEmail) });
+}
+
+/** Mark every unread notification in `list` read for `userEmail`. */
+export async function markAllNotificationsRead(list, userEmail) {
+  const unread = list.filter((n) => isUnread(n, userEmail));
+  for (let i = 0; i < unread.length; i += 400) {
+    const batch = writeBatch(db);
+    for (const n of unread.slice(i, i + 400)) {
+      batch.update(doc(db, "notifications", n.id), { readBy: arrayUnion(userEmail) });
+    }
+    await batch.commit();
+  }
+  return unread.length;
+}
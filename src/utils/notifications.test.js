@@ -0,0 +1,136 @@
+import { __store as store } from "firebase/firestore";
+import { setCompanyId } from "./company";
+import { createJournalEntry } from "./journal";
+import {
+  broadcastRoles, inCompany, isUnread, markAllNotificationsRead, markNotificationRead, mergeNotifications,
+  notificationLink, subscribeNotifications,
+} from "./notifications";
+
+jest.mock("../firebase", () => ({ db: {}, auth: {} }));
+
+jest.mock("firebase/firestore", () => require("./testing/firestore"));
+
+beforeEach(() => {
+  store.clear();
+  setCompanyId("default");
+});
+
+const at = (ms) => ({ toMillis: () => ms });
+
+/** The inbox once both the direct and the broadcast listeners have delivered. */
+const inbox = async (userEmail, role) => {
+  let list = null;
+  subscribeNotifications(userEmail, role, (next) => (list = next));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  return list;
+};
+
+test("submitting an entry notifies managers of the company it was entered in", async () => {
+  setCompanyId("acme");
+  store.set("companies/acme/accounts/cash", { name: "Cash", number: "101", category: "Asset", normalSide: "Debit" });
+  store.set("companies/acme/accounts/sales", { name: "Sales", number: "401", category: "Revenue", normalSide: "Credit" });
+
+  const ref = await createJournalEntry(
+    {
+      type: "regular",
+      date: "2026-03-10",
+      description: "Cash sale",
+      lines: [
+        { accountId: "cash", side: "debit", amount: 50 },
+        { accountId: "sales", side: "credit", amount: 50 },
+      ],
+    },
+    { userEmail: "amy@x.com", role: "accountant" }
+  );
+
+  const [notice] = (await inbox("bob@x.com", "manager")).filter((n) => n.journalId === ref.id);
+  expect(notice).toMatchObject({
+    type: "journal_submitted",
+    companyId: "acme",
+    forRole: "manager",
+    sender: "amy@x.com",
+  });
+  expect(await inbox("amy@x.com", "accountant")).toEqual([]);
+});
+
+test("read state is per user", () => {
+  const shared = { id: "c", forRole: "manager", readBy: ["bob@x.com"] };
+  expect(isUnread(shared, "bob@x.com")).toBe(false);
+  expect(isUnread(shared, "cat@x.com")).toBe(true);
+  expect(isUnread({ id: "d", recipient: "amy@x.com" }, "amy@x.com")).toBe(true);
+});
+
+test("marking one notification read leaves it unread for everyone else", async () => {
+  store.set("notifications/c", { forRole: "manager", createdAt: at(100) });
+  await markNotificationRead("c", "bob@x.com");
+  await markNotificationRead("c", "bob@x.com");
+
+  expect(store.get("notifications/c").readBy).toEqual(["bob@x.com"]);
+  expect((await inbox("cat@x.com", "manager")).filter((n) => isUnread(n, "cat@x.com"))).toHaveLength(1);
+});
+
+test("the unread count covers direct and role notifications the user has not read", async () => {
+  store.set("notifications/a", { recipient: "amy@x.com", createdAt: at(100), readBy: ["amy@x.com"] });
+  store.set("notifications/b", { recipient: "amy@x.com", createdAt: at(300) });
+  store.set("notifications/c", { forRole: "manager", createdAt: at(200), readBy: ["bob@x.com"] });
+  store.set("notifications/e", { forRole: "accountant", createdAt: at(400) });
+
+  const list = await inbox("amy@x.com", "admin");
+  expect(list.filter((n) => isUnread(n, "amy@x.com")).map((n) => n.id)).toEqual(["b", "c"]);
+  expect((await inbox("bob@x.com", "manager")).filter((n) => isUnread(n, "bob@x.com"))).toEqual([]);
+});
+
+test("mark all read updates only the unread ones, for that user only", async () => {
+  store.set("notifications/a", { recipient: "amy@x.com", createdAt: at(100), readBy: ["amy@x.com"] });
+  store.set("notifications/b", { recipient: "amy@x.com", createdAt: at(300) });
+  store.set("notifications/c", { forRole: "manager", createdAt: at(200), readBy: ["bob@x.com"] });
+
+  const list = await inbox("amy@x.com", "admin");
+  expect(await markAllNotificationsRead(list, "amy@x.com")).toBe(2);
+  expect(store.get("notifications/c").readBy).toEqual(["bob@x.com", "amy@x.com"]);
+  expect((await inbox("amy@x.com", "admin")).filter((n) => isUnread(n, "amy@x.com"))).toEqual([]);
+  expect(await markAllNotificationsRead(await inbox("amy@x.com", "admin"), "amy@x.com")).toBe(0);
+});
+
+test("the inbox merges direct and role notifications by id, newest first", () => {
+  const direct = [
+    { id: "a", recipient: "amy@x.com", createdAt: at(100) },
+    { id: "b", recipient: "amy@x.com", createdAt: at(300) },
+  ];
+  const broadcast = [
+    { id: "c", forRole: "manager", createdAt: at(200) },
+    { id: "b", recipient: "amy@x.com", createdAt: at(300) },
+    { id: "p", forRole: "manager", createdAt: null },
+  ];
+  expect(mergeNotifications(direct, broadcast).map((n) => n.id)).toEqual(["p", "b", "c", "a"]);
+});
+
+test("admins also receive manager broadcasts", () => {
+  expect(broadcastRoles("admin")).toEqual(["admin", "manager"]);
+  expect(broadcastRoles("manager")).toEqual(["manager"]);
+  expect(broadcastRoles(null)).toEqual([]);
+});
+
+test("a notification belongs to its own company, or to every company if it has none", () => {
+  expect(inCompany({ companyId: "acme" }, "acme")).toBe(true);
+  expect(inCompany({ companyId: "acme" }, "default")).toBe(false);
+  expect(inCompany({}, "acme")).toBe(true);
+  expect(inCompany({ companyId: null }, "default")).toBe(true);
+});
+
+test("the inbox shows the open company's notifications and global ones only", async () => {
+  store.set("notifications/a", { forRole: "manager", companyId: "acme", createdAt: at(100) });
+  store.set("notifications/d", { forRole: "manager", companyId: "default", createdAt: at(200) });
+  store.set("notifications/u", { recipient: "bob@x.com", type: "new_user_request", createdAt: at(300) });
+
+  setCompanyId("acme");
+  expect((await inbox("bob@x.com", "manager")).map((n) => n.id)).toEqual(["u", "a"]);
+  setCompanyId("default");
+  expect((await inbox("bob@x.com", "manager")).map((n) => n.id)).toEqual(["u", "d"]);
+});
+
+test("notifications open their journal entry, and user requests open admin for admins", () => {
+  expect(notificationLink({ journalId: "j1", type: "approval" }, "accountant")).toBe("/journal/j1");
+  expect(notificationLink({ type: "new_user_request" }, "admin")).toBe("/admin");
+  expect(notificationLink({ type: "new_user_request" }, "manager")).toBeNull();
+});
@@ -0,0 +1,405 @@
+// src/utils/payables.js
+//
+// Accounts payable subledger: vendors, bills and bill payments.
+//
+// vendors document:
+//   {
+//     name: string, email: string, phone: string, address: string,
+//     termsDays: number (default due date = bill date + terms),
+//     active: boolean,
+//     createdBy / createdAt, updatedBy / updatedAt
+//   }
+//
+// bills document:
+//   {
+//     number: string (the vendor's bill number, unique per vendor),
+//     vendorId, vendorName,
+//     date: "YYYY-MM-DD", dueDate: "YYYY-MM-DD",
+//     lineItems: [{ description, amount, accountId }],  ← expense accounts
+//     total: number,
+//     currency: string (the AP control account's; all amounts are in it),
+//     apAccountId: string (the AP control account),
+//     memo: string,
+//     journalId: string,
+//     createdBy / createdAt
+//   }
+//
+// vendorPayments document:
+//   {
+//     vendorId, vendorName, billId, billNumber,
+//     date: "YYYY-MM-DD", amount: number, reference: string,
+//     cashAccountId, apAccountId,
+//     journalId: string,
+//     createdBy / createdAt
+//   }
+//
+// Entering a bill submits a regular journal entry (Dr each expense account,
+// Cr AP control) and paying it submits Dr AP control, Cr cash, under the ids
+// `<billId>_bill` / `<paymentId>_payment`, carrying billId / vendorId (and
+// paymentId). As with receivables, a bill only counts once its entry is
+// approved (aging.js), so the AP aging ties to the liability account.
+// Lines on accounts in another currency are converted at the rate on the
+// bill or payment date (currency.js convertLines).
+import {
+  doc, getDoc, getDocs, query, serverTimestamp, setDoc, updateDoc, where,
+} from "firebase/firestore";
+import { companyCollection, companyDoc } from "./company";
+import { addDays, agingReport, controlAccountTieOut, documentBalances } from "./aging";
+import { convertLines, loadRates } from "./currency";
+import { accountCurrency } from "./financials";
+import { createJournalEntryOnce, validateJournalEntry } from "./journal";
+import { logEvent } from "./logEvent";
+
+export const DEFAULT_TERMS_DAYS = 30;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/** Bill total from its line items, to the cent. */
+export function billTotal(lineItems) {
+  return round((lineItems || []).reduce((s, l) => s + round(Number(l.amount) || 0), 0));
+}
+
+// ==================== Validation ====================
+
+/** Error message for an account used in a given role, or "". */
+function accountError(account, label, category) {
+  if (!account) return `${label} is required.`;
+  if (account.active === false) return `${label} "${account.name}" is inactive.`;
+  if (account.category && account.category !== category) {
+    return `${label} must be ${category === "Asset" ? "an asset" : `a ${category.toLowerCase()}`} account.`;
+  }
+  return "";
+}
+
+export function validateVendor(draft) {
+  const d = draft || {};
+  if (!d.name || !d.name.trim()) return "Vendor name is required.";
+  if (d.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(d.email.trim())) return "Enter a valid email address.";
+  const terms = Number(d.termsDays);
+  if (d.termsDays !== "" && d.termsDays != null && !(Number.isInteger(terms) && terms >= 0)) {
+    return "Payment terms must be a whole number of days.";
+  }
+  return "";
+}
+
+/**
+ * Validate a bill draft. Returns an error message, or "" when valid.
+ * @param {object} draft - bill fields (amounts may be strings from inputs)
+ * @param {Array} accounts - chart of accounts
+ * @param {Array} bills - existing bills, for per-vendor number uniqueness
+ */
+export function validateBill(draft, accounts, bills = []) {
+  const d = draft || {};
+  if (!d.vendorId) return "Choose a vendor.";
+  const number = (d.number || "").trim();
+  if (!number) return "Bill number is required.";
+  if (bills.some((b) => b.vendorId === d.vendorId && b.number === number)) {
+    return `Bill ${number} from this vendor is already entered.`;
+  }
+  if (!d.date || isNaN(new Date(d.date).getTime())) return "A valid bill date is required.";
+  if (!d.dueDate || isNaN(new Date(d.dueDate).getTime())) return "A valid due date is required.";
+  if (d.dueDate < d.date) return "The due date cannot be before the bill date.";
+
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const apError = accountError(byId[d.apAccountId], "Payable account", "Liability");
+  if (apError) return apError;
+
+  const items = d.lineItems || [];
+  if (!items.length) return "Add at least one line item.";
+  for (const [i, item] of items.entries()) {
+    const n = i + 1;
+    if (!item.description || !item.description.trim()) return `Line ${n}: description is required.`;
+    if (!(Number(item.amount) > 0)) return `Line ${n}: amount must be greater than zero.`;
+    const expError = accountError(byId[item.accountId], `Line ${n}: expense account`, "Expense");
+    if (expError) return expError;
+  }
+  return "";
+}
+
+/**
+ * Validate a payment against its bill. Returns an error message, or "".
+ * @param {object} draft - { billId, date, amount, cashAccountId }
+ * @param {object} bill - the bill being paid
+ * @param {number} committed - payments already recorded against it (not rejected)
+ * @param {Array} accounts - chart of accounts
+ */
+export function validateBillPayment(draft, bill, committed, accounts) {
+  const d = draft || {};
+  if (!bill) return "Choose a bill.";
+  if (!d.date || isNaN(new Date(d.date).getTime())) return "A valid payment date is required.";
+  if (d.date < bill.date) return "The payment date cannot be before the bill date.";
+
+  const amount = Number(d.amount);
+  if (!(amount > 0)) return "Payment amount must be greater than zero.";
+  const remaining = round(Number(bill.total) - committed);
+  if (round(amount) > remaining) {
+    return `Payment exceeds the amount still owed on bill ${bill.number} (${remaining.toFixed(2)}).`;
+  }
+
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  return accountError(byId[d.cashAccountId], "Payment account", "Asset");
+}
+
+// ==================== Journal drafts ====================
+
+function accountLine(byId, accountId, amount, side) {
+  return {
+    accountId,
+    accountName: byId[accountId]?.name || "",
+    accountNumber: String(byId[accountId]?.number || ""),
+    amount: round(amount),
+    side,
+  };
+}
+
+/**
+ * Lines in the AP control account's currency, converted to functional amounts.
+ * @throws {Error} if a rate is missing
+ */
+function convertedLines(lines, byId, apAccountId, rates, date) {
+  const { lines: converted, error } = convertLines(
+    lines, Object.values(byId), rates, date, accountCurrency(byId[apAccountId])
+  );
+  if (error) throw new Error(error);
+  return converted;
+}
+
+/**
+ * Journal draft for a bill: Dr each expense account for its line items, Cr AP
+ * control for the total.
+ * @param {object} bill - with `id`
+ * @param {Array} accounts - chart of accounts, for names, numbers and currencies
+ * @param {Array} [rates] - exchangeRates documents, for foreign-currency bills
+ * @throws {Error} if an exchange rate is missing
+ */
+export function billEntryDraft(bill, accounts, rates = []) {
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const expense = new Map();
+  for (const item of bill.lineItems) {
+    expense.set(item.accountId, (expense.get(item.accountId) || 0) + Number(item.amount));
+  }
+  const lines = [
+    ...[...expense].map(([accountId, amount]) => accountLine(byId, accountId, amount, "debit")),
+    accountLine(byId, bill.apAccountId, bill.total, "credit"),
+  ];
+  return {
+    type: "regular",
+    date: bill.date,
+    description: `Bill ${bill.number} — ${bill.vendorName}`,
+    lines: convertedLines(lines, byId, bill.apAccountId, rates, bill.date),
+    billId: bill.id,
+    vendorId: bill.vendorId,
+  };
+}
+
+/**
+ * Journal draft for a bill payment: Dr AP control, Cr cash.
+ * @param {object} payment - with `id`
+ * @param {Array} accounts - chart of accounts
+ * @param {Array} [rates] - exchangeRates documents, for foreign-currency bills
+ * @throws {Error} if an exchange rate is missing
+ */
+export function billPaymentEntryDraft(payment, accounts, rates = []) {
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const ref = payment.reference ? ` (${payment.reference})` : "";
+  const lines = [
+    accountLine(byId, payment.apAccountId, payment.amount, "debit"),
+    accountLine(byId, payment.cashAccountId, payment.amount, "credit"),
+  ];
+  return {
+    type: "regular",
+    date: payment.date,
+    description: `Payment to ${payment.vendorName} for bill ${payment.billNumber}${ref}`,
+    lines: convertedLines(lines, byId, payment.apAccountId, rates, payment.date),
+    billId: payment.billId,
+    vendorId: payment.vendorId,
+    paymentId: payment.id,
+  };
+}
+
+// ==================== Reports ====================
+
+/**
+ * AP aging as of a date for one control account, tied to its ledger balance.
+ * @param {object} data - { accounts, bills, payments, entriesById, ledger }
+ * @param {string} apAccountId
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @returns {{ report, tieOut }} agingReport() and controlAccountTieOut()
+ */
+export function payablesAging({ accounts, bills, payments, entriesById, ledger }, apAccountId, asOf) {
+  const mine = bills.filter((b) => b.apAccountId === apAccountId);
+  const items = documentBalances(mine, payments, "billId", entriesById, asOf).map((b) => ({
+    id: b.document.id,
+    partyId: b.document.vendorId,
+    partyName: b.document.vendorName,
+    date: b.document.date,
+    dueDate: b.document.dueDate,
+    balance: b.balance,
+  }));
+  const report = agingReport(items, asOf);
+  return { report, tieOut: controlAccountTieOut(accounts, ledger, apAccountId, asOf, report.total) };
+}
+
+/**
+ * Unpaid bills due on or before the end of the week starting `from` (seven
+ * days including `from`), overdue ones included, earliest due first. Bills
+ * whose entry was rejected, or whose payments already cover them, are left out.
+ *
+ * @param {object} data - { bills, payments, entriesById }
+ * @param {string} from - "YYYY-MM-DD", normally today
+ * @returns {Array<{bill, remaining: number, overdue: boolean}>}
+ */
+export function billsDueThisWeek({ bills, payments, entriesById }, from) {
+  const end = addDays(from, 6);
+  return documentBalances(bills, payments, "billId", entriesById, from)
+    .filter((b) => b.status !== "rejected" && b.document.dueDate <= end)
+    .map((b) => ({
+      bill: b.document,
+      remaining: round(Number(b.document.total) - b.committed),
+      overdue: b.document.dueDate < from,
+    }))
+    .filter((b) => b.remaining > 0)
+    .sort((a, b) => a.bill.dueDate.localeCompare(b.bill.dueDate));
+}
+
+// ==================== Persistence ====================
+
+const byName = (a, b) => (a.name || "").localeCompare(b.name || "");
+
+export async function loadVendors() {
+  const snap = await getDocs(companyCollection("vendors"));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() })).sort(byName);
+}
+
+/**
+ * Everything the payables page needs: vendors, bills (newest first),
+ * payments and the journal entries they link to, keyed by id.
+ */
+export async function loadPayables() {
+  const [vendors, billSnap, paySnap, jeSnap] = await Promise.all([
+    loadVendors(),
+    getDocs(companyCollection("bills")),
+    getDocs(companyCollection("vendorPayments")),
+    getDocs(query(companyCollection("journalEntries"), where("billId", "!=", null))),
+  ]);
+  const newestFirst = (a, b) => (b.date || "").localeCompare(a.date || "") || (b.number || "").localeCompare(a.number || "");
+  return {
+    vendors,
+    bills: billSnap.docs.map((d) => ({ id: d.id, ...d.data() })).sort(newestFirst),
+    payments: paySnap.docs.map((d) => ({ id: d.id, ...d.data() })).sort(newestFirst),
+    entriesById: Object.fromEntries(jeSnap.docs.map((d) => [d.id, { id: d.id, ...d.data() }])),
+  };
+}
+
+/**
+ * Create or update a vendor.
+ * @throws {Error} if the draft is invalid
+ */
+export async function saveVendor(draft, userEmail, vendorId = null) {
+  const error = validateVendor(draft);
+  if (error) throw new Error(error);
+
+  const data = {
+    name: draft.name.trim(),
+    email: (draft.email || "").trim(),
+    phone: (draft.phone || "").trim(),
+    address: (draft.address || "").trim(),
+    termsDays: draft.termsDays === "" || draft.termsDays == null ? DEFAULT_TERMS_DAYS : Number(draft.termsDays),
+    active: draft.active !== false,
+  };
+  if (vendorId) {
+    const ref = companyDoc("vendors", vendorId);
+    const before = await getDoc(ref);
+    await updateDoc(ref, { ...data, updatedBy: userEmail, updatedAt: serverTimestamp() });
+    await logEvent("vendor", "update", before.exists() ? before.data() : null, { id: vendorId, ...data });
+    return vendorId;
+  }
+  const ref = doc(companyCollection("vendors"));
+  await setDoc(ref, { ...data, createdBy: userEmail, createdAt: serverTimestamp() });
+  await logEvent("vendor", "create", null, { id: ref.id, ...data });
+  return ref.id;
+}
+
+/**
+ * Save a bill and submit its journal entry for approval. Both are written in
+ * one transaction, so a closed period or a failed write leaves nothing behind.
+ *
+ * @param {object} draft - bill fields
+ * @param {{accounts: Array, vendors: Array, bills: Array}} context
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<string>} bill id
+ * @throws {Error} if the draft is invalid or the period is closed
+ */
+export async function enterBill(draft, { accounts, vendors, bills }, author) {
+  const error = validateBill(draft, accounts, bills);
+  if (error) throw new Error(error);
+
+  const vendor = vendors.find((v) => v.id === draft.vendorId);
+  const ref = doc(companyCollection("bills"));
+  const bill = {
+    number: draft.number.trim(),
+    vendorId: draft.vendorId,
+    vendorName: vendor?.name || "",
+    date: draft.date,
+    dueDate: draft.dueDate,
+    lineItems: draft.lineItems.map((l) => ({
+      description: l.description.trim(),
+      amount: round(Number(l.amount)),
+      accountId: l.accountId,
+    })),
+    total: billTotal(draft.lineItems),
+    currency: accountCurrency(accounts.find((a) => a.id === draft.apAccountId)),
+    apAccountId: draft.apAccountId,
+    memo: (draft.memo || "").trim(),
+    journalId: `${ref.id}_bill`,
+  };
+
+  const entry = billEntryDraft({ id: ref.id, ...bill }, accounts, await loadRates());
+  const invalid = validateJournalEntry(entry, accounts);
+  if (invalid) throw new Error(invalid);
+  await createJournalEntryOnce(bill.journalId, entry, author, {
+    documents: [[ref, { ...bill, createdBy: author.userEmail, createdAt: serverTimestamp() }]],
+  });
+  await logEvent("bill", "create", null, { id: ref.id, ...bill });
+  return ref.id;
+}
+
+/**
+ * Record a payment of a bill and submit its journal entry, in one transaction.
+ *
+ * @param {object} draft - { billId, date, amount, cashAccountId, reference }
+ * @param {{accounts: Array, bills: Array, payments: Array, entriesById: object}} context
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<string>} payment id
+ * @throws {Error} if the payment is invalid or the period is closed
+ */
+export async function payBill(draft, { accounts, bills, payments, entriesById }, author) {
+  const bill = bills.find((b) => b.id === draft.billId);
+  const [balance] = bill ? documentBalances([bill], payments, "billId", entriesById, draft.date) : [];
+  if (balance && balance.status === "rejected") throw new Error(`Bill ${bill.number} was rejected.`);
+  const error = validateBillPayment(draft, bill, balance?.committed || 0, accounts);
+  if (error) throw new Error(error);
+
+  const ref = doc(companyCollection("vendorPayments"));
+  const payment = {
+    vendorId: bill.vendorId,
+    vendorName: bill.vendorName,
+    billId: bill.id,
+    billNumber: bill.number,
+    date: draft.date,
+    amount: round(Number(draft.amount)),
+    reference: (draft.reference || "").trim(),
+    cashAccountId: draft.cashAccountId,
+    apAccountId: bill.apAccountId,
+    journalId: `${ref.id}_payment`,
+  };
+
+  const entry = billPaymentEntryDraft({ id: ref.id, ...payment }, accounts, await loadRates());
+  const invalid = validateJournalEntry(entry, accounts);
+  if (invalid) throw new Error(invalid);
+  await createJournalEntryOnce(payment.journalId, entry, author, {
+    documents: [[ref, { ...payment, createdBy: author.userEmail, createdAt: serverTimestamp() }]],
+  });
+  await logEvent("vendorPayment", "create", null, { id: ref.id, ...payment });
+  return ref.id;
+}
@@ -0,0 +1,94 @@
+import { validateJournalEntry } from "./journal";
+import { billEntryDraft, billPaymentEntryDraft, billsDueThisWeek, payablesAging, validateBill } from "./payables";
+
+const accounts = [
+  { id: "cash", name: "Cash", number: "101", category: "Asset", normalSide: "Debit" },
+  { id: "ap", name: "Accounts Payable", number: "201", category: "Liability", normalSide: "Credit" },
+  { id: "rent", name: "Rent Expense", number: "610", category: "Expense", normalSide: "Debit" },
+  { id: "util", name: "Utilities Expense", number: "620", category: "Expense", normalSide: "Debit" },
+];
+
+const bill = (id, vendorId, date, dueDate, total) => ({
+  id, number: id, vendorId, vendorName: vendorId, date, dueDate, total, apAccountId: "ap", journalId: `${id}_bill`,
+});
+
+test("bills post Dr expense, Cr AP and payments Dr AP, Cr cash", () => {
+  const b = { ...bill("b1", "v1", "2026-03-01", "2026-03-31", 450), lineItems: [
+    { description: "March rent", amount: 400, accountId: "rent" },
+    { description: "Water", amount: 50, accountId: "util" },
+  ] };
+  expect(billEntryDraft(b, accounts).lines.map((l) => [l.accountId, l.side, l.amount])).toEqual([
+    ["rent", "debit", 400],
+    ["util", "debit", 50],
+    ["ap", "credit", 450],
+  ]);
+
+  const pay = billPaymentEntryDraft(
+    { id: "p1", vendorId: "v1", vendorName: "v1", billId: "b1", billNumber: "b1", date: "2026-03-20", amount: 450, cashAccountId: "cash", apAccountId: "ap" },
+    accounts
+  );
+  expect(pay.lines.map((l) => [l.accountId, l.side])).toEqual([["ap", "debit"], ["cash", "credit"]]);
+  expect(pay).toMatchObject({ billId: "b1", vendorId: "v1", paymentId: "p1" });
+});
+
+test("bills against a foreign-currency AP account are entered in its currency", () => {
+  const chart = [...accounts, { id: "apeur", name: "AP EUR", number: "202", category: "Liability", normalSide: "Credit", currency: "EUR" }];
+  const rates = [{ currency: "EUR", date: "2026-01-01", rate: 1.1 }];
+  const b = { ...bill("b2", "v1", "2026-03-01", "2026-03-31", 400), apAccountId: "apeur", lineItems: [
+    { description: "Consulting", amount: 400, accountId: "rent" },
+  ] };
+  const entry = billEntryDraft(b, chart, rates);
+  expect(entry.lines.map((l) => [l.accountId, l.currency, l.transactionAmount, l.amount])).toEqual([
+    ["rent", "USD", 440, 440],
+    ["apeur", "EUR", 400, 440],
+  ]);
+  expect(validateJournalEntry(entry, chart)).toBe("");
+  expect(() => billEntryDraft(b, chart, [])).toThrow(/No EUR exchange rate/);
+});
+
+test("bill numbers are unique per vendor and lines need expense accounts", () => {
+  const draft = {
+    vendorId: "v1", number: "1001", date: "2026-03-01", dueDate: "2026-03-31", apAccountId: "ap",
+    lineItems: [{ description: "Rent", amount: "400", accountId: "rent" }],
+  };
+  expect(validateBill(draft, accounts, [{ vendorId: "v2", number: "1001" }])).toBe("");
+  expect(validateBill(draft, accounts, [{ vendorId: "v1", number: "1001" }])).toMatch(/already entered/);
+  expect(validateBill({ ...draft, apAccountId: "cash" }, accounts)).toMatch(/liability account/);
+  expect(validateBill({ ...draft, lineItems: [{ ...draft.lineItems[0], accountId: "cash" }] }, accounts)).toMatch(/expense account/);
+});
+
+test("bills due this week include overdue ones and skip paid or rejected bills", () => {
+  const bills = [
+    bill("late", "v1", "2026-02-01", "2026-03-01", 100),
+    bill("soon", "v2", "2026-03-01", "2026-03-12", 200),
+    bill("later", "v2", "2026-03-01", "2026-03-20", 300),
+    bill("paid", "v1", "2026-03-01", "2026-03-10", 50),
+    bill("bad", "v1", "2026-03-01", "2026-03-10", 75),
+  ];
+  const payments = [
+    { billId: "soon", amount: 80, journalId: "x_payment", date: "2026-03-05" },
+    { billId: "paid", amount: 50, journalId: "y_payment", date: "2026-03-05" },
+  ];
+  const entriesById = { bad_bill: { status: "rejected" } };
+  const due = billsDueThisWeek({ bills, payments, entriesById }, "2026-03-08");
+  expect(due.map((d) => [d.bill.id, d.remaining, d.overdue])).toEqual([
+    ["late", 100, true],
+    ["soon", 120, false],
+  ]);
+});
+
+test("AP aging counts from due dates and ties to the credit balance of the liability account", () => {
+  const bills = [bill("b1", "v1", "2026-04-20", "2026-05-20", 400), bill("b2", "v2", "2026-01-05", "2026-03-01", 250)];
+  const payments = [{ billId: "b1", date: "2026-05-01", amount: 150, journalId: "p1_payment" }];
+  const entriesById = {
+    b1_bill: { status: "approved" }, b2_bill: { status: "approved" }, p1_payment: { status: "approved" },
+  };
+  const ledger = [
+    { accountId: "ap", date: new Date("2026-04-20"), debit: 0, credit: 400 },
+    { accountId: "ap", date: new Date("2026-01-05"), debit: 0, credit: 250 },
+    { accountId: "ap", date: new Date("2026-05-01"), debit: 150, credit: 0 },
+  ];
+  const { report, tieOut } = payablesAging({ accounts, bills, payments, entriesById, ledger }, "ap", "2026-05-15");
+  expect(report.totals).toEqual([250, 0, 250, 0]);
+  expect(tieOut).toEqual({ ledgerBalance: 500, subledgerTotal: 500, difference: 0 });
+});
@@ -0,0 +1,140 @@
+// src/utils/periods.js
+//
+// Accounting periods: named date ranges with a posting status.
+//
+// accountingPeriods document:
+//   {
+//     name: string,
+//     start: "YYYY-MM-DD", end: "YYYY-MM-DD" (inclusive),
+//     status: "open" | "soft_closed" | "closed",
+//     createdBy / createdAt, updatedBy / updatedAt,
+//     closedBy / closedAt, snapshotId: financialReports id of the closing trial balance
+//   }
+//
+// open        → any entry may be created and approved
+// soft_closed → only adjusting and year-end closing entries may be created and approved
+// closed      → nothing may be created or approved
+import {
+  doc, getDocs, writeBatch, serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { companyCollection, companyDoc } from "./company";
+import { computeBalances, trialBalanceRows, serializeReport } from "./financials";
+
+export const PERIOD_STATUSES = ["open", "soft_closed", "closed"];
+
+export const PERIOD_STATUS_LABELS = {
+  open: "Open",
+  soft_closed: "Soft-closed",
+  closed: "Closed",
+};
+
+/** Load every accounting period, sorted by start date. */
+export async function loadPeriods() {
+  const snap = await getDocs(companyCollection("accountingPeriods"));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (a.start || "").localeCompare(b.start || ""));
+}
+
+/** Normalize a date (string, Date or Timestamp) to "YYYY-MM-DD". */
+function dayKey(date) {
+  if (!date) return "";
+  if (typeof date === "string") return date.slice(0, 10);
+  const d = date.toDate?.() || date;
+  return d instanceof Date && !isNaN(d) ? d.toISOString().slice(0, 10) : "";
+}
+
+/** The period containing `date`, or null. */
+export function periodForDate(periods, date) {
+  const key = dayKey(date);
+  if (!key) return null;
+  return (periods || []).find((p) => p.start <= key && key <= p.end) || null;
+}
+
+/**
+ * Why an entry of `type` cannot be posted into `period`, or "".
+ * A null period (date outside every defined period) is allowed.
+ */
+export function periodPostingError(period, type = "regular") {
+  if (!period) return "";
+  if (period.status === "closed") {
+    return `Accounting period "${period.name}" is closed; entries dated ${period.start} to ${period.end} are not allowed.`;
+  }
+  if (period.status === "soft_closed" && type !== "adjusting" && type !== "closing") {
+    return `Accounting period "${period.name}" is soft-closed; only adjusting and closing entries are allowed.`;
+  }
+  return "";
+}
+
+/** Load periods and check a journal date. Returns an error message or "". */
+export async function checkPostingPeriod(date, type = "regular") {
+  const periods = await loadPeriods();
+  return periodPostingError(periodForDate(periods, date), type);
+}
+
+/**
+ * Validate a period draft against existing periods. Returns an error message or "".
+ * @param {{name: string, start: string, end: string}} draft
+ * @param {Array} periods - existing periods
+ * @param {string} [ignoreId] - id of the period being edited
+ */
+export function validatePeriod(draft, periods, ignoreId) {
+  const { name, start, end } = draft || {};
+  if (!name || !name.trim()) return "Period name is required.";
+  if (!start || !end) return "Start and end dates are required.";
+  if (start > end) return "Start date must be on or before the end date.";
+
+  const overlap = (periods || []).find(
+    (p) => p.id !== ignoreId && p.start <= end && start <= p.end
+  );
+  if (overlap) return `Dates overlap the existing period "${overlap.name}".`;
+  return "";
+}
+
+/**
+ * Close a period: snapshot its trial balance into financialReports and mark it
+ * closed in the same batch, so a closed period always has a snapshot.
+ * The trial balance is as of the period end (all activity up to that date).
+ *
+ * @returns {Promise<string>} the financialReports id of the snapshot
+ */
+export async function closePeriod(period, userEmail) {
+  const [accSnap, ledSnap] = await Promise.all([
+    getDocs(companyCollection("accounts")),
+    getDocs(companyCollection("ledgerEntries")),
+  ]);
+  const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const ledger = ledSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const tb = trialBalanceRows(computeBalances(accounts, ledger, null, period.end));
+
+  const reportRef = doc(companyCollection("financialReports"));
+  const batch = writeBatch(db);
+
+  batch.set(reportRef, {
+    createdAt: serverTimestamp(),
+    createdBy: userEmail,
+    type: "Trial Balance",
+    period: { from: period.start, to: period.end },
+    periodId: period.id,
+    periodClose: true,
+    payload: serializeReport({
+      kind: "Trial Balance",
+      period: { from: period.start, to: period.end },
+      ...tb,
+    }),
+  });
+
+  batch.update(companyDoc("accountingPeriods", period.id), {
+    status: "closed",
+    closedBy: userEmail,
+    closedAt: serverTimestamp(),
+    snapshotId: reportRef.id,
+    updatedBy: userEmail,
+    updatedAt: serverTimestamp(),
+  });
+
+  await batch.commit();
+  return reportRef.id;
+}
@@ -0,0 +1,100 @@
+import { getDoc, doc, __store as store } from "firebase/firestore";
+import { db } from "../firebase";
+import { closePeriod, periodForDate, periodPostingError, validatePeriod } from "./periods";
+
+jest.mock("../firebase", () => ({ db: {}, auth: {} }));
+
+jest.mock("firebase/firestore", () => require("./testing/firestore"));
+
+beforeEach(() => store.clear());
+
+const periods = [
+  { id: "jan", name: "January 2026", start: "2026-01-01", end: "2026-01-31", status: "closed" },
+  { id: "feb", name: "February 2026", start: "2026-02-01", end: "2026-02-28", status: "soft_closed" },
+  { id: "mar", name: "March 2026", start: "2026-03-01", end: "2026-03-31", status: "open" },
+];
+
+test("a period needs a name and an ordered date range", () => {
+  expect(validatePeriod({ name: "April 2026", start: "2026-04-01", end: "2026-04-30" }, periods)).toBe("");
+  expect(validatePeriod({ name: "One day", start: "2026-04-01", end: "2026-04-01" }, periods)).toBe("");
+  expect(validatePeriod({ name: "  ", start: "2026-04-01", end: "2026-04-30" }, periods)).toMatch(/name is required/);
+  expect(validatePeriod({ name: "April 2026", start: "2026-04-01" }, periods)).toMatch(/dates are required/);
+  expect(validatePeriod({ name: "April 2026", start: "2026-04-30", end: "2026-04-01" }, periods)).toMatch(
+    /on or before the end/
+  );
+});
+
+test("periods may not overlap, except the one being edited", () => {
+  expect(validatePeriod({ name: "Q1", start: "2026-03-31", end: "2026-06-30" }, periods)).toMatch(
+    /overlap the existing period "March 2026"/
+  );
+  expect(validatePeriod({ name: "March 2026", start: "2026-03-01", end: "2026-03-30" }, periods, "mar")).toBe("");
+});
+
+test("open periods accept regular and adjusting entries", () => {
+  const open = periods[2];
+  expect(periodPostingError(open)).toBe("");
+  expect(periodPostingError(open, "regular")).toBe("");
+  expect(periodPostingError(open, "adjusting")).toBe("");
+});
+
+test("soft-closed periods accept adjusting and closing entries only", () => {
+  const soft = periods[1];
+  expect(periodPostingError(soft, "regular")).toMatch(/"February 2026" is soft-closed/);
+  expect(periodPostingError(soft, "adjusting")).toBe("");
+  expect(periodPostingError(soft, "closing")).toBe("");
+});
+
+test("closed periods accept nothing", () => {
+  const closed = periods[0];
+  expect(periodPostingError(closed, "regular")).toMatch(/"January 2026" is closed/);
+  expect(periodPostingError(closed, "adjusting")).toMatch(/is closed/);
+  expect(periodPostingError(closed, "closing")).toMatch(/is closed/);
+});
+
+test("dates outside every period are not restricted", () => {
+  expect(periodPostingError(null, "regular")).toBe("");
+  expect(periodPostingError(periodForDate(periods, "2025-12-31"), "regular")).toBe("");
+});
+
+test("a date falls in the period whose inclusive range contains it", () => {
+  expect(periodForDate(periods, "2026-01-01").id).toBe("jan");
+  expect(periodForDate(periods, "2026-01-31").id).toBe("jan");
+  expect(periodForDate(periods, "2026-02-14T10:00:00").id).toBe("feb");
+  expect(periodForDate(periods, new Date("2026-03-15T12:00:00Z")).id).toBe("mar");
+  expect(periodForDate(periods, { toDate: () => new Date("2026-03-31T12:00:00Z") }).id).toBe("mar");
+  expect(periodForDate(periods, "2026-04-01")).toBeNull();
+  expect(periodForDate(periods, "")).toBeNull();
+  expect(periodForDate(periods, new Date("not a date"))).toBeNull();
+});
+
+test("closing a period snapshots its trial balance and marks it closed", async () => {
+  store.set("accounts/cash", { name: "Cash", number: "101", category: "Asset", normalSide: "Debit", initialBalance: 100 });
+  store.set("accounts/capital", { name: "Capital", number: "301", category: "Equity", normalSide: "Credit", initialBalance: 100 });
+  store.set("accounts/sales", { name: "Sales", number: "401", category: "Revenue", normalSide: "Credit" });
+  store.set("accountingPeriods/mar", { ...periods[2] });
+  store.set("ledgerEntries/a", { accountId: "cash", date: "2026-03-10", debit: 250, credit: 0 });
+  store.set("ledgerEntries/b", { accountId: "sales", date: "2026-03-10", debit: 0, credit: 250 });
+  // After the period end, so not in the snapshot
+  store.set("ledgerEntries/c", { accountId: "cash", date: "2026-04-02", debit: 75, credit: 0 });
+  store.set("ledgerEntries/d", { accountId: "sales", date: "2026-04-02", debit: 0, credit: 75 });
+
+  const reportId = await closePeriod(periods[2], "manager@example.com");
+
+  const period = (await getDoc(doc(db, "accountingPeriods", "mar"))).data();
+  expect(period).toMatchObject({ status: "closed", closedBy: "manager@example.com", snapshotId: reportId });
+
+  const report = (await getDoc(doc(db, "financialReports", reportId))).data();
+  expect(report).toMatchObject({
+    type: "Trial Balance",
+    periodId: "mar",
+    periodClose: true,
+    period: { from: "2026-03-01", to: "2026-03-31" },
+  });
+  const row = (id) => report.payload.rows.find((r) => r.account.id === id);
+  expect(row("cash")).toMatchObject({ debit: 350, credit: 0 });
+  expect(row("sales")).toMatchObject({ debit: 0, credit: 250 });
+  expect(row("capital")).toMatchObject({ debit: 0, credit: 100 });
+  expect(report.payload.totalD).toBe(350);
+  expect(report.payload.totalC).toBe(350);
+});
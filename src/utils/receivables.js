@@ -0,0 +1,403 @@
+// src/utils/receivables.js
+//
+// Accounts receivable subledger: customers, invoices and customer payments.
+//
+// customers document:
+//   {
+//     name: string, email: string, phone: string, address: string,
+//     termsDays: number (default due date = invoice date + terms),
+//     active: boolean,
+//     createdBy / createdAt, updatedBy / updatedAt
+//   }
+//
+// invoices document:
+//   {
+//     number: "INV-0001" (unique),
+//     customerId, customerName,
+//     date: "YYYY-MM-DD", dueDate: "YYYY-MM-DD",
+//     lineItems: [{ description, quantity, unitPrice, amount, accountId }],  ← revenue accounts
+//     total: number,
+//     currency: string (the AR control account's; all amounts are in it),
+//     arAccountId: string (the AR control account),
+//     memo: string,
+//     journalId: string,
+//     createdBy / createdAt
+//   }
+//
+// customerPayments document:
+//   {
+//     customerId, customerName, invoiceId, invoiceNumber,
+//     date: "YYYY-MM-DD", amount: number, reference: string,
+//     cashAccountId, arAccountId,
+//     journalId: string,
+//     createdBy / createdAt
+//   }
+//
+// Posting an invoice submits a regular journal entry (Dr AR control, Cr each
+// revenue account) and receiving a payment submits Dr cash, Cr AR control.
+// Both go through the normal approval workflow under the ids
+// `<invoiceId>_invoice` / `<paymentId>_payment` and carry invoiceId /
+// customerId (and paymentId). An invoice's status and open balance follow the
+// status of those entries (aging.js), so the aging report ties to the control
+// account balance. Lines on accounts in another currency are converted at the
+// rate on the invoice or payment date (currency.js convertLines).
+import {
+  doc, getDoc, getDocs, query, serverTimestamp, setDoc, updateDoc, where,
+} from "firebase/firestore";
+import { companyCollection, companyDoc } from "./company";
+import { agingReport, controlAccountTieOut, documentBalances } from "./aging";
+import { convertLines, loadRates } from "./currency";
+import { accountCurrency } from "./financials";
+import { createJournalEntryOnce, validateJournalEntry } from "./journal";
+import { logEvent } from "./logEvent";
+
+export const DEFAULT_TERMS_DAYS = 30;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/** Next free "INV-0001" style number. */
+export function nextInvoiceNumber(invoices) {
+  const max = (invoices || []).reduce((m, inv) => {
+    const n = Number(/^INV-(\d+)$/.exec(inv.number || "")?.[1] || 0);
+    return Math.max(m, n);
+  }, 0);
+  return `INV-${String(max + 1).padStart(4, "0")}`;
+}
+
+/** Line amount (quantity × unit price) and invoice total, to the cent. */
+export function invoiceTotals(lineItems) {
+  const lines = (lineItems || []).map((l) => ({
+    ...l,
+    amount: round(Number(l.quantity) * Number(l.unitPrice)),
+  }));
+  return { lines, total: round(lines.reduce((s, l) => s + l.amount, 0)) };
+}
+
+// ==================== Validation ====================
+
+/** Error message for an account used in a given role, or "". */
+function accountError(account, label, category) {
+  if (!account) return `${label} is required.`;
+  if (account.active === false) return `${label} "${account.name}" is inactive.`;
+  if (account.category && account.category !== category) {
+    return `${label} must be ${category === "Asset" ? "an asset" : `a ${category.toLowerCase()}`} account.`;
+  }
+  return "";
+}
+
+export function validateCustomer(draft) {
+  const d = draft || {};
+  if (!d.name || !d.name.trim()) return "Customer name is required.";
+  if (d.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(d.email.trim())) return "Enter a valid email address.";
+  const terms = Number(d.termsDays);
+  if (d.termsDays !== "" && d.termsDays != null && !(Number.isInteger(terms) && terms >= 0)) {
+    return "Payment terms must be a whole number of days.";
+  }
+  return "";
+}
+
+/**
+ * Validate an invoice draft. Returns an error message, or "" when valid.
+ * @param {object} draft - invoice fields (numbers may be strings from inputs)
+ * @param {Array} accounts - chart of accounts
+ * @param {Array} invoices - existing invoices, for number uniqueness
+ */
+export function validateInvoice(draft, accounts, invoices = []) {
+  const d = draft || {};
+  if (!d.customerId) return "Choose a customer.";
+  const number = (d.number || "").trim();
+  if (!number) return "Invoice number is required.";
+  if (invoices.some((inv) => inv.number === number)) return `Invoice number ${number} is already used.`;
+  if (!d.date || isNaN(new Date(d.date).getTime())) return "A valid invoice date is required.";
+  if (!d.dueDate || isNaN(new Date(d.dueDate).getTime())) return "A valid due date is required.";
+  if (d.dueDate < d.date) return "The due date cannot be before the invoice date.";
+
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const arError = accountError(byId[d.arAccountId], "Receivable account", "Asset");
+  if (arError) return arError;
+
+  const items = d.lineItems || [];
+  if (!items.length) return "Add at least one line item.";
+  for (const [i, item] of items.entries()) {
+    const n = i + 1;
+    if (!item.description || !item.description.trim()) return `Line ${n}: description is required.`;
+    if (!(Number(item.quantity) > 0)) return `Line ${n}: quantity must be greater than zero.`;
+    if (!(Number(item.unitPrice) > 0)) return `Line ${n}: unit price must be greater than zero.`;
+    const revError = accountError(byId[item.accountId], `Line ${n}: revenue account`, "Revenue");
+    if (revError) return revError;
+  }
+  return "";
+}
+
+/**
+ * Validate a payment against its invoice. Returns an error message, or "".
+ * @param {object} draft - { invoiceId, date, amount, cashAccountId }
+ * @param {object} invoice - the invoice being paid
+ * @param {number} committed - payments already recorded against it (not rejected)
+ * @param {Array} accounts - chart of accounts
+ */
+export function validatePayment(draft, invoice, committed, accounts) {
+  const d = draft || {};
+  if (!invoice) return "Choose an invoice.";
+  if (!d.date || isNaN(new Date(d.date).getTime())) return "A valid payment date is required.";
+  if (d.date < invoice.date) return "The payment date cannot be before the invoice date.";
+
+  const amount = Number(d.amount);
+  if (!(amount > 0)) return "Payment amount must be greater than zero.";
+  const remaining = round(Number(invoice.total) - committed);
+  if (round(amount) > remaining) {
+    return `Payment exceeds the amount still due on ${invoice.number} (${remaining.toFixed(2)}).`;
+  }
+
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const cashError = accountError(byId[d.cashAccountId], "Deposit account", "Asset");
+  if (cashError) return cashError;
+  if (d.cashAccountId === invoice.arAccountId) return "Deposit the payment to a cash account, not the receivable account.";
+  return "";
+}
+
+// ==================== Journal drafts ====================
+
+function accountLine(byId, accountId, amount, side) {
+  return {
+    accountId,
+    accountName: byId[accountId]?.name || "",
+    accountNumber: String(byId[accountId]?.number || ""),
+    amount: round(amount),
+    side,
+  };
+}
+
+/**
+ * Lines in the AR control account's currency, converted to functional amounts.
+ * @throws {Error} if a rate is missing
+ */
+function convertedLines(lines, byId, arAccountId, rates, date) {
+  const { lines: converted, error } = convertLines(
+    lines, Object.values(byId), rates, date, accountCurrency(byId[arAccountId])
+  );
+  if (error) throw new Error(error);
+  return converted;
+}
+
+/**
+ * Journal draft for an invoice: Dr AR control for the total, Cr each revenue
+ * account for its line items.
+ * @param {object} invoice - with `id`
+ * @param {Array} accounts - chart of accounts, for names, numbers and currencies
+ * @param {Array} [rates] - exchangeRates documents, for foreign-currency invoices
+ * @throws {Error} if an exchange rate is missing
+ */
+export function invoiceEntryDraft(invoice, accounts, rates = []) {
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const revenue = new Map();
+  for (const item of invoice.lineItems) {
+    revenue.set(item.accountId, (revenue.get(item.accountId) || 0) + Number(item.amount));
+  }
+  const lines = [
+    accountLine(byId, invoice.arAccountId, invoice.total, "debit"),
+    ...[...revenue].map(([accountId, amount]) => accountLine(byId, accountId, amount, "credit")),
+  ];
+  return {
+    type: "regular",
+    date: invoice.date,
+    description: `Invoice ${invoice.number} — ${invoice.customerName}`,
+    lines: convertedLines(lines, byId, invoice.arAccountId, rates, invoice.date),
+    invoiceId: invoice.id,
+    customerId: invoice.customerId,
+  };
+}
+
+/**
+ * Journal draft for a customer payment: Dr cash, Cr AR control.
+ * @param {object} payment - with `id`
+ * @param {Array} accounts - chart of accounts
+ * @param {Array} [rates] - exchangeRates documents, for foreign-currency invoices
+ * @throws {Error} if an exchange rate is missing
+ */
+export function paymentEntryDraft(payment, accounts, rates = []) {
+  const byId = Object.fromEntries((accounts || []).map((a) => [a.id, a]));
+  const ref = payment.reference ? ` (${payment.reference})` : "";
+  const lines = [
+    accountLine(byId, payment.cashAccountId, payment.amount, "debit"),
+    accountLine(byId, payment.arAccountId, payment.amount, "credit"),
+  ];
+  return {
+    type: "regular",
+    date: payment.date,
+    description: `Payment from ${payment.customerName} on ${payment.invoiceNumber}${ref}`,
+    lines: convertedLines(lines, byId, payment.arAccountId, rates, payment.date),
+    invoiceId: payment.invoiceId,
+    customerId: payment.customerId,
+    paymentId: payment.id,
+  };
+}
+
+// ==================== Aging ====================
+
+/**
+ * AR aging as of a date for one control account, tied to its ledger balance.
+ * @param {object} data - { accounts, invoices, payments, entriesById, ledger }
+ * @param {string} arAccountId
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @returns {{ report, tieOut }} agingReport() and controlAccountTieOut()
+ */
+export function receivablesAging({ accounts, invoices, payments, entriesById, ledger }, arAccountId, asOf) {
+  const mine = invoices.filter((inv) => inv.arAccountId === arAccountId);
+  const items = documentBalances(mine, payments, "invoiceId", entriesById, asOf).map((b) => ({
+    id: b.document.id,
+    partyId: b.document.customerId,
+    partyName: b.document.customerName,
+    date: b.document.date,
+    dueDate: b.document.dueDate,
+    balance: b.balance,
+  }));
+  const report = agingReport(items, asOf);
+  return { report, tieOut: controlAccountTieOut(accounts, ledger, arAccountId, asOf, report.total) };
+}
+
+// ==================== Persistence ====================
+
+const byName = (a, b) => (a.name || "").localeCompare(b.name || "");
+
+export async function loadCustomers() {
+  const snap = await getDocs(companyCollection("customers"));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() })).sort(byName);
+}
+
+/**
+ * Everything the receivables page needs: customers, invoices (newest first),
+ * payments and the journal entries they link to, keyed by id.
+ */
+export async function loadReceivables() {
+  const [customers, invSnap, paySnap, jeSnap] = await Promise.all([
+    loadCustomers(),
+    getDocs(companyCollection("invoices")),
+    getDocs(companyCollection("customerPayments")),
+    getDocs(query(companyCollection("journalEntries"), where("invoiceId", "!=", null))),
+  ]);
+  const newestFirst = (a, b) => (b.date || "").localeCompare(a.date || "") || (b.number || "").localeCompare(a.number || "");
+  return {
+    customers,
+    invoices: invSnap.docs.map((d) => ({ id: d.id, ...d.data() })).sort(newestFirst),
+    payments: paySnap.docs.map((d) => ({ id: d.id, ...d.data() })).sort(newestFirst),
+    entriesById: Object.fromEntries(jeSnap.docs.map((d) => [d.id, { id: d.id, ...d.data() }])),
+  };
+}
+
+/**
+ * Create or update a customer.
+ * @throws {Error} if the draft is invalid
+ */
+export async function saveCustomer(draft, userEmail, customerId = null) {
+  const error = validateCustomer(draft);
+  if (error) throw new Error(error);
+
+  const data = {
+    name: draft.name.trim(),
+    email: (draft.email || "").trim(),
+    phone: (draft.phone || "").trim(),
+    address: (draft.address || "").trim(),
+    termsDays: draft.termsDays === "" || draft.termsDays == null ? DEFAULT_TERMS_DAYS : Number(draft.termsDays),
+    active: draft.active !== false,
+  };
+  if (customerId) {
+    const ref = companyDoc("customers", customerId);
+    const before = await getDoc(ref);
+    await updateDoc(ref, { ...data, updatedBy: userEmail, updatedAt: serverTimestamp() });
+    await logEvent("customer", "update", before.exists() ? before.data() : null, { id: customerId, ...data });
+    return customerId;
+  }
+  const ref = doc(companyCollection("customers"));
+  await setDoc(ref, { ...data, createdBy: userEmail, createdAt: serverTimestamp() });
+  await logEvent("customer", "create", null, { id: ref.id, ...data });
+  return ref.id;
+}
+
+/**
+ * Save an invoice and submit its journal entry for approval. Both are written
+ * in one transaction, so a closed period or a failed write leaves nothing behind.
+ *
+ * @param {object} draft - invoice fields
+ * @param {{accounts: Array, customers: Array, invoices: Array}} context
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<string>} invoice id
+ * @throws {Error} if the draft is invalid or the period is closed
+ */
+export async function postInvoice(draft, { accounts, customers, invoices }, author) {
+  const error = validateInvoice(draft, accounts, invoices);
+  if (error) throw new Error(error);
+
+  const customer = customers.find((c) => c.id === draft.customerId);
+  const { lines, total } = invoiceTotals(draft.lineItems);
+  const ref = doc(companyCollection("invoices"));
+  const invoice = {
+    number: draft.number.trim(),
+    customerId: draft.customerId,
+    customerName: customer?.name || "",
+    date: draft.date,
+    dueDate: draft.dueDate,
+    lineItems: lines.map((l) => ({
+      description: l.description.trim(),
+      quantity: Number(l.quantity),
+      unitPrice: round(Number(l.unitPrice)),
+      amount: l.amount,
+      accountId: l.accountId,
+    })),
+    total,
+    currency: accountCurrency(accounts.find((a) => a.id === draft.arAccountId)),
+    arAccountId: draft.arAccountId,
+    memo: (draft.memo || "").trim(),
+    journalId: `${ref.id}_invoice`,
+  };
+
+  const entry = invoiceEntryDraft({ id: ref.id, ...invoice }, accounts, await loadRates());
+  const invalid = validateJournalEntry(entry, accounts);
+  if (invalid) throw new Error(invalid);
+  await createJournalEntryOnce(invoice.journalId, entry, author, {
+    documents: [[ref, { ...invoice, createdBy: author.userEmail, createdAt: serverTimestamp() }]],
+  });
+  await logEvent("invoice", "create", null, { id: ref.id, ...invoice });
+  return ref.id;
+}
+
+/**
+ * Record a customer payment against an invoice and submit its journal entry,
+ * in one transaction.
+ *
+ * @param {object} draft - { invoiceId, date, amount, cashAccountId, reference }
+ * @param {{accounts: Array, invoices: Array, payments: Array, entriesById: object}} context
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<string>} payment id
+ * @throws {Error} if the payment is invalid or the period is closed
+ */
+export async function receivePayment(draft, { accounts, invoices, payments, entriesById }, author) {
+  const invoice = invoices.find((inv) => inv.id === draft.invoiceId);
+  const [balance] = invoice ? documentBalances([invoice], payments, "invoiceId", entriesById, draft.date) : [];
+  if (balance && balance.status === "rejected") throw new Error(`Invoice ${invoice.number} was rejected.`);
+  const error = validatePayment(draft, invoice, balance?.committed || 0, accounts);
+  if (error) throw new Error(error);
+
+  const ref = doc(companyCollection("customerPayments"));
+  const payment = {
+    customerId: invoice.customerId,
+    customerName: invoice.customerName,
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.number,
+    date: draft.date,
+    amount: round(Number(draft.amount)),
+    reference: (draft.reference || "").trim(),
+    cashAccountId: draft.cashAccountId,
+    arAccountId: invoice.arAccountId,
+    journalId: `${ref.id}_payment`,
+  };
+
+  const entry = paymentEntryDraft({ id: ref.id, ...payment }, accounts, await loadRates());
+  const invalid = validateJournalEntry(entry, accounts);
+  if (invalid) throw new Error(invalid);
+  await createJournalEntryOnce(payment.journalId, entry, author, {
+    documents: [[ref, { ...payment, createdBy: author.userEmail, createdAt: serverTimestamp() }]],
+  });
+  await logEvent("customerPayment", "create", null, { id: ref.id, ...payment });
+  return ref.id;
+}
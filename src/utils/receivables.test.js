@@ -0,0 +1,99 @@
+import { agingBucket, agingReport } from "./aging";
+import { invoiceEntryDraft, invoiceTotals, receivablesAging, validateInvoice, validatePayment } from "./receivables";
+
+const accounts = [
+  { id: "cash", name: "Cash", number: "101", category: "Asset", normalSide: "Debit" },
+  { id: "ar", name: "Accounts Receivable", number: "120", category: "Asset", normalSide: "Debit" },
+  { id: "svc", name: "Service Revenue", number: "401", category: "Revenue", normalSide: "Credit" },
+  { id: "goods", name: "Sales", number: "402", category: "Revenue", normalSide: "Credit" },
+];
+
+const invoice = (id, customerId, date, total, status = "approved") => ({
+  invoice: { id, number: id, customerId, customerName: customerId, date, total, arAccountId: "ar", journalId: `${id}_invoice` },
+  entry: [`${id}_invoice`, { status }],
+});
+
+test("line items total to the cent and post as Dr AR, Cr each revenue account", () => {
+  const { lines, total } = invoiceTotals([
+    { description: "Setup", quantity: "3", unitPrice: "33.33", accountId: "svc" },
+    { description: "Widget", quantity: 2, unitPrice: 10, accountId: "goods" },
+    { description: "Support", quantity: 1, unitPrice: 5, accountId: "svc" },
+  ]);
+  expect(total).toBe(124.99);
+
+  const draft = invoiceEntryDraft(
+    { id: "i1", number: "INV-0001", customerId: "c1", customerName: "Acme", date: "2026-03-01", arAccountId: "ar", lineItems: lines, total },
+    accounts
+  );
+  expect(draft.lines.map((l) => [l.accountId, l.side, l.amount])).toEqual([
+    ["ar", "debit", 124.99],
+    ["svc", "credit", 104.99],
+    ["goods", "credit", 20],
+  ]);
+  expect(draft).toMatchObject({ invoiceId: "i1", customerId: "c1" });
+});
+
+test("invoices and payments are checked before anything posts", () => {
+  const draft = {
+    customerId: "c1", number: "INV-0002", date: "2026-03-01", dueDate: "2026-03-31", arAccountId: "ar",
+    lineItems: [{ description: "Work", quantity: 1, unitPrice: 100, accountId: "svc" }],
+  };
+  expect(validateInvoice(draft, accounts, [{ number: "INV-0001" }])).toBe("");
+  expect(validateInvoice(draft, accounts, [{ number: "INV-0002" }])).toMatch(/already used/);
+  expect(validateInvoice({ ...draft, lineItems: [{ ...draft.lineItems[0], accountId: "cash" }] }, accounts)).toMatch(/revenue account/);
+
+  const inv = { number: "INV-0002", date: "2026-03-01", total: 100, arAccountId: "ar" };
+  expect(validatePayment({ date: "2026-03-10", amount: 60, cashAccountId: "cash" }, inv, 40, accounts)).toBe("");
+  expect(validatePayment({ date: "2026-03-10", amount: 60.01, cashAccountId: "cash" }, inv, 40, accounts)).toMatch(/exceeds/);
+  expect(validatePayment({ date: "2026-03-10", amount: 10, cashAccountId: "ar" }, inv, 0, accounts)).toMatch(/cash account/);
+});
+
+test("aging buckets open balances by days outstanding", () => {
+  expect([0, 30, 31, 60, 61, 90, 91, -5].map(agingBucket)).toEqual([0, 0, 1, 1, 2, 2, 3, 0]);
+});
+
+test("aging counts from the due date when there is one", () => {
+  const items = [
+    { id: "i1", partyId: "acme", partyName: "Acme", date: "2026-01-01", dueDate: "2026-03-15", balance: 100 },
+    { id: "i2", partyId: "acme", partyName: "Acme", date: "2026-01-01", dueDate: "2026-04-30", balance: 40 },
+    { id: "i3", partyId: "acme", partyName: "Acme", date: "2026-01-01", balance: 10 },
+  ];
+  expect(agingReport(items, "2026-04-20").totals).toEqual([40, 100, 0, 10]);
+});
+
+test("aging counts approved postings only and ties to the AR control account", () => {
+  const rows = [
+    invoice("i1", "acme", "2026-05-20", 500),
+    invoice("i2", "acme", "2026-03-15", 300),
+    invoice("i3", "beta", "2026-01-10", 200),
+    invoice("i4", "beta", "2026-05-25", 999, "pending"),
+    invoice("i5", "beta", "2026-05-25", 50, "rejected"),
+  ];
+  const payments = [
+    { invoiceId: "i1", date: "2026-05-28", amount: 100, journalId: "p1_payment" },
+    { invoiceId: "i2", date: "2026-05-28", amount: 300, journalId: "p2_payment" }, // not approved yet
+  ];
+  const entriesById = Object.fromEntries([
+    ...rows.map((r) => r.entry),
+    ["p1_payment", { status: "approved" }],
+    ["p2_payment", { status: "pending" }],
+  ]);
+  // Posted AR lines: the three approved invoices and the approved payment
+  const ledger = [
+    { accountId: "ar", date: new Date("2026-05-20"), debit: 500, credit: 0 },
+    { accountId: "ar", date: new Date("2026-03-15"), debit: 300, credit: 0 },
+    { accountId: "ar", date: new Date("2026-01-10"), debit: 200, credit: 0 },
+    { accountId: "ar", date: new Date("2026-05-28"), debit: 0, credit: 100 },
+  ];
+
+  const { report, tieOut } = receivablesAging(
+    { accounts, invoices: rows.map((r) => r.invoice), payments, entriesById, ledger },
+    "ar",
+    "2026-05-31"
+  );
+  expect(report.rows).toEqual([
+    { partyId: "acme", partyName: "acme", buckets: [400, 0, 300, 0], total: 700 },
+    { partyId: "beta", partyName: "beta", buckets: [0, 0, 0, 200], total: 200 },
+  ]);
+  expect(tieOut).toEqual({ ledgerBalance: 900, subledgerTotal: 900, difference: 0 });
+});
@@ -0,0 +1,355 @@
+// src/utils/reconciliation.js
+//
+// Bank reconciliation of a cash account against a bank statement.
+//
+// bankReconciliations document (id `<accountId>_<statementDate>`, one per
+// account and statement date):
+//   {
+//     accountId, accountName, accountNumber,
+//     statementDate: "YYYY-MM-DD", statementBalance: number, fileName,
+//     lines: [{ id, date, description, amount }],    ← statement; + deposit, − withdrawal
+//     matches: [{ lineIds: [id], ledgerIds: [id] }], ← sums must be equal
+//     summary: { ...reconciliationSummary() },
+//     outstanding: [{ ledgerId, date, description, amount }],
+//     status: "draft" | "finalized",
+//     createdBy / updatedAt, finalizedBy / finalizedAt
+//   }
+//
+// Finalizing stamps every matched ledgerEntries line with `reconciliationId`;
+// those lines have cleared the bank and are left out of later reconciliations.
+// Unmatched book lines stay outstanding and carry forward.
+//
+// A foreign-currency account is reconciled in its own currency: ledger lines
+// are compared by transactionDebit / transactionCredit, since that is what the
+// bank statement shows.
+import {
+  getDoc, getDocs, query, serverTimestamp, setDoc, where, writeBatch,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { companyCollection, companyDoc } from "./company";
+import { FUNCTIONAL_CURRENCY, accountCurrency } from "./financials";
+import { parseAmount, parseDate, readRecords } from "./imports";
+import { logEvent } from "./logEvent";
+
+const BATCH_LIMIT = 400;
+
+/** Days a statement line may be off from its ledger line and still auto-match. */
+export const MATCH_DAY_TOLERANCE = 3;
+
+const round = (n) => Math.round(n * 100) / 100;
+const cents = (n) => Math.round(Number(n || 0) * 100);
+
+// ==================== Statement import ====================
+
+const STATEMENT_FIELDS = {
+  date: ["date", "transactiondate", "posteddate", "postingdate"],
+  description: ["description", "details", "memo", "payee", "name"],
+  amount: ["amount", "transactionamount"],
+  withdrawal: ["withdrawal", "withdrawals", "debit", "debits"],
+  deposit: ["deposit", "deposits", "credit", "credits"],
+  reference: ["reference", "ref", "checknumber", "check", "fitid", "id"],
+};
+
+/**
+ * Statement lines from bank CSV: Date and Description, plus either a signed
+ * Amount column or separate Withdrawal / Deposit columns.
+ * @returns {{ lines: Array, errors: string[] }}
+ */
+export function parseStatementCSV(text) {
+  const { records, missing } = readRecords(text, STATEMENT_FIELDS, ["date"]);
+  if (missing.length) return { lines: [], errors: ["The statement needs a Date column."] };
+
+  const errors = [];
+  const lines = [];
+  for (const { row, data } of records) {
+    const date = parseDate(data.date);
+    let amount;
+    if (data.amount !== "") amount = parseAmount(data.amount);
+    else amount = round(parseAmount(data.deposit) - Math.abs(parseAmount(data.withdrawal)));
+
+    if (!date) errors.push(`Row ${row}: invalid date "${data.date}"`);
+    else if (Number.isNaN(amount)) errors.push(`Row ${row}: invalid amount`);
+    else if (amount !== 0) {
+      lines.push({ id: data.reference || `r${row}`, date, description: data.description, amount });
+    }
+  }
+  return { lines, errors };
+}
+
+/** First value of an OFX tag (SGML or XML style) inside `block`. */
+const ofxTag = (block, tag) => {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return m ? m[1].trim() : "";
+};
+
+/** "YYYY-MM-DD" from an OFX date (YYYYMMDD[HHMMSS...]). */
+const ofxDate = (s) => (/^\d{8}/.test(s) ? `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}` : "");
+
+/**
+ * Statement lines and ending balance from an OFX / QFX download.
+ * @returns {{ lines: Array, errors: string[], statementBalance?: number, statementDate?: string }}
+ */
+export function parseStatementOFX(text) {
+  const src = String(text || "");
+  const blocks = src.split(/<STMTTRN>/i).slice(1).map((b) => b.split(/<\/STMTTRN>/i)[0]);
+
+  const errors = [];
+  const lines = [];
+  blocks.forEach((b, i) => {
+    const date = ofxDate(ofxTag(b, "DTPOSTED"));
+    const amount = parseAmount(ofxTag(b, "TRNAMT"));
+    if (!date || Number.isNaN(amount)) {
+      errors.push(`Transaction ${i + 1}: missing date or amount`);
+      return;
+    }
+    const description = [ofxTag(b, "NAME"), ofxTag(b, "MEMO")].filter(Boolean).join(" — ");
+    lines.push({ id: ofxTag(b, "FITID") || `t${i + 1}`, date, description, amount });
+  });
+  if (!blocks.length) errors.push("No transactions found in the OFX file.");
+
+  const result = { lines, errors };
+  const ledger = src.split(/<LEDGERBAL>/i)[1];
+  if (ledger) {
+    const balance = parseAmount(ofxTag(ledger, "BALAMT"));
+    if (!Number.isNaN(balance)) result.statementBalance = balance;
+    result.statementDate = ofxDate(ofxTag(ledger, "DTASOF")) || undefined;
+  }
+  return result;
+}
+
+/** Parse a statement file by extension (.ofx / .qfx, otherwise CSV). */
+export function parseStatement(text, fileName = "") {
+  const parsed = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text)
+    ? parseStatementOFX(text)
+    : parseStatementCSV(text);
+
+  // Statement line ids must be unique for matching
+  const seen = new Set();
+  parsed.lines = parsed.lines.map((l, i) => {
+    const id = seen.has(l.id) ? `${l.id}-${i}` : l.id;
+    seen.add(id);
+    return { ...l, id };
+  });
+  return parsed;
+}
+
+// ==================== Matching ====================
+
+/** "YYYY-MM-DD" of a ledgerEntries line. */
+export function ledgerDate(entry) {
+  const d = entry.date?.toDate ? entry.date.toDate() : entry.date instanceof Date ? entry.date : null;
+  return d ? d.toISOString().slice(0, 10) : "";
+}
+
+/**
+ * Effect of a ledger line on the bank balance (debit to cash = deposit), in
+ * the line's own currency.
+ */
+export const ledgerAmount = (entry) =>
+  entry.currency && entry.currency !== FUNCTIONAL_CURRENCY
+    ? round(Number(entry.transactionDebit || 0) - Number(entry.transactionCredit || 0))
+    : round(Number(entry.debit || 0) - Number(entry.credit || 0));
+
+const dayDiff = (a, b) => Math.abs(new Date(a) - new Date(b)) / 86400000;
+
+/** Statement line ids and ledger ids already used by `matches`. */
+export function matchedIds(matches) {
+  return {
+    lineIds: new Set(matches.flatMap((m) => m.lineIds)),
+    ledgerIds: new Set(matches.flatMap((m) => m.ledgerIds)),
+  };
+}
+
+/**
+ * One-to-one matches between unmatched statement lines and ledger lines with
+ * the same amount and dates within `tolerance` days, closest date first.
+ * @param {Array} lines - statement lines
+ * @param {Array} ledger - candidate ledgerEntries (with `id`)
+ * @param {Array} existing - matches already made (kept, their lines skipped)
+ * @returns {Array} new matches
+ */
+export function autoMatch(lines, ledger, existing = [], tolerance = MATCH_DAY_TOLERANCE) {
+  const used = matchedIds(existing);
+  const candidates = [];
+  for (const l of lines.filter((x) => !used.lineIds.has(x.id))) {
+    for (const e of ledger.filter((x) => !used.ledgerIds.has(x.id))) {
+      if (cents(ledgerAmount(e)) !== cents(l.amount)) continue;
+      const days = dayDiff(l.date, ledgerDate(e));
+      if (days <= tolerance) candidates.push({ line: l.id, ledger: e.id, days });
+    }
+  }
+  candidates.sort((a, b) => a.days - b.days);
+
+  const matches = [];
+  for (const c of candidates) {
+    if (used.lineIds.has(c.line) || used.ledgerIds.has(c.ledger)) continue;
+    used.lineIds.add(c.line);
+    used.ledgerIds.add(c.ledger);
+    matches.push({ lineIds: [c.line], ledgerIds: [c.ledger] });
+  }
+  return matches;
+}
+
+/**
+ * Why the selected statement lines and ledger lines can't be matched by hand,
+ * or "" if they can (both sides chosen and totals equal).
+ */
+export function manualMatchError(lines, ledger) {
+  if (!lines.length || !ledger.length) return "Select at least one statement line and one book entry.";
+  const bank = lines.reduce((s, l) => s + cents(l.amount), 0);
+  const book = ledger.reduce((s, e) => s + cents(ledgerAmount(e)), 0);
+  if (bank !== book) {
+    return `Statement lines total ${round(bank / 100).toFixed(2)} but book entries total ${round(book / 100).toFixed(2)}.`;
+  }
+  return "";
+}
+
+// ==================== Summary ====================
+
+/**
+ * Adjusted bank balance against the book balance at the statement date.
+ *
+ * adjusted bank = statement balance + deposits in transit − outstanding
+ * withdrawals (book lines not yet on a statement). The book balance is the
+ * account's opening balance plus every ledger line dated on or before the
+ * statement date. Unmatched statement lines (fees, interest) are not in the
+ * books yet and show up in the difference until they are journalized.
+ *
+ * @param {object} p
+ * @param {object} p.account - { initialBalance, currency }; the initial balance
+ *   is in the functional currency, so it only counts for functional accounts
+ * @param {string} p.statementDate
+ * @param {number} p.statementBalance
+ * @param {Array} p.lines - statement lines
+ * @param {Array} p.ledger - all ledgerEntries of the account
+ * @param {Array} p.candidates - ledger lines not cleared by an earlier reconciliation
+ * @param {Array} p.matches
+ */
+export function reconciliationSummary({ account, statementDate, statementBalance, lines, ledger, candidates, matches }) {
+  const used = matchedIds(matches);
+  const onOrBefore = (e) => ledgerDate(e) <= statementDate;
+
+  const initial = accountCurrency(account) === FUNCTIONAL_CURRENCY ? Number(account?.initialBalance || 0) : 0;
+  const bookBalance = round(
+    initial + ledger.filter(onOrBefore).reduce((s, e) => s + ledgerAmount(e), 0)
+  );
+  const outstanding = candidates.filter((e) => onOrBefore(e) && !used.ledgerIds.has(e.id));
+  const depositsInTransit = round(outstanding.filter((e) => ledgerAmount(e) > 0).reduce((s, e) => s + ledgerAmount(e), 0));
+  const outstandingWithdrawals = round(outstanding.filter((e) => ledgerAmount(e) < 0).reduce((s, e) => s - ledgerAmount(e), 0));
+  const adjustedBankBalance = round(Number(statementBalance || 0) + depositsInTransit - outstandingWithdrawals);
+  const unmatchedLines = lines.filter((l) => !used.lineIds.has(l.id));
+
+  return {
+    statementBalance: round(Number(statementBalance || 0)),
+    depositsInTransit,
+    outstandingWithdrawals,
+    adjustedBankBalance,
+    bookBalance,
+    unrecordedBankItems: round(unmatchedLines.reduce((s, l) => s + l.amount, 0)),
+    difference: round(adjustedBankBalance - bookBalance),
+    outstanding,
+    unmatchedLines,
+  };
+}
+
+// ==================== Persistence ====================
+
+/** Document id of the reconciliation for an account and statement date. */
+export const reconciliationId = (accountId, statementDate) => `${accountId}_${statementDate}`;
+
+/** Saved reconciliations of an account, newest statement first. */
+export async function loadReconciliations(accountId) {
+  const snap = await getDocs(query(companyCollection("bankReconciliations"), where("accountId", "==", accountId)));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (b.statementDate || "").localeCompare(a.statementDate || ""));
+}
+
+/** All ledgerEntries of an account. */
+export async function loadAccountLedger(accountId) {
+  const snap = await getDocs(query(companyCollection("ledgerEntries"), where("accountId", "==", accountId)));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Save a reconciliation as a draft, or finalize it.
+ * Finalizing requires a zero difference and stamps the matched ledger lines.
+ *
+ * @param {object} rec - { account, statementDate, statementBalance, fileName, lines, matches, summary }
+ * @param {string} userEmail
+ * @param {{finalize?: boolean}} [options]
+ * @returns {Promise<string>} reconciliation id
+ * @throws {Error} if already finalized, or finalizing with a difference
+ */
+export async function saveReconciliation(rec, userEmail, { finalize = false } = {}) {
+  const { account, statementDate, summary } = rec;
+  if (!statementDate) throw new Error("A statement date is required.");
+  const id = reconciliationId(account.id, statementDate);
+  const ref = companyDoc("bankReconciliations", id);
+
+  const existing = await getDoc(ref);
+  if (existing.exists() && existing.data().status === "finalized") {
+    throw new Error(`The ${statementDate} reconciliation is already finalized.`);
+  }
+  if (finalize && summary.difference !== 0) {
+    throw new Error(`Cannot finalize: the adjusted bank balance differs from the book balance by ${summary.difference.toFixed(2)}.`);
+  }
+
+  const { outstanding, unmatchedLines, ...totals } = summary;
+  const data = {
+    accountId: account.id,
+    accountName: account.name || "",
+    accountNumber: String(account.number || ""),
+    statementDate,
+    statementBalance: totals.statementBalance,
+    fileName: rec.fileName || "",
+    lines: rec.lines,
+    matches: rec.matches,
+    summary: totals,
+    outstanding: outstanding.map((e) => ({
+      ledgerId: e.id,
+      date: ledgerDate(e),
+      description: e.description || "",
+      amount: ledgerAmount(e),
+    })),
+    status: finalize ? "finalized" : "draft",
+    createdBy: existing.exists() ? existing.data().createdBy : userEmail,
+    updatedAt: serverTimestamp(),
+    ...(finalize ? { finalizedBy: userEmail, finalizedAt: serverTimestamp() } : {}),
+  };
+  await setDoc(ref, data);
+
+  if (finalize) {
+    const ledgerIds = [...matchedIds(rec.matches).ledgerIds];
+    for (let i = 0; i < ledgerIds.length; i += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      for (const ledgerId of ledgerIds.slice(i, i + BATCH_LIMIT)) {
+        batch.update(companyDoc("ledgerEntries", ledgerId), { reconciliationId: id });
+      }
+      await batch.commit();
+    }
+    await logEvent("bankReconciliation", "finalize", null, { id, accountId: account.id, statementDate, ...totals });
+  }
+  return id;
+}
+
+/** Export table (utils/export) for a saved or in-progress reconciliation. */
+export function reconciliationReport(rec) {
+  const s = rec.summary;
+  return {
+    title: `Bank Reconciliation — ${rec.accountName} (${rec.accountNumber})`,
+    period: { from: "", to: rec.statementDate },
+    columns: [{ label: "Item" }, { label: "Date" }, { label: "Amount", format: "money" }],
+    rows: [
+      { cells: ["Balance per bank statement", rec.statementDate, s.statementBalance], kind: "total" },
+      { cells: ["Add: deposits in transit", "", ""], kind: "section" },
+      ...rec.outstanding.filter((o) => o.amount > 0).map((o) => [o.description, o.date, o.amount]),
+      { cells: ["Less: outstanding withdrawals", "", ""], kind: "section" },
+      ...rec.outstanding.filter((o) => o.amount < 0).map((o) => [o.description, o.date, -o.amount]),
+      { cells: ["Adjusted bank balance", "", s.adjustedBankBalance], kind: "total" },
+      { cells: ["Balance per books", rec.statementDate, s.bookBalance], kind: "total" },
+      { cells: ["Difference", "", s.difference], kind: "grand" },
+    ],
+    generatedBy: rec.finalizedBy || rec.createdBy,
+  };
+}
@@ -0,0 +1,82 @@
+import {
+  autoMatch, ledgerAmount, manualMatchError, parseStatement, reconciliationSummary,
+} from "./reconciliation";
+
+const le = (id, date, debit, credit = 0) => ({ id, date: new Date(date), debit, credit, description: id });
+
+test("CSV statements read signed amounts or withdrawal/deposit columns", () => {
+  const signed = parseStatement("Date,Description,Amount\n2026-03-02,Deposit,500.00\n3/5/2026,Check 101,-120.50\n", "s.csv");
+  expect(signed.errors).toEqual([]);
+  expect(signed.lines.map((l) => [l.date, l.amount])).toEqual([["2026-03-02", 500], ["2026-03-05", -120.5]]);
+
+  const split = parseStatement("Date,Description,Withdrawal,Deposit\n2026-03-02,Fee,15.00,\n2026-03-03,Bad,,x\n", "s.csv");
+  expect(split.lines.map((l) => l.amount)).toEqual([-15]);
+  expect(split.errors).toEqual(["Row 3: invalid amount"]);
+});
+
+test("OFX statements give transactions and the ending balance", () => {
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260302120000<TRNAMT>500.00<FITID>A1<NAME>Customer deposit
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260305<TRNAMT>-120.50<FITID>A2<NAME>Check 101</STMTTRN>
+</BANKTRANLIST><LEDGERBAL><BALAMT>1379.50<DTASOF>20260331</LEDGERBAL></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+  const parsed = parseStatement(ofx, "march.ofx");
+  expect(parsed.lines).toEqual([
+    { id: "A1", date: "2026-03-02", description: "Customer deposit", amount: 500 },
+    { id: "A2", date: "2026-03-05", description: "Check 101", amount: -120.5 },
+  ]);
+  expect(parsed.statementBalance).toBe(1379.5);
+  expect(parsed.statementDate).toBe("2026-03-31");
+});
+
+test("auto-match pairs equal amounts within the date tolerance, closest first", () => {
+  const lines = [
+    { id: "s1", date: "2026-03-04", amount: 500 },
+    { id: "s2", date: "2026-03-20", amount: -120.5 },
+  ];
+  const ledger = [le("far", "2026-03-01", 500), le("near", "2026-03-03", 500), le("chk", "2026-03-05", 0, 120.5)];
+  expect(autoMatch(lines, ledger)).toEqual([{ lineIds: ["s1"], ledgerIds: ["near"] }]);
+  expect(manualMatchError([lines[1]], [ledger[2]])).toBe("");
+  expect(manualMatchError([lines[0]], [ledger[2]])).toMatch(/total/);
+});
+
+test("adjusted bank balance accounts for items in transit", () => {
+  const ledger = [le("dep", "2026-03-03", 500), le("chk", "2026-03-05", 0, 120.5), le("late", "2026-04-02", 75)];
+  const lines = [{ id: "s1", date: "2026-03-04", amount: 500 }];
+  const s = reconciliationSummary({
+    account: { initialBalance: 1000 },
+    statementDate: "2026-03-31",
+    statementBalance: 1500,
+    lines,
+    ledger,
+    candidates: ledger,
+    matches: [{ lineIds: ["s1"], ledgerIds: ["dep"] }],
+  });
+  expect(s.bookBalance).toBe(1379.5);
+  expect(s.outstandingWithdrawals).toBe(120.5);
+  expect(s.depositsInTransit).toBe(0);
+  expect(s.adjustedBankBalance).toBe(1379.5);
+  expect(s.difference).toBe(0);
+});
+
+test("foreign-currency accounts reconcile in their own currency", () => {
+  const eur = (id, date, debit, credit, txDebit, txCredit) => ({
+    ...le(id, date, debit, credit), currency: "EUR", transactionDebit: txDebit, transactionCredit: txCredit,
+  });
+  const ledger = [eur("dep", "2026-03-03", 550, 0, 500, 0), eur("fee", "2026-03-20", 0, 12, 0, 10)];
+  expect(ledgerAmount(ledger[0])).toBe(500);
+
+  const lines = [{ id: "s1", date: "2026-03-03", amount: 500 }, { id: "s2", date: "2026-03-20", amount: -10 }];
+  expect(autoMatch(lines, ledger, [], 3)).toHaveLength(2);
+  const s = reconciliationSummary({
+    account: { initialBalance: 0, currency: "EUR" },
+    statementDate: "2026-03-31",
+    statementBalance: 490,
+    lines,
+    ledger,
+    candidates: ledger,
+    matches: autoMatch(lines, ledger, [], 3),
+  });
+  expect(s.bookBalance).toBe(490);
+  expect(s.difference).toBe(0);
+});
@@ -0,0 +1,251 @@
+// src/utils/recurring.js
+//
+// Recurring journal entry templates (monthly rent, depreciation, accruals).
+//
+// journalTemplates document:
+//   {
+//     name: string,
+//     type: "regular" | "adjusting",
+//     description: string,
+//     lines: [{ accountId, accountName, accountNumber, amount, side,
+//               currency, transactionAmount, exchangeRate }],
+//     recurrence: {
+//       frequency: "monthly" | "quarterly",
+//       day: 1-31 (clamped to the last day of shorter months),
+//       startDate: "YYYY-MM-DD", endDate: "YYYY-MM-DD" | null (inclusive)
+//     },
+//     active: boolean,
+//     lastGeneratedDate: "YYYY-MM-DD" | null,
+//     createdBy / createdAt, updatedBy / updatedAt
+//   }
+//
+// generateDueEntries() creates one pending journal entry per due date up to a
+// given date. Entries get the id `<templateId>_<date>` (createJournalEntryOnce),
+// so running it again, or from two browsers at once, never duplicates an entry.
+// Generated entries carry templateId / templateName / recurrenceDate.
+//
+// Lines keep the amount entered in each account's currency (transactionAmount)
+// and are converted again at the rate on every occurrence date; an occurrence
+// whose converted sides no longer balance is reported like any other error.
+import {
+  addDoc, getDocs, serverTimestamp, updateDoc,
+} from "firebase/firestore";
+import { companyCollection, companyDoc } from "./company";
+import { approvalEvaluator } from "./approvals";
+import { convertLines, loadRates } from "./currency";
+import { createJournalEntryOnce, validateJournalEntry } from "./journal";
+import { loadPeriods } from "./periods";
+
+export const RECURRENCE_FREQUENCIES = {
+  monthly: { label: "Monthly", months: 1 },
+  quarterly: { label: "Quarterly", months: 3 },
+};
+
+/** "YYYY-MM-DD" for year / zero-based month, with the day clamped to the month end. */
+function isoDate(year, month, day) {
+  const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, last))).toISOString().slice(0, 10);
+}
+
+/**
+ * Occurrence dates of a recurrence after `after` (exclusive) and up to
+ * `through` (inclusive), capped at `limit`.
+ * @param {object} recurrence - { frequency, day, startDate, endDate }
+ * @param {string|null} after - "YYYY-MM-DD", or null for from the start
+ * @param {string} through - "YYYY-MM-DD"
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function occurrences(recurrence, after, through, limit = 1000) {
+  const { frequency, day, startDate, endDate } = recurrence || {};
+  const step = RECURRENCE_FREQUENCIES[frequency]?.months;
+  if (!step || !startDate) return [];
+
+  const [y, m] = startDate.split("-").map(Number);
+  const last = endDate && endDate < through ? endDate : through;
+  const dates = [];
+  for (let k = 0; dates.length < limit; k++) {
+    const date = isoDate(y, m - 1 + k * step, Number(day));
+    if (date > last) break;
+    if (date < startDate || (after && date <= after)) continue;
+    dates.push(date);
+  }
+  return dates;
+}
+
+/** Dates a template still has to generate, up to `through`. */
+export function dueDates(template, through) {
+  return occurrences(template.recurrence, template.lastGeneratedDate || null, through);
+}
+
+/** The template's next occurrence after its last generated one, or null when finished. */
+export function nextDueDate(template) {
+  return occurrences(template.recurrence, template.lastGeneratedDate || null, "9999-12-31", 1)[0] || null;
+}
+
+/** e.g. "Monthly on day 1 from 2026-01-01 until 2026-12-31". */
+export function describeRecurrence(recurrence) {
+  const f = RECURRENCE_FREQUENCIES[recurrence?.frequency];
+  if (!f) return "—";
+  const until = recurrence.endDate ? ` until ${recurrence.endDate}` : "";
+  return `${f.label} on day ${recurrence.day} from ${recurrence.startDate}${until}`;
+}
+
+/** Deterministic journal entry id for a template occurrence. */
+export function generatedEntryId(templateId, date) {
+  return `${templateId}_${date}`;
+}
+
+/** Template lines converted at the rates on `date` (transactionAmount, else amount, is the entered amount). */
+function templateLines(lines, accounts, rates, date) {
+  const entered = (lines || []).map((l) => ({ ...l, amount: l.transactionAmount ?? l.amount }));
+  return convertLines(entered, accounts, rates, date);
+}
+
+/**
+ * Validate a template draft. Returns an error message, or "" when valid.
+ * @param {object} draft - { name, type, description, lines, recurrence }
+ * @param {Array} accounts - chart of accounts
+ * @param {Array} [rates] - exchangeRates documents, for foreign-currency lines
+ */
+export function validateTemplate(draft, accounts, rates = []) {
+  const { name, recurrence = {} } = draft || {};
+  if (!name || !name.trim()) return "Template name is required.";
+  if (!RECURRENCE_FREQUENCIES[recurrence.frequency]) return "Choose how often the entry recurs.";
+  const day = Number(recurrence.day);
+  if (!Number.isInteger(day) || day < 1 || day > 31) return "Day of month must be between 1 and 31.";
+  if (!recurrence.startDate || isNaN(new Date(recurrence.startDate).getTime())) {
+    return "A valid start date is required.";
+  }
+  if (recurrence.endDate && recurrence.endDate < recurrence.startDate) {
+    return "End date cannot be before the start date.";
+  }
+  const { lines, error } = templateLines(draft.lines, accounts, rates, recurrence.startDate);
+  if (error) return error;
+  return validateJournalEntry({ ...draft, lines, date: recurrence.startDate }, accounts);
+}
+
+/** Stored journalTemplates fields for a validated draft. */
+function templateDocument(draft) {
+  return {
+    name: draft.name.trim(),
+    type: draft.type === "adjusting" ? "adjusting" : "regular",
+    description: (draft.description || "").trim(),
+    lines: draft.lines.map((l) => ({
+      accountId: l.accountId,
+      accountName: l.accountName || "",
+      accountNumber: String(l.accountNumber || ""),
+      amount: Number(l.amount),
+      side: l.side,
+      currency: l.currency,
+      transactionAmount: Number(l.transactionAmount),
+      exchangeRate: l.exchangeRate,
+    })),
+    recurrence: {
+      frequency: draft.recurrence.frequency,
+      day: Number(draft.recurrence.day),
+      startDate: draft.recurrence.startDate,
+      endDate: draft.recurrence.endDate || null,
+    },
+    active: draft.active !== false,
+  };
+}
+
+export async function loadTemplates() {
+  const snap = await getDocs(companyCollection("journalTemplates"));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+}
+
+/**
+ * Create or update a template.
+ * @param {object} draft - template fields
+ * @param {Array} accounts - chart of accounts, for validation
+ * @param {string} userEmail
+ * @param {string} [templateId] - template being edited
+ * @throws {Error} if the draft is invalid
+ */
+export async function saveTemplate(draft, accounts, userEmail, templateId = null) {
+  const rates = await loadRates();
+  const error = validateTemplate(draft, accounts, rates);
+  if (error) throw new Error(error);
+
+  const { lines } = templateLines(draft.lines, accounts, rates, draft.recurrence.startDate);
+  const data = templateDocument({ ...draft, lines });
+  if (templateId) {
+    await updateDoc(companyDoc("journalTemplates", templateId), {
+      ...data,
+      updatedBy: userEmail,
+      updatedAt: serverTimestamp(),
+    });
+    return templateId;
+  }
+  const ref = await addDoc(companyCollection("journalTemplates"), {
+    ...data,
+    lastGeneratedDate: null,
+    createdBy: userEmail,
+    createdAt: serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/**
+ * Create pending journal entries for every active template occurrence due on
+ * or before `through`. A template stops at its first failing date (e.g. a
+ * closed period or an inactive account) so later dates are not generated
+ * out of order; the failure is reported and retried next run.
+ *
+ * @param {string} through - "YYYY-MM-DD"
+ * @param {{userEmail: string, role: string}} author
+ * @returns {Promise<{created: Array, existing: number, errors: Array}>}
+ */
+export async function generateDueEntries(through, author) {
+  const [templates, accSnap, periods, rulesFor, rates] = await Promise.all([
+    loadTemplates(),
+    getDocs(companyCollection("accounts")),
+    loadPeriods(),
+    approvalEvaluator(),
+    loadRates(),
+  ]);
+  const accounts = accSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const result = { created: [], existing: 0, errors: [] };
+  for (const t of templates.filter((x) => x.active !== false)) {
+    let lastGenerated = t.lastGeneratedDate || null;
+
+    for (const date of dueDates(t, through)) {
+      try {
+        const { lines, error } = templateLines(t.lines, accounts, rates, date);
+        if (error) throw new Error(error);
+        const draft = {
+          type: t.type || "regular",
+          date,
+          description: t.description || t.name,
+          lines,
+          templateId: t.id,
+          templateName: t.name,
+          recurrenceDate: date,
+        };
+        const invalid = validateJournalEntry(draft, accounts);
+        if (invalid) throw new Error(invalid);
+
+        const id = generatedEntryId(t.id, date);
+        if (await createJournalEntryOnce(id, draft, author, { periods, rulesFor })) {
+          result.created.push({ id, templateName: t.name, date });
+        } else {
+          result.existing += 1;
+        }
+        lastGenerated = date;
+      } catch (err) {
+        result.errors.push({ templateName: t.name, date, message: err.message });
+        break;
+      }
+    }
+
+    if (lastGenerated !== (t.lastGeneratedDate || null)) {
+      await updateDoc(companyDoc("journalTemplates", t.id), { lastGeneratedDate: lastGenerated });
+    }
+  }
+  return result;
+}
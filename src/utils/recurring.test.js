@@ -0,0 +1,46 @@
+import { dueDates, nextDueDate, occurrences, validateTemplate } from "./recurring";
+
+const accounts = [
+  { id: "rent", name: "Rent Expense" },
+  { id: "cash", name: "Cash" },
+];
+const template = (recurrence, extra = {}) => ({
+  name: "Monthly rent",
+  description: "Office rent",
+  lines: [
+    { accountId: "rent", side: "debit", amount: 1500 },
+    { accountId: "cash", side: "credit", amount: 1500 },
+  ],
+  recurrence,
+  ...extra,
+});
+
+test("monthly occurrences clamp the day to short months", () => {
+  const r = { frequency: "monthly", day: 31, startDate: "2024-01-15" };
+  expect(occurrences(r, null, "2024-04-30")).toEqual(["2024-01-31", "2024-02-29", "2024-03-31", "2024-04-30"]);
+  // day before the start date in the first month is skipped
+  expect(occurrences({ ...r, day: 10 }, null, "2024-03-10")).toEqual(["2024-02-10", "2024-03-10"]);
+});
+
+test("quarterly occurrences respect the end date and what was already generated", () => {
+  const r = { frequency: "quarterly", day: 1, startDate: "2025-01-01", endDate: "2025-10-01" };
+  expect(occurrences(r, null, "2026-12-31")).toEqual(["2025-01-01", "2025-04-01", "2025-07-01", "2025-10-01"]);
+
+  const t = template(r, { lastGeneratedDate: "2025-04-01" });
+  expect(dueDates(t, "2025-09-30")).toEqual(["2025-07-01"]);
+  expect(nextDueDate(t)).toBe("2025-07-01");
+  expect(nextDueDate({ ...t, lastGeneratedDate: "2025-10-01" })).toBeNull();
+});
+
+test("templates need a name, a valid recurrence and balanced lines", () => {
+  const r = { frequency: "monthly", day: 1, startDate: "2026-01-01" };
+  expect(validateTemplate(template(r), accounts)).toBe("");
+  expect(validateTemplate(template(r, { name: " " }), accounts)).toMatch(/name/);
+  expect(validateTemplate(template({ ...r, day: 32 }), accounts)).toMatch(/Day of month/);
+  expect(validateTemplate(template({ ...r, frequency: "weekly" }), accounts)).toMatch(/how often/);
+  expect(validateTemplate(template({ ...r, endDate: "2025-12-31" }), accounts)).toMatch(/End date/);
+
+  const unbalanced = template(r);
+  unbalanced.lines[1] = { ...unbalanced.lines[1], amount: 1400 };
+  expect(validateTemplate(unbalanced, accounts)).toMatch(/must equal/);
+});
@@ -0,0 +1,282 @@
+// src/utils/statements.js
+//
+// Formatted financial statements built from a computeBalances() account map.
+// Each builder returns a plain, serializable structure that
+// components/FinancialStatement renders:
+//
+//   {
+//     kind, title, period: { from, to },
+//     sections: [
+//       { title, groups: [{ title, lines: [{ accountId, number, name, amount }], total }],
+//         total, totalLabel }
+//       | { totalLabel, total }            ← grand-total row between sections
+//     ],
+//     checks: [{ label, ok, detail }]     ← balancing checks shown on the report
+//   }
+//
+// Lines are grouped by subcategory and ordered by the account `order` field
+// (then account number); zero-balance accounts are left out.
+import {
+  accountTerm, balanceSheetSection, cashFlowStatement, categoryAmount, isDebitNormal,
+  isDividendAccount, isRetainedEarningsAccount, retainedEarnings, trialBalanceRows,
+  findRetainedEarningsAccount,
+} from "./financials";
+import { formatMoney } from "./format";
+
+const round = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const sortKey = (a) =>
+  `${String(a.order || "").padStart(3, "0")}|${String(a.number || "").padStart(8, "0")}`;
+
+function lineItem(account, amount) {
+  return {
+    accountId: account.id,
+    number: String(account.number || ""),
+    name: account.name || "",
+    subcategory: account.subcategory || "",
+    sortKey: sortKey(account),
+    amount: round(amount),
+  };
+}
+
+/** Group line items by subcategory, ordered by the lowest `order` in each group. */
+function groupLines(items) {
+  const groups = new Map();
+  for (const item of [...items].sort((a, b) => a.sortKey.localeCompare(b.sortKey))) {
+    if (!item.amount) continue;
+    const title = item.subcategory || "Other";
+    if (!groups.has(title)) groups.set(title, { title, lines: [], total: 0 });
+    const g = groups.get(title);
+    g.lines.push({ accountId: item.accountId, number: item.number, name: item.name, amount: item.amount });
+    g.total = round(g.total + item.amount);
+  }
+  return [...groups.values()];
+}
+
+function section(title, items, totalLabel = `Total ${title}`) {
+  const groups = groupLines(items);
+  return { title, groups, total: round(groups.reduce((s, g) => s + g.total, 0)), totalLabel };
+}
+
+function check(label, left, right) {
+  const ok = Math.abs(round(left) - round(right)) < 0.005;
+  return { label, ok, detail: `${formatMoney(left)} ${ok ? "=" : "≠"} ${formatMoney(right)}` };
+}
+
+function trialBalanceCheck(accMap) {
+  const { totalD, totalC } = trialBalanceRows(accMap);
+  return check("Ledger in balance (Debits = Credits)", totalD, totalC);
+}
+
+/** In-range activity excluding closing entries, in the category's direction. */
+const periodAmount = ({ account, begin, end, closing }) =>
+  categoryAmount(account, Number(end || 0) - Number(begin || 0) - Number(closing || 0));
+
+/**
+ * Income statement: revenue and expense line items for the range.
+ */
+export function incomeStatementReport(accMap, period = {}) {
+  const revenue = [], expenses = [];
+  for (const rec of accMap.values()) {
+    const cat = (rec.account.category || "").toLowerCase();
+    if (cat === "revenue") revenue.push(lineItem(rec.account, periodAmount(rec)));
+    if (cat === "expense") expenses.push(lineItem(rec.account, periodAmount(rec)));
+  }
+
+  const rev = section("Revenue", revenue);
+  const exp = section("Expenses", expenses);
+  const netIncome = round(rev.total - exp.total);
+
+  return {
+    kind: "Income Statement",
+    title: "Income Statement",
+    period,
+    sections: [rev, exp, { totalLabel: "Net Income", total: netIncome }],
+    revenue: rev.total,
+    expenses: exp.total,
+    netIncome,
+    checks: [trialBalanceCheck(accMap)],
+  };
+}
+
+/**
+ * Balance sheet as of the range end, with current / non-current sections and
+ * retained earnings rolled into equity.
+ */
+export function balanceSheetReport(accMap, period = {}) {
+  const items = {
+    currentAssets: [], propertyAndEquipment: [], otherAssets: [],
+    currentLiabilities: [], longTermLiabilities: [], equity: [],
+  };
+
+  for (const { account, end } of accMap.values()) {
+    const key = balanceSheetSection(account);
+    if (!key) continue;
+    if (key === "equity" && (isRetainedEarningsAccount(account) || isDividendAccount(account))) continue;
+    items[key].push(lineItem(account, categoryAmount(account, end)));
+  }
+
+  // Retained earnings: designated account plus earnings not yet closed
+  const re = retainedEarnings(accMap);
+  const reAccount = findRetainedEarningsAccount([...accMap.values()].map((r) => r.account));
+  items.equity.push({
+    accountId: reAccount?.id || "",
+    number: String(reAccount?.number || ""),
+    name: "Retained Earnings",
+    subcategory: "Retained Earnings",
+    sortKey: "999|",
+    amount: round(re.ending),
+  });
+
+  const ca = section("Current Assets", items.currentAssets);
+  const ppe = section("Property and Equipment", items.propertyAndEquipment, "Net Property and Equipment");
+  const oa = section("Other Non-current Assets", items.otherAssets);
+  const cl = section("Current Liabilities", items.currentLiabilities);
+  const ltl = section("Long-term Liabilities", items.longTermLiabilities);
+  const eq = section("Equity", items.equity);
+
+  const totalAssets = round(ca.total + ppe.total + oa.total);
+  const totalLiabilities = round(cl.total + ltl.total);
+  const totalLiabEquity = round(totalLiabilities + eq.total);
+
+  const sections = [ca, ppe];
+  if (oa.groups.length) sections.push(oa);
+  sections.push(
+    { totalLabel: "Total Assets", total: totalAssets },
+    cl, ltl,
+    { totalLabel: "Total Liabilities", total: totalLiabilities },
+    eq,
+    { totalLabel: "Total Liabilities and Equity", total: totalLiabEquity },
+  );
+
+  return {
+    kind: "Balance Sheet",
+    title: "Balance Sheet",
+    period,
+    sections,
+    totalAssets,
+    totalLiabilities,
+    totalEquity: eq.total,
+    checks: [
+      check("Assets = Liabilities + Equity", totalAssets, totalLiabEquity),
+      trialBalanceCheck(accMap),
+    ],
+  };
+}
+
+/**
+ * Statement of retained earnings for the range, with dividends per account.
+ */
+export function retainedEarningsReport(accMap, period = {}) {
+  const re = retainedEarnings(accMap);
+
+  const dividends = [];
+  for (const { account, begin, end, closing } of accMap.values()) {
+    if (!isDividendAccount(account)) continue;
+    const sign = isDebitNormal(account) ? 1 : -1;
+    const amt = sign * (Number(end || 0) - Number(begin || 0) - Number(closing || 0));
+    dividends.push({ ...lineItem(account, -amt), subcategory: "Less: Dividends" });
+  }
+
+  const rollForward = {
+    title: "",
+    lines: [
+      { accountId: "", number: "", name: "Retained Earnings, beginning of period", amount: round(re.opening) },
+      { accountId: "", number: "", name: "Add: Net Income", amount: round(re.netIncome) },
+    ],
+    total: round(re.opening + re.netIncome),
+  };
+
+  return {
+    kind: "Retained Earnings",
+    title: "Statement of Retained Earnings",
+    period,
+    sections: [
+      {
+        title: "Retained Earnings",
+        groups: [rollForward, ...groupLines(dividends)],
+        total: round(re.ending),
+        totalLabel: "Retained Earnings, end of period",
+      },
+    ],
+    ...re,
+    checks: [
+      check("Ending balance agrees with ledger balances", re.ending, ledgerRetainedEarnings(accMap)),
+      trialBalanceCheck(accMap),
+    ],
+  };
+}
+
+/**
+ * Statement of cash flows (indirect method) for the range: net income,
+ * adjusted for non-cash items and working capital changes, then investing and
+ * financing activity, reconciled to the change in cash accounts.
+ */
+export function cashFlowReport(accMap, period = {}) {
+  const cf = cashFlowStatement(accMap);
+
+  const byActivity = { nonCash: [], workingCapital: [], investing: [], financing: [] };
+  for (const { account, activity, amount } of cf.items) {
+    if (activity !== "operating") byActivity[activity].push(lineItem(account, amount));
+    else if (accountTerm(account) === "noncurrent") byActivity.nonCash.push(lineItem(account, amount));
+    else byActivity.workingCapital.push(lineItem(account, amount));
+  }
+  const titled = (items, title) => items.map((i) => ({ ...i, subcategory: title }));
+
+  const operating = {
+    title: "Operating Activities",
+    groups: [
+      {
+        title: "",
+        lines: [{ accountId: "", number: "", name: "Net Income", amount: round(cf.netIncome) }],
+        total: round(cf.netIncome),
+      },
+      ...groupLines(titled(byActivity.nonCash, "Adjustments for non-cash items")),
+      ...groupLines(titled(byActivity.workingCapital, "Changes in operating assets and liabilities")),
+    ],
+    total: round(cf.operating),
+    totalLabel: "Net Cash from Operating Activities",
+  };
+  const investing = section("Investing Activities", byActivity.investing, "Net Cash from Investing Activities");
+  const financing = section("Financing Activities", byActivity.financing, "Net Cash from Financing Activities");
+
+  return {
+    kind: "Cash Flow",
+    title: "Statement of Cash Flows",
+    period,
+    sections: [
+      operating,
+      investing,
+      financing,
+      { totalLabel: "Net Increase (Decrease) in Cash", total: round(cf.netChange) },
+      { totalLabel: "Cash, beginning of period", total: round(cf.beginCash) },
+      { totalLabel: "Cash, end of period", total: round(cf.endCash) },
+    ],
+    netIncome: round(cf.netIncome),
+    operating: round(cf.operating),
+    investing: round(cf.investing),
+    financing: round(cf.financing),
+    netChange: round(cf.netChange),
+    checks: [
+      check("Net change agrees with cash accounts", cf.netChange, cf.endCash - cf.beginCash),
+      trialBalanceCheck(accMap),
+    ],
+  };
+}
+
+/**
+ * Retained earnings straight from closing balances: the designated account
+ * plus revenue − expenses − dividends not yet closed. Independent of the
+ * opening / activity split used by the roll-forward.
+ */
+function ledgerRetainedEarnings(accMap) {
+  let total = 0;
+  for (const { account, end } of accMap.values()) {
+    const cat = (account.category || "").toLowerCase();
+    if (isRetainedEarningsAccount(account)) total += Number(end || 0);
+    else if (isDividendAccount(account)) total -= isDebitNormal(account) ? Number(end || 0) : -Number(end || 0);
+    else if (cat === "revenue") total += categoryAmount(account, end);
+    else if (cat === "expense") total -= categoryAmount(account, end);
+  }
+  return total;
+}
@@ -0,0 +1,93 @@
+import { computeBalances } from "./financials";
+import {
+  balanceSheetReport, cashFlowReport, incomeStatementReport, retainedEarningsReport,
+} from "./statements";
+import { comparativeStatement, comparisonPeriods } from "./comparative";
+
+const accounts = [
+  { id: "cash", number: "101", name: "Cash", category: "Asset", subcategory: "Current Assets", order: "01" },
+  { id: "ar", number: "120", name: "Accounts Receivable", category: "Asset", subcategory: "Current Assets", order: "02" },
+  { id: "equip", number: "150", name: "Equipment", category: "Asset", subcategory: "Property and Equipment", order: "05" },
+  { id: "cap", number: "301", name: "Common Stock", category: "Equity", subcategory: "Contributed Capital", normalSide: "Credit" },
+  { id: "div", number: "330", name: "Dividends", category: "Equity", normalSide: "Debit" },
+  { id: "svc", number: "401", name: "Service Revenue", category: "Revenue", subcategory: "Operating Revenue", normalSide: "Credit" },
+  { id: "rent", number: "520", name: "Rent Expense", category: "Expense", subcategory: "Operating Expenses", order: "02" },
+  { id: "wages", number: "510", name: "Wages Expense", category: "Expense", subcategory: "Operating Expenses", order: "01" },
+];
+
+const l = (accountId, debit, credit) => ({ accountId, date: "2026-03-01", debit, credit });
+const ledger = [
+  l("cash", 10000, 0), l("cap", 0, 10000),
+  l("equip", 4000, 0), l("cash", 0, 4000),
+  l("ar", 3000, 0), l("svc", 0, 3000),
+  l("rent", 800, 0), l("wages", 1200, 0), l("cash", 0, 2000),
+  l("div", 300, 0), l("cash", 0, 300),
+];
+
+const accMap = () => computeBalances(accounts, ledger, "2026-01-01", "2026-12-31");
+
+test("income statement groups lines by subcategory in order sequence", () => {
+  const is = incomeStatementReport(accMap(), { from: "2026-01-01", to: "2026-12-31" });
+  const expenses = is.sections.find((s) => s.title === "Expenses");
+  expect(expenses.groups[0].lines.map((x) => x.name)).toEqual(["Wages Expense", "Rent Expense"]);
+  expect(is.netIncome).toBe(1000);
+  expect(is.checks.every((c) => c.ok)).toBe(true);
+});
+
+test("balance sheet balances and shows retained earnings in equity", () => {
+  const bs = balanceSheetReport(accMap());
+  expect(bs.totalAssets).toBe(10700);
+  const equity = bs.sections.find((s) => s.title === "Equity");
+  expect(equity.groups.map((g) => g.title)).toEqual(["Contributed Capital", "Retained Earnings"]);
+  expect(equity.total).toBe(10700);
+  expect(bs.checks.every((c) => c.ok)).toBe(true);
+});
+
+test("retained earnings statement lists dividends per account", () => {
+  const re = retainedEarningsReport(accMap());
+  expect(re.ending).toBe(700);
+  expect(re.sections[0].groups[1].lines).toEqual([
+    { accountId: "div", number: "330", name: "Dividends", amount: -300 },
+  ]);
+  expect(re.checks.every((c) => c.ok)).toBe(true);
+});
+
+test("comparative income statement shows dollar and percent variance", () => {
+  const twoMonths = [
+    ...ledger,
+    { accountId: "cash", date: "2026-04-10", debit: 4500, credit: 0 },
+    { accountId: "svc", date: "2026-04-10", debit: 0, credit: 4500 },
+  ];
+  const periods = comparisonPeriods("mom", "2026-04-15");
+  expect(periods.map((p) => p.label)).toEqual(["Apr 2026", "Mar 2026"]);
+
+  const cmp = comparativeStatement(incomeStatementReport, accounts, twoMonths, periods);
+  const revenue = cmp.sections.find((s) => s.title === "Revenue");
+  expect(revenue.totals).toEqual([4500, 3000]);
+  expect(revenue.variance).toBe(1500);
+  expect(revenue.variancePct).toBeCloseTo(0.5);
+  const rent = cmp.sections.find((s) => s.title === "Expenses").groups[0].lines.find((x) => x.accountId === "rent");
+  expect(rent).toMatchObject({ amounts: [0, 800], variance: -800, variancePct: -1 });
+});
+
+test("cash flow statement reconciles net income to the change in cash", () => {
+  const withLoan = [
+    ...accounts,
+    { id: "ap", number: "201", name: "Accounts Payable", category: "Liability", subcategory: "Current Liabilities" },
+    { id: "loan", number: "250", name: "Bank Loan", category: "Liability", subcategory: "Long-term Liabilities" },
+  ];
+  const april = (accountId, debit, credit) => ({ accountId, date: "2026-04-05", debit, credit });
+  const entries = [
+    ...ledger,
+    april("cash", 2500, 0), april("ar", 0, 2500),
+    april("rent", 600, 0), april("ap", 0, 600),
+    april("cash", 5000, 0), april("loan", 0, 5000),
+  ];
+
+  const cf = cashFlowReport(computeBalances(withLoan, entries, "2026-04-01", "2026-04-30"));
+  expect(cf.netIncome).toBe(-600);
+  expect(cf.operating).toBe(2500); // −600 + 2,500 collected + 600 unpaid
+  expect(cf.financing).toBe(5000);
+  expect(cf.netChange).toBe(7500);
+  expect(cf.checks.every((c) => c.ok)).toBe(true);
+});
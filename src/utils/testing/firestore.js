@@ -0,0 +1,102 @@
+// src/utils/testing/firestore.js
+//
+// In-memory stand-in for "firebase/firestore" in utils tests:
+//
+//   jest.mock("firebase/firestore", () => require("./testing/firestore"));
+//
+// Documents are kept by path in `__store`. Transaction and batch writes are
+// buffered and applied only if the whole callback succeeds. Queries support
+// "==" and "in" filters; onSnapshot delivers the current result once.
+export const __store = new Map();
+
+let autoId = 0;
+const parentOf = (path) => path.slice(0, path.lastIndexOf("/"));
+
+export const Timestamp = class Timestamp {};
+
+export const collection = (_db, ...parts) => ({ type: "collection", path: parts.join("/") });
+
+export const doc = (parent, ...parts) => {
+  const path = parent?.type === "collection"
+    ? [parent.path, ...(parts.length ? parts : [`auto${++autoId}`])].join("/")
+    : parts.join("/");
+  return { type: "doc", path, id: path.split("/").pop() };
+};
+
+const snapshot = (ref) => ({
+  id: ref.id,
+  ref,
+  exists: () => __store.has(ref.path),
+  data: () => __store.get(ref.path),
+});
+
+export const where = (field, op, value) => ({ field, op, value });
+export const query = (col, ...filters) => ({ ...col, filters });
+
+const matches = (data, { field, op, value }) =>
+  op === "in" ? value.includes(data[field]) : data[field] === value;
+
+export async function getDocs(q) {
+  const docs = [...__store.keys()]
+    .filter((path) => parentOf(path) === q.path)
+    .map((path) => snapshot(doc(null, path)))
+    .filter((d) => (q.filters || []).every((f) => matches(d.data(), f)));
+  return { docs, size: docs.length, empty: !docs.length };
+}
+
+export function onSnapshot(q, next, onError) {
+  getDocs(q).then(next, onError);
+  return () => {};
+}
+
+export const arrayUnion = (...values) => ({ arrayUnion: values });
+
+/** `data` merged over the stored document, resolving arrayUnion values. */
+const merged = (path, data) => {
+  const current = __store.get(path);
+  const next = { ...current };
+  for (const [key, value] of Object.entries(data)) {
+    next[key] = value?.arrayUnion
+      ? [...new Set([...(current?.[key] || []), ...value.arrayUnion])]
+      : value;
+  }
+  return next;
+};
+
+export const getDoc = async (ref) => snapshot(ref);
+export const setDoc = async (ref, data) => __store.set(ref.path, { ...data });
+export const updateDoc = async (ref, data) => __store.set(ref.path, merged(ref.path, data));
+
+export async function addDoc(col, data) {
+  const ref = doc(col);
+  __store.set(ref.path, { ...data });
+  return ref;
+}
+
+const writer = () => {
+  const writes = [];
+  return {
+    writes,
+    set: (ref, data) => writes.push(() => __store.set(ref.path, { ...data })),
+    update: (ref, data) => writes.push(() => {
+      if (!__store.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+      __store.set(ref.path, merged(ref.path, data));
+    }),
+    delete: (ref) => writes.push(() => __store.delete(ref.path)),
+  };
+};
+
+export function writeBatch() {
+  const batch = writer();
+  return { ...batch, commit: async () => batch.writes.forEach((w) => w()) };
+}
+
+export async function runTransaction(_db, fn) {
+  const tx = writer();
+  const result = await fn({ ...tx, get: async (ref) => snapshot(ref) });
+  tx.writes.forEach((w) => w());
+  return result;
+}
+
+export const serverTimestamp = () => "serverTimestamp";
+export const deleteField = () => undefined;